@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// ブラウザを使わずに飛行シミュレーションを実行するコマンドライン
+//
+// 使い方:
+//   node scripts/simulate.js <design.json|-> [-o result.json] [--no-data] [--verbose]
+//
+// 入力JSONは { design, motor, environment, config } 形式（省略した項目は既定値）。
+// 配列を渡すと各要素を順に計算し、結果も配列で出力する。
+// motor.file に RASP .eng ファイルのパスを指定すると、その推力曲線を使用する（入力JSONからの相対パス）。
+const fs = require('fs');
+const path = require('path');
+
+// src 配下の .jsx (ES modules) をそのまま読み込めるようにする
+require('sucrase/register/jsx');
+const { runSimulation } = require('../src/components/rocket/RocketEngine');
+
+const usage = 'usage: node scripts/simulate.js <design.json|-> [-o result.json] [--no-data] [--verbose]';
+
+const parseArgs = (argv) => {
+  const args = { inputPath: null, outputPath: null, includeData: true, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-o' || arg === '--output') {
+      args.outputPath = argv[++i];
+    } else if (arg === '--no-data') {
+      args.includeData = false;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (args.inputPath === null) {
+      args.inputPath = arg;
+    } else {
+      throw new Error(`不明な引数です: ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const readInput = (inputPath) => {
+  const text = inputPath === '-'
+    ? fs.readFileSync(0, 'utf8')
+    : fs.readFileSync(path.resolve(inputPath), 'utf8');
+  return JSON.parse(text);
+};
+
+// 各入力は { design, motor, environment, config } 形式のオブジェクト
+const isInputEntry = (entry) => entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+
+// motor.file の .eng ファイルを読み込んで motor.eng に展開する
+const withMotorFile = (entry, baseDir) => {
+  if (!entry.motor?.file) return entry;
+  const { file, ...motor } = entry.motor;
+  return { ...entry, motor: { ...motor, eng: fs.readFileSync(path.resolve(baseDir, file), 'utf8') } };
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(usage);
+    return 2;
+  }
+
+  if (args.help || !args.inputPath) {
+    console.error(usage);
+    return args.help ? 0 : 2;
+  }
+
+  let input;
+  try {
+    const baseDir = args.inputPath === '-' ? process.cwd() : path.dirname(path.resolve(args.inputPath));
+    const raw = readInput(args.inputPath);
+    if (!(Array.isArray(raw) ? raw : [raw]).every(isInputEntry)) {
+      throw new Error('入力は { design, motor, environment, config } 形式のオブジェクトかその配列で指定してください');
+    }
+    input = Array.isArray(raw) ? raw.map(entry => withMotorFile(entry, baseDir)) : withMotorFile(raw, baseDir);
+  } catch (error) {
+    console.error(`入力を読み込めません: ${error.message}`);
+    return 2;
+  }
+
+  // コマンドライン引数の指定を各入力の config より優先する
+  const withCliConfig = (entry) => ({
+    ...entry,
+    config: {
+      ...(entry.config || {}),
+      includeData: args.includeData && (entry.config?.includeData ?? true),
+      ...(args.verbose ? { verbose: true } : {})
+    }
+  });
+
+  const results = Array.isArray(input)
+    ? input.map(entry => runSimulation(withCliConfig(entry)))
+    : runSimulation(withCliConfig(input));
+
+  const json = JSON.stringify(results, null, 2) + '\n';
+  if (args.outputPath) {
+    fs.writeFileSync(path.resolve(args.outputPath), json);
+  } else {
+    process.stdout.write(json);
+  }
+
+  const failed = [].concat(results).filter(result => result.error?.hasError);
+  failed.forEach(result => console.error(result.error.message));
+  return failed.length > 0 ? 1 : 0;
+};
+
+process.exitCode = main();
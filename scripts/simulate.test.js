@@ -0,0 +1,119 @@
+// コマンドライン (scripts/simulate.js) の回帰テスト
+//
+// 使い方:
+//   npm test
+//   UPDATE_BASELINES=1 npm test   （計算結果を意図して変えた場合に基準値を作り直す）
+//
+// fixtures/baselines の基準値と計算結果（results と landing、有効数字6桁）を比べ、
+// 不正な入力が例外ではなく入力エラー（終了コード 1 または 2）になることを確かめる。
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SIMULATE = path.join(__dirname, 'simulate.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const BASELINES = path.join(FIXTURES, 'baselines');
+
+const simulate = (args, input) => {
+  const result = spawnSync(process.execPath, [SIMULATE, ...args], {
+    input: input === undefined ? undefined : JSON.stringify(input),
+    encoding: 'utf8'
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+// 有効数字6桁に丸めた結果の要約（計算順序による末尾の誤差で失敗しないようにする）
+const round = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? Number(value.toPrecision(6)) : String(value);
+  if (Array.isArray(value)) return value.map(round);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, round(item)]));
+  }
+  return value;
+};
+const summarize = (output) => round({ results: output.results, landing: output.landing });
+
+// 基準値と比べる入力（入力ファイルは scripts からの相対パス、基準値は fixtures/baselines/<name>.json）
+const REGRESSION_CASES = [
+  ['default-design', 'examples/default-design.json']
+];
+
+REGRESSION_CASES.forEach(([name, inputPath]) => {
+  test(`regression: ${name}`, () => {
+    const { status, stdout, stderr } = simulate([path.join(__dirname, inputPath), '--no-data']);
+    assert.strictEqual(status, 0, stderr);
+    const summary = summarize(JSON.parse(stdout));
+    const baselinePath = path.join(BASELINES, `${name}.json`);
+
+    if (process.env.UPDATE_BASELINES) {
+      fs.mkdirSync(BASELINES, { recursive: true });
+      fs.writeFileSync(baselinePath, JSON.stringify(summary, null, 2) + '\n');
+    }
+    assert.deepStrictEqual(summary, JSON.parse(fs.readFileSync(baselinePath, 'utf8')));
+  });
+});
+
+// 読み込めない入力は終了コード 2
+const UNREADABLE_INPUTS = [
+  ['null', null],
+  ['number', 5],
+  ['array of null', [null]]
+];
+
+UNREADABLE_INPUTS.forEach(([name, input]) => {
+  test(`unreadable input: ${name}`, () => {
+    const { status, stderr } = simulate(['-', '--no-data'], input);
+    assert.strictEqual(status, 2, stderr);
+    assert.match(stderr, /を読み込めません/);
+  });
+});
+
+// 検証エラーになる入力は終了コード 1（結果の error に理由を出力する）
+const INVALID_INPUTS = [
+  ['unknown motor', { motor: { name: 'Z99-9' } }, 'motor.name が不正です'],
+  ['stage entry is null', { design: { stages: [null] } }, 'design.stages[0] はオブジェクトで指定してください'],
+  ['recovery event is null', { design: { recoveryEvents: [null] } }, 'design.recoveryEvents[0] はオブジェクトで指定してください'],
+  ['wind sounding point is null', { environment: { windProfile: { name: '実測', points: [null] } } }, 'environment.windProfile.points[0]'],
+  ['launch rail is not an object', { environment: { launchRail: 5 } }, 'environment.launchRail は'],
+  ['zero total component mass', { design: { massComponents: [{ type: 'payload', source: 'manual', mass: 0, position: 100 }] } }, 'design.massComponents の質量の合計が0です']
+];
+
+INVALID_INPUTS.forEach(([name, input, message]) => {
+  test(`invalid input: ${name}`, () => {
+    const { status, stdout, stderr } = simulate(['-', '--no-data'], input);
+    assert.strictEqual(status, 1, stderr);
+    assert.doesNotMatch(stderr, /at .*\.jsx?:\d+/);
+    const output = JSON.parse(stdout);
+    assert.strictEqual(output.error.type, 'invalidInput');
+    assert.ok(output.error.message.includes(message), output.error.message);
+  });
+});
+
+// null の項目は省略と同じく既定値を使う
+const NULL_SECTION_INPUTS = [
+  ['design', { design: null }],
+  ['launch rail', { environment: { launchRail: null } }]
+];
+
+NULL_SECTION_INPUTS.forEach(([name, input]) => {
+  test(`null section uses defaults: ${name}`, () => {
+    const { status, stderr } = simulate(['-', '--no-data'], input);
+    assert.strictEqual(status, 0, stderr);
+  });
+});
+
+test('monte carlo keeps plug motors without ejection', () => {
+  const input = { motor: { file: path.join(FIXTURES, 'plug-motor.eng') }, monteCarlo: { runs: 3, seed: 1 } };
+  const { status, stdout, stderr } = simulate(['-', '--no-data'], input);
+  assert.strictEqual(status, 0, stderr);
+  const { monteCarlo } = JSON.parse(stdout);
+  monteCarlo.samples.forEach(sample => assert.strictEqual(sample.ejectionDelay, null));
+});
+
+test('usage errors exit with 2', () => {
+  assert.strictEqual(simulate([]).status, 2);
+  assert.strictEqual(simulate(['a.json', 'b.json']).status, 2);
+  assert.strictEqual(simulate(['--help']).status, 0);
+});
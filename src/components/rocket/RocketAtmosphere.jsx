@@ -0,0 +1,116 @@
+// 大気モデル（国際標準大気 ISA + 打ち上げ場所の気象条件）
+
+// ISA 海面標準値と物理定数
+const ISA_SEA_LEVEL_TEMPERATURE = 288.15; // 海面標準温度 (K)
+const ISA_SEA_LEVEL_PRESSURE = 101325; // 海面標準気圧 (Pa)
+const ISA_LAPSE_RATE = 0.0065; // 対流圏の気温減率 (K/m)
+const ISA_TROPOPAUSE_ALTITUDE = 11000; // 対流圏界面の高度 (m)
+const GRAVITY = 9.80665; // 標準重力加速度 (m/s²)
+const GAS_CONSTANT_DRY_AIR = 287.05; // 乾燥空気の気体定数 (J/(kg·K))
+const GAS_CONSTANT_WATER_VAPOR = 461.5; // 水蒸気の気体定数 (J/(kg·K))
+const HEAT_CAPACITY_RATIO = 1.4; // 比熱比
+const KELVIN_OFFSET = 273.15;
+const SUTHERLAND_REFERENCE_VISCOSITY = 1.716e-5; // 基準温度での粘性係数 (Pa·s)
+const SUTHERLAND_REFERENCE_TEMPERATURE = 273.15; // 基準温度 (K)
+const SUTHERLAND_CONSTANT = 110.4; // サザーランド定数 (K)
+
+// 従来の計算で使用していた海面標準の空気密度 (kg/m³)
+export const STANDARD_AIR_DENSITY = 1.225;
+
+// 打ち上げ場所の気象条件の既定値（温度・気圧が null の場合は標高に応じた ISA 値を使用）
+export const DEFAULT_LAUNCH_SITE = {
+  siteElevation: 0, // 標高 (m)
+  groundTemperature: null, // 地上気温 (℃)
+  groundPressure: null, // 地上気圧 (hPa)
+  humidity: 0 // 相対湿度 (%)
+};
+
+// ISA の標高 h (m, ジオポテンシャル高度) における気温 (K) と気圧 (Pa)
+const isaAt = (altitude) => {
+  const h = Math.min(altitude, ISA_TROPOPAUSE_ALTITUDE);
+  const temperature = ISA_SEA_LEVEL_TEMPERATURE - ISA_LAPSE_RATE * h;
+  let pressure = ISA_SEA_LEVEL_PRESSURE *
+    Math.pow(temperature / ISA_SEA_LEVEL_TEMPERATURE, GRAVITY / (GAS_CONSTANT_DRY_AIR * ISA_LAPSE_RATE));
+
+  // 対流圏界面より上は等温層
+  if (altitude > ISA_TROPOPAUSE_ALTITUDE) {
+    pressure *= Math.exp(-GRAVITY * (altitude - ISA_TROPOPAUSE_ALTITUDE) / (GAS_CONSTANT_DRY_AIR * temperature));
+  }
+
+  return { temperature, pressure };
+};
+
+// 飽和水蒸気圧 (Pa) - Tetens の式
+const saturationVaporPressure = (temperatureK) => {
+  const t = temperatureK - KELVIN_OFFSET;
+  return 610.78 * Math.exp(17.27 * t / (t + 237.3));
+};
+
+const toNumber = (value, fallback) =>
+  (value === null || value === undefined || value === '' || isNaN(Number(value))) ? fallback : Number(value);
+
+// 気象条件を正規化して地上の基準値を求める
+export const createAtmosphere = (conditions = {}) => {
+  const siteElevation = toNumber(conditions.siteElevation, DEFAULT_LAUNCH_SITE.siteElevation);
+  const isaGround = isaAt(siteElevation);
+
+  const groundTemperature = toNumber(conditions.groundTemperature, isaGround.temperature - KELVIN_OFFSET);
+  const groundPressure = toNumber(conditions.groundPressure, isaGround.pressure / 100);
+  const humidity = Math.max(0, Math.min(100, toNumber(conditions.humidity, DEFAULT_LAUNCH_SITE.humidity)));
+
+  return {
+    siteElevation,
+    groundTemperature,
+    groundPressure,
+    humidity,
+    // 計算用の基準値
+    groundTemperatureK: groundTemperature + KELVIN_OFFSET,
+    groundPressurePa: groundPressure * 100
+  };
+};
+
+// 地上からの高度 height (m) における大気状態
+// 気温は地上値から ISA の減率で下げ、気圧は静水圧平衡で求める。相対湿度は高度によらず一定とする
+export const getAtmosphereAt = (atmosphere, height = 0) => {
+  const atm = atmosphere?.groundTemperatureK ? atmosphere : createAtmosphere(atmosphere);
+  const h = Math.max(0, isNaN(height) ? 0 : height);
+
+  // 対流圏界面までは減率 L で低下、それより上は等温
+  const tropopauseHeight = Math.max(0, ISA_TROPOPAUSE_ALTITUDE - atm.siteElevation);
+  const hTropo = Math.min(h, tropopauseHeight);
+  const temperature = Math.max(150, atm.groundTemperatureK - ISA_LAPSE_RATE * hTropo);
+  let pressure = atm.groundPressurePa *
+    Math.pow(temperature / atm.groundTemperatureK, GRAVITY / (GAS_CONSTANT_DRY_AIR * ISA_LAPSE_RATE));
+  if (h > tropopauseHeight) {
+    pressure *= Math.exp(-GRAVITY * (h - tropopauseHeight) / (GAS_CONSTANT_DRY_AIR * temperature));
+  }
+
+  // 水蒸気分圧を考慮した湿潤空気の密度
+  const vaporPressure = Math.min(pressure * 0.5, saturationVaporPressure(temperature) * atm.humidity / 100);
+  const density = (pressure - vaporPressure) / (GAS_CONSTANT_DRY_AIR * temperature) +
+    vaporPressure / (GAS_CONSTANT_WATER_VAPOR * temperature);
+
+  // 音速は仮温度から求める
+  const virtualTemperature = temperature / (1 - (vaporPressure / pressure) * (1 - GAS_CONSTANT_DRY_AIR / GAS_CONSTANT_WATER_VAPOR));
+  const speedOfSound = Math.sqrt(HEAT_CAPACITY_RATIO * GAS_CONSTANT_DRY_AIR * virtualTemperature);
+
+  // 粘性係数はサザーランドの式で求める（レイノルズ数の計算用）
+  const dynamicViscosity = SUTHERLAND_REFERENCE_VISCOSITY *
+    Math.pow(temperature / SUTHERLAND_REFERENCE_TEMPERATURE, 1.5) *
+    (SUTHERLAND_REFERENCE_TEMPERATURE + SUTHERLAND_CONSTANT) / (temperature + SUTHERLAND_CONSTANT);
+
+  return {
+    density, // 空気密度 (kg/m³)
+    temperature, // 気温 (K)
+    temperatureCelsius: temperature - KELVIN_OFFSET, // 気温 (℃)
+    pressure, // 気圧 (Pa)
+    speedOfSound, // 音速 (m/s)
+    dynamicViscosity // 粘性係数 (Pa·s)
+  };
+};
+
+// 地上の空気密度 (kg/m³) - 気象条件が未指定なら従来の海面標準値
+export const getGroundAirDensity = (conditions) => {
+  if (!conditions) return STANDARD_AIR_DENSITY;
+  return getAtmosphereAt(createAtmosphere(conditions), 0).density;
+};
@@ -0,0 +1,106 @@
+// Barrowman 法による法線力傾斜 (CNα) と圧力中心の計算
+// 部品ごと（ノーズ・ボディ・径変化部・フィン）の値を求め、CNα で重み付けして機体全体の圧力中心を求める
+// 位置はすべてノーズ先端からの距離 (mm)、CNα は胴体断面積を基準面積とした値 (1/rad)
+import { FIN_COUNT_CNALPHA_CORRECTION } from './RocketConstants';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { calculateNoseGeometry } from './RocketNoseCone';
+import { getBodyTransitions, getFinMount } from './RocketBodyComponents';
+
+// ノーズ: CNα = 2（ノーズ後端の直径が基準直径と等しい場合）
+// 圧力中心は輪郭の数値積分による Xcp = L - V/A（円錐 2L/3、回転放物体 L/2 と一致）
+const calculateNose = (noseShape, noseHeight, noseDiameter, referenceDiameter) => ({
+  id: 'nose',
+  name: 'ノーズ',
+  cnAlpha: 2 * Math.pow(noseDiameter / referenceDiameter, 2),
+  cp: calculateNoseGeometry(noseShape, noseHeight, noseDiameter / 2).cp
+});
+
+/**
+ * 径変化部（ショルダー・ボートテール）の CNα と圧力中心
+ * CNα = 2 * ((d2/d)² - (d1/d)²)、縮径するボートテールでは負になる
+ * @param {Object} transition - { position: 前端位置 (mm), length: 長さ (mm), foreDiameter: 前端直径 (mm), aftDiameter: 後端直径 (mm) }
+ * @param {number} referenceDiameter - 基準直径 (mm)
+ * @param {number} index - 表示用の番号
+ * @returns {Object} 部品ごとの CNα と圧力中心
+ */
+export const calculateTransition = (transition, referenceDiameter, index = 0) => {
+  const { position, length, foreDiameter, aftDiameter } = transition;
+  const ratio = foreDiameter / aftDiameter;
+  const cnAlpha = 2 * (Math.pow(aftDiameter / referenceDiameter, 2) - Math.pow(foreDiameter / referenceDiameter, 2));
+  // 径が変わらない場合は CNα = 0 で圧力中心は中央とする
+  const cp = Math.abs(1 - ratio) < 1e-9
+    ? position + length / 2
+    : position + (length / 3) * (1 + (1 - ratio) / (1 - ratio * ratio));
+
+  return {
+    id: `transition${index + 1}`,
+    name: foreDiameter < aftDiameter ? `ショルダー${index + 1}` : `ボートテール${index + 1}`,
+    cnAlpha,
+    cp
+  };
+};
+
+// フィン: CNα = K * 4N(s/d)² / (1 + √(1 + (2lf/(a+b))²))、胴体干渉係数 K = 1 + R/(s+R)（R は取り付ける円筒の半径）
+// 5枚以上はフィン同士の干渉の補正係数を掛ける
+// 台形以外の平面形は a + b を 2A/s（A: フィン1枚の面積）とし、圧力中心は平均空力翼弦の 1/4 の位置とする（台形では Barrowman の式と一致）
+const calculateFins = (rocketParams, referenceDiameter) => {
+  const { finCount } = rocketParams;
+  const planform = calculateFinPlanform(rocketParams);
+  const mount = getFinMount(rocketParams);
+  const span = planform.span;                     // s: スパン
+  const radius = mount.diameter / 2;              // R: フィン取り付け部の胴体半径
+  const midChordLength = planform.midChordLength; // lf: 翼弦中点を結ぶ線の長さ
+
+  const interferenceFactor = 1 + radius / (span + radius);
+  const finCountCorrection = FIN_COUNT_CNALPHA_CORRECTION[finCount] ?? 1;
+  const finOnlyCnAlpha = planform.area > 0
+    ? finCountCorrection * (4 * finCount * Math.pow(span / referenceDiameter, 2)) /
+      (1 + Math.sqrt(1 + Math.pow(midChordLength * span / planform.area, 2)))
+    : 0;
+
+  // フィン付け根前縁の位置と、そこからの圧力中心位置
+  const cp = mount.rootLeadingEdge + planform.macLeadingEdge + planform.meanAerodynamicChord / 4;
+
+  return {
+    id: 'fins',
+    name: `フィン（${finCount}枚、胴体干渉を含む）`,
+    cnAlpha: interferenceFactor * finOnlyCnAlpha,
+    cp,
+    interferenceFactor,
+    finCountCorrection,
+    midChordLength
+  };
+};
+
+/**
+ * Barrowman 法による機体全体の CNα と圧力中心
+ * @param {Object} rocketParams - ロケットのパラメータ（bodyComponents の径変化部を含める）
+ * @returns {Object} 部品ごとの内訳 (components) と機体全体の CNα・圧力中心
+ */
+export const calculateBarrowmanCoefficients = (rocketParams) => {
+  const { noseShape, noseHeight, bodyHeight, bodyWidth } = rocketParams;
+  const referenceDiameter = bodyWidth;
+
+  const components = [
+    calculateNose(noseShape, noseHeight, bodyWidth, referenceDiameter),
+    // 円筒部は Barrowman 法では微小迎角で法線力を生じない
+    { id: 'body', name: 'ボディ（円筒部）', cnAlpha: 0, cp: noseHeight + bodyHeight / 2 },
+    ...getBodyTransitions(rocketParams).map((transition, index) => calculateTransition(transition, referenceDiameter, index)),
+    calculateFins(rocketParams, referenceDiameter)
+  ];
+
+  const cnAlpha = components.reduce((sum, component) => sum + component.cnAlpha, 0);
+  const moment = components.reduce((sum, component) => sum + component.cnAlpha * component.cp, 0);
+  const centerOfPressure = cnAlpha !== 0 ? moment / cnAlpha : noseHeight + bodyHeight / 2;
+
+  return {
+    referenceDiameter, // 基準直径 (mm)
+    components: components.map(component => ({
+      ...component,
+      moment: component.cnAlpha * component.cp, // CNα × 圧力中心位置 (mm/rad)
+      share: cnAlpha !== 0 ? component.cnAlpha / cnAlpha : 0 // CNα の割合
+    })),
+    cnAlpha,           // 機体全体の CNα (1/rad)
+    centerOfPressure   // 機体全体の圧力中心位置 (mm)
+  };
+};
@@ -0,0 +1,144 @@
+// 機体の部品構成（ノーズの後ろに続く円筒と径変化部（ショルダー・ボートテール）の並び）
+// bodyComponents が空の場合は bodyHeight × bodyWidth の円筒1本とする
+// bodyComponents を指定した場合、bodyHeight は部品の長さの合計、bodyWidth は先頭の円筒（ノーズ後端）の直径で、基準直径として使う
+// フィンは finTubeIndex 番目の部品（円筒）に、その後端から finOffset だけ前に翼根後縁をそろえて取り付ける
+
+/**
+ * 機体の部品の位置と直径（ノーズ後端から順に）
+ * @param {Object} params - noseHeight, bodyHeight, bodyWidth, bodyComponents
+ * @returns {Array<{type: string, position: number, length: number, foreDiameter: number, aftDiameter: number}>}
+ *   position はノーズ先端からの前端位置 (mm)
+ */
+export const getBodySections = (params) => {
+  const components = Array.isArray(params.bodyComponents) && params.bodyComponents.length > 0
+    ? params.bodyComponents
+    : [{ type: 'tube', length: params.bodyHeight, diameter: params.bodyWidth }];
+
+  let position = params.noseHeight;
+  let diameter = params.bodyWidth;
+  return components.map(component => {
+    const section = {
+      type: component.type,
+      position,
+      length: component.length,
+      foreDiameter: component.type === 'tube' ? component.diameter : diameter,
+      aftDiameter: component.diameter
+    };
+    position += component.length;
+    diameter = component.diameter;
+    return section;
+  });
+};
+
+/**
+ * 部品の並びから bodyHeight（長さの合計）と bodyWidth（先頭の部品の直径）を求める
+ * @param {Array<Object>} bodyComponents - 部品の一覧
+ * @returns {{bodyHeight: number, bodyWidth: number}|null} 部品がない場合は null
+ */
+export const getBodyDimensionsFromComponents = (bodyComponents) => {
+  if (!Array.isArray(bodyComponents) || bodyComponents.length === 0) return null;
+  return {
+    bodyHeight: bodyComponents.reduce((sum, component) => sum + component.length, 0),
+    bodyWidth: bodyComponents[0].diameter
+  };
+};
+
+// Barrowman 法の径変化部の一覧（径が変わらない部品は除く）
+export const getBodyTransitions = (params) =>
+  getBodySections(params)
+    .filter(section => section.type === 'transition' && section.foreDiameter !== section.aftDiameter)
+    .map(({ position, length, foreDiameter, aftDiameter }) => ({ position, length, foreDiameter, aftDiameter }));
+
+// 機体後端の直径（ボートテールがあれば絞った後の直径） (mm)
+export const getAftDiameter = (params) => {
+  const sections = getBodySections(params);
+  return sections[sections.length - 1].aftDiameter;
+};
+
+/**
+ * フィンの取り付け位置
+ * @param {Object} params - 機体のパラメータ（finTubeIndex, finOffset, finBaseWidth を含む）
+ * @returns {{sectionIndex: number, diameter: number, rootLeadingEdge: number, rootTrailingEdge: number, aftOffset: number}}
+ *   取り付ける円筒の番号と直径、翼根前縁・後縁の位置（ノーズ先端から）、機体後端から翼根後縁までの距離 (mm)
+ */
+export const getFinMount = (params) => {
+  const sections = getBodySections(params);
+  const tubeIndices = sections.map((section, index) => section.type === 'tube' ? index : -1).filter(index => index >= 0);
+  // 指定がない・円筒でない場合は最後の円筒（円筒がなければ最後の部品）
+  const sectionIndex = tubeIndices.includes(params.finTubeIndex)
+    ? params.finTubeIndex
+    : tubeIndices[tubeIndices.length - 1] ?? sections.length - 1;
+  const section = sections[sectionIndex];
+  const last = sections[sections.length - 1];
+  const rootTrailingEdge = section.position + section.length - Math.max(0, params.finOffset || 0);
+
+  return {
+    sectionIndex,
+    diameter: section.aftDiameter,
+    rootLeadingEdge: rootTrailingEdge - params.finBaseWidth,
+    rootTrailingEdge,
+    aftOffset: last.position + last.length - rootTrailingEdge
+  };
+};
+
+// フィンの後端が機体後端より後ろに出る長さ (mm)
+export const getFinExtensionBeyondTail = (params, trailingEdgeExtension) =>
+  Math.max(0, trailingEdgeExtension - getFinMount(params).aftOffset);
+
+/**
+ * 機体（ノーズを除く）の側面投影面積・体積・浸辺面積
+ * @param {Object} params - noseHeight, bodyHeight, bodyWidth, bodyComponents
+ * @returns {{sideArea: number, volume: number, wetArea: number}} (mm², mm³, mm²)
+ */
+export const calculateBodyGeometry = (params) =>
+  getBodySections(params).reduce((sum, { length, foreDiameter, aftDiameter }) => {
+    const r1 = foreDiameter / 2;
+    const r2 = aftDiameter / 2;
+    return {
+      sideArea: sum.sideArea + (foreDiameter + aftDiameter) / 2 * length,
+      volume: sum.volume + Math.PI * length * (r1 * r1 + r1 * r2 + r2 * r2) / 3,
+      wetArea: sum.wetArea + Math.PI * (r1 + r2) * Math.sqrt(length * length + Math.pow(r2 - r1, 2))
+    };
+  }, { sideArea: 0, volume: 0, wetArea: 0 });
+
+/**
+ * 機体の輪郭（ノーズ後端から機体後端までの位置と半径の点列、径変化の前後を含む）
+ * @param {Object} params - noseHeight, bodyHeight, bodyWidth, bodyComponents
+ * @returns {Array<{x: number, r: number}>} ノーズ先端からの位置と半径 (mm)
+ */
+export const getBodyOutline = (params) =>
+  getBodySections(params).flatMap(section => [
+    { x: section.position, r: section.foreDiameter / 2 },
+    { x: section.position + section.length, r: section.aftDiameter / 2 }
+  ]);
+
+/**
+ * bodyHeight・bodyWidth を変えたパラメータに部品の並びを合わせる（設計最適化・感度解析用）
+ * 長さの差はフィンを取り付ける円筒で吸収し、直径は全部品を同じ比で拡大・縮小する
+ * @param {Object} params - bodyHeight・bodyWidth を変えた後のパラメータ
+ * @param {Object} baseParams - 変える前のパラメータ
+ * @returns {Object} bodyComponents を合わせたパラメータ（部品がなければそのまま）
+ */
+export const fitBodyComponents = (params, baseParams) => {
+  const base = getBodyDimensionsFromComponents(baseParams.bodyComponents);
+  if (!base) return params;
+
+  const { sectionIndex } = getFinMount(baseParams);
+  const lengthDelta = params.bodyHeight - base.bodyHeight;
+  const diameterRatio = params.bodyWidth / base.bodyWidth;
+  return {
+    ...params,
+    bodyComponents: baseParams.bodyComponents.map((component, index) => ({
+      ...component,
+      length: index === sectionIndex ? Math.max(1, component.length + lengthDelta) : component.length,
+      diameter: component.diameter * diameterRatio
+    }))
+  };
+};
+
+// 表示用に機体の輪郭を拡大・縮小する
+export const scaleBodyOutline = (outline, scale) =>
+  (outline || []).map(point => ({ x: point.x * scale, r: point.r * scale }));
+
+// 多段ロケットの結合時・分離した下段は部品構成を持たない円筒とする
+export const SIMPLE_BODY = { bodyComponents: [], finTubeIndex: null, finOffset: 0 };
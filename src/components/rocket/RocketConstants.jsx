@@ -14,6 +14,209 @@ export const MOTOR_THRUST_DATA = {
   'B6-4': [0.000,1.782,3.564,5.345,7.127,8.909,10.691,12.473,14.255,16.036,17.818,19.600,13.800,8.000,7.200,6.400,5.600,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,4.800,3.200,1.600]
 };
 
+// 標準モーターの諸元 (直径・全長mm、推進剤質量・全質量g)
+export const MOTOR_SPECS = {
+  '1/2A6-2': { manufacturer: 'Estes', diameter: 18, length: 70, propellantMass: 1.56, totalMass: 14.0 },
+  'A8-3': { manufacturer: 'Estes', diameter: 18, length: 70, propellantMass: 3.12, totalMass: 16.2 },
+  'B6-4': { manufacturer: 'Estes', diameter: 18, length: 70, propellantMass: 6.24, totalMass: 19.8 }
+};
+
+// 推力データのサンプリング間隔 (s)
+export const MOTOR_THRUST_SAMPLE_DT = 0.02;
+
+// 既定のモーター
+export const DEFAULT_MOTOR_ID = 'A8-3';
+
+// 多段ロケットの最大段数（最終段を含む）
+export const MAX_STAGE_COUNT = 3;
+
+// 分離したブースターの回収方法
+export const BOOSTER_RECOVERY_TYPES = {
+  'ballistic': '弾道落下',
+  'parachute': 'パラシュート'
+};
+
+// 下段（ブースター）の既定値。重量はモーターを含み、重心はその段の前端から測る
+export const DEFAULT_BOOSTER_STAGE = {
+  bodyHeight: 120, // ボディ長さ (mm)
+  bodyWidth: 31, // ボディ直径 (mm)
+  finHeight: 50,
+  finBaseWidth: 60,
+  finTipWidth: 25,
+  finThickness: 1.5,
+  finSweepLength: 60,
+  finCount: 3,
+  weight: 35, // 段の質量 (g)
+  centerOfGravity: 70, // 段の前端からの重心位置 (mm)
+  motorId: 'B6-4',
+  ignitionDelay: 0, // 燃焼終了（分離）から次段点火までの遅延 (s)
+  recovery: 'ballistic',
+  parachute: 'φ180',
+  recoveryDelay: 1.0 // 分離からパラシュート放出までの遅延 (s)
+};
+
+// 回収装置（パラシュート）の放出条件
+export const RECOVERY_TRIGGERS = {
+  'motorDelay': 'モーターの放出遅延',
+  'apogee': '最高点',
+  'altitude': '降下中の設定高度'
+};
+
+// 回収装置の種類
+export const RECOVERY_DEVICE_TYPES = {
+  'parachute': 'パラシュート',
+  'streamer': 'ストリーマー',
+  'tumble': 'タンブル（機体の横転）'
+};
+
+// ストリーマーの材料（surfaceDensity は面密度 g/m²）
+export const STREAMER_MATERIALS = {
+  'mylar': { name: 'マイラー（0.025mm）', surfaceDensity: 35 },
+  'polyethylene': { name: 'ポリエチレン（0.02mm）', surfaceDensity: 19 },
+  'crepePaper': { name: 'クレープ紙', surfaceDensity: 30 },
+  'ripstopNylon': { name: 'リップストップナイロン', surfaceDensity: 40 }
+};
+
+// ストリーマーの既定値（長さ・幅 mm）
+export const DEFAULT_STREAMER_SPEC = {
+  streamerLength: 750,
+  streamerWidth: 75,
+  streamerMaterial: 'mylar'
+};
+
+// タンブル回収の抗力係数の既定値（機体の側面投影面積基準）
+export const DEFAULT_TUMBLE_CD = 0.8;
+
+// パラシュートの抗力係数の既定値
+export const DEFAULT_PARACHUTE_CD = 0.775;
+
+// キャノピーの形状（cd は名目面積基準の抗力係数の目安、openingForceCoefficient は開傘衝撃係数 Cx、
+// areaRatio は直径 D の円の面積に対する名目面積の比。十字形の D は腕の端から端までの長さで、面積は 5 枚の正方形 = 5D²/9）
+export const CANOPY_SHAPES = {
+  'flat': { name: '平面円形', cd: 0.75, openingForceCoefficient: 1.7, areaRatio: 1 },
+  'hemispherical': { name: '半球形', cd: DEFAULT_PARACHUTE_CD, openingForceCoefficient: 1.6, areaRatio: 1 },
+  'cross': { name: '十字形', cd: 0.65, openingForceCoefficient: 1.2, areaRatio: 20 / (9 * Math.PI) }
+};
+
+// パラシュートの仕様の既定値（diameter が null なら parachute のサイズを使う。spillHole は頂部の穴の直径 mm、mass は g）
+export const DEFAULT_PARACHUTE_SPEC = {
+  canopy: 'hemispherical',
+  diameter: null,
+  gores: 8,
+  spillHole: 0,
+  mass: 10
+};
+
+// パラシュート設計の目標着地速度の既定値 (m/s)
+export const DEFAULT_TARGET_DESCENT_RATE = 5.0;
+
+// パラシュートの型紙の既定値（縫い代 mm、吊り索の長さの直径に対する比）
+export const DEFAULT_GORE_PATTERN_SETTINGS = {
+  seamAllowance: 10,
+  shroudLineRatio: 1.0
+};
+
+// 回収装置の仕様の既定値（type を切り替えても各種類の値を保持する）
+export const DEFAULT_RECOVERY_DEVICE = {
+  type: 'parachute',
+  ...DEFAULT_PARACHUTE_SPEC,
+  ...DEFAULT_STREAMER_SPEC,
+  tumbleCd: DEFAULT_TUMBLE_CD
+};
+
+// 回収イベントの既定値（単一のパラシュートをモーターの放出遅延で放出）
+export const DEFAULT_RECOVERY_EVENTS = [
+  { id: 'drogue', trigger: 'motorDelay', parachute: 'φ300', cd: DEFAULT_PARACHUTE_CD, altitude: 0, ...DEFAULT_RECOVERY_DEVICE }
+];
+
+// デュアルデプロイで追加するメインパラシュートの既定値（altitude は地上からの高度 m）
+export const DEFAULT_MAIN_PARACHUTE_EVENT = {
+  id: 'main', trigger: 'altitude', parachute: 'φ900', cd: DEFAULT_PARACHUTE_CD, altitude: 50, ...DEFAULT_RECOVERY_DEVICE, mass: 30
+};
+
+// モンテカルロ分散解析の許容差（各値を ±許容差 の範囲でばらつかせる）
+export const DEFAULT_MONTE_CARLO_TOLERANCES = {
+  windSpeed: 1.0, // 風速 (±m/s)
+  windDirection: 20, // 風向 (±度)
+  gust: 1.0, // 突風の最大値 (m/s、0〜最大値を風速に加える)
+  launchAngle: 2, // 発射角度 (±度)
+  weight: 2, // 機体質量 (±g)
+  centerOfGravity: 5, // 重心位置 (±mm)
+  motorImpulse: 5, // モーターの総力積 (±%)
+  ejectionDelay: 0.5 // 放出遅延 (±s)
+};
+
+// モンテカルロ分散解析の既定設定
+export const DEFAULT_MONTE_CARLO_SETTINGS = {
+  runs: 100, // 試行回数
+  seed: 1 // 乱数のシード（同じシードなら同じ結果）
+};
+
+// モンテカルロ分散解析の最大試行回数
+export const MAX_MONTE_CARLO_RUNS = 1000;
+
+// 設計最適化で変更できる設計変数（既定の探索範囲と丸めの刻み、ballastMass はノーズに積むバラスト）
+export const OPTIMIZER_VARIABLES = {
+  finHeight: { name: 'フィン高さ', unit: 'mm', min: 30, max: 120, step: 0.5, enabled: true },
+  finBaseWidth: { name: 'フィン翼根長', unit: 'mm', min: 30, max: 120, step: 1, enabled: true },
+  finTipWidth: { name: 'フィン翼端長', unit: 'mm', min: 0, max: 75, step: 1, enabled: true },
+  finSweepLength: { name: 'フィン後退長', unit: 'mm', min: 0, max: 120, step: 1, enabled: true },
+  bodyHeight: { name: 'ボディ長さ', unit: 'mm', min: 150, max: 500, step: 1, enabled: false },
+  ballastMass: { name: 'バラスト質量', unit: 'g', min: 0, max: 30, step: 0.1, enabled: true }
+};
+
+// 設計最適化の目的
+export const OPTIMIZER_OBJECTIVES = {
+  'targetApogee': '目標高度に合わせる',
+  'maximizeApogee': '最高高度を最大化'
+};
+
+// 設計最適化の既定設定
+export const DEFAULT_OPTIMIZER_SETTINGS = {
+  objective: 'targetApogee',
+  targetApogee: 100, // 目標高度 (m)
+  minStaticMargin: 1.0, // 静安定マージンの下限 (口径)
+  maxStaticMargin: 2.0, // 静安定マージンの上限 (口径)
+  requireFinSafety: true, // フラッター・ダイバージェンスが起きないこと
+  maxEvaluations: 80 // 飛行計算の最大回数
+};
+
+// バラストの搭載位置（ノーズ長に対する比、ノーズ先端から）
+export const BALLAST_POSITION_RATIO = 0.5;
+
+// 感度解析・パラメータスイープで変える入力（group: design は設計値、environment は打ち上げ条件、atmosphere は打ち上げ場所）
+// 基準値が0の入力は ±zeroDelta だけ変える
+export const SENSITIVITY_PARAMETERS = {
+  noseHeight: { name: 'ノーズ高さ', unit: 'mm', group: 'design', zeroDelta: 1 },
+  bodyHeight: { name: 'ボディ長さ', unit: 'mm', group: 'design', zeroDelta: 1 },
+  bodyWidth: { name: 'ボディ直径', unit: 'mm', group: 'design', zeroDelta: 1 },
+  finHeight: { name: 'フィン高さ', unit: 'mm', group: 'design', zeroDelta: 1 },
+  finBaseWidth: { name: 'フィン翼根長', unit: 'mm', group: 'design', zeroDelta: 1 },
+  finTipWidth: { name: 'フィン翼端長', unit: 'mm', group: 'design', zeroDelta: 1 },
+  finSweepLength: { name: 'フィン後退長', unit: 'mm', group: 'design', zeroDelta: 1 },
+  finThickness: { name: 'フィン厚さ', unit: 'mm', group: 'design', zeroDelta: 0.1 },
+  weight: { name: '機体質量', unit: 'g', group: 'design', zeroDelta: 1 },
+  centerOfGravity: { name: '重心位置', unit: 'mm', group: 'design', zeroDelta: 1 },
+  launchAngle: { name: '発射角度', unit: '度', group: 'environment', zeroDelta: 1 },
+  windSpeed: { name: '風速', unit: 'm/s', group: 'environment', zeroDelta: 1 },
+  siteElevation: { name: '標高', unit: 'm', group: 'atmosphere', zeroDelta: 100 }
+};
+
+// 感度解析・パラメータスイープで比較する出力
+export const SENSITIVITY_OUTPUTS = {
+  apogee: { name: '最高高度', unit: 'm' },
+  maxSpeed: { name: '最高速度', unit: 'm/s' },
+  landingDistance: { name: '着地距離', unit: 'm' },
+  staticMargin: { name: '静安定マージン', unit: '口径' }
+};
+
+// 感度解析の既定の変化率 (±%)
+export const DEFAULT_SENSITIVITY_PERCENT = 10;
+
+// パラメータスイープの1軸あたりの分割数（既定値と最大値）
+export const DEFAULT_SWEEP_STEPS = 11;
+export const MAX_SWEEP_STEPS = 25;
+
 // パラシュートサイズデータ (直径mm)
 export const PARACHUTE_SIZES = {
   'φ180': 180,
@@ -23,6 +226,36 @@ export const PARACHUTE_SIZES = {
   'φ900': 900
 };
 
+// 表面仕上げと等価砂粒粗さ (m)（摩擦抗力の計算用）
+export const SURFACE_FINISHES = {
+  'rough': { name: '粗い（未処理の紙管など）', roughness: 500e-6 },
+  'unfinished': { name: '未塗装', roughness: 150e-6 },
+  'regular': { name: '通常の塗装', roughness: 60e-6 },
+  'smooth': { name: '平滑な塗装', roughness: 20e-6 },
+  'polished': { name: '研磨仕上げ', roughness: 2e-6 }
+};
+
+// フィンの断面形状（前縁・後縁の圧力抗力の計算用）
+export const FIN_PROFILES = {
+  'square': '角断面（板のまま）',
+  'rounded': '前縁・後縁を丸めた断面',
+  'airfoil': '翼型断面'
+};
+
+// 発射ガイド（ランチラグ・レールボタン）の正面面積と浸辺面積 (mm²)
+export const LAUNCH_GUIDES = {
+  'none': { name: 'なし', frontalArea: 0, wetArea: 0 },
+  'lug': { name: 'ランチラグ（外径6mm・長さ50mm）', frontalArea: 10.2, wetArea: 1696 },
+  'railButtons': { name: 'レールボタン 2個', frontalArea: 120, wetArea: 400 }
+};
+
+// 抗力計算の既定設定
+export const DEFAULT_DRAG_SETTINGS = {
+  surfaceFinish: 'regular',
+  finProfile: 'square',
+  launchGuide: 'lug'
+};
+
 // フィン材料のデータ
 export const FIN_MATERIALS = {
   'light_balsa': { name: '軽量バルサ', E: 2450000000, G: 85750000 , MD: 60 }, // 60～200 kg/m³
@@ -30,11 +263,131 @@ export const FIN_MATERIALS = {
   'light_veneer': { name: '軽量ベニア', E: 8000000000, G: 450000000 , MD: 500 } // 400～600 kg/m³
 };
 
+// 機体の構造材料（密度 kg/m³ は部品リストの質量計算用、強度 Pa はボディチューブの強度計算用）
+export const STRUCTURE_MATERIALS = {
+  'paper': { name: '紙管', density: 800, strength: 20000000 },
+  'cardboard': { name: '厚紙', density: 650, strength: 10000000 },
+  'balsa': { name: 'バルサ', density: 160, strength: 8000000 },
+  'plywood': { name: 'ベニア', density: 600, strength: 30000000 },
+  'pla': { name: 'プラスチック (PLA)', density: 1240, strength: 45000000 },
+  'fiberglass': { name: 'ガラス繊維強化プラスチック', density: 1850, strength: 200000000 }
+};
+
+// 部品リストにボディチューブがない場合の強度計算用のボディチューブ（肉厚 mm）
+export const DEFAULT_BODY_TUBE = { material: 'paper', wallThickness: 0.5 };
+
+// 構造解析で必要とする安全率（フィンのフラッター・ダイバージェンスは限界速度 / 速度、ボディチューブは強度 / 応力）
+export const REQUIRED_SAFETY_FACTORS = {
+  flutter: 1.0,
+  divergence: 1.0,
+  bodyTube: 1.5
+};
+
+// 飛行データに記録する安全率の上限（低速時や無負荷時に無限大になるのを防ぐ）
+export const MAX_RECORDED_SAFETY_FACTOR = 10;
+
+// 安全率の時間変化のグラフの系列（key は REQUIRED_SAFETY_FACTORS と飛行データの安全率の項目に対応）
+export const SAFETY_FACTOR_SERIES = {
+  flutter: { name: 'フラッター', dataKey: 'flutterSafetyFactor', color: '#dc2626' },
+  divergence: { name: 'ダイバージェンス', dataKey: 'divergenceSafetyFactor', color: '#d97706' },
+  bodyTube: { name: 'ボディチューブ', dataKey: 'bodySafetyFactor', color: '#2563eb' }
+};
+
+// 質量部品の種類（geometry: 寸法から質量・位置を求める部品の形状。null は質量と位置を入力する部品）
+export const MASS_COMPONENT_TYPES = {
+  'nose': { name: 'ノーズ', geometry: 'nose' },
+  'bodyTube': { name: 'ボディチューブ', geometry: 'body' },
+  'fins': { name: 'フィン', geometry: 'fins' },
+  'motorMount': { name: 'モーターマウント', geometry: 'motorMount' },
+  'motor': { name: 'モーター', geometry: 'motor' },
+  'recovery': { name: '回収装置', geometry: null },
+  'ballast': { name: 'バラスト', geometry: null },
+  'payload': { name: 'ペイロード', geometry: null }
+};
+
+// 部品リストの初期値（source: material は材料と肉厚から、manual は入力した質量 (g) と重心位置（ノーズ先端から、mm））
+// フィンの材料はフィン材質、モーターの質量は選択したモーターの全質量を使う
+export const DEFAULT_MASS_COMPONENTS = [
+  { type: 'nose', source: 'material', material: 'pla', wallThickness: 1, mass: 0, position: 0 },
+  { type: 'bodyTube', source: 'material', material: 'paper', wallThickness: 0.5, mass: 0, position: 0 },
+  { type: 'fins', source: 'material', mass: 0, position: 0 },
+  { type: 'motorMount', source: 'material', material: 'paper', wallThickness: 0.5, mass: 0, position: 0 },
+  { type: 'motor', source: 'material', mass: 0, position: 0 },
+  { type: 'recovery', source: 'manual', mass: 8, position: 120 }
+];
+
+// 部品リストの計算値を上書きする実測値（null は計算値を使う）
+export const DEFAULT_MASS_OVERRIDES = {
+  weight: null, // 機体質量 (g)
+  centerOfGravity: null, // 重心位置（ノーズ先端から、mm）
+  momentOfInertia: null // 重心まわりのピッチ慣性モーメント (kg·m²)
+};
+
+// 部品リストの最大数
+export const MAX_MASS_COMPONENTS = 16;
+
+// フィンの平面形（uses は形状を決める寸法、自由形状は finPoints の点列で翼端側の輪郭を指定する）
+// クリップドデルタは後縁が機体軸に垂直な台形（後退代 = 根元幅 - 先端幅）、後退翼端は前縁と後縁が平行な平行四辺形（先端幅 = 根元幅）
+export const FIN_SHAPES = {
+  'trapezoidal': { name: '台形', uses: ['finHeight', 'finBaseWidth', 'finTipWidth', 'finSweepLength'] },
+  'clippedDelta': { name: 'クリップドデルタ', uses: ['finHeight', 'finBaseWidth', 'finTipWidth'] },
+  'sweptTip': { name: '後退翼端', uses: ['finHeight', 'finBaseWidth', 'finSweepLength'] },
+  'elliptical': { name: '楕円', uses: ['finHeight', 'finBaseWidth'] },
+  'freeform': { name: '自由形状', uses: ['finBaseWidth'] }
+};
+
+// 既定のフィンの平面形
+export const DEFAULT_FIN_SHAPE = 'trapezoidal';
+
+// 自由形状のフィンを描くグリッドの間隔 (mm)
+export const FIN_GRID_SIZE = 5;
+
+// フィン枚数の範囲
+export const MIN_FIN_COUNT = 2;
+export const MAX_FIN_COUNT = 8;
+
+// 5枚以上のフィンで隣り合うフィン同士の干渉により CNα が枚数に比例しなくなる分の補正係数
+// （4枚以下は 1、OpenRocket の多枚フィン補正と同じ値）
+export const FIN_COUNT_CNALPHA_CORRECTION = {
+  5: 0.948,
+  6: 0.913,
+  7: 0.854,
+  8: 0.81
+};
+
+/**
+ * フィンの取り付け角（側面図の視線方向、手前向きを0とするラジアン）
+ * 1枚を手前に向けて等間隔に並べる。2枚・6枚はそのままだと真横を向くフィンがないため半ピッチずらす
+ * @param {number} finCount - フィン枚数
+ * @returns {Array<number>} フィンごとの取り付け角 (rad)
+ */
+export const getFinAngles = (finCount) => {
+  const offset = finCount % 4 === 2 ? Math.PI / 2 : 0;
+  return Array.from({ length: finCount }, (_, i) => offset + 2 * Math.PI * i / finCount);
+};
+
+// ノーズの後ろに続く機体の部品の種類
+// 円筒は diameter の直径、径変化部（ショルダー・ボートテール）は前の部品の直径から diameter の直径まで変化する
+export const BODY_COMPONENT_TYPES = {
+  'tube': { name: '円筒' },
+  'transition': { name: '径変化部（ショルダー・ボートテール）' }
+};
+
+// 機体の部品の最大数
+export const MAX_BODY_COMPONENTS = 8;
+
 // ノーズ形状と抗力係数
+// profile はノーズの輪郭の式（power: r = R(x/L)^power、ogive: 円弧（radiusRatio はタンジェントオジブの円弧半径に対する比）、
+// elliptical: 楕円、haack: Haack 級数（haackC = 0 がフォン・カルマン、1/3 が LV-Haack））
 export const NOSE_SHAPES = {
-  'cone': { name: '円錐', cd: 0.83 },
-  'parabola': { name: '放物線', cd: 0.7 },
-  'ogive': { name: 'オジブ', cd: 0.61 }
+  'cone': { name: '円錐', cd: 0.83, profile: 'power', power: 1 },
+  'parabola': { name: '放物線', cd: 0.7, profile: 'power', power: 0.5 },
+  'ogive': { name: 'タンジェントオジブ', cd: 0.61, profile: 'ogive', radiusRatio: 1 },
+  'secantOgive': { name: 'セカントオジブ', cd: 0.6, profile: 'ogive', radiusRatio: 2 },
+  'elliptical': { name: '楕円', cd: 0.65, profile: 'elliptical' },
+  'powerSeries': { name: 'べき級数（3/4乗）', cd: 0.62, profile: 'power', power: 0.75 },
+  'vonKarman': { name: 'フォン・カルマン', cd: 0.55, profile: 'haack', haackC: 0 },
+  'lvHaack': { name: 'LV-Haack', cd: 0.55, profile: 'haack', haackC: 1 / 3 }
 };
 
 // 風速プロファイルの種類定義 - 表記を簡略化
@@ -46,11 +399,60 @@ export const WIND_PROFILES = {
   'urban': { name: '都市部・森林', alpha: 0.4 }
 };
 
+// 突風と乱流の風モデルの既定値（風速プロファイルの平均風に時間変化を加える）
+export const DEFAULT_WIND_VARIATION = {
+  seed: 1, // 乱数のシード（同じシードなら同じ風）
+  gustAmplitude: 3.0, // 突風の強さ (m/s、平均風の向きに加える)
+  gustRiseTime: 0.5, // 突風の立ち上がり時間 (s)
+  gustHoldTime: 1.0, // 突風の持続時間 (s)
+  gustInterval: 5.0, // 突風の平均間隔 (s)
+  firstGustTime: null, // 最初の突風の開始時刻 (s、null なら乱数で決める)
+  turbulenceIntensity: 0.15, // 乱流強度（平均風速に対する標準偏差の比）
+  turbulenceTimeScale: 1.0 // 乱流の時間スケール (s)
+};
+
 // 物理定数
 export const PHYSICAL_CONSTANTS = {
   launchRailLength: 0.65, // 発射台の長さ (m)
 };
 
+// 発射台（ランチロッド・ランチレール）のプリセット（長さ m、ランチラグ・レールボタンとの動摩擦係数）
+export const LAUNCH_RAILS = {
+  'rod18': { name: '1/8インチ ロッド', length: PHYSICAL_CONSTANTS.launchRailLength, friction: 0.15 },
+  'rod316': { name: '3/16インチ ロッド', length: 0.9, friction: 0.15 },
+  'rail1010': { name: '1010 レール', length: 1.2, friction: 0.08 },
+  'rail1515': { name: '1515 レール', length: 1.8, friction: 0.08 }
+};
+
+// 発射台の既定値（preset は LAUNCH_RAILS のキー、長さや摩擦係数を変更した場合は 'custom'）
+export const DEFAULT_LAUNCH_RAIL = {
+  preset: 'rod18',
+  length: LAUNCH_RAILS.rod18.length, // 発射台の長さ (m)
+  friction: LAUNCH_RAILS.rod18.friction, // 動摩擦係数
+  azimuth: 0 // 風向と発射面のなす角 (度、0 = 風が発射面内、90 = 真横からの風)
+};
+
+// 発射台離脱時の判定（離脱速度の下限と、風による迎角の上限）
+export const RAIL_EXIT_CRITERIA = {
+  minSpeed: 8, // 最低離脱速度 (m/s)
+  maxAngleOfAttack: 15 // 風による迎角の上限 (度)
+};
+
+// 動的安定性の評価（減衰比の推奨範囲と、評価する最低対気速度）
+export const DYNAMIC_STABILITY_CRITERIA = {
+  minDampingRatio: 0.05, // これより小さいと減衰不足（振動が続く）
+  maxDampingRatio: 0.3, // これより大きいと過減衰（風に向きにくい）
+  minSpeed: 5 // 評価する最低対気速度 (m/s、これより遅いと空力モーメントが小さく意味がない)
+};
+
+// 動的安定性の区分ごとの表示名と色
+export const DAMPING_PHASES = {
+  good: { name: '適正', color: '#bbf7d0' },
+  underDamped: { name: '減衰不足', color: '#fde68a' },
+  overDamped: { name: '過減衰', color: '#bfdbfe' },
+  unstable: { name: '不安定', color: '#fecaca' }
+};
+
 // 角度の応答時間とステップ数
 export const ANGLE_RESPONSE_DT = 0.2; // 角度応答時間 (s)
 export const ANGLE_STEPS_PER_UPDATE = 10; // dt = 0.02に対して10ステップ (0.2秒)
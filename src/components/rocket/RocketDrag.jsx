@@ -0,0 +1,142 @@
+// 部品ごとの抗力の積み上げ（OpenRocket と同様の方式）
+// 摩擦抗力（レイノルズ数と表面粗さ）、フィン断面の圧力抗力、ノーズの圧力抗力、底面抗力、
+// 発射ガイドの寄生抗力、フィンと胴体の干渉抗力を胴体断面積基準の Cd として合計する
+import { SURFACE_FINISHES, FIN_PROFILES, LAUNCH_GUIDES, DEFAULT_DRAG_SETTINGS, mmToM } from './RocketConstants';
+import { createAtmosphere, getAtmosphereAt } from './RocketAtmosphere';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { calculateNoseGeometry } from './RocketNoseCone';
+import { calculateBodyGeometry, getAftDiameter } from './RocketBodyComponents';
+
+// 層流とみなすレイノルズ数の上限と、その範囲での摩擦係数
+const LAMINAR_REYNOLDS_LIMIT = 1e4;
+const LAMINAR_FRICTION_COEFFICIENT = 1.48e-2;
+
+// フィンと胴体の干渉抗力（フィンの摩擦抗力と圧力抗力に対する比）
+const FIN_INTERFERENCE_RATIO = 0.1;
+
+// 抗力の内訳の表示名（グラフの凡例に使用）
+export const DRAG_COMPONENT_NAMES = {
+  bodyFriction: '機体の摩擦抗力',
+  finFriction: 'フィンの摩擦抗力',
+  finPressure: 'フィン断面の圧力抗力',
+  nosePressure: 'ノーズの圧力抗力',
+  base: '底面抗力',
+  launchGuide: '発射ガイド',
+  interference: 'フィン・胴体の干渉抗力'
+};
+
+/**
+ * 機体形状から速度によらない抗力計算用の値を求める（飛行計算では1回だけ作成する）
+ * @param {Object} rocketParams - ロケットのパラメータ（surfaceFinish, finProfile, launchGuide を指定可能）
+ * @returns {Object} 抗力モデル
+ */
+export const createDragModel = (rocketParams) => {
+  const {
+    noseShape, noseHeight, bodyHeight, bodyWidth, finThickness, finCount
+  } = rocketParams;
+  const surfaceFinish = SURFACE_FINISHES[rocketParams.surfaceFinish] ? rocketParams.surfaceFinish : DEFAULT_DRAG_SETTINGS.surfaceFinish;
+  const finProfile = FIN_PROFILES[rocketParams.finProfile] ? rocketParams.finProfile : DEFAULT_DRAG_SETTINGS.finProfile;
+  const launchGuide = LAUNCH_GUIDES[rocketParams.launchGuide] ? rocketParams.launchGuide : DEFAULT_DRAG_SETTINGS.launchGuide;
+
+  const radius = bodyWidth / 2;
+  const referenceArea = Math.PI * radius * radius; // 基準面積（胴体断面積） (mm²)
+  const length = noseHeight + bodyHeight; // 機体長 (mm)
+  const planform = calculateFinPlanform(rocketParams);
+  const finHeight = planform.span; // スパン (mm)
+  const meanChord = finHeight > 0 ? planform.area / finHeight : 0; // 平均翼弦長 (mm)
+
+  // 浸辺面積 (mm²)
+  const bodyWetArea = calculateNoseGeometry(noseShape, noseHeight, radius).wetArea + calculateBodyGeometry(rocketParams).wetArea;
+  const finWetArea = 2 * finCount * planform.area;
+
+  return {
+    surfaceFinish,
+    finProfile,
+    launchGuide,
+    referenceArea_m2: mmToM(mmToM(referenceArea)),
+    length_m: mmToM(length),
+    roughness: SURFACE_FINISHES[surfaceFinish].roughness,
+    // 摩擦抗力の形状係数を掛けた浸辺面積（基準面積との比）
+    bodyFrictionArea: (1 + 1 / (2 * (length / bodyWidth))) * bodyWetArea / referenceArea,
+    finFrictionArea: (meanChord > 0 ? 1 + 2 * finThickness / meanChord : 1) * finWetArea / referenceArea,
+    guideFrictionArea: LAUNCH_GUIDES[launchGuide].wetArea / referenceArea,
+    // 正面面積（基準面積との比）
+    finFrontalArea: finCount * finThickness * finHeight / referenceArea,
+    guideFrontalArea: LAUNCH_GUIDES[launchGuide].frontalArea / referenceArea,
+    // 底面の面積（基準面積との比、ボートテールで絞ると小さくなる）
+    baseAreaRatio: Math.pow(getAftDiameter(rocketParams) / bodyWidth, 2),
+    // フィン前縁の後退角の cos²（台形以外の平面形は等価台形の前縁）
+    finSweepCos2: Math.pow(Math.cos(Math.atan2(planform.equivalent.finSweepLength, finHeight)), 2),
+    // 円錐ノーズの半頂角（円錐以外は胴体と滑らかにつながるため亜音速の圧力抗力は無視する）
+    noseConeHalfAngle: noseShape === 'cone' ? Math.atan2(radius, noseHeight) : 0
+  };
+};
+
+// 摩擦係数（乱流の摩擦係数と表面粗さによる下限の大きい方、亜音速の圧縮性補正を含む）
+const calculateFrictionCoefficient = (reynolds, mach, length_m, roughness) => {
+  const turbulent = reynolds < LAMINAR_REYNOLDS_LIMIT
+    ? LAMINAR_FRICTION_COEFFICIENT
+    : 1 / Math.pow(1.50 * Math.log(reynolds) - 5.6, 2);
+  const roughnessLimited = roughness > 0 ? 0.032 * Math.pow(roughness / length_m, 0.2) : 0;
+
+  return Math.max(turbulent * (1 - 0.1 * mach * mach), roughnessLimited / (1 + 0.18 * mach * mach));
+};
+
+// 鈍い面のよどみ圧による圧力抗力係数
+const stagnationDrag = (mach) => 0.85 * (1 + mach * mach / 4 + Math.pow(mach, 4) / 40);
+
+// 底面抗力係数（亜音速）
+const baseDrag = (mach) => 0.12 + 0.13 * mach * mach;
+
+/**
+ * 速度 velocity (m/s) における抗力係数と内訳
+ * @param {Object} model - createDragModel の戻り値
+ * @param {number} velocity - 対気速度 (m/s)
+ * @param {Object} air - getAtmosphereAt の戻り値（density, speedOfSound, dynamicViscosity）
+ * @param {boolean} [isThrusting] - 燃焼中かどうか（燃焼中は噴流が底面を埋めるため底面抗力を除く）
+ * @returns {{cd: number, mach: number, reynolds: number, components: Object}} 胴体断面積基準の Cd
+ */
+export const calculateDragCoefficient = (model, velocity, air, isThrusting = false) => {
+  const speed = Math.abs(velocity);
+  const mach = Math.min(0.9, speed / air.speedOfSound); // 亜音速の式の適用範囲に制限
+  const reynolds = air.density * speed * model.length_m / air.dynamicViscosity;
+  const cf = calculateFrictionCoefficient(reynolds, mach, model.length_m, model.roughness);
+
+  // フィン前縁・後縁の圧力抗力
+  const leadingEdge = model.finProfile === 'square'
+    ? stagnationDrag(mach)
+    : Math.pow(1 - mach * mach, -0.417) - 1;
+  const trailingEdge = model.finProfile === 'airfoil' ? 0 : baseDrag(mach);
+
+  const components = {
+    bodyFriction: cf * model.bodyFrictionArea,
+    finFriction: cf * model.finFrictionArea,
+    finPressure: (leadingEdge * model.finSweepCos2 + trailingEdge) * model.finFrontalArea,
+    nosePressure: 0.8 * Math.pow(Math.sin(model.noseConeHalfAngle), 2),
+    base: isThrusting ? 0 : baseDrag(mach) * model.baseAreaRatio,
+    launchGuide: Math.max(1.3 - mach, 1) * model.guideFrontalArea + cf * model.guideFrictionArea,
+    interference: 0
+  };
+  components.interference = FIN_INTERFERENCE_RATIO * (components.finFriction + components.finPressure);
+
+  const cd = Object.values(components).reduce((sum, value) => sum + value, 0);
+  return { cd, mach, reynolds, components };
+};
+
+/**
+ * 抗力係数と内訳の速度に対する変化（解析タブのグラフ用、慣性飛行時の値）
+ * @param {Object} rocketParams - ロケットのパラメータ
+ * @param {number} [maxVelocity] - 最大速度 (m/s)
+ * @param {number} [step] - 速度の刻み (m/s)
+ * @returns {Array<Object>} { velocity, cd, components } の配列（地上の大気状態で計算）
+ */
+export const calculateDragCurve = (rocketParams, maxVelocity = 100, step = 2) => {
+  const model = createDragModel(rocketParams);
+  const air = getAtmosphereAt(createAtmosphere(rocketParams.atmosphere), 0);
+  const curve = [];
+  for (let velocity = step; velocity <= maxVelocity + 1e-9; velocity += step) {
+    const { cd, components } = calculateDragCoefficient(model, velocity, air);
+    curve.push({ velocity, cd, components });
+  }
+  return curve;
+};
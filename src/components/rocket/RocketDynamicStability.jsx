@@ -0,0 +1,111 @@
+// 動的安定性（縦揺れの固有振動数と減衰比）
+// 復元モーメント係数 C1 と減衰モーメント係数 C2（空力による C2A と噴流による C2R）から、
+// 飛行中の各時刻の固有振動数 ωn = √(C1/I) と減衰比 ζ = C2 / (2√(C1·I)) を求める
+import { DYNAMIC_STABILITY_CRITERIA, mmToM, gToKg } from './RocketConstants';
+import { calculateBarrowmanCoefficients } from './RocketBarrowman';
+import { calculateCenterOfPressure, calculateMomentOfInertia, getPropellantPosition } from './RocketPhysics';
+import { resolveMotor } from './RocketMotors';
+
+// 減衰比の区分
+const classifyDamping = (corrective, dampingRatio) => {
+  if (!(corrective > 0)) return 'unstable';
+  if (dampingRatio < DYNAMIC_STABILITY_CRITERIA.minDampingRatio) return 'underDamped';
+  if (dampingRatio > DYNAMIC_STABILITY_CRITERIA.maxDampingRatio) return 'overDamped';
+  return 'good';
+};
+
+/**
+ * 飛行データの各時刻の動的安定性を求める（パラシュート放出前で、対気速度が minSpeed 以上の区間）
+ * 空力係数は発射時の機体形状の値を使い、推進剤の消費は記録された質量と重心の変化から求める
+ * @param {Object} rocketParams - simulationParams と同じ形のパラメータ
+ * @param {Array<Object>} flightData - calculateFlightPath の data
+ * @param {{startTime?: number}} [options] - 評価を始める時刻 (s、発射台離脱時刻など)
+ * @returns {Object} 時系列 (series)、区分ごとの連続区間 (segments) と時間 (phaseDurations)、減衰比の最小・最大など
+ */
+export const calculateDynamicStability = (rocketParams, flightData = [], options = {}) => {
+  const barrowman = calculateBarrowmanCoefficients(rocketParams);
+  const finCp_m = mmToM(calculateCenterOfPressure(rocketParams).finCp);
+  const referenceArea = Math.PI * Math.pow(mmToM(rocketParams.bodyWidth) / 2, 2);
+  const nozzleExit = mmToM(rocketParams.noseHeight + rocketParams.bodyHeight);
+  const startTime = options.startTime ?? 0;
+  const propellantPosition = getPropellantPosition(rocketParams, resolveMotor(rocketParams));
+
+  const series = [];
+  flightData.forEach((d, index) => {
+    if (d.time < startTime || d.isParachuteEjected) return;
+
+    const airspeed = Math.sqrt(Math.pow(d.vx - (d.effectiveWindSpeed || 0), 2) + d.vy * d.vy);
+    if (airspeed < DYNAMIC_STABILITY_CRITERIA.minSpeed) return;
+
+    const rho = d.airDensity;
+    const mass_kg = gToKg(d.mass);
+    const centerOfGravity = mmToM(d.centerOfGravity);
+    const momentOfInertia = calculateMomentOfInertia(rocketParams, mass_kg, finCp_m, {
+      centerOfGravity: d.centerOfGravity,
+      burnedPropellantMass: Math.max(0, rocketParams.weight - d.mass),
+      propellantPosition
+    });
+
+    // 復元モーメント係数 C1 = ½ρV²A·CNα·(Xcp - Xcg)
+    const corrective = 0.5 * rho * airspeed * airspeed * referenceArea *
+      barrowman.components.reduce((sum, component) => sum + component.cnAlpha * (mmToM(component.cp) - centerOfGravity), 0);
+    // 空力減衰モーメント係数 C2A = ½ρVA·Σ CNα_i·(Xcp_i - Xcg)²
+    const aerodynamicDamping = 0.5 * rho * airspeed * referenceArea *
+      barrowman.components.reduce((sum, component) => sum + component.cnAlpha * Math.pow(mmToM(component.cp) - centerOfGravity, 2), 0);
+    // 噴流減衰モーメント係数 C2R = ṁ·(Lne - Xcg)²（ṁ は前後の記録の質量変化から求める）
+    const previous = flightData[Math.max(0, index - 1)];
+    const next = flightData[Math.min(flightData.length - 1, index + 1)];
+    const massFlow = next.time > previous.time ? Math.max(0, gToKg(previous.mass - next.mass) / (next.time - previous.time)) : 0;
+    const propulsiveDamping = massFlow * Math.pow(nozzleExit - centerOfGravity, 2);
+
+    const damping = aerodynamicDamping + propulsiveDamping;
+    const naturalFrequency = corrective > 0 ? Math.sqrt(corrective / momentOfInertia) : 0; // rad/s
+    const dampingRatio = corrective > 0 ? damping / (2 * Math.sqrt(corrective * momentOfInertia)) : 0;
+
+    series.push({
+      time: d.time,
+      airspeed,
+      attitude: d.omegaDegrees,
+      corrective, // N·m/rad
+      aerodynamicDamping, // N·m·s/rad
+      propulsiveDamping, // N·m·s/rad
+      momentOfInertia, // kg·m²
+      naturalFrequency, // rad/s
+      naturalFrequencyHz: naturalFrequency / (2 * Math.PI),
+      dampingRatio,
+      isThrustActive: d.isThrustActive,
+      phase: classifyDamping(corrective, dampingRatio)
+    });
+  });
+
+  // 同じ区分が続く区間にまとめる
+  const segments = [];
+  series.forEach((point, index) => {
+    const last = segments[segments.length - 1];
+    const endTime = series[index + 1]?.time ?? point.time;
+    if (last && last.phase === point.phase && Math.abs(last.endTime - point.time) < 1e-6) {
+      last.endTime = endTime;
+    } else {
+      segments.push({ phase: point.phase, startTime: point.time, endTime });
+    }
+  });
+  const phaseDurations = segments.reduce((durations, segment) => ({
+    ...durations,
+    [segment.phase]: (durations[segment.phase] || 0) + segment.endTime - segment.startTime
+  }), { good: 0, underDamped: 0, overDamped: 0, unstable: 0 });
+
+  const stable = series.filter(point => point.phase !== 'unstable');
+  const atMaxSpeed = series.reduce((best, point) => !best || point.airspeed > best.airspeed ? point : best, null);
+  const thrustPoints = series.filter(point => point.isThrustActive);
+
+  return {
+    series,
+    segments,
+    phaseDurations,
+    minDampingRatio: stable.length > 0 ? Math.min(...stable.map(point => point.dampingRatio)) : 0,
+    maxDampingRatio: stable.length > 0 ? Math.max(...stable.map(point => point.dampingRatio)) : 0,
+    maxNaturalFrequencyHz: series.reduce((max, point) => Math.max(max, point.naturalFrequencyHz), 0),
+    atMaxSpeed,
+    atBurnout: thrustPoints[thrustPoints.length - 1] || null
+  };
+};
@@ -0,0 +1,901 @@
+// React に依存しないシミュレーションエンジン
+// ブラウザ（useRocketSimulator）と Node のコマンドライン（scripts/simulate.js）の両方から利用する
+import {
+  PARACHUTE_SIZES, FIN_MATERIALS, NOSE_SHAPES, WIND_PROFILES, DEFAULT_MOTOR_ID,
+  MAX_STAGE_COUNT, BOOSTER_RECOVERY_TYPES, DEFAULT_BOOSTER_STAGE, RECOVERY_TRIGGERS, DEFAULT_PARACHUTE_CD,
+  CANOPY_SHAPES, DEFAULT_RECOVERY_DEVICE, RECOVERY_DEVICE_TYPES, STREAMER_MATERIALS,
+  SURFACE_FINISHES, FIN_PROFILES, LAUNCH_GUIDES, DEFAULT_DRAG_SETTINGS,
+  DEFAULT_MONTE_CARLO_SETTINGS, DEFAULT_MONTE_CARLO_TOLERANCES, MAX_MONTE_CARLO_RUNS, DEFAULT_WIND_VARIATION,
+  LAUNCH_RAILS, DEFAULT_LAUNCH_RAIL, MIN_FIN_COUNT, MAX_FIN_COUNT, FIN_SHAPES, DEFAULT_FIN_SHAPE,
+  BODY_COMPONENT_TYPES, MAX_BODY_COMPONENTS, MASS_COMPONENT_TYPES, STRUCTURE_MATERIALS, DEFAULT_MASS_OVERRIDES,
+  MAX_MASS_COMPONENTS
+} from './RocketConstants';
+import { formatSpeedValue } from './RocketPhysics';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { getBodyDimensionsFromComponents } from './RocketBodyComponents';
+import { applyMassComponents, calculateComponentMassProperties } from './RocketMassComponents';
+import { calculateFlightPathWithLanding } from './RocketLandingPrediction';
+import { calculateMultiStageFlightPath } from './RocketStaging';
+import { DEFAULT_LAUNCH_SITE } from './RocketAtmosphere';
+import { createWindSounding, resolveWindSounding } from './RocketWindSounding';
+import { calculateDynamicStability } from './RocketDynamicStability';
+import { getAvailableMotors, getMotor, createMotorsFromEng } from './RocketMotors';
+import { runMonteCarlo } from './RocketMonteCarlo';
+
+// 入出力スキーマのバージョン（回帰ベースラインの互換性確認用）
+export const ENGINE_SCHEMA_VERSION = 1;
+
+/**
+ * 機体設計の既定値（useRocketSimulator の初期値と同じ）
+ * @typedef {Object} RocketDesign
+ * @property {string} noseShape - ノーズ形状 (NOSE_SHAPES のキー)
+ * @property {number} noseHeight - ノーズ長さ (mm)
+ * @property {number} bodyHeight - ボディ長さ (mm、bodyComponents がある場合は部品の長さの合計に置き換える)
+ * @property {number} bodyWidth - ボディ直径 (mm、bodyComponents がある場合は先頭の円筒の直径に置き換える)
+ * @property {Array<{type: string, length: number, diameter: number}>} bodyComponents - ノーズの後ろの部品の並び
+ *   （type は BODY_COMPONENT_TYPES のキー、径変化部の diameter は後端の直径。先頭は円筒、空なら bodyHeight × bodyWidth の円筒1本）
+ * @property {number|null} finTubeIndex - フィンを取り付ける円筒の bodyComponents の番号（null なら最後の円筒）
+ * @property {number} finOffset - フィンを取り付ける円筒の後端から翼根後縁までの距離 (mm)
+ * @property {string} finShape - フィンの平面形 (FIN_SHAPES のキー、下段のフィンは常に台形)
+ * @property {Array<{x: number, y: number}>} finPoints - 自由形状のフィンの外形の点列（翼根前縁からの機体軸方向 x・スパン方向 y、mm。finShape が freeform の場合のみ使用）
+ * @property {number} finHeight - フィン高さ (mm)
+ * @property {number} finBaseWidth - フィン根元幅 (mm)
+ * @property {number} finTipWidth - フィン先端幅 (mm)
+ * @property {number} finThickness - フィン厚さ (mm)
+ * @property {number} finSweepLength - フィン後退長さ (mm)
+ * @property {number} finCount - フィン枚数 (2〜8)
+ * @property {string} finMaterial - フィン材料 (FIN_MATERIALS のキー)
+ * @property {string} surfaceFinish - 表面仕上げ (SURFACE_FINISHES のキー)
+ * @property {string} finProfile - フィンの断面形状 (FIN_PROFILES のキー)
+ * @property {string} launchGuide - 発射ガイド (LAUNCH_GUIDES のキー)
+ * @property {number} weight - 機体質量 (g、massComponents がある場合は部品リストの合計に置き換える)
+ * @property {number} centerOfGravity - ノーズ先端からの重心位置 (mm、massComponents がある場合は部品リストの重心に置き換える)
+ * @property {Array<MassComponent>} massComponents - 質量部品の一覧（空なら weight と centerOfGravity を使う）
+ * @property {{weight: number|null, centerOfGravity: number|null, momentOfInertia: number|null}} massOverrides
+ *   部品リストの計算値を上書きする実測の質量 (g)・重心位置 (mm)・重心まわりのピッチ慣性モーメント (kg·m²)
+ * @property {string} parachute - パラシュートサイズ (PARACHUTE_SIZES のキー)
+ * @property {Array<BoosterStage>} stages - 下段の一覧（stages[0] が第1段、空なら単段）
+ * @property {Array<RecoveryEvent>|null} recoveryEvents - 回収イベントの一覧（null なら parachute をモーターの放出遅延で放出）
+ */
+export const DEFAULT_DESIGN = {
+  noseShape: 'ogive',
+  noseHeight: 57,
+  bodyHeight: 255,
+  bodyWidth: 31,
+  bodyComponents: [],
+  finTubeIndex: null,
+  finOffset: 0,
+  finShape: DEFAULT_FIN_SHAPE,
+  finPoints: [],
+  finHeight: 58.5,
+  finBaseWidth: 65,
+  finTipWidth: 25,
+  finThickness: 1.5,
+  finSweepLength: 95,
+  finCount: 3,
+  finMaterial: 'light_veneer',
+  surfaceFinish: DEFAULT_DRAG_SETTINGS.surfaceFinish,
+  finProfile: DEFAULT_DRAG_SETTINGS.finProfile,
+  launchGuide: DEFAULT_DRAG_SETTINGS.launchGuide,
+  weight: 50,
+  centerOfGravity: 150,
+  massComponents: [],
+  massOverrides: { ...DEFAULT_MASS_OVERRIDES },
+  parachute: 'φ300',
+  stages: [],
+  recoveryEvents: null
+};
+
+/**
+ * 回収イベント（ドローグ・メインなど）。配列の順に放出条件を判定する
+ * @typedef {Object} RecoveryEvent
+ * @property {string} [id] - 識別子（例: 'drogue', 'main'）
+ * @property {string} trigger - 放出条件 (RECOVERY_TRIGGERS のキー)
+ * @property {string} type - 回収装置の種類 (RECOVERY_DEVICE_TYPES のキー、既定は parachute)
+ * @property {string} parachute - パラシュートサイズ (PARACHUTE_SIZES のキー、diameter を指定した場合は使わない)
+ * @property {number|null} diameter - 直径 (mm、null なら parachute のサイズ)
+ * @property {string} canopy - キャノピーの形状 (CANOPY_SHAPES のキー)
+ * @property {number} gores - ゴアの枚数
+ * @property {number} spillHole - スピルホールの直径 (mm)
+ * @property {number} cd - 抗力係数（既定は形状の目安の値）
+ * @property {number} mass - パラシュートの質量 (g、推奨直径の計算用。飛行計算では機体質量に含める)
+ * @property {number} streamerLength - ストリーマーの長さ (mm、type が streamer の場合)
+ * @property {number} streamerWidth - ストリーマーの幅 (mm)
+ * @property {string} streamerMaterial - ストリーマーの材料 (STREAMER_MATERIALS のキー)
+ * @property {number} tumbleCd - タンブル回収の抗力係数（機体の側面投影面積基準、type が tumble の場合）
+ * @property {number} altitude - 放出高度 (m、trigger が altitude の場合)
+ */
+
+/**
+ * 質量部品（DEFAULT_MASS_COMPONENTS を参照）
+ * @typedef {Object} MassComponent
+ * @property {string} type - 部品の種類 (MASS_COMPONENT_TYPES のキー)
+ * @property {string} [name] - 表示名（省略時は種類の名前）
+ * @property {string} source - material: 寸法と材料から計算（寸法から求める種類のみ）、manual: mass と position を使う
+ * @property {string} [material] - 構造材料 (STRUCTURE_MATERIALS のキー、ノーズ・ボディチューブ・モーターマウント)
+ * @property {number} [wallThickness] - 肉厚 (mm、ノーズ・ボディチューブ・モーターマウント)
+ * @property {number} mass - 質量 (g、manual の場合)
+ * @property {number} position - ノーズ先端からの重心位置 (mm、manual の場合)
+ */
+
+/**
+ * 下段（ブースター）の設計。省略した項目は DEFAULT_BOOSTER_STAGE の値
+ * @typedef {Object} BoosterStage
+ * @property {number} bodyHeight - ボディ長さ (mm)
+ * @property {number} bodyWidth - ボディ直径 (mm)
+ * @property {number} finHeight - フィン高さ (mm)
+ * @property {number} finBaseWidth - フィン根元幅 (mm)
+ * @property {number} finTipWidth - フィン先端幅 (mm)
+ * @property {number} finThickness - フィン厚さ (mm)
+ * @property {number} finSweepLength - フィン後退長さ (mm)
+ * @property {number} finCount - フィン枚数 (2〜8)
+ * @property {number} weight - モーターを含む段の質量 (g)
+ * @property {number} centerOfGravity - 段の前端からの重心位置 (mm)
+ * @property {string} motorId - モーターID
+ * @property {number} ignitionDelay - 燃焼終了（分離）から次段点火までの遅延 (s)
+ * @property {string} recovery - 分離後の回収方法 (BOOSTER_RECOVERY_TYPES のキー)
+ * @property {string} parachute - 回収用パラシュートサイズ (PARACHUTE_SIZES のキー)
+ * @property {number} recoveryDelay - 分離からパラシュート放出までの遅延 (s)
+ */
+
+/**
+ * モーター指定の既定値
+ * @typedef {Object} MotorSpec
+ * @property {string} name - モーターID（標準モーターまたはユーザーモーター、例: 'A8-3'）
+ * @property {string} [eng] - RASP .eng ファイルの内容（指定した場合は name または delay に合うモーターを使用）
+ * @property {number} [delay] - eng 指定時に使用する放出遅延 (s)
+ */
+export const DEFAULT_MOTOR = {
+  name: DEFAULT_MOTOR_ID
+};
+
+/**
+ * モーター指定からモーターデータを決定する
+ * @param {MotorSpec} motor - モーター指定
+ * @returns {{motor: Object|null, error: string|null}} モーターデータ（見つからなければ error）
+ */
+export const resolveMotorSpec = (motor) => {
+  if (motor.eng) {
+    let candidates;
+    try {
+      candidates = createMotorsFromEng(motor.eng);
+    } catch (error) {
+      return { motor: null, error: `motor.eng を解析できません: ${error.message}` };
+    }
+    const found = candidates.find(m => m.id === motor.name) ||
+      candidates.find(m => motor.delay !== undefined && m.delay === motor.delay) ||
+      candidates[0];
+    return { motor: found, error: null };
+  }
+
+  const found = getMotor(motor.name);
+  if (!found) {
+    return {
+      motor: null,
+      error: `motor.name が不正です: ${motor.name} (${Object.keys(getAvailableMotors()).join(', ')})`
+    };
+  }
+  return { motor: found, error: null };
+};
+
+/**
+ * 打ち上げ環境の既定値
+ * @typedef {Object} LaunchEnvironment
+ * @property {number} launchAngle - 発射角度 (度、鉛直が0)
+ * @property {number} windSpeed - 基準高度の風速 (m/s、正は左から右)
+ * @property {string|WindSounding} windProfile - 風速プロファイル (WIND_PROFILES のキー、または実測の風速分布)
+ * @property {number} siteElevation - 打ち上げ場所の標高 (m)
+ * @property {number|null} groundTemperature - 地上気温 (℃、null なら標高に応じた ISA 値)
+ * @property {number|null} groundPressure - 地上気圧 (hPa、null なら標高に応じた ISA 値)
+ * @property {number} humidity - 相対湿度 (%)
+ * @property {WindVariation|null} windVariation - 突風と乱流（null なら風速プロファイルの一定の風）
+ * @property {LaunchRail} launchRail - 発射台
+ */
+export const DEFAULT_ENVIRONMENT = {
+  launchAngle: 0,
+  windSpeed: 0,
+  windProfile: 'uniform',
+  ...DEFAULT_LAUNCH_SITE,
+  windVariation: null,
+  launchRail: DEFAULT_LAUNCH_RAIL
+};
+
+/**
+ * 発射台の設定。preset を指定すると length と friction の既定値はそのプリセットの値
+ * @typedef {Object} LaunchRail
+ * @property {string} preset - LAUNCH_RAILS のキー（長さや摩擦係数を変更した場合は 'custom'）
+ * @property {number} length - 発射台の長さ (m)
+ * @property {number} friction - 動摩擦係数
+ * @property {number} azimuth - 風向と発射面のなす角 (度、0 = 風が発射面内、90 = 真横からの風、離脱時の迎角の判定に使う)
+ */
+
+/**
+ * 実測の風速分布（高度で線形補間し、最も低い測定点の風向に沿った成分を使う）
+ * windSpeed を省略すると基準高度 1.5 m の測定値になり、指定するとプロファイル全体をその風速に比例させる
+ * @typedef {Object} WindSounding
+ * @property {string} name - 名前
+ * @property {Array<{height: number, speed: number, direction?: number}>} points - 測定点（高度 m、風速 m/s、風向 度）
+ */
+
+/**
+ * 突風と乱流の設定。省略した項目は DEFAULT_WIND_VARIATION の値
+ * @typedef {Object} WindVariation
+ * @property {number} seed - 乱数のシード
+ * @property {number} gustAmplitude - 突風の強さ (m/s、0 なら突風なし)
+ * @property {number} gustRiseTime - 突風の立ち上がり時間 (s)
+ * @property {number} gustHoldTime - 突風の持続時間 (s)
+ * @property {number} gustInterval - 突風の平均間隔 (s)
+ * @property {number|null} firstGustTime - 最初の突風の開始時刻 (s、null なら乱数で決める)
+ * @property {number} turbulenceIntensity - 乱流強度（平均風速に対する標準偏差の比、0 なら乱流なし）
+ * @property {number} turbulenceTimeScale - 乱流の時間スケール (s)
+ */
+
+/**
+ * 計算設定の既定値
+ * @typedef {Object} EngineConfig
+ * @property {boolean} enhancedAttitudeControl - 拡張姿勢制御（風見効果など）
+ * @property {boolean} windAngleLimitation - 風向きによる角度制限
+ * @property {boolean} verbose - 計算中の詳細ログを出力するかどうか
+ * @property {boolean} includeData - 結果に時系列データ (data) を含めるかどうか
+ */
+export const DEFAULT_ENGINE_CONFIG = {
+  enhancedAttitudeControl: false,
+  windAngleLimitation: false,
+  verbose: false,
+  includeData: true
+};
+
+/**
+ * エンジンへの入力
+ * @typedef {Object} SimulationInput
+ * @property {Partial<RocketDesign>} [design] - 機体設計
+ * @property {Partial<MotorSpec>|string} [motor] - モーター（名前の文字列でも可）
+ * @property {Partial<LaunchEnvironment>} [environment] - 打ち上げ環境
+ * @property {Partial<EngineConfig>} [config] - 計算設定
+ * @property {Partial<MonteCarloSettings>} [monteCarlo] - モンテカルロ分散解析（指定した場合のみ実行）
+ */
+
+/**
+ * モンテカルロ分散解析の設定。省略した項目は DEFAULT_MONTE_CARLO_SETTINGS / DEFAULT_MONTE_CARLO_TOLERANCES の値
+ * @typedef {Object} MonteCarloSettings
+ * @property {number} runs - 試行回数 (1〜MAX_MONTE_CARLO_RUNS)
+ * @property {number} seed - 乱数のシード
+ * @property {Object} tolerances - 各値の許容差（windSpeed, windDirection, gust, launchAngle, weight, centerOfGravity, motorImpulse, ejectionDelay）
+ */
+
+// 配列・null を除くオブジェクトか（既定値を補完できる入力か）
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 実測風速の測定点は { height, speed, direction }（高度・風速は0以上、風向は省略可）
+const isValidSoundingPoint = (point) =>
+  isPlainObject(point) &&
+  ['height', 'speed'].every(field => typeof point[field] === 'number' && isFinite(point[field]) && point[field] >= 0) &&
+  (point.direction === undefined || (typeof point.direction === 'number' && isFinite(point.direction)));
+
+// 発射台の設定に既定値とプリセットの長さ・摩擦係数を補完する（オブジェクトでない指定は検証でエラーにする）
+const normalizeLaunchRail = (input) => {
+  const launchRail = input ?? {};
+  if (!isPlainObject(launchRail)) return launchRail;
+  const preset = LAUNCH_RAILS[launchRail.preset];
+  return {
+    ...DEFAULT_LAUNCH_RAIL,
+    ...(preset ? { length: preset.length, friction: preset.friction } : {}),
+    ...launchRail
+  };
+};
+
+/**
+ * 入力に既定値を補完して正規化する
+ * @param {SimulationInput} input - エンジンへの入力
+ * @returns {{design: RocketDesign, motor: MotorSpec, environment: LaunchEnvironment, config: EngineConfig, monteCarlo: MonteCarloSettings|null}} 正規化済みの入力
+ */
+export const normalizeSimulationInput = (input = {}) => {
+  const motor = typeof input.motor === 'string' ? { name: input.motor } : input.motor;
+
+  const inputDesign = { ...DEFAULT_DESIGN, ...(input.design || {}) };
+  // 部品構成がある場合はボディ長さ・直径を部品から求める
+  const design = isValidBodyComponents(inputDesign.bodyComponents)
+    ? { ...inputDesign, ...getBodyDimensionsFromComponents(inputDesign.bodyComponents) }
+    : inputDesign;
+  // 実測の風速分布は補間用の表を作っておく（飛行計算の各ステップで作り直さないため、不正な測定点があれば検証でエラーにする）
+  const windProfile = input.environment?.windProfile;
+  const windSounding = isPlainObject(windProfile) && Array.isArray(windProfile.points) &&
+    windProfile.points.every(isValidSoundingPoint)
+    ? createWindSounding(windProfile.name || '実測', windProfile.points)
+    : null;
+
+  return {
+    design: {
+      ...design,
+      stages: Array.isArray(design.stages) ? design.stages.map(stage => isPlainObject(stage) ? { ...DEFAULT_BOOSTER_STAGE, ...stage } : stage) : design.stages,
+      massOverrides: { ...DEFAULT_MASS_OVERRIDES, ...(design.massOverrides || {}) },
+      recoveryEvents: Array.isArray(design.recoveryEvents)
+        ? design.recoveryEvents.map((event, index) => isPlainObject(event) ? {
+          id: `recovery${index + 1}`, trigger: 'motorDelay', altitude: 0, ...DEFAULT_RECOVERY_DEVICE,
+          cd: CANOPY_SHAPES[event.canopy]?.cd ?? DEFAULT_PARACHUTE_CD, ...event
+        } : event)
+        : design.recoveryEvents
+    },
+    motor: { ...DEFAULT_MOTOR, ...(motor || {}) },
+    environment: {
+      ...DEFAULT_ENVIRONMENT,
+      ...(input.environment || {}),
+      ...(windSounding ? {
+        windProfile: windSounding,
+        windSpeed: input.environment.windSpeed ?? windSounding.referenceSpeed
+      } : {}),
+      windVariation: input.environment?.windVariation
+        ? { ...DEFAULT_WIND_VARIATION, ...input.environment.windVariation }
+        : null,
+      launchRail: normalizeLaunchRail(input.environment?.launchRail)
+    },
+    config: { ...DEFAULT_ENGINE_CONFIG, ...(input.config || {}) },
+    monteCarlo: input.monteCarlo
+      ? {
+        ...DEFAULT_MONTE_CARLO_SETTINGS,
+        ...input.monteCarlo,
+        tolerances: { ...DEFAULT_MONTE_CARLO_TOLERANCES, ...(input.monteCarlo.tolerances || {}) }
+      }
+      : null
+  };
+};
+
+// 部品は {type, length, diameter}（長さ・直径は正の有限値）
+const isValidBodyComponent = (component) =>
+  Boolean(component) && Boolean(BODY_COMPONENT_TYPES[component.type]) &&
+  [component.length, component.diameter].every(value => typeof value === 'number' && isFinite(value) && value > 0);
+
+// 部品構成は空か、先頭が円筒の MAX_BODY_COMPONENTS 個以下の部品の配列
+const isValidBodyComponents = (bodyComponents) =>
+  Array.isArray(bodyComponents) && bodyComponents.length > 0 && bodyComponents.length <= MAX_BODY_COMPONENTS &&
+  bodyComponents.every(isValidBodyComponent) && bodyComponents[0].type === 'tube';
+
+// 質量部品の検証エラー（prefix はメッセージの項目名）
+const getMassComponentErrors = (component, prefix) => {
+  const type = MASS_COMPONENT_TYPES[component?.type];
+  if (!type) {
+    return [`${prefix}.type が不正です: ${component?.type} (${Object.keys(MASS_COMPONENT_TYPES).join(', ')})`];
+  }
+  const errors = [];
+  if (component.source !== 'material' && component.source !== 'manual') {
+    errors.push(`${prefix}.source は material か manual で指定してください`);
+  } else if (component.source === 'material' && type.geometry) {
+    if (['nose', 'body', 'motorMount'].includes(type.geometry)) {
+      if (!STRUCTURE_MATERIALS[component.material]) {
+        errors.push(`${prefix}.material が不正です: ${component.material} (${Object.keys(STRUCTURE_MATERIALS).join(', ')})`);
+      }
+      if (typeof component.wallThickness !== 'number' || !(component.wallThickness > 0)) {
+        errors.push(`${prefix}.wallThickness は正の数値 (mm) で指定してください`);
+      }
+    }
+  } else {
+    // 寸法から求めない部品は入力した質量と位置を使う
+    if (typeof component.mass !== 'number' || !isFinite(component.mass) || component.mass < 0) {
+      errors.push(`${prefix}.mass は 0 以上の数値 (g) で指定してください`);
+    }
+    if (typeof component.position !== 'number' || !isFinite(component.position)) {
+      errors.push(`${prefix}.position は数値 (mm) で指定してください`);
+    }
+  }
+  return errors;
+};
+
+// 自由形状のフィンの点列は有限の {x, y}（y ≥ 0）の配列で、胴体から離れた点を1つ以上含む
+const isValidFinPoints = (finPoints) =>
+  Array.isArray(finPoints) &&
+  finPoints.every(point => point && typeof point.x === 'number' && typeof point.y === 'number' &&
+    isFinite(point.x) && isFinite(point.y) && point.y >= 0) &&
+  finPoints.some(point => point.y > 0);
+
+// フィン枚数は MIN_FIN_COUNT〜MAX_FIN_COUNT の整数（数値でない場合は数値の検証で報告する）
+const isValidFinCount = (finCount) =>
+  typeof finCount !== 'number' || !isFinite(finCount) ||
+  (Number.isInteger(finCount) && finCount >= MIN_FIN_COUNT && finCount <= MAX_FIN_COUNT);
+
+/**
+ * 正規化済みの入力を検証する
+ * @param {Object} normalized - normalizeSimulationInput の戻り値
+ * @returns {Array<string>} エラーメッセージの配列（問題がなければ空配列）
+ */
+export const validateSimulationInput = (normalized) => {
+  const errors = [];
+  const { design, motor, environment, monteCarlo } = normalized;
+
+  const numericFields = [
+    'noseHeight', 'bodyHeight', 'bodyWidth', 'finHeight', 'finBaseWidth', 'finTipWidth',
+    'finThickness', 'finSweepLength', 'finCount', 'weight', 'centerOfGravity'
+  ];
+  numericFields.forEach(field => {
+    if (typeof design[field] !== 'number' || !isFinite(design[field])) {
+      errors.push(`design.${field} は数値で指定してください`);
+    }
+  });
+
+  ['noseHeight', 'bodyHeight', 'bodyWidth', 'finHeight', 'finBaseWidth', 'finThickness', 'weight'].forEach(field => {
+    if (typeof design[field] === 'number' && design[field] <= 0) {
+      errors.push(`design.${field} は正の値で指定してください`);
+    }
+  });
+  if (!isValidFinCount(design.finCount)) {
+    errors.push(`design.finCount は ${MIN_FIN_COUNT}〜${MAX_FIN_COUNT} の整数で指定してください`);
+  }
+
+  if (!FIN_SHAPES[design.finShape]) {
+    errors.push(`design.finShape が不正です: ${design.finShape} (${Object.keys(FIN_SHAPES).join(', ')})`);
+  } else if (design.finShape === 'freeform' && !isValidFinPoints(design.finPoints)) {
+    errors.push('design.finPoints は {x, y} (mm、y ≥ 0) の配列で、y > 0 の点を1つ以上含めてください');
+  }
+
+  if (!Array.isArray(design.bodyComponents) ||
+    (design.bodyComponents.length > 0 && !isValidBodyComponents(design.bodyComponents))) {
+    errors.push(`design.bodyComponents は {type: ${Object.keys(BODY_COMPONENT_TYPES).join('|')}, length, diameter} (mm、正の値) の` +
+      `最大 ${MAX_BODY_COMPONENTS} 個の配列で、先頭は tube にしてください`);
+  }
+  if (design.finTubeIndex !== null && design.finTubeIndex !== undefined &&
+    design.bodyComponents?.[design.finTubeIndex]?.type !== 'tube') {
+    errors.push('design.finTubeIndex は bodyComponents の円筒 (tube) の番号か null で指定してください');
+  }
+  if (typeof design.finOffset !== 'number' || !isFinite(design.finOffset) || design.finOffset < 0) {
+    errors.push('design.finOffset は 0 以上の数値 (mm) で指定してください');
+  }
+
+  if (!Array.isArray(design.massComponents) || design.massComponents.length > MAX_MASS_COMPONENTS) {
+    errors.push(`design.massComponents は最大 ${MAX_MASS_COMPONENTS} 個の配列で指定してください`);
+  } else {
+    design.massComponents.forEach((component, index) => {
+      errors.push(...getMassComponentErrors(component, `design.massComponents[${index}]`));
+    });
+  }
+  Object.entries(design.massOverrides || {}).forEach(([key, value]) => {
+    if (!(key in DEFAULT_MASS_OVERRIDES)) {
+      errors.push(`design.massOverrides.${key} は指定できません (${Object.keys(DEFAULT_MASS_OVERRIDES).join(', ')})`);
+    } else if (value !== null && (typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+      errors.push(`design.massOverrides.${key} は正の数値か null で指定してください`);
+    }
+  });
+
+  if (!NOSE_SHAPES[design.noseShape]) {
+    errors.push(`design.noseShape が不正です: ${design.noseShape} (${Object.keys(NOSE_SHAPES).join(', ')})`);
+  }
+  if (!FIN_MATERIALS[design.finMaterial]) {
+    errors.push(`design.finMaterial が不正です: ${design.finMaterial} (${Object.keys(FIN_MATERIALS).join(', ')})`);
+  }
+  if (!SURFACE_FINISHES[design.surfaceFinish]) {
+    errors.push(`design.surfaceFinish が不正です: ${design.surfaceFinish} (${Object.keys(SURFACE_FINISHES).join(', ')})`);
+  }
+  if (!FIN_PROFILES[design.finProfile]) {
+    errors.push(`design.finProfile が不正です: ${design.finProfile} (${Object.keys(FIN_PROFILES).join(', ')})`);
+  }
+  if (!LAUNCH_GUIDES[design.launchGuide]) {
+    errors.push(`design.launchGuide が不正です: ${design.launchGuide} (${Object.keys(LAUNCH_GUIDES).join(', ')})`);
+  }
+  if (!PARACHUTE_SIZES[design.parachute]) {
+    errors.push(`design.parachute が不正です: ${design.parachute} (${Object.keys(PARACHUTE_SIZES).join(', ')})`);
+  }
+  if (!Array.isArray(design.stages) || design.stages.length > MAX_STAGE_COUNT - 1) {
+    errors.push(`design.stages は最大 ${MAX_STAGE_COUNT - 1} 段の配列で指定してください`);
+  } else {
+    design.stages.forEach((stage, index) => {
+      const prefix = `design.stages[${index}]`;
+      if (!isPlainObject(stage)) {
+        errors.push(`${prefix} はオブジェクトで指定してください`);
+        return;
+      }
+      [
+        'bodyHeight', 'bodyWidth', 'finHeight', 'finBaseWidth', 'finTipWidth', 'finThickness',
+        'finSweepLength', 'finCount', 'weight', 'centerOfGravity', 'ignitionDelay', 'recoveryDelay'
+      ].forEach(field => {
+        if (typeof stage[field] !== 'number' || !isFinite(stage[field])) {
+          errors.push(`${prefix}.${field} は数値で指定してください`);
+        }
+      });
+      ['bodyHeight', 'bodyWidth', 'finHeight', 'finBaseWidth', 'finThickness', 'weight'].forEach(field => {
+        if (typeof stage[field] === 'number' && stage[field] <= 0) {
+          errors.push(`${prefix}.${field} は正の値で指定してください`);
+        }
+      });
+      if (!isValidFinCount(stage.finCount)) {
+        errors.push(`${prefix}.finCount は ${MIN_FIN_COUNT}〜${MAX_FIN_COUNT} の整数で指定してください`);
+      }
+      ['ignitionDelay', 'recoveryDelay'].forEach(field => {
+        if (typeof stage[field] === 'number' && stage[field] < 0) {
+          errors.push(`${prefix}.${field} は0以上で指定してください`);
+        }
+      });
+      if (!getMotor(stage.motorId)) {
+        errors.push(`${prefix}.motorId が不正です: ${stage.motorId} (${Object.keys(getAvailableMotors()).join(', ')})`);
+      }
+      if (!BOOSTER_RECOVERY_TYPES[stage.recovery]) {
+        errors.push(`${prefix}.recovery が不正です: ${stage.recovery} (${Object.keys(BOOSTER_RECOVERY_TYPES).join(', ')})`);
+      }
+      if (!PARACHUTE_SIZES[stage.parachute]) {
+        errors.push(`${prefix}.parachute が不正です: ${stage.parachute} (${Object.keys(PARACHUTE_SIZES).join(', ')})`);
+      }
+    });
+  }
+  if (design.recoveryEvents !== null) {
+    if (!Array.isArray(design.recoveryEvents) || design.recoveryEvents.length === 0) {
+      errors.push('design.recoveryEvents は1件以上の配列または null で指定してください');
+    } else {
+      design.recoveryEvents.forEach((event, index) => {
+        const prefix = `design.recoveryEvents[${index}]`;
+        if (!isPlainObject(event)) {
+          errors.push(`${prefix} はオブジェクトで指定してください`);
+          return;
+        }
+        if (!RECOVERY_TRIGGERS[event.trigger]) {
+          errors.push(`${prefix}.trigger が不正です: ${event.trigger} (${Object.keys(RECOVERY_TRIGGERS).join(', ')})`);
+        }
+        if (!RECOVERY_DEVICE_TYPES[event.type]) {
+          errors.push(`${prefix}.type が不正です: ${event.type} (${Object.keys(RECOVERY_DEVICE_TYPES).join(', ')})`);
+        }
+        if (event.type === 'streamer') {
+          ['streamerLength', 'streamerWidth'].forEach(field => {
+            if (typeof event[field] !== 'number' || !isFinite(event[field]) || event[field] <= 0) {
+              errors.push(`${prefix}.${field} は正の数値で指定してください`);
+            }
+          });
+          if (!STREAMER_MATERIALS[event.streamerMaterial]) {
+            errors.push(`${prefix}.streamerMaterial が不正です: ${event.streamerMaterial} (${Object.keys(STREAMER_MATERIALS).join(', ')})`);
+          }
+        } else if (event.type === 'tumble') {
+          if (typeof event.tumbleCd !== 'number' || !isFinite(event.tumbleCd) || event.tumbleCd <= 0) {
+            errors.push(`${prefix}.tumbleCd は正の数値で指定してください`);
+          }
+        } else {
+          const hasDiameter = typeof event.diameter === 'number' && isFinite(event.diameter) && event.diameter > 0;
+          if (event.diameter !== null && event.diameter !== undefined && !hasDiameter) {
+            errors.push(`${prefix}.diameter は正の数値または null で指定してください`);
+          }
+          if (!hasDiameter && !PARACHUTE_SIZES[event.parachute]) {
+            errors.push(`${prefix}.parachute が不正です: ${event.parachute} (${Object.keys(PARACHUTE_SIZES).join(', ')})`);
+          }
+          if (!CANOPY_SHAPES[event.canopy]) {
+            errors.push(`${prefix}.canopy が不正です: ${event.canopy} (${Object.keys(CANOPY_SHAPES).join(', ')})`);
+          }
+          if (!Number.isInteger(event.gores) || event.gores < 3) {
+            errors.push(`${prefix}.gores は3以上の整数で指定してください`);
+          }
+          const diameter = hasDiameter ? event.diameter : PARACHUTE_SIZES[event.parachute];
+          if (typeof event.spillHole !== 'number' || !isFinite(event.spillHole) || event.spillHole < 0 ||
+            (diameter && event.spillHole >= diameter)) {
+            errors.push(`${prefix}.spillHole は0以上、直径未満の数値で指定してください`);
+          }
+          if (typeof event.mass !== 'number' || !isFinite(event.mass) || event.mass < 0) {
+            errors.push(`${prefix}.mass は0以上の数値で指定してください`);
+          }
+          if (typeof event.cd !== 'number' || !isFinite(event.cd) || event.cd <= 0) {
+            errors.push(`${prefix}.cd は正の数値で指定してください`);
+          }
+        }
+        if (typeof event.altitude !== 'number' || !isFinite(event.altitude) || event.altitude < 0) {
+          errors.push(`${prefix}.altitude は0以上の数値で指定してください`);
+        }
+      });
+    }
+  }
+  const { error: motorError } = resolveMotorSpec(motor);
+  if (motorError) {
+    errors.push(motorError);
+  }
+  if (environment.windProfile && typeof environment.windProfile === 'object') {
+    const points = environment.windProfile.points;
+    if (!Array.isArray(points) || points.length === 0) {
+      errors.push('environment.windProfile.points は1点以上の配列で指定してください');
+    } else {
+      points.forEach((point, index) => {
+        if (!isValidSoundingPoint(point)) {
+          errors.push(`environment.windProfile.points[${index}] は { height, speed, direction }（高度・風速は0以上、風向は省略可）で指定してください`);
+        }
+      });
+    }
+  } else if (!WIND_PROFILES[environment.windProfile] && !resolveWindSounding(environment.windProfile)) {
+    errors.push(`environment.windProfile が不正です: ${environment.windProfile} (${Object.keys(WIND_PROFILES).join(', ')}、または { name, points })`);
+  }
+  ['launchAngle', 'windSpeed', 'siteElevation', 'humidity'].forEach(field => {
+    if (typeof environment[field] !== 'number' || !isFinite(environment[field])) {
+      errors.push(`environment.${field} は数値で指定してください`);
+    }
+  });
+  ['groundTemperature', 'groundPressure'].forEach(field => {
+    if (environment[field] !== null && (typeof environment[field] !== 'number' || !isFinite(environment[field]))) {
+      errors.push(`environment.${field} は数値または null で指定してください`);
+    }
+  });
+  if (typeof environment.groundPressure === 'number' && environment.groundPressure <= 0) {
+    errors.push('environment.groundPressure は正の値で指定してください');
+  }
+  if (typeof environment.humidity === 'number' && (environment.humidity < 0 || environment.humidity > 100)) {
+    errors.push('environment.humidity は 0〜100 の範囲で指定してください');
+  }
+  if (environment.windVariation) {
+    Object.keys(DEFAULT_WIND_VARIATION).filter(field => field !== 'firstGustTime').forEach(field => {
+      const value = environment.windVariation[field];
+      if (typeof value !== 'number' || !isFinite(value) || (field !== 'seed' && value < 0)) {
+        errors.push(`environment.windVariation.${field} は${field === 'seed' ? '' : '0以上の'}数値で指定してください`);
+      }
+    });
+    const { firstGustTime } = environment.windVariation;
+    if (firstGustTime !== null && (typeof firstGustTime !== 'number' || !isFinite(firstGustTime) || firstGustTime < 0)) {
+      errors.push('environment.windVariation.firstGustTime は0以上の数値または null で指定してください');
+    }
+  }
+  const { launchRail } = environment;
+  if (!isPlainObject(launchRail)) {
+    errors.push('environment.launchRail は { preset, length, friction, azimuth } 形式のオブジェクトで指定してください');
+  } else {
+    if (launchRail.preset !== 'custom' && !LAUNCH_RAILS[launchRail.preset]) {
+      errors.push(`environment.launchRail.preset が不正です: ${launchRail.preset} (${Object.keys(LAUNCH_RAILS).join(', ')}, custom)`);
+    }
+    if (typeof launchRail.length !== 'number' || !isFinite(launchRail.length) || launchRail.length <= 0) {
+      errors.push('environment.launchRail.length は正の数値で指定してください');
+    }
+    if (typeof launchRail.friction !== 'number' || !isFinite(launchRail.friction) || launchRail.friction < 0) {
+      errors.push('environment.launchRail.friction は0以上の数値で指定してください');
+    }
+    if (typeof launchRail.azimuth !== 'number' || !isFinite(launchRail.azimuth)) {
+      errors.push('environment.launchRail.azimuth は数値で指定してください');
+    }
+  }
+  // 部品リストの質量の合計が0では機体質量と重心位置を求められない（寸法から求める部品は他の入力が正しい場合のみ計算できる）
+  if (errors.length === 0 && design.massComponents.length > 0 &&
+    calculateComponentMassProperties(design, resolveMotorSpec(motor).motor).weight <= 0) {
+    errors.push('design.massComponents の質量の合計が0です。部品の質量を入力してください');
+  }
+  if (monteCarlo) {
+    if (!Number.isInteger(monteCarlo.runs) || monteCarlo.runs < 1 || monteCarlo.runs > MAX_MONTE_CARLO_RUNS) {
+      errors.push(`monteCarlo.runs は 1〜${MAX_MONTE_CARLO_RUNS} の整数で指定してください`);
+    }
+    if (typeof monteCarlo.seed !== 'number' || !isFinite(monteCarlo.seed)) {
+      errors.push('monteCarlo.seed は数値で指定してください');
+    }
+    Object.keys(DEFAULT_MONTE_CARLO_TOLERANCES).forEach(field => {
+      const value = monteCarlo.tolerances[field];
+      if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        errors.push(`monteCarlo.tolerances.${field} は0以上の数値で指定してください`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * 設計・モーター・環境から calculateFlightPath 用のパラメータを組み立てる
+ * @param {RocketDesign} design - 機体設計
+ * @param {Object} motor - モーターデータ（resolveMotorSpec の戻り値）
+ * @param {LaunchEnvironment} environment - 打ち上げ環境
+ * @returns {Object} useRocketSimulator の simulationParams と同じ形のパラメータ
+ */
+export const buildSimulationParams = (design, motor, environment) => {
+  const { parachute, stages = [], recoveryEvents, ...rocketParams } = design;
+  return {
+    ...applyMassComponents(rocketParams, motor),
+    ...(recoveryEvents ? { recoveryEvents } : {}),
+    stages: stages.map(stage => ({ ...stage, motor: getMotor(stage.motorId) })),
+    selectedMotor: motor.id,
+    motor,
+    selectedParachute: parachute,
+    launchAngle: environment.launchAngle,
+    windSpeed: environment.windSpeed,
+    windProfile: environment.windProfile,
+    windVariation: environment.windVariation,
+    launchRail: environment.launchRail,
+    atmosphere: {
+      siteElevation: environment.siteElevation,
+      groundTemperature: environment.groundTemperature,
+      groundPressure: environment.groundPressure,
+      humidity: environment.humidity
+    }
+  };
+};
+
+/**
+ * 飛行結果の判定
+ * @typedef {Object} FlightJudgement
+ * @property {number} maxSpeed - 最高速度 (m/s)
+ * @property {number} maxHeight - 最高高度 (m)
+ * @property {number} maxDistance - 最大水平距離 (m)
+ * @property {number} maxFinDeflection - 最大フィンたわみ量（翼端、mm）
+ * @property {number} maxFinTwist - 最大フィンねじれ角（翼端、度）
+ * @property {number} maxParachuteOpeningForce - 回収装置の最大開傘衝撃力 (N、開傘しなかった場合は 0)
+ * @property {number} maxDeflectionPercent - フィン高さに対するたわみ率 (%)
+ * @property {boolean} isDivergenceOK - ダイバージェンス判定（飛行経路の各点の高度での限界速度と比べる）
+ * @property {boolean} isFlutterOK - フラッター判定（飛行経路の各点の高度での限界速度と比べる）
+ * @property {boolean} isBodyTubeOK - ボディチューブの強度判定
+ * @property {Object|null} structuralLoads - 最大動圧時・開傘時の荷重と最小安全率（summarizeStructuralLoads の戻り値）
+ * @property {boolean} isDeflectionOK - たわみ判定（3%以下、計算できなかった点があれば NG）
+ * @property {boolean} isAngleStableOK - 角度変化量の判定
+ * @property {boolean} isAbsoluteAngleOK - 絶対角度の判定
+ * @property {Object|null} railExit - 発射台離脱時の時刻・速度・風速・迎角・必要な離脱速度（evaluateRailExit の戻り値）
+ * @property {boolean} isRailExitOK - 発射台離脱速度の判定
+ * @property {boolean} isOverallOK - 総合判定
+ */
+
+/**
+ * 飛行データから最大値を求めて各判定を行う（ResultsPopup に渡す結果と同じ形）
+ * @param {Object} flight - calculateFlightPath(WithLanding) の戻り値
+ * @param {number} finHeight - フィン高さ（平面形のスパン） (mm)
+ * @returns {FlightJudgement} 判定結果
+ */
+export const evaluateFlightResults = (flight, finHeight) => {
+  const data = flight.data || [];
+  const maxOf = (getter) => data.reduce((max, d) => Math.max(max, getter(d)), 0);
+
+  const maxHeight = maxOf(d => isNaN(d.height) ? 0 : d.height || 0);
+  const maxSpeed = maxOf(d => isNaN(d.speedMagnitude) ? 0 : Math.abs(d.speedMagnitude) || 0);
+  const maxDistance = maxOf(d => isNaN(d.physicsX) ? 0 : Math.abs(d.physicsX) || 0);
+  const maxFinDeflection = maxOf(d => isNaN(d.finDeflection) ? 0 : d.finDeflection || 0);
+  const maxFinTwist = maxOf(d => isNaN(d.finTwist) ? 0 : Math.abs(d.finTwist) || 0);
+  const maxParachuteOpeningForce = (flight.keyPoints?.recoveryEvents || [])
+    .reduce((max, event) => Math.max(max, event.active?.openingForce || 0), 0);
+  const hasInvalidDeflection = data.some(d => d.finDeflection !== undefined && !Number.isFinite(d.finDeflection));
+
+  // 構造荷重の記録がない結果は地上の限界速度と最高速度で判定する
+  const structuralLoads = flight.structuralLoads ?? null;
+  const isDivergenceOK = structuralLoads?.isDivergenceOK ?? maxSpeed < flight.calculations.finDivergenceSpeed;
+  const isFlutterOK = structuralLoads?.isFlutterOK ?? maxSpeed < flight.calculations.finFlutterSpeed;
+  const isBodyTubeOK = structuralLoads?.isBodyTubeOK ?? true;
+  const maxDeflectionPercent = (maxFinDeflection / finHeight) * 100;
+  const isDeflectionOK = !hasInvalidDeflection && maxDeflectionPercent <= 3;
+
+  const isAngleStableOK = flight.angleStability.isAngleStableOK;
+  const isAbsoluteAngleOK = flight.angleStability.isAbsoluteAngleOK;
+  // 発射台の長さに達する前に飛行が終わった場合は離脱していないため NG
+  const railExit = flight.railExit ?? null;
+  const isRailExitOK = railExit?.isRailExitOK ?? false;
+
+  return {
+    maxSpeed,
+    maxHeight,
+    maxDistance,
+    maxFinDeflection,
+    maxFinTwist,
+    maxParachuteOpeningForce,
+    finHeight,
+    maxDeflectionPercent,
+    divergenceSpeed: formatSpeedValue(flight.calculations.finDivergenceSpeed),
+    flutterSpeed: formatSpeedValue(flight.calculations.finFlutterSpeed),
+    isDivergenceOK,
+    isFlutterOK,
+    isBodyTubeOK,
+    structuralLoads,
+    isDeflectionOK,
+    isAngleStableOK,
+    isAbsoluteAngleOK,
+    maxAngleChangePerDt2: flight.angleStability.maxAngleChangePerDt2,
+    maxAbsoluteAngle: flight.angleStability.maxAbsoluteAngle,
+    railExit,
+    isRailExitOK,
+    isOverallOK: isDivergenceOK && isFlutterOK && isBodyTubeOK && isDeflectionOK && isAngleStableOK && isAbsoluteAngleOK && isRailExitOK
+  };
+};
+
+/**
+ * エンジンの計算結果
+ * @typedef {Object} SimulationResult
+ * @property {number} schemaVersion - 入出力スキーマのバージョン
+ * @property {Object} input - 既定値を補完した入力
+ * @property {Object} motor - 使用したモーターの諸元（総力積・燃焼時間・放出遅延など）
+ * @property {FlightJudgement} results - 最大値と各判定
+ * @property {Object} calculations - 圧力中心・静安定マージン・フィン限界速度
+ * @property {Object} centerOfPressure - Barrowman 法による CNα・圧力中心と部品ごとの内訳 (components)
+ * @property {Object} massProperties - 発射時・燃焼終了時の質量・重心位置・静安定マージン
+ * @property {Object} dynamicStability - 固有振動数と減衰比（減衰不足・過減衰の区間、時系列 series は config.includeData が true の場合のみ）
+ * @property {Object} keyPoints - 推力終了・最高点・パラシュート放出などのキーポイント（recoveryEvents に回収装置ごとの放出・開傘、多段の場合は stages に段ごとの点火・燃焼終了・分離）
+ * @property {Object} landing - 着地予測 (landingX, landingDistance, timeToLanding, totalFlightTime)
+ * @property {Array<Object>} boosters - 分離した下段の最高高度と着地予測（単段なら空配列）
+ * @property {Array<Object>} [data] - 時系列データ（config.includeData が true の場合のみ）
+ * @property {Object} [monteCarlo] - モンテカルロ分散解析の結果（入力に monteCarlo を指定した場合のみ）
+ * @property {{hasError: boolean, type: string, message: string}} [error] - 入力エラー（エラー時のみ）
+ */
+
+/**
+ * 1回分の飛行シミュレーションを実行する
+ * @param {SimulationInput} input - エンジンへの入力
+ * @returns {SimulationResult} 計算結果
+ */
+export const runSimulation = (input) => {
+  // null・配列・数値などは既定値で補完できないため、正規化せずに入力エラーにする
+  const isObjectInput = input === undefined || isPlainObject(input);
+  const normalized = isObjectInput ? normalizeSimulationInput(input) : input;
+  const errors = isObjectInput
+    ? validateSimulationInput(normalized)
+    : ['入力は { design, motor, environment, config } 形式のオブジェクトで指定してください'];
+
+  if (errors.length > 0) {
+    return {
+      schemaVersion: ENGINE_SCHEMA_VERSION,
+      input: normalized,
+      error: {
+        hasError: true,
+        type: 'invalidInput',
+        message: errors.join('\n')
+      }
+    };
+  }
+
+  const { design, environment, config } = normalized;
+  const motor = resolveMotorSpec(normalized.motor).motor;
+  const simulationParams = buildSimulationParams(design, motor, environment);
+
+  const flight = calculateFlightPathWithLanding(
+    calculateMultiStageFlightPath,
+    simulationParams,
+    environment.launchAngle,
+    environment.windSpeed,
+    environment.windProfile,
+    {
+      enhancedAttitudeControl: config.enhancedAttitudeControl,
+      windAngleLimitation: config.windAngleLimitation,
+      verbose: config.verbose
+    }
+  );
+
+  if (!flight?.data?.length || !flight.calculations) {
+    return {
+      schemaVersion: ENGINE_SCHEMA_VERSION,
+      input: normalized,
+      error: {
+        hasError: true,
+        type: 'simulationFailed',
+        message: 'フライトデータが空です'
+      }
+    };
+  }
+
+  // 動的安定性（時系列は includeData の場合のみ出力する）
+  const { series: dynamicStabilitySeries, ...dynamicStability } =
+    calculateDynamicStability(simulationParams, flight.data, { startTime: flight.railExit?.time });
+  if (config.includeData) {
+    dynamicStability.series = dynamicStabilitySeries;
+  }
+
+  const result = {
+    schemaVersion: ENGINE_SCHEMA_VERSION,
+    input: normalized,
+    motor: {
+      id: motor.id,
+      manufacturer: motor.manufacturer,
+      totalImpulse: motor.totalImpulse,
+      averageThrust: motor.averageThrust,
+      maxThrust: motor.maxThrust,
+      burnTime: motor.burnTime,
+      delay: motor.delay,
+      propellantMass: motor.propellantMass,
+      totalMass: motor.totalMass
+    },
+    results: evaluateFlightResults(flight, calculateFinPlanform(design).span),
+    calculations: flight.calculations,
+    centerOfPressure: {
+      cnAlpha: flight.pressureCenter.cnAlpha,
+      centerOfPressure: flight.pressureCenter.centerOfPressure,
+      components: flight.pressureCenter.components
+    },
+    massProperties: flight.massProperties,
+    angleStability: flight.angleStability,
+    dynamicStability,
+    keyPoints: flight.keyPoints,
+    landing: flight.landing,
+    boosters: (flight.boosters || []).map(booster => ({
+      stage: booster.stage,
+      recovery: booster.recovery,
+      maxHeight: booster.maxHeight,
+      landing: booster.landing,
+      ...(config.includeData ? { data: booster.data } : {})
+    }))
+  };
+
+  if (config.includeData) {
+    result.data = flight.data;
+  }
+
+  if (normalized.monteCarlo) {
+    result.monteCarlo = runMonteCarlo(simulationParams, environment, normalized.monteCarlo, {
+      enhancedAttitudeControl: config.enhancedAttitudeControl,
+      windAngleLimitation: config.windAngleLimitation
+    });
+  }
+
+  return result;
+};
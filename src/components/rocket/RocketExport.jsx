@@ -1,43 +1,134 @@
 import React, { useState } from 'react';
-import { mmToM } from './RocketConstants';
+import { mmToM, FIN_SHAPES, CANOPY_SHAPES, DEFAULT_GORE_PATTERN_SETTINGS } from './RocketConstants';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { calculateGorePattern } from './RocketGorePattern';
+import { getRecoveryType } from './RocketRecovery';
+
+// mm を PDF の pt に変換する係数
+const MM_TO_PT = 72 / 25.4;
+
+// 円を4本のベジェ曲線で近似する係数
+const CIRCLE_BEZIER = 0.5523;
+
+// 型紙の注釈の文字の大きさと行間 (mm)
+const PATTERN_TEXT_SIZE = 4;
+const PATTERN_LINE_HEIGHT = 6;
+
+// 点列を SVG のパスにする
+const toSvgPath = (points, closed = true) =>
+  points.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x.toFixed(2)} ${point.y.toFixed(2)}`).join(' ') + (closed ? ' Z' : '');
+
+// PDF の文字列（日本語を含むため UTF-16BE の16進表記）
+const toPdfHexString = (text) =>
+  `<${Array.from(String(text)).map(char => char.charCodeAt(0).toString(16).padStart(4, '0')).join('')}>`;
+
+/**
+ * 1ページの PDF を作成する（寸法は mm で、y は下向き。1:1 で印刷できるページサイズにする）
+ * 文字は PDF ビューアが持つ日本語フォント（HeiseiKakuGo-W5）で表示する
+ * @param {number} width - ページの幅 (mm)
+ * @param {number} height - ページの高さ (mm)
+ * @param {Object} drawing - paths（{points, closed, color, dashed}）、circles（{x, y, radius, color}）、texts（{x, y, text}）
+ * @returns {string} PDF ファイルの内容（ASCII のみ）
+ */
+const createPdf = (width, height, { paths = [], circles = [], texts = [] }) => {
+  const f = (value) => Number(value).toFixed(3);
+  const stroke = (color) => color.map(f).join(' ') + ' RG';
+  const content = [
+    `q ${f(MM_TO_PT)} 0 0 ${f(-MM_TO_PT)} 0 ${f(height * MM_TO_PT)} cm 0.2 w`,
+    ...paths.map(({ points, closed = true, color = [0, 0, 0], dashed = false }) =>
+      `${stroke(color)} ${dashed ? '[2 1]' : '[]'} 0 d ` +
+      points.map((point, i) => `${f(point.x)} ${f(point.y)} ${i === 0 ? 'm' : 'l'}`).join(' ') + (closed ? ' h S' : ' S')),
+    ...circles.map(({ x, y, radius, color = [0, 0, 0] }) => {
+      const k = radius * CIRCLE_BEZIER;
+      return `${stroke(color)} [] 0 d ${f(x + radius)} ${f(y)} m ` +
+        `${f(x + radius)} ${f(y + k)} ${f(x + k)} ${f(y + radius)} ${f(x)} ${f(y + radius)} c ` +
+        `${f(x - k)} ${f(y + radius)} ${f(x - radius)} ${f(y + k)} ${f(x - radius)} ${f(y)} c ` +
+        `${f(x - radius)} ${f(y - k)} ${f(x - k)} ${f(y - radius)} ${f(x)} ${f(y - radius)} c ` +
+        `${f(x + k)} ${f(y - radius)} ${f(x + radius)} ${f(y - k)} ${f(x + radius)} ${f(y)} c S`;
+    }),
+    // 文字は上下を戻して描く
+    ...texts.map(({ x, y, text }) =>
+      `BT /F1 ${f(PATTERN_TEXT_SIZE)} Tf 1 0 0 -1 ${f(x)} ${f(y)} Tm ${toPdfHexString(text)} Tj ET`),
+    'Q'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${f(width * MM_TO_PT)} ${f(height * MM_TO_PT)}] ` +
+      '/Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type0 /BaseFont /HeiseiKakuGo-W5 /Encoding /UniJIS-UCS2-HW-H /DescendantFonts [6 0 R] >>',
+    '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /HeiseiKakuGo-W5 ' +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 2 >> /FontDescriptor 7 0 R >>',
+    '<< /Type /FontDescriptor /FontName /HeiseiKakuGo-W5 /Flags 4 /FontBBox [-92 -250 1010 922] ' +
+      '/ItalicAngle 0 /Ascent 752 /Descent -221 /CapHeight 737 /StemV 114 >>'
+  ];
+
+  // 各オブジェクトの位置を相互参照表に記録する
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return pdf;
+};
 
 const ExportTab = ({ rocketSim }) => {
   const [isPremiumUser, setIsPremiumUser] = useState(false);
   const [showUpgradeMessage, setShowUpgradeMessage] = useState(false);
+  const [goreEventIndex, setGoreEventIndex] = useState(0);
+  const [goreSettings, setGoreSettings] = useState(DEFAULT_GORE_PATTERN_SETTINGS);
 
-  const generateFinSVG = () => {
-    const {
-      finHeight,
-      finBaseWidth,
-      finTipWidth,
-      finSweepLength,
-      finThickness,
-      finCount
-    } = rocketSim;
-
+  // 型紙のフィン形状（x がスパン方向、y が翼根に沿った方向で、最も前に出た点を y = 0 とする）と注釈
+  const getFinTemplate = () => {
+    const { finThickness, finCount } = rocketSim;
+    const planform = calculateFinPlanform(rocketSim);
     const scale = 1;
     const padding = 20;
-    
-    let adjustedFinTopY, adjustedFinBottomY;
-    
-    if (finSweepLength >= 0) {
-      adjustedFinTopY = finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      adjustedFinTopY = -Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
 
-    const finPath = `M 0 0
-                     L 0 ${finBaseWidth}
-                     L ${finHeight} ${adjustedFinBottomY}
-                     L ${finHeight} ${adjustedFinTopY}
-                     Z`;
+    const finPath = planform.outline
+      .map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.y} ${point.x + planform.leadingEdgeExtension}`)
+      .join(' ') + ' Z';
+    const templateLength = planform.leadingEdgeExtension + planform.rootChord + planform.trailingEdgeExtension;
 
-    const svgWidth = (finHeight + padding * 2) * scale;
-    const svgHeight = (Math.max(finBaseWidth, adjustedFinBottomY) + padding * 2) * scale;
+    const svgWidth = (planform.span + padding * 2) * scale;
+    const svgHeight = (templateLength + padding * 2) * scale;
 
-    const textOffsetRight = Math.min(50, svgWidth * 0.3);
+    // 台形系の平面形は先端幅と後退代、楕円と自由形状は面積を記載する
+    const isTrapezoidal = FIN_SHAPES[planform.shape].uses.includes('finTipWidth') ||
+      FIN_SHAPES[planform.shape].uses.includes('finSweepLength');
+    const annotations = [
+      `平面形: ${FIN_SHAPES[planform.shape].name}`,
+      `板厚: ${finThickness}mm`,
+      ...(isTrapezoidal
+        ? [`翼端幅: ${planform.equivalent.finTipWidth}mm`, `後退代: ${planform.equivalent.finSweepLength}mm`]
+        : [`面積: ${Math.round(planform.area)}mm²`]),
+      `枚数: ${finCount}枚`
+    ];
+
+    return {
+      finPath,
+      scale,
+      padding,
+      svgWidth,
+      svgHeight,
+      textOffsetRight: Math.min(50, svgWidth * 0.3),
+      rootChord: planform.rootChord,
+      span: Math.round(planform.span * 10) / 10,
+      annotations
+    };
+  };
+
+  const generateFinSVG = () => {
+    const {
+      finPath, scale, padding, svgWidth, svgHeight, textOffsetRight, rootChord, span, annotations
+    } = getFinTemplate();
 
     const svg = `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" 
@@ -74,23 +165,14 @@ const ExportTab = ({ rocketSim }) => {
   <!-- 寸法線と注釈 -->
   <g class="dimension-text">
     <text x="${padding * scale / 2}" y="${svgHeight / 2}" text-anchor="middle" transform="rotate(-90, ${padding * scale / 2}, ${svgHeight / 2})">
-      フィン付け根幅: ${finBaseWidth}mm
+      フィン付け根幅: ${rootChord}mm
     </text>
     <text x="${svgWidth / 2}" y="${svgHeight - 2}" text-anchor="middle">
-      フィン高さ: ${finHeight}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="5">
-      板厚: ${finThickness}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="10">
-      翼端幅: ${finTipWidth}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="15">
-      後退代: ${finSweepLength}mm
-    </text>
-    <text x="${svgWidth - textOffsetRight}" y="20">
-      枚数: ${finCount}枚
+      フィン高さ: ${span}mm
     </text>
+${annotations.map((annotation, i) => `    <text x="${svgWidth - textOffsetRight}" y="${5 * (i + 1)}">
+      ${annotation}
+    </text>`).join('\n')}
   </g>
   
   <!-- 製作情報 -->
@@ -102,57 +184,125 @@ const ExportTab = ({ rocketSim }) => {
     return svg;
   };
 
-  const downloadSVG = () => {
+  // 回収イベント（ドローグ・メイン）のうち型紙を作るパラシュート（ストリーマー・タンブルは除く）
+  // 選択肢の名前は回収イベント全体での順番（先頭がドローグ）で決める
+  const parachuteEvents = (rocketSim.recoveryEvents || [])
+    .map((event, index) => ({ event, name: index === 0 ? 'ドローグ' : 'メイン' }))
+    .filter(({ event }) => getRecoveryType(event) === 'parachute');
+  const goreEvent = parachuteEvents[Math.min(goreEventIndex, parachuteEvents.length - 1)]?.event || null;
+
+  // 型紙のゴア形状（縫い線・裁断線・吊り索の取り付け位置）と注釈
+  const getGoreTemplate = () => {
+    const pattern = calculateGorePattern(goreEvent, goreSettings);
+    const { spec, shroudLines } = pattern;
+    const padding = 20;
+    const textWidth = 90;
+    const isCross = spec.canopy === 'cross';
+
+    const annotations = [
+      `キャノピー: ${CANOPY_SHAPES[spec.canopy].name}`,
+      `直径: ${Math.round(spec.diameter * 1000)}mm`,
+      isCross ? '裁断枚数: 1枚' : `ゴア数: ${spec.gores}（${pattern.pieces}枚裁断）`,
+      `スピルホール: ${Math.round(spec.spillHole * 1000)}mm`,
+      `縫い代: ${pattern.seamAllowance}mm`,
+      `吊り索: ${shroudLines.count}本 × ${Math.round(shroudLines.length)}mm`,
+      isCross ? '取り付け位置: 腕の先端の角（○印）' : '取り付け位置: スカートの角（○印）',
+      '実線: 裁断線 / 破線: 縫い線'
+    ];
+    // 注釈が型紙より長い場合も収まる高さにする
+    const svgHeight = Math.max(pattern.height, annotations.length * PATTERN_LINE_HEIGHT) + padding * 2;
+
+    return {
+      pattern,
+      padding,
+      svgWidth: pattern.width + padding * 2 + textWidth,
+      svgHeight,
+      textX: pattern.width + padding * 1.5,
+      annotations
+    };
+  };
+
+  const generateGoreSVG = () => {
+    const { pattern, padding, svgWidth, svgHeight, textX, annotations } = getGoreTemplate();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"
+     width="${svgWidth}mm"
+     height="${svgHeight}mm"
+     viewBox="0 0 ${svgWidth} ${svgHeight}">
+  <!-- ゴア形状（実線が裁断線、破線が縫い線） -->
+  <g transform="translate(${padding}, ${padding})" fill="none">
+${[
+    `<path d="${toSvgPath(pattern.cutLine)}" stroke="#000000" stroke-width="0.2" />`,
+    `<path d="${toSvgPath(pattern.outline)}" stroke="#0000ff" stroke-width="0.2" stroke-dasharray="2,1" />`,
+    ...(pattern.spillHole
+      ? [`<circle cx="${pattern.spillHole.x}" cy="${pattern.spillHole.y}" r="${pattern.spillHole.radius}" stroke="#000000" stroke-width="0.2" />`]
+      : []),
+    ...pattern.attachmentPoints.map(point =>
+      `<circle cx="${point.x.toFixed(2)}" cy="${point.y.toFixed(2)}" r="2" stroke="#ff0000" stroke-width="0.3" />`)
+  ].map(element => `    ${element}`).join('\n')}
+  </g>
+
+  <!-- 注釈 -->
+  <g font-family="Arial, sans-serif" font-size="${PATTERN_TEXT_SIZE}" fill="#0000ff">
+${annotations.map((annotation, i) => `    <text x="${textX}" y="${padding + PATTERN_LINE_HEIGHT * i}">${annotation}</text>`).join('\n')}
+  </g>
+
+  <!-- 製作情報 -->
+  <text x="2" y="${svgHeight - 2}" font-family="Arial, sans-serif" font-size="2" fill="#0000ff">
+    AVIENTER 2D - Parachute Gore Template (1:1 scale)
+  </text>
+</svg>`;
+  };
+
+  const generateGorePDF = () => {
+    const { pattern, padding, svgWidth, svgHeight, textX, annotations } = getGoreTemplate();
+    const shift = (point) => ({ x: point.x + padding, y: point.y + padding });
+
+    return createPdf(svgWidth, svgHeight, {
+      paths: [
+        { points: pattern.cutLine.map(shift) },
+        { points: pattern.outline.map(shift), color: [0, 0, 1], dashed: true }
+      ],
+      circles: [
+        ...(pattern.spillHole ? [{ ...shift(pattern.spillHole), radius: pattern.spillHole.radius }] : []),
+        ...pattern.attachmentPoints.map(point => ({ ...shift(point), radius: 2, color: [1, 0, 0] }))
+      ],
+      texts: [
+        ...annotations.map((text, i) => ({ x: textX, y: padding + PATTERN_LINE_HEIGHT * i, text })),
+        { x: 2, y: svgHeight - 2, text: 'AVIENTER 2D - Parachute Gore Template (1:1 scale)' }
+      ]
+    });
+  };
+
+  // 会員限定のダウンロード（会員でなければアップグレードの案内を表示する）
+  const downloadFile = (generateContent, type, fileName) => {
     if (!isPremiumUser) {
       setShowUpgradeMessage(true);
       return;
     }
 
-    const svgContent = generateFinSVG();
-    const blob = new Blob([svgContent], { type: 'image/svg+xml' });
+    const blob = new Blob([generateContent()], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `rocket-fin-${Date.now()}.svg`;
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
   };
 
-  const renderPreviewSVG = () => {
-    const {
-      finHeight,
-      finBaseWidth,
-      finTipWidth,
-      finSweepLength,
-      finThickness,
-      finCount
-    } = rocketSim;
-
-    const scale = 1;
-    const padding = 20;
-    
-    let adjustedFinTopY, adjustedFinBottomY;
-    
-    if (finSweepLength >= 0) {
-      adjustedFinTopY = finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      adjustedFinTopY = -Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
+  const downloadSVG = () => downloadFile(generateFinSVG, 'image/svg+xml', `rocket-fin-${Date.now()}.svg`);
 
-    const finPath = `M 0 0
-                     L 0 ${finBaseWidth}
-                     L ${finHeight} ${adjustedFinBottomY}
-                     L ${finHeight} ${adjustedFinTopY}
-                     Z`;
+  const downloadGoreSVG = () => downloadFile(generateGoreSVG, 'image/svg+xml', `parachute-gore-${Date.now()}.svg`);
 
-    const svgWidth = (finHeight + padding * 2) * scale;
-    const svgHeight = (Math.max(finBaseWidth, adjustedFinBottomY) + padding * 2) * scale;
+  const downloadGorePDF = () => downloadFile(generateGorePDF, 'application/pdf', `parachute-gore-${Date.now()}.pdf`);
 
-    const textOffsetRight = Math.min(50, svgWidth * 0.3);
+  const renderPreviewSVG = () => {
+    const {
+      finPath, scale, padding, svgWidth, svgHeight, textOffsetRight, rootChord, span, annotations
+    } = getFinTemplate();
 
     return (
       <svg 
@@ -188,23 +338,16 @@ const ExportTab = ({ rocketSim }) => {
             textAnchor="middle" 
             transform={`rotate(-90, ${padding * scale / 2}, ${svgHeight / 2})`}
           >
-            フィン付け根幅: {finBaseWidth}mm
+            フィン付け根幅: {rootChord}mm
           </text>
           <text x={svgWidth / 2} y={svgHeight - 2} textAnchor="middle">
-            フィン高さ: {finHeight}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="5">
-            板厚: {finThickness}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="10">
-            翼端幅: {finTipWidth}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="15">
-            後退代: {finSweepLength}mm
-          </text>
-          <text x={svgWidth - textOffsetRight} y="20">
-            枚数: {finCount}枚
+            フィン高さ: {span}mm
           </text>
+          {annotations.map((annotation, i) => (
+            <text key={annotation} x={svgWidth - textOffsetRight} y={5 * (i + 1)}>
+              {annotation}
+            </text>
+          ))}
         </g>
         
         <text x="2" y={svgHeight - 2} className="dimension-text" fontSize="2">
@@ -291,6 +434,8 @@ const ExportTab = ({ rocketSim }) => {
           <div className="bg-gray-50 p-4 rounded border border-gray-200">
             <h4 className="font-semibold mb-2">現在のフィン設計</h4>
             <div className="grid grid-cols-2 gap-2 text-sm">
+              <div>平面形:</div>
+              <div>{(FIN_SHAPES[rocketSim.finShape] || FIN_SHAPES.trapezoidal).name}</div>
               <div>フィン高さ:</div>
               <div>{rocketSim.finHeight}mm</div>
               <div>付け根幅:</div>
@@ -361,6 +506,106 @@ const ExportTab = ({ rocketSim }) => {
           </div>
         </div>
       </div>
+
+      <div className="bg-white border border-gray-300 rounded-lg p-6">
+        <h3 className="text-xl font-bold mb-4">パラシュートの型紙</h3>
+
+        {goreEvent ? (
+          <div className="space-y-4">
+            <div className="bg-gray-50 p-4 rounded border border-gray-200">
+              <h4 className="font-semibold mb-2">型紙の設定</h4>
+              <div className="grid grid-cols-2 gap-2 text-sm items-center">
+                {parachuteEvents.length > 1 && (
+                  <>
+                    <div>パラシュート:</div>
+                    <select
+                      value={goreEventIndex}
+                      onChange={(e) => setGoreEventIndex(Number(e.target.value))}
+                      className="p-1 border border-gray-300 rounded"
+                    >
+                      {parachuteEvents.map(({ event, name }, index) => (
+                        <option key={event.id} value={index}>{name}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                <div>縫い代 (mm):</div>
+                <input
+                  type="number"
+                  value={goreSettings.seamAllowance}
+                  min={0}
+                  step={1}
+                  onChange={(e) => e.target.value !== '' && Number(e.target.value) >= 0 &&
+                    setGoreSettings({ ...goreSettings, seamAllowance: Number(e.target.value) })}
+                  className="p-1 border border-gray-300 rounded"
+                />
+                <div>吊り索の長さ（直径の倍数）:</div>
+                <input
+                  type="number"
+                  value={goreSettings.shroudLineRatio}
+                  min={0.5}
+                  step={0.1}
+                  onChange={(e) => Number(e.target.value) > 0 &&
+                    setGoreSettings({ ...goreSettings, shroudLineRatio: Number(e.target.value) })}
+                  className="p-1 border border-gray-300 rounded"
+                />
+              </div>
+              <ul className="mt-3 text-sm list-disc list-inside">
+                {getGoreTemplate().annotations.slice(0, -1).map(annotation => (
+                  <li key={annotation}>{annotation}</li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="flex gap-4">
+              {[['SVG', downloadGoreSVG], ['PDF', downloadGorePDF]].map(([format, download]) => (
+                <button
+                  key={format}
+                  onClick={download}
+                  className={`flex-1 px-6 py-3 rounded font-medium transition ${
+                    isPremiumUser
+                      ? 'bg-blue-500 text-white hover:bg-blue-600'
+                      : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  }`}
+                  disabled={!isPremiumUser}
+                >
+                  {format}ファイルをダウンロード
+                </button>
+              ))}
+            </div>
+
+            <div className="border border-gray-300 rounded p-4 bg-white">
+              <h4 className="font-semibold mb-2">プレビュー</h4>
+              <div className="bg-gray-100 p-4 rounded overflow-auto max-h-96 flex justify-center items-center">
+                {isPremiumUser ? (
+                  // ダウンロードする SVG と同じ内容を表示する
+                  <img
+                    src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(generateGoreSVG())}`}
+                    alt="パラシュートの型紙"
+                    style={{ maxWidth: '100%', height: 'auto', border: '1px solid #ddd', background: '#fff' }}
+                  />
+                ) : (
+                  <div className="flex items-center justify-center h-64 text-gray-400">
+                    <p>プレビューはプレミアム会員のみ利用可能です</p>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded p-4">
+              <h4 className="font-semibold mb-2 text-blue-900">型紙の使い方</h4>
+              <ol className="list-decimal list-inside space-y-1 text-sm text-blue-800">
+                <li>SVGまたはPDFファイルを倍率100%（実寸）で印刷します。用紙より大きい型紙はポスター印刷で分割します</li>
+                <li>実線（裁断線）に沿って型紙を切り、布に写して必要枚数を裁断します</li>
+                <li>破線（縫い線）どうしを合わせて縫い合わせます</li>
+                <li>○印の位置に吊り索を取り付けます（長さは注釈を参照）</li>
+              </ol>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">回収装置にパラシュートがないため、型紙は作成できません。</p>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,206 @@
+// フィンの平面形（台形・クリップドデルタ・後退翼端・楕円・自由形状）
+// 平面形は翼根前縁を原点とし、x を機体軸方向（後方が正）、y をスパン方向（胴体表面から外向きが正）とした輪郭の多角形で表す (mm)
+// 台形系の平面形は面積・平均空力翼弦を式で求め、楕円と自由形状はスパン方向の帯に分けて数値積分する
+// 強度の計算（ダイバージェンス・フラッター・たわみなど）には、面積・スパン・根元幅・翼弦中点線が等しい台形（等価台形）を使う
+import { FIN_SHAPES, DEFAULT_FIN_SHAPE } from './RocketConstants';
+
+// 楕円の輪郭の分割数
+const ELLIPSE_SEGMENTS = 48;
+
+// 数値積分のスパン方向の分割数
+const PLANFORM_STRIPS = 200;
+
+// 平面形の種類（未知の値は既定の台形）
+const getFinShape = (params) => FIN_SHAPES[params.finShape] ? params.finShape : DEFAULT_FIN_SHAPE;
+
+// 台形系の平面形の根元幅 a・先端幅 b・後退代 m・スパン s
+const getTrapezoidDimensions = (params, shape) => {
+  const { finHeight, finBaseWidth, finTipWidth, finSweepLength } = params;
+  if (shape === 'clippedDelta') {
+    return { finHeight, finBaseWidth, finTipWidth, finSweepLength: finBaseWidth - finTipWidth };
+  }
+  if (shape === 'sweptTip') {
+    return { finHeight, finBaseWidth, finTipWidth: finBaseWidth, finSweepLength };
+  }
+  return { finHeight, finBaseWidth, finTipWidth, finSweepLength };
+};
+
+/**
+ * フィンの輪郭（翼根前縁から翼端側を回って翼根後縁までの点列）
+ * @param {Object} params - finShape, finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength
+ * @returns {Array<{x: number, y: number}>} 輪郭の頂点 (mm)
+ */
+export const getFinOutline = (params) => {
+  const shape = getFinShape(params);
+  const rootChord = params.finBaseWidth;
+
+  if (shape === 'elliptical') {
+    // 翼弦中点が一直線に並ぶ半楕円
+    return Array.from({ length: ELLIPSE_SEGMENTS + 1 }, (_, i) => {
+      const angle = Math.PI * i / ELLIPSE_SEGMENTS;
+      return { x: rootChord / 2 - (rootChord / 2) * Math.cos(angle), y: params.finHeight * Math.sin(angle) };
+    });
+  }
+  if (shape === 'freeform') {
+    // 胴体から離れた点がない（描きかけの）場合は台形の輪郭を使う
+    const points = Array.isArray(params.finPoints) ? params.finPoints : [];
+    if (points.some(point => point.y > 0)) {
+      return [{ x: 0, y: 0 }, ...points, { x: rootChord, y: 0 }];
+    }
+    return getFinOutline({ ...params, finShape: DEFAULT_FIN_SHAPE });
+  }
+
+  const { finHeight, finBaseWidth, finTipWidth, finSweepLength } = getTrapezoidDimensions(params, shape);
+  return [
+    { x: 0, y: 0 },
+    { x: finSweepLength, y: finHeight },
+    { x: finSweepLength + finTipWidth, y: finHeight },
+    { x: finBaseWidth, y: 0 }
+  ];
+};
+
+// 高さ y の水平線と輪郭の交わる区間（前縁側から順に [x1, x2] の組）
+const getChordIntervals = (outline, y) => {
+  const crossings = [];
+  outline.forEach((point, i) => {
+    const next = outline[(i + 1) % outline.length];
+    if ((point.y <= y && next.y > y) || (next.y <= y && point.y > y)) {
+      crossings.push(point.x + (next.x - point.x) * (y - point.y) / (next.y - point.y));
+    }
+  });
+  crossings.sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    intervals.push([crossings[i], crossings[i + 1]]);
+  }
+  return intervals;
+};
+
+// 多角形の面積重心（靴紐公式）
+const getOutlineCentroid = (outline) => {
+  let doubleArea = 0;
+  let cx = 0;
+  let cy = 0;
+  outline.forEach((point, i) => {
+    const next = outline[(i + 1) % outline.length];
+    const cross = point.x * next.y - next.x * point.y;
+    doubleArea += cross;
+    cx += (point.x + next.x) * cross;
+    cy += (point.y + next.y) * cross;
+  });
+  if (Math.abs(doubleArea) < 1e-12) return { x: 0, y: 0 };
+  return { x: cx / (3 * doubleArea), y: cy / (3 * doubleArea) };
+};
+
+// 楕円・自由形状の面積と平均空力翼弦をスパン方向の帯の数値積分で求める
+const integratePlanform = (outline, span) => {
+  const dy = span / PLANFORM_STRIPS;
+  let area = 0;
+  let chordSquared = 0;
+  let leadingEdgeMoment = 0;
+  let spanMoment = 0;
+  let tipMidChord = null;
+
+  for (let i = 0; i < PLANFORM_STRIPS; i++) {
+    const y = (i + 0.5) * dy;
+    const intervals = getChordIntervals(outline, y);
+    if (intervals.length === 0) continue;
+
+    const chord = intervals.reduce((sum, [x1, x2]) => sum + x2 - x1, 0);
+    const leadingEdge = intervals[0][0];
+    area += chord * dy;
+    chordSquared += chord * chord * dy;
+    leadingEdgeMoment += leadingEdge * chord * dy;
+    spanMoment += y * chord * dy;
+    tipMidChord = (leadingEdge + intervals[intervals.length - 1][1]) / 2;
+  }
+
+  return {
+    area,
+    meanAerodynamicChord: area > 0 ? chordSquared / area : 0,
+    macLeadingEdge: area > 0 ? leadingEdgeMoment / area : 0,
+    macSpan: area > 0 ? spanMoment / area : 0,
+    tipMidChord: tipMidChord ?? 0
+  };
+};
+
+// 直前に計算した平面形（飛行計算の各ステップで同じ形状を繰り返し計算しないため）
+let planformCache = { key: null, planform: null };
+
+/**
+ * フィンの平面形の寸法（面積・平均空力翼弦・重心・等価台形など）
+ * @param {Object} params - finShape, finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength
+ * @returns {Object} 平面形の寸法 (mm, mm²)
+ */
+export const calculateFinPlanform = (params) => {
+  const shape = getFinShape(params);
+  const key = JSON.stringify([
+    shape, params.finHeight, params.finBaseWidth, params.finTipWidth, params.finSweepLength,
+    shape === 'freeform' ? params.finPoints : null
+  ]);
+  if (planformCache.key === key) return planformCache.planform;
+
+  const outline = getFinOutline(params);
+  const rootChord = params.finBaseWidth;
+  const span = Math.max(0, ...outline.map(point => point.y));
+  const minX = Math.min(...outline.map(point => point.x));
+  const maxX = Math.max(...outline.map(point => point.x));
+  const centroid = getOutlineCentroid(outline);
+
+  let area, meanAerodynamicChord, macLeadingEdge, macSpan, equivalent;
+  if (shape === 'elliptical' || shape === 'freeform') {
+    const integrated = integratePlanform(outline, span);
+    ({ area, meanAerodynamicChord, macLeadingEdge, macSpan } = integrated);
+    // 等価台形: 面積・スパン・根元幅と、翼根と翼端の翼弦中点を結ぶ線が等しい台形
+    const tipChord = span > 0 ? Math.max(0, 2 * area / span - rootChord) : 0;
+    equivalent = {
+      finHeight: span,
+      finBaseWidth: rootChord,
+      finTipWidth: tipChord,
+      finSweepLength: integrated.tipMidChord - tipChord / 2
+    };
+  } else {
+    equivalent = getTrapezoidDimensions(params, shape);
+    const { finHeight: s, finBaseWidth: a, finTipWidth: b, finSweepLength: m } = equivalent;
+    area = s * (a + b) / 2;
+    meanAerodynamicChord = a + b > 0 ? (2 / 3) * (a + b - a * b / (a + b)) : 0;
+    macLeadingEdge = a + b > 0 ? m * (a + 2 * b) / (3 * (a + b)) : 0;
+    macSpan = a + b > 0 ? s * (a + 2 * b) / (3 * (a + b)) : 0;
+  }
+
+  const planform = {
+    shape,
+    outline,
+    span, // スパン (mm)
+    rootChord, // 根元幅 (mm)
+    area, // 1枚の面積 (mm²)
+    meanAerodynamicChord, // 平均空力翼弦 (mm)
+    macLeadingEdge, // 平均空力翼弦の前縁位置（翼根前縁から、mm）
+    macSpan, // 平均空力翼弦のスパン方向位置 (mm)
+    centroidX: centroid.x, // 面積重心の機体軸方向位置（翼根前縁から、mm）
+    centroidSpan: centroid.y, // 面積重心のスパン方向位置 (mm)
+    // 翼弦中点を結ぶ線の長さ（Barrowman 法の lf）
+    midChordLength: Math.sqrt(
+      Math.pow(equivalent.finSweepLength + equivalent.finTipWidth / 2 - equivalent.finBaseWidth / 2, 2) +
+      Math.pow(equivalent.finHeight, 2)
+    ),
+    leadingEdgeExtension: Math.max(0, -minX), // 翼根前縁より前に出る長さ (mm)
+    trailingEdgeExtension: Math.max(0, maxX - rootChord), // 翼根後縁（機体後端）より後ろに出る長さ (mm)
+    equivalent // 等価台形 { finHeight, finBaseWidth, finTipWidth, finSweepLength }
+  };
+
+  planformCache = { key, planform };
+  return planform;
+};
+
+// 強度計算用の等価台形の寸法（台形ならそのままの寸法）
+export const getEquivalentTrapezoidFin = (params) => calculateFinPlanform(params).equivalent;
+
+// 台形の寸法から自由形状の初期の点列（翼端の前縁・後縁）を作る
+export const createFreeformPointsFromTrapezoid = (params) =>
+  getFinOutline({ ...params, finShape: 'trapezoidal' }).slice(1, -1);
+
+// 表示用に自由形状の点列を拡大・縮小する
+export const scaleFinPoints = (finPoints, scale) =>
+  (finPoints || []).map(point => ({ x: point.x * scale, y: point.y * scale }));
@@ -0,0 +1,147 @@
+// パラシュートの型紙（ゴア1枚分、十字形はキャノピー全体）
+// 型紙は x を幅方向（中心が 0）、y を頂部（スピルホールの縁）からスカートに向かう方向とした多角形で表す (mm)
+// 平面円形は正多角形を中心から切り分けた三角形、半球形は球面を経線で切り分けた紡錘形（各断面を平らなゴアで近似）、
+// 十字形は腕の幅が全長の 1/3 の正方形5枚分の1枚布とする
+import { DEFAULT_GORE_PATTERN_SETTINGS } from './RocketConstants';
+import { resolveParachuteSpec } from './RocketRecovery';
+
+// 半球形のゴアの側辺の分割数
+const HEMISPHERE_SEGMENTS = 24;
+
+// 縫い代の角を尖らせる長さの上限（縫い代に対する比、超える角は面取りする）
+const MITER_LIMIT = 3;
+
+// 多角形の符号付き面積（y 下向きの座標で時計回りが正）
+const signedArea = (points) =>
+  points.reduce((sum, point, i) => {
+    const next = points[(i + 1) % points.length];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0) / 2;
+
+/**
+ * 多角形を外側に offset だけ広げる（縫い代を含む裁断線）
+ * @param {Array<{x: number, y: number}>} points - 縫い線の多角形
+ * @param {number} offset - 縫い代 (mm)
+ * @returns {Array<{x: number, y: number}>} 裁断線の多角形
+ */
+export const offsetPolygon = (points, offset) => {
+  if (offset <= 0) return points;
+  const orientation = signedArea(points) > 0 ? -1 : 1;
+  const count = points.length;
+  // 各辺の外向きの単位法線
+  const normals = points.map((point, i) => {
+    const next = points[(i + 1) % count];
+    const length = Math.hypot(next.x - point.x, next.y - point.y) || 1;
+    return { x: -orientation * (next.y - point.y) / length, y: orientation * (next.x - point.x) / length };
+  });
+
+  return points.flatMap((point, i) => {
+    const before = normals[(i - 1 + count) % count];
+    const after = normals[i];
+    const bisector = { x: before.x + after.x, y: before.y + after.y };
+    const cosHalf = Math.sqrt(Math.max(0, (1 + before.x * after.x + before.y * after.y) / 2));
+    if (cosHalf * MITER_LIMIT < 1) {
+      // 鋭い角は2点で面取りする
+      return [
+        { x: point.x + before.x * offset, y: point.y + before.y * offset },
+        { x: point.x + after.x * offset, y: point.y + after.y * offset }
+      ];
+    }
+    const length = Math.hypot(bisector.x, bisector.y) || 1;
+    return [{
+      x: point.x + bisector.x / length * offset / cosHalf,
+      y: point.y + bisector.y / length * offset / cosHalf
+    }];
+  });
+};
+
+// 平面円形のゴア（中心角 2π/N の三角形、スピルホールの分を切り取った台形）
+const getFlatGore = (spec) => {
+  const radius = spec.diameter * 1000 / 2;
+  const spillRadius = spec.spillHole * 1000 / 2;
+  const halfAngle = Math.PI / spec.gores;
+  const top = spillRadius * Math.cos(halfAngle);
+  const toPoint = (r, side) => ({ x: side * r * Math.sin(halfAngle), y: r * Math.cos(halfAngle) - top });
+  const outline = spillRadius > 0
+    ? [toPoint(spillRadius, -1), toPoint(spillRadius, 1), toPoint(radius, 1), toPoint(radius, -1)]
+    : [toPoint(0, 1), toPoint(radius, 1), toPoint(radius, -1)];
+  return { outline, skirtCorners: [toPoint(radius, -1), toPoint(radius, 1)] };
+};
+
+// 半球形のゴア（頂部からの経線の長さ s での幅 2R·sin(s/R)·tan(π/N)）
+const getHemisphericalGore = (spec) => {
+  const radius = spec.diameter * 1000 / 2;
+  const spillRadius = Math.min(spec.spillHole * 1000 / 2, radius);
+  const start = radius * Math.asin(spillRadius / radius);
+  const end = radius * Math.PI / 2;
+  const halfWidthFactor = Math.tan(Math.PI / spec.gores);
+  const side = Array.from({ length: HEMISPHERE_SEGMENTS + 1 }, (_, i) => {
+    const s = start + (end - start) * i / HEMISPHERE_SEGMENTS;
+    return { halfWidth: radius * Math.sin(s / radius) * halfWidthFactor, y: s - start };
+  });
+  const right = side.map(point => ({ x: point.halfWidth, y: point.y }));
+  const left = side.slice().reverse().map(point => ({ x: -point.halfWidth, y: point.y }));
+  // 頂部の幅が 0 の点は左右で1点にまとめる
+  const outline = side[0].halfWidth > 0 ? [...right, ...left] : [...right, ...left.slice(0, -1)];
+  const skirt = side[side.length - 1];
+  return {
+    outline,
+    skirtCorners: [{ x: -skirt.halfWidth, y: skirt.y }, { x: skirt.halfWidth, y: skirt.y }]
+  };
+};
+
+// 十字形のキャノピー（中心が原点、腕の幅は全長の 1/3）
+const getCrossCanopy = (spec) => {
+  const half = spec.diameter * 1000 / 2;
+  const arm = half / 3;
+  const outline = [
+    { x: -arm, y: -half }, { x: arm, y: -half }, { x: arm, y: -arm }, { x: half, y: -arm },
+    { x: half, y: arm }, { x: arm, y: arm }, { x: arm, y: half }, { x: -arm, y: half },
+    { x: -arm, y: arm }, { x: -half, y: arm }, { x: -half, y: -arm }, { x: -arm, y: -arm }
+  ].map(point => ({ x: point.x, y: point.y + half }));
+  // 吊り索は各腕の先端の両角に付ける
+  const skirtCorners = outline.filter(point => Math.abs(point.x) === half || point.y === 0 || point.y === 2 * half);
+  return { outline, skirtCorners, spillHoleCenter: { x: 0, y: half } };
+};
+
+/**
+ * パラシュートの型紙
+ * @param {Object|string} parachute - 回収イベント（または サイズ名 'φ300'）
+ * @param {Object} [settings] - seamAllowance（縫い代 mm）、shroudLineRatio（吊り索の長さの直径に対する比）
+ * @returns {{spec: Object, outline: Array<{x, y}>, cutLine: Array<{x, y}>, attachmentPoints: Array<{x, y}>,
+ *   spillHole: {x: number, y: number, radius: number}|null, pieces: number, width: number, height: number,
+ *   shroudLines: {count: number, length: number}, seamAllowance: number}}
+ *   outline は縫い線、cutLine は縫い代を含む裁断線 (mm)。width・height は裁断線の外寸
+ */
+export const calculateGorePattern = (parachute, settings = {}) => {
+  const spec = resolveParachuteSpec(parachute);
+  const { seamAllowance, shroudLineRatio } = { ...DEFAULT_GORE_PATTERN_SETTINGS, ...settings };
+  const isCross = spec.canopy === 'cross';
+  const piece = isCross ? getCrossCanopy(spec)
+    : spec.canopy === 'flat' ? getFlatGore(spec) : getHemisphericalGore(spec);
+  const cutLine = offsetPolygon(piece.outline, seamAllowance);
+
+  // 裁断線の左上を原点に移す
+  const minX = Math.min(...cutLine.map(point => point.x));
+  const minY = Math.min(...cutLine.map(point => point.y));
+  const shift = (point) => ({ x: point.x - minX, y: point.y - minY });
+
+  return {
+    spec,
+    outline: piece.outline.map(shift),
+    cutLine: cutLine.map(shift),
+    attachmentPoints: piece.skirtCorners.map(shift),
+    // 十字形のスピルホールは中心の円（平面円形・半球形はゴアの頂部を切り取って作る）
+    spillHole: isCross && spec.spillHole > 0
+      ? { ...shift(piece.spillHoleCenter), radius: spec.spillHole * 1000 / 2 }
+      : null,
+    pieces: isCross ? 1 : spec.gores,
+    width: Math.max(...cutLine.map(point => point.x)) - minX,
+    height: Math.max(...cutLine.map(point => point.y)) - minY,
+    shroudLines: {
+      count: isCross ? piece.skirtCorners.length : spec.gores,
+      length: shroudLineRatio * spec.diameter * 1000
+    },
+    seamAllowance
+  };
+};
@@ -1,5 +1,13 @@
 // 既存の風速計算関数をインポート
-import { calculateWindSpeedAtHeight } from './RocketPhysics';
+import { calculateWindSpeedAtHeight, VERBOSE_LOGGING } from './RocketPhysics';
+import { createAtmosphere, getAtmosphereAt } from './RocketAtmosphere';
+import {
+  restoreRecoveryDevices, stepRecoveryDevices, getRecoveryDrag, getRecoveryWindArea, applyOpeningShock
+} from './RocketRecovery';
+import { createWindModel, applyWindVariation } from './RocketWind';
+
+// 未展開の回収装置（高度条件のメインなど）がある場合の降下計算の上限時間 (s)
+const MAX_DESCENT_TIME = 600;
 
 /**
  * シミュレーション結果から着地予測を計算するための関数
@@ -7,10 +15,12 @@ import { calculateWindSpeedAtHeight } from './RocketPhysics';
  * @param {Array} flightData - シミュレーションの飛行データ配列
  * @param {number} windSpeed - 風速 (m/s)
  * @param {string} windProfile - 風速プロファイルの種類
+ * @param {boolean} [verbose] - 詳細ログを出力するかどうか
  * @returns {Object} 着地予測情報
  */
-export const predictLanding = (rocketParams, flightData, windSpeed, windProfile) => {
-  console.log('predictLanding called with:', {
+export const predictLanding = (rocketParams, flightData, windSpeed, windProfile, verbose = VERBOSE_LOGGING) => {
+  const log = verbose ? console.log : () => {};
+  log('predictLanding called with:', {
     rocketParams: rocketParams ? 'present' : 'missing',
     flightDataType: typeof flightData,
     flightDataIsArray: Array.isArray(flightData),
@@ -23,7 +33,7 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
 
   // dataプロパティが存在する場合はそれを使用（オブジェクトとして渡された場合の対応）
   if (flightData && typeof flightData === 'object' && !Array.isArray(flightData) && flightData.data && Array.isArray(flightData.data)) {
-    console.log('Using data property from flight data object');
+    log('Using data property from flight data object');
     dataArray = flightData.data;
   }
 
@@ -70,8 +80,8 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
   const finalX = lastDataPoint.physicsX ?? 0;         // 水平位置 (m)
   const finalVx = lastDataPoint.vx ?? 0;              // 水平方向速度 (m/s)
   const finalVy = lastDataPoint.vy ?? 0;              // 垂直方向速度 (m/s)
-  const isParachuteActive = lastDataPoint.isParachuteActive ?? false;
-  const isParachuteEjected = lastDataPoint.isParachuteEjected ?? false;
+  let isParachuteActive = lastDataPoint.isParachuteActive ?? false;
+  let isParachuteEjected = lastDataPoint.isParachuteEjected ?? false;
 
   // 高度がない、またはすでに着地している場合
   if (finalHeight <= 0) {
@@ -83,9 +93,10 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
     };
   }
 
-  // パラシュートサイズを取得 (φ300 -> 300mm -> 0.3m)
-  const parachuteDiameter = rocketParams.selectedParachute ?
-    parseFloat(rocketParams.selectedParachute.replace('φ', '')) / 1000 : 0.3; // mm → m
+  // 回収装置の状態を飛行データの最終時点から引き継ぐ
+  const recoveryDevices = restoreRecoveryDevices(rocketParams, lastDataPoint.recoveryDevices);
+  // 降下中に放出条件（最高点・高度）を満たす装置が残っている場合は、着地まで放出・展開を計算する
+  const hasPendingDevice = recoveryDevices.some(device => !device.isActive && device.trigger !== 'motorDelay');
 
   // ボディパラメータを取得
   const bodyDiameter = rocketParams.bodyWidth / 1000; // mm → m
@@ -93,12 +104,12 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
 
   // 物理定数
   const g = 9.81;  // 重力加速度 (m/s²)
-  const PI = Math.PI;
-  const rho = 1.225; // 空気密度 (kg/m³)
+  const atmosphere = createAtmosphere(rocketParams.atmosphere); // 打ち上げ場所の大気モデル
+  const windModel = createWindModel(rocketParams.windVariation); // 突風と乱流（飛行計算と同じ時刻の風）
 
-  // ロケットの質量（グラムからキログラムに変換）
-  const mass_kg = rocketParams.weight * 0.001; // kg
-  console.log('Using rocket mass:', mass_kg, 'kg');
+  // ロケットの質量（飛行データの最終点の推進剤消費後の質量、グラムからキログラムに変換）
+  const mass_kg = (lastDataPoint.mass ?? rocketParams.weight) * 0.001; // kg
+  log('Using rocket mass:', mass_kg, 'kg');
 
   // パラシュート展開済みの場合の降下速度（一定と仮定）
   // パラシュート降下時の終端速度
@@ -108,7 +119,7 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
   const safeTerminalVelocity = parachuteTerminalVelocity > 0.5 ? parachuteTerminalVelocity : 5.0;
 
   // 残りの降下時間を推定（パラシュート展開済みなら終端速度を使用）
-  const timeToLanding = finalHeight / safeTerminalVelocity;
+  let timeToLanding = finalHeight / safeTerminalVelocity;
 
   // 降下中の水平方向の移動を計算
   // 高度に応じた風の影響を詳細に計算
@@ -118,13 +129,19 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
   let currentX = finalX;
   let currentVx = finalVx;
   let currentVy = finalVy || -safeTerminalVelocity; // 垂直速度が不明の場合は終端速度を使用
-  let remainingTime = timeToLanding;
+  let remainingTime = hasPendingDevice ? MAX_DESCENT_TIME : timeToLanding;
+  let currentTime = lastDataPoint.time ?? 0;
 
   try {
     // 着地までの移動をシミュレーション
     while (currentHeight > 0 && remainingTime > 0) {
       // 現在の高度における風速を計算
-      const effectiveWindSpeed = calculateWindSpeedAtHeight(windSpeed, currentHeight, windProfile);
+      const effectiveWindSpeed = applyWindVariation(
+        windModel, currentTime, calculateWindSpeedAtHeight(windSpeed, currentHeight, windProfile)
+      ).speed;
+
+      // 現在の高度における空気密度 (kg/m³)
+      const rho = getAtmosphereAt(atmosphere, currentHeight).density;
 
       // 現在の速度の大きさ
       const velocity = Math.sqrt(currentVx * currentVx + currentVy * currentVy);
@@ -135,10 +152,8 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
 
       if (isParachuteActive) {
         // パラシュート完全展開時の計算
-        // パラシュートの抗力計算
-        const Cd = 0.775; // パラシュートの抗力係数
-        const Area = PI * Math.pow(parachuteDiameter / 2, 2);
-        const Dp = 0.5 * Cd * rho * velocity * velocity * Area;
+        // パラシュートの抗力計算（開傘している全装置の合計）
+        const Dp = getRecoveryDrag(recoveryDevices, rho, velocity);
 
         // 速度方向への抗力
         if (velocity > 0.001) {
@@ -148,7 +163,7 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
 
         // 横風の影響を追加
         const Cdw = 0.25; // 横風の抗力係数
-        const S = parachuteDiameter * parachuteDiameter * 0.785; // パラシュートの投影面積
+        const S = getRecoveryWindArea(recoveryDevices); // パラシュートの投影面積
         const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
         Fx -= Dw; // 横風の影響を追加
       }
@@ -189,8 +204,8 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
         Fx -= Dw * 0.2; // 横風の影響をさらに小さく
       }
 
-      // 重力の追加（パラシュート完全展開時以外）
-      if (!isParachuteActive) {
+      // 重力の追加（パラシュート完全展開時は終端速度で降下するため除く。放出・展開を計算する場合は常に加える）
+      if (!isParachuteActive || hasPendingDevice) {
         Fy -= mass_kg * g;
       }
 
@@ -203,7 +218,7 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
       currentVy = currentVy + ay * dt;
 
       // パラシュート展開時は終端速度に制限
-      if (isParachuteActive && currentVy < -safeTerminalVelocity) {
+      if (isParachuteActive && !hasPendingDevice && currentVy < -safeTerminalVelocity) {
         currentVy = -safeTerminalVelocity;
       }
 
@@ -218,15 +233,38 @@ export const predictLanding = (rocketParams, flightData, windSpeed, windProfile)
 
       // 残り時間の更新
       remainingTime -= dt;
+      currentTime += dt;
+
+      // 回収装置の放出・展開（燃焼とモーターの放出遅延は飛行データの範囲で終了している）
+      if (hasPendingDevice) {
+        const wasActive = isParachuteActive;
+        const recoveryUpdate = stepRecoveryDevices(recoveryDevices, {
+          time: currentTime, height: currentHeight, vy: currentVy, motorEjectionTime: Infinity, thrustEndTime: -Infinity
+        });
+        isParachuteEjected = recoveryDevices.some(device => device.isEjected);
+        isParachuteActive = recoveryDevices.some(device => device.isActive);
+
+        if (recoveryUpdate.activated.length > 0) {
+          const shock = applyOpeningShock(currentVx, currentVy, recoveryDevices, wasActive, mass_kg,
+            getAtmosphereAt(atmosphere, currentHeight).density);
+          currentVx = shock.vx;
+          currentVy = shock.vy;
+        }
+      }
     }
   } catch (error) {
     console.error('Error in landing prediction calculation:', error);
     // エラー発生時も最終位置を返す
   }
 
+  // 放出・展開を計算した場合は実際に降下した時間
+  if (hasPendingDevice) {
+    timeToLanding = currentTime - (lastDataPoint.time ?? 0);
+  }
+
   // 予測着地地点
   const predictedLandingX = currentX;
-  console.log('Predicted landing point:', {
+  log('Predicted landing point:', {
     x: predictedLandingX,
     distance: Math.abs(predictedLandingX),
     time: timeToLanding
@@ -261,8 +299,11 @@ function defaultLandingPrediction() {
  * @returns {Object} 着地予測を含む飛行シミュレーション結果
  */
 export const calculateFlightPathWithLanding = (calculateFlightPath, rocketParams, angle, windSpeed, windProfile, config) => {
+  const verbose = config?.verbose ?? VERBOSE_LOGGING;
+  const log = verbose ? console.log : () => {};
+
   try {
-    console.log('calculateFlightPathWithLanding called with:', {
+    log('calculateFlightPathWithLanding called with:', {
       rocketParamsExist: !!rocketParams,
       angle,
       windSpeed,
@@ -279,7 +320,7 @@ export const calculateFlightPathWithLanding = (calculateFlightPath, rocketParams
     }
 
     // rocketParamsとflightResult.dataを正しく渡す
-    const landingPrediction = predictLanding(rocketParams, flightResult.data, windSpeed, windProfile);
+    const landingPrediction = predictLanding(rocketParams, flightResult.data, windSpeed, windProfile, verbose);
 
     // 最終のデータポイントの時間を取得
     const lastTimePoint = flightResult.data && Array.isArray(flightResult.data) && flightResult.data.length > 0 ?
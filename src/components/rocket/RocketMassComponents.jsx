@@ -0,0 +1,161 @@
+// 部品リストによる質量・重心・慣性モーメントの計算
+// 寸法から求める部品（ノーズ・ボディチューブ・フィン・モーターマウント・モーター）は材料の密度と肉厚から質量と位置を求め、
+// それ以外の部品（回収装置・バラスト・ペイロード）は入力した質量と重心位置の質点とする
+// 位置はすべてノーズ先端からの距離 (mm)、質量は g
+import {
+  MASS_COMPONENT_TYPES, STRUCTURE_MATERIALS, FIN_MATERIALS, DEFAULT_MASS_OVERRIDES, getFinAngles
+} from './RocketConstants';
+import { getNoseProfile } from './RocketNoseCone';
+import { getBodySections, getFinMount } from './RocketBodyComponents';
+import { calculateFinPlanform } from './RocketFinPlanform';
+
+// 円筒・円錐台の殻を機体軸方向に分割する数
+const SHELL_SLICES = 20;
+
+// モーターのデータがない場合の寸法 (mm)
+const DEFAULT_MOTOR_DIAMETER = 18;
+const DEFAULT_MOTOR_LENGTH = 70;
+
+// 密度 (kg/m³) を g/mm³ に変換
+const toGramsPerCubicMillimeter = (density) => density * 1e-6;
+
+// 質点の質量・一次モーメント・ノーズ先端まわりの慣性モーメント (g, g·mm, g·mm²)
+const pointMass = (mass, position, ownInertia = 0) => ({
+  mass,
+  moment: mass * position,
+  inertia: ownInertia + mass * position * position
+});
+
+const sumMass = (items) => items.reduce((sum, item) => ({
+  mass: sum.mass + item.mass,
+  moment: sum.moment + item.moment,
+  inertia: sum.inertia + item.inertia
+}), { mass: 0, moment: 0, inertia: 0 });
+
+// 輪郭の点列 [{x, r}] を回転させた薄い殻（肉厚 t、密度 ρ）を輪の集まりとして積分する
+// 輪の横軸まわりの慣性モーメントは dm·r²/2
+const integrateShell = (profile, wallThickness, density) =>
+  sumMass(profile.slice(1).map((point, i) => {
+    const previous = profile[i];
+    const x = (point.x + previous.x) / 2;
+    const r = (point.r + previous.r) / 2;
+    const slant = Math.hypot(point.x - previous.x, point.r - previous.r);
+    const mass = 2 * Math.PI * r * slant * wallThickness * toGramsPerCubicMillimeter(density);
+    return pointMass(mass, x, mass * r * r / 2);
+  }));
+
+// 位置 from から to まで半径 r1 から r2 に変わる殻の輪郭
+const sliceShell = (from, to, r1, r2) =>
+  Array.from({ length: SHELL_SLICES + 1 }, (_, i) => ({
+    x: from + (to - from) * i / SHELL_SLICES,
+    r: r1 + (r2 - r1) * i / SHELL_SLICES
+  }));
+
+const getMaterialDensity = (component) =>
+  (STRUCTURE_MATERIALS[component.material] || STRUCTURE_MATERIALS.paper).density;
+
+// 寸法から求める部品の質量と慣性モーメント
+const calculateGeometryMass = (geometry, component, params, motor) => {
+  const aftEnd = params.noseHeight + params.bodyHeight;
+  const motorDiameter = motor?.diameter || DEFAULT_MOTOR_DIAMETER;
+  const motorLength = motor?.length || DEFAULT_MOTOR_LENGTH;
+
+  switch (geometry) {
+    case 'nose':
+      return integrateShell(
+        getNoseProfile(params.noseShape, params.noseHeight, params.bodyWidth / 2),
+        component.wallThickness, getMaterialDensity(component)
+      );
+    case 'body':
+      return sumMass(getBodySections(params).map(section => integrateShell(
+        sliceShell(section.position, section.position + section.length, section.foreDiameter / 2, section.aftDiameter / 2),
+        component.wallThickness, getMaterialDensity(component)
+      )));
+    case 'motorMount':
+      return integrateShell(
+        sliceShell(aftEnd - motorLength, aftEnd, motorDiameter / 2, motorDiameter / 2),
+        component.wallThickness, getMaterialDensity(component)
+      );
+    case 'motor': {
+      // 全質量の中実円柱
+      const mass = motor?.totalMass || 0;
+      const radius = motorDiameter / 2;
+      return pointMass(mass, aftEnd - motorLength / 2, mass * (radius * radius / 4 + motorLength * motorLength / 12));
+    }
+    case 'fins': {
+      // 平面形の面積と厚さ・フィン材質の密度から1枚の質量を求め、取り付け角ごとに横軸からの距離を考える
+      const planform = calculateFinPlanform(params);
+      const finMaterial = FIN_MATERIALS[params.finMaterial] || FIN_MATERIALS.light_veneer;
+      const finMass = planform.area * params.finThickness * toGramsPerCubicMillimeter(finMaterial.MD);
+      const mountRadius = getFinMount(params).diameter / 2;
+      const position = getFinMount(params).rootLeadingEdge + planform.centroidX;
+      const chordExtent = planform.rootChord + planform.leadingEdgeExtension + planform.trailingEdgeExtension;
+      return sumMass(getFinAngles(params.finCount).map(angle => {
+        const projection = Math.abs(Math.sin(angle));
+        const lateralOffset = (mountRadius + planform.centroidSpan) * projection;
+        const ownInertia = finMass * (chordExtent * chordExtent / 12 +
+          Math.pow(planform.span * projection, 2) / 12 + lateralOffset * lateralOffset);
+        return pointMass(finMass, position, ownInertia);
+      }));
+    }
+    default:
+      return pointMass(0, 0);
+  }
+};
+
+/**
+ * 部品リストから質量・重心位置・ピッチ慣性モーメントを求める
+ * @param {Object} params - 機体のパラメータ（massComponents を含む）
+ * @param {Object} [motor] - モーターデータ（直径・長さ・全質量）
+ * @returns {{parts: Array<Object>, weight: number, centerOfGravity: number, momentOfInertia: number}}
+ *   部品ごとの質量 (g)・重心位置 (mm) と、機体全体の質量 (g)・重心位置 (mm)・重心まわりの慣性モーメント (kg·m²)
+ */
+export const calculateComponentMassProperties = (params, motor) => {
+  const components = Array.isArray(params.massComponents) ? params.massComponents : [];
+  const results = components.map(component => {
+    const geometry = MASS_COMPONENT_TYPES[component.type]?.geometry;
+    return geometry && component.source === 'material'
+      ? calculateGeometryMass(geometry, component, params, motor)
+      : pointMass(component.mass || 0, component.position || 0);
+  });
+  const parts = components.map((component, index) => ({
+    ...component,
+    name: component.name || MASS_COMPONENT_TYPES[component.type]?.name || component.type,
+    mass: results[index].mass,
+    position: results[index].mass > 0 ? results[index].moment / results[index].mass : component.position || 0
+  }));
+
+  const total = sumMass(results);
+  const centerOfGravity = total.mass > 0 ? total.moment / total.mass : 0;
+  return {
+    parts,
+    weight: total.mass,
+    centerOfGravity,
+    // ノーズ先端まわりから重心まわりに移す（g·mm² → kg·m²）
+    momentOfInertia: Math.max(0, total.inertia - total.mass * centerOfGravity * centerOfGravity) * 1e-9
+  };
+};
+
+/**
+ * 部品リストがある場合に、質量・重心位置・ピッチ慣性モーメント (pitchInertia) を部品リストの値（実測値があれば実測値）にする
+ * 質量だけを実測値にした場合、慣性モーメントの計算値は質量の比で補正する
+ * @param {Object} params - 機体のパラメータ（massComponents, massOverrides を含む）
+ * @param {Object} [motor] - モーターデータ
+ * @returns {Object} weight, centerOfGravity, pitchInertia を置き換えたパラメータ（部品リストがないか質量の合計が0ならそのまま）
+ */
+export const applyMassComponents = (params, motor) => {
+  if (!Array.isArray(params.massComponents) || params.massComponents.length === 0) return params;
+
+  // 質量の合計が 0 の部品リストは入力の検証でエラーにしている（ここでは入力した機体質量と重心位置のまま）
+  const computed = calculateComponentMassProperties(params, motor);
+  if (computed.weight <= 0) return params;
+
+  const overrides = { ...DEFAULT_MASS_OVERRIDES, ...(params.massOverrides || {}) };
+  const weight = overrides.weight ?? computed.weight;
+  return {
+    ...params,
+    weight,
+    centerOfGravity: overrides.centerOfGravity ?? computed.centerOfGravity,
+    pitchInertia: overrides.momentOfInertia ?? computed.momentOfInertia * weight / computed.weight
+  };
+};
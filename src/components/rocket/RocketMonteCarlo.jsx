@@ -0,0 +1,160 @@
+// モンテカルロ分散解析
+// 風速・風向・突風・発射角度・質量・重心・モーターの総力積・放出遅延を許容差の範囲でばらつかせて N 回飛行を計算し、
+// 最高高度と着地点の統計、着地点の 95% 楕円を求める
+import { DEFAULT_MONTE_CARLO_TOLERANCES, DEFAULT_MONTE_CARLO_SETTINGS, MAX_MONTE_CARLO_RUNS } from './RocketConstants';
+import { calculateFlightPathWithLanding } from './RocketLandingPrediction';
+import { calculateMultiStageFlightPath } from './RocketStaging';
+import { resolveMotor } from './RocketMotors';
+import { createRandom, gaussian } from './RocketRandom';
+
+// 自由度2のカイ二乗分布の 95% 点（着地点の 95% 楕円の大きさ）
+const CHI_SQUARE_95_2DOF = 5.991;
+
+// ±tolerance の範囲のばらつき（tolerance を 3σ とする正規分布を ±tolerance で打ち切る）
+const sampleTolerance = (random, tolerance) => {
+  if (!(tolerance > 0)) return 0;
+  return Math.max(-tolerance, Math.min(tolerance, gaussian(random) * tolerance / 3));
+};
+
+// 総力積を scale 倍、放出遅延を delayOffset 秒ずらしたモーター
+const perturbMotor = (motor, scale, delayOffset) => ({
+  ...motor,
+  thrustCurve: motor.thrustCurve.map(point => ({ ...point, thrust: point.thrust * scale })),
+  totalImpulse: motor.totalImpulse * scale,
+  averageThrust: motor.averageThrust * scale,
+  maxThrust: motor.maxThrust * scale,
+  delay: Number.isFinite(motor.delay) ? Math.max(0, motor.delay + delayOffset) : motor.delay
+});
+
+// 平均・標準偏差・最小・最大・百分位点
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return { mean: 0, std: 0, min: 0, max: 0, p5: 0, p50: 0, p95: 0 };
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1 ? sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1) : 0;
+  const percentile = (p) => {
+    const position = (n - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(n - 1, lower + 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[n - 1],
+    p5: percentile(0.05),
+    p50: percentile(0.5),
+    p95: percentile(0.95)
+  };
+};
+
+/**
+ * 着地点の 95% 楕円（共分散行列の固有値・固有ベクトルから求める）
+ * @param {Array<{x: number, y: number}>} points - 着地点 (m)
+ * @returns {Object} 中心・長半径・短半径 (m)・長軸の向き (度、x 軸から反時計回り)・面積 (m²)
+ */
+export const calculateConfidenceEllipse = (points) => {
+  const n = points.length;
+  if (n < 2) {
+    const center = points[0] || { x: 0, y: 0 };
+    return { centerX: center.x, centerY: center.y, semiMajor: 0, semiMinor: 0, angle: 0, area: 0 };
+  }
+
+  const centerX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const centerY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + Math.pow(p.x - centerX, 2), 0) / (n - 1);
+  const syy = points.reduce((sum, p) => sum + Math.pow(p.y - centerY, 2), 0) / (n - 1);
+  const sxy = points.reduce((sum, p) => sum + (p.x - centerX) * (p.y - centerY), 0) / (n - 1);
+
+  const mean = (sxx + syy) / 2;
+  const spread = Math.sqrt(Math.pow((sxx - syy) / 2, 2) + sxy * sxy);
+  const semiMajor = Math.sqrt(CHI_SQUARE_95_2DOF * Math.max(0, mean + spread));
+  const semiMinor = Math.sqrt(CHI_SQUARE_95_2DOF * Math.max(0, mean - spread));
+
+  return {
+    centerX,
+    centerY,
+    semiMajor,
+    semiMinor,
+    angle: 0.5 * Math.atan2(2 * sxy, sxx - syy) * 180 / Math.PI,
+    area: Math.PI * semiMajor * semiMinor
+  };
+};
+
+/**
+ * モンテカルロ分散解析を実行する
+ * 飛行は2次元で計算するため、各試行の風向の面内で飛行させ、着地点を風向に合わせて回転して地上の2次元座標に置く
+ * （x 軸が基準の風下方向、y 軸がその左側）
+ * @param {Object} rocketParams - simulationParams と同じ形のパラメータ
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 基準の打ち上げ条件
+ * @param {Object} [settings] - { runs, seed, tolerances }（省略した項目は既定値）
+ * @param {Object} [config] - calculateFlightPath の設定オブジェクト
+ * @returns {Object} 各試行の結果 (samples)、統計 (statistics)、着地点の 95% 楕円 (landingEllipse)
+ */
+export const runMonteCarlo = (rocketParams, environment, settings = {}, config = {}) => {
+  const runs = Math.max(1, Math.min(MAX_MONTE_CARLO_RUNS, Math.round(settings.runs ?? DEFAULT_MONTE_CARLO_SETTINGS.runs)));
+  const seed = settings.seed ?? DEFAULT_MONTE_CARLO_SETTINGS.seed;
+  const tolerances = { ...DEFAULT_MONTE_CARLO_TOLERANCES, ...(settings.tolerances || {}) };
+  const random = createRandom(seed);
+  const motor = resolveMotor(rocketParams);
+  // 突風は基準の風向きに加える（無風なら左から右）
+  const gustDirection = environment.windSpeed < 0 ? -1 : 1;
+
+  const samples = [];
+  for (let index = 0; index < runs; index++) {
+    const windSpeed = environment.windSpeed + sampleTolerance(random, tolerances.windSpeed) +
+      gustDirection * random() * Math.max(0, tolerances.gust);
+    const windDirection = sampleTolerance(random, tolerances.windDirection);
+    const launchAngle = environment.launchAngle + sampleTolerance(random, tolerances.launchAngle);
+    const weight = rocketParams.weight + sampleTolerance(random, tolerances.weight);
+    const centerOfGravity = rocketParams.centerOfGravity + sampleTolerance(random, tolerances.centerOfGravity);
+    const impulseScale = 1 + sampleTolerance(random, tolerances.motorImpulse) / 100;
+    const delayOffset = sampleTolerance(random, tolerances.ejectionDelay);
+    const runMotor = perturbMotor(motor, impulseScale, delayOffset);
+
+    const flight = calculateFlightPathWithLanding(
+      calculateMultiStageFlightPath,
+      { ...rocketParams, weight, centerOfGravity, motor: runMotor, selectedMotor: runMotor.id, launchAngle, windSpeed },
+      launchAngle,
+      windSpeed,
+      environment.windProfile,
+      { ...config, verbose: false }
+    );
+
+    const landingX = flight.landing?.landingX ?? 0;
+    const direction = windDirection * Math.PI / 180;
+    samples.push({
+      index,
+      windSpeed,
+      windDirection,
+      launchAngle,
+      weight,
+      centerOfGravity,
+      motorImpulse: runMotor.totalImpulse,
+      ejectionDelay: runMotor.delay,
+      apogee: flight.maxHeight ?? 0,
+      landingX: landingX * Math.cos(direction),
+      landingY: landingX * Math.sin(direction),
+      landingDistance: Math.abs(landingX),
+      flightTime: flight.landing?.totalFlightTime ?? 0,
+      isStable: flight.angleStability?.isStabilityOverallOK ?? false
+    });
+  }
+
+  return {
+    runs,
+    seed,
+    tolerances,
+    samples,
+    statistics: {
+      apogee: summarize(samples.map(sample => sample.apogee)),
+      landingDistance: summarize(samples.map(sample => sample.landingDistance)),
+      flightTime: summarize(samples.map(sample => sample.flightTime)),
+      stableRatio: samples.filter(sample => sample.isStable).length / samples.length
+    },
+    landingEllipse: calculateConfidenceEllipse(samples.map(sample => ({ x: sample.landingX, y: sample.landingY })))
+  };
+};
@@ -0,0 +1,264 @@
+// モーターデータベース（標準モーター + RASP .eng から取り込んだユーザーモーター）
+import {
+  MOTOR_THRUST_DATA, MOTOR_SPECS, MOTOR_THRUST_SAMPLE_DT, DEFAULT_MOTOR_ID
+} from './RocketConstants';
+
+// ユーザーモーターを保存する localStorage のキー
+const USER_MOTOR_STORAGE_KEY = 'userMotorLibrary';
+
+// 推力曲線から燃焼時間・総力積などの諸量を求めてモーターオブジェクトを作る
+const createMotor = ({ id, name, manufacturer, diameter, length, delay, propellantMass, totalMass, thrustCurve, source }) => {
+  // 時刻順に並べ、0秒の点がなければ推力0から立ち上がるものとする
+  const curve = [...thrustCurve].sort((a, b) => a.time - b.time);
+  if (curve.length === 0 || curve[0].time > 0) {
+    curve.unshift({ time: 0, thrust: 0 });
+  }
+
+  let totalImpulse = 0;
+  let maxThrust = 0;
+  for (let i = 0; i < curve.length; i++) {
+    maxThrust = Math.max(maxThrust, curve[i].thrust);
+    if (i > 0) {
+      totalImpulse += (curve[i].thrust + curve[i - 1].thrust) / 2 * (curve[i].time - curve[i - 1].time);
+    }
+  }
+  const burnTime = curve[curve.length - 1].time;
+
+  return {
+    id,
+    name,
+    manufacturer: manufacturer || '',
+    diameter, // 直径 (mm)
+    length, // 全長 (mm)
+    delay, // 推力終了から放出までの遅延 (s)、プラグ (放出なし) は null
+    propellantMass, // 推進剤質量 (g)
+    totalMass, // 全質量 (g)
+    thrustCurve: curve, // [{ time (s), thrust (N) }]
+    burnTime, // 燃焼時間 (s)
+    totalImpulse, // 総力積 (N·s)
+    averageThrust: burnTime > 0 ? totalImpulse / burnTime : 0, // 平均推力 (N)
+    maxThrust, // 最大推力 (N)
+    source // 'builtin' | 'eng'
+  };
+};
+
+// 標準モーター（0.02秒ごとの推力データから推力曲線を作成）
+export const BUILTIN_MOTORS = Object.fromEntries(
+  Object.entries(MOTOR_THRUST_DATA).map(([id, samples]) => {
+    const thrustCurve = samples.map((thrust, i) => ({ time: i * MOTOR_THRUST_SAMPLE_DT, thrust }));
+    // 最終サンプルの区間の終わりで推力0とする
+    thrustCurve.push({ time: samples.length * MOTOR_THRUST_SAMPLE_DT, thrust: 0 });
+
+    return [id, createMotor({
+      id,
+      name: id.split('-')[0],
+      ...MOTOR_SPECS[id],
+      delay: parseInt(id.split('-')[1]),
+      thrustCurve,
+      source: 'builtin'
+    })];
+  })
+);
+
+// RASP .eng ファイルを解析する（1ファイルに複数モーターがあれば全て返す）
+// ヘッダー行: 名前 直径(mm) 全長(mm) 遅延(例 3-5-7, P) 推進剤質量(kg) 全質量(kg) メーカー
+export const parseEngFile = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('.engファイルが空です');
+  }
+
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.replace(/;.*$/, '').trim())
+    .filter(line => line !== '');
+
+  const motors = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    if (current.thrustCurve.length < 2) {
+      throw new Error(`${current.name}: 推力データが不足しています`);
+    }
+    motors.push(current);
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    const fields = line.split(/\s+/);
+    const isDataLine = fields.length === 2 && fields.every(f => !isNaN(Number(f)));
+
+    if (!isDataLine) {
+      finish();
+      if (fields.length < 7) {
+        throw new Error(`ヘッダー行の形式が不正です (${index + 1}行目): ${line}`);
+      }
+      const [name, diameter, length, delays, propellantMass, totalMass, ...manufacturer] = fields;
+      const numbers = [diameter, length, propellantMass, totalMass].map(Number);
+      if (numbers.some(n => isNaN(n))) {
+        throw new Error(`ヘッダー行の数値が不正です (${index + 1}行目): ${line}`);
+      }
+      current = {
+        name,
+        diameter: numbers[0],
+        length: numbers[1],
+        delays: delays.split('-').filter(d => d !== ''),
+        propellantMass: numbers[2] * 1000, // kg → g
+        totalMass: numbers[3] * 1000, // kg → g
+        manufacturer: manufacturer.join(' '),
+        thrustCurve: []
+      };
+      return;
+    }
+
+    if (!current) {
+      throw new Error(`ヘッダー行の前に推力データがあります (${index + 1}行目)`);
+    }
+    const [time, thrust] = fields.map(Number);
+    current.thrustCurve.push({ time, thrust: Math.max(0, thrust) });
+  });
+  finish();
+
+  if (motors.length === 0) {
+    throw new Error('.engファイルにモーターが含まれていません');
+  }
+
+  return motors;
+};
+
+// 解析したモーターを遅延時間ごとの選択肢に展開する（例: C6 3-5-7 → C6-3, C6-5, C6-7）
+export const createMotorsFromEng = (text) => {
+  return parseEngFile(text).flatMap(parsed => {
+    const delays = parsed.delays.length > 0 ? parsed.delays : ['P'];
+
+    return delays.map(delayText => {
+      const delay = /^\d+(\.\d+)?$/.test(delayText) ? Number(delayText) : null;
+      let id = `${parsed.name}-${delay === null ? 'P' : delayText}`;
+      // 標準モーターと名前が重なる場合はメーカー名を付けて区別する
+      if (BUILTIN_MOTORS[id]) {
+        id = `${parsed.manufacturer || 'User'} ${id}`;
+      }
+
+      return createMotor({
+        id,
+        name: parsed.name,
+        manufacturer: parsed.manufacturer,
+        diameter: parsed.diameter,
+        length: parsed.length,
+        delay,
+        propellantMass: parsed.propellantMass,
+        totalMass: parsed.totalMass,
+        thrustCurve: parsed.thrustCurve,
+        source: 'eng'
+      });
+    });
+  });
+};
+
+// localStorage が使えない環境（Node など）では空のライブラリとして扱う
+const getStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ユーザーモーターライブラリの読み込み
+export const loadUserMotors = () => {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  try {
+    const saved = JSON.parse(storage.getItem(USER_MOTOR_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(motor => motor && motor.id && Array.isArray(motor.thrustCurve)) : [];
+  } catch (error) {
+    console.error('ユーザーモーターライブラリの読み込みに失敗しました:', error);
+    return [];
+  }
+};
+
+// ユーザーモーターライブラリの保存
+export const saveUserMotors = (motors) => {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(USER_MOTOR_STORAGE_KEY, JSON.stringify(motors));
+  } catch (error) {
+    console.error('ユーザーモーターライブラリの保存に失敗しました:', error);
+  }
+};
+
+// .eng ファイルの内容をユーザーモーターライブラリに追加する（同じIDは置き換え）
+export const addUserMotorsFromEng = (text) => {
+  const added = createMotorsFromEng(text);
+  const addedIds = new Set(added.map(motor => motor.id));
+  const motors = [...loadUserMotors().filter(motor => !addedIds.has(motor.id)), ...added];
+  saveUserMotors(motors);
+  return added;
+};
+
+// ユーザーモーターの削除
+export const removeUserMotor = (id) => {
+  const motors = loadUserMotors().filter(motor => motor.id !== id);
+  saveUserMotors(motors);
+  return motors;
+};
+
+// 選択可能な全モーター（標準 + ユーザー）
+export const getAvailableMotors = (userMotors = loadUserMotors()) => ({
+  ...BUILTIN_MOTORS,
+  ...Object.fromEntries(userMotors.map(motor => [motor.id, motor]))
+});
+
+// IDからモーターを取得（見つからなければ null）
+export const getMotor = (id, userMotors) => {
+  if (BUILTIN_MOTORS[id]) return BUILTIN_MOTORS[id];
+  return getAvailableMotors(userMotors)[id] || null;
+};
+
+// 計算パラメータからモーターを決定する（motor オブジェクトを優先し、なければ selectedMotor のID）
+export const resolveMotor = (rocketParams) => {
+  if (rocketParams?.motor?.thrustCurve) return rocketParams.motor;
+
+  const motor = getMotor(rocketParams?.selectedMotor);
+  if (!motor) {
+    console.warn(`モーター ${rocketParams?.selectedMotor} が見つかりません。${DEFAULT_MOTOR_ID} を使用します`);
+    return BUILTIN_MOTORS[DEFAULT_MOTOR_ID];
+  }
+  return motor;
+};
+
+// 時刻 time (s) の推力 (N) を推力曲線から線形補間で求める
+export const getThrustAtTime = (motor, time) => {
+  const curve = motor?.thrustCurve;
+  if (!curve || curve.length === 0 || time < 0 || time > motor.burnTime) return 0;
+
+  for (let i = 1; i < curve.length; i++) {
+    if (time <= curve[i].time) {
+      const prev = curve[i - 1];
+      const span = curve[i].time - prev.time;
+      if (span <= 0) return curve[i].thrust;
+      return prev.thrust + (curve[i].thrust - prev.thrust) * (time - prev.time) / span;
+    }
+  }
+  return 0;
+};
+
+// 時刻 time (s) までに消費した推進剤の割合（燃焼済みの力積 / 総力積、0〜1）
+export const getBurnedFraction = (motor, time) => {
+  const curve = motor?.thrustCurve;
+  if (!curve || curve.length < 2 || !(motor.totalImpulse > 0) || time <= 0) return 0;
+  if (time >= motor.burnTime) return 1;
+
+  let impulse = 0;
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1];
+    if (time <= prev.time) break;
+    const end = Math.min(time, curve[i].time);
+    const endThrust = end === curve[i].time ? curve[i].thrust : getThrustAtTime(motor, end);
+    impulse += (prev.thrust + endThrust) / 2 * (end - prev.time);
+  }
+  return Math.min(1, impulse / motor.totalImpulse);
+};
@@ -0,0 +1,98 @@
+// ノーズコーンの形状（円錐・放物線・タンジェント/セカントオジブ・楕円・べき級数・Haack 級数）
+// 輪郭の式 r(x)（x はノーズ先端から機体軸方向の距離）を数値積分して、側面投影面積・体積・浸辺面積・圧力中心を求める
+import { NOSE_SHAPES } from './RocketConstants';
+
+// 数値積分の分割数
+const NOSE_SEGMENTS = 200;
+
+// ノーズ形状の定義（未知の値はタンジェントオジブ）
+const getNoseShape = (noseShape) => NOSE_SHAPES[noseShape] || NOSE_SHAPES.ogive;
+
+/**
+ * ノーズ先端から x (mm) の位置でのノーズ半径
+ * @param {string} noseShape - ノーズ形状 (NOSE_SHAPES のキー)
+ * @param {number} x - ノーズ先端からの距離 (mm)
+ * @param {number} noseHeight - ノーズ長さ L (mm)
+ * @param {number} radius - ノーズ後端の半径 R (mm)
+ * @returns {number} 半径 (mm)
+ */
+export const getNoseRadiusAt = (noseShape, x, noseHeight, radius) => {
+  const shape = getNoseShape(noseShape);
+  const ratio = Math.min(1, Math.max(0, x / noseHeight));
+
+  let r;
+  if (shape.profile === 'power') {
+    r = radius * Math.pow(ratio, shape.power);
+  } else if (shape.profile === 'elliptical') {
+    r = radius * Math.sqrt(1 - Math.pow(1 - ratio, 2));
+  } else if (shape.profile === 'haack') {
+    // r = R/√π · √(θ - sin2θ/2 + C·sin³θ)、θ = arccos(1 - 2x/L)
+    const theta = Math.acos(1 - 2 * ratio);
+    r = radius / Math.sqrt(Math.PI) *
+      Math.sqrt(Math.max(0, theta - Math.sin(2 * theta) / 2 + shape.haackC * Math.pow(Math.sin(theta), 3)));
+  } else {
+    // 円弧のオジブ: 円弧半径 ρ、α = arctan(R/L) - arccos(√(L² + R²)/(2ρ))
+    // r = √(ρ² - (ρ cos α - x)²) + ρ sin α（ρ がタンジェントオジブの半径 (R² + L²)/(2R) のとき胴体に接する）
+    const rho = shape.radiusRatio * (radius * radius + noseHeight * noseHeight) / (2 * radius);
+    const alpha = Math.atan(radius / noseHeight) -
+      Math.acos(Math.min(1, Math.sqrt(noseHeight * noseHeight + radius * radius) / (2 * rho)));
+    const xs = ratio * noseHeight;
+    r = Math.sqrt(Math.max(0, rho * rho - Math.pow(rho * Math.cos(alpha) - xs, 2))) + rho * Math.sin(alpha);
+  }
+  return Math.min(radius, Math.max(0, r));
+};
+
+/**
+ * ノーズの輪郭（先端から後端までの点列）
+ * @param {string} noseShape - ノーズ形状 (NOSE_SHAPES のキー)
+ * @param {number} noseHeight - ノーズ長さ (mm)
+ * @param {number} radius - ノーズ後端の半径 (mm)
+ * @param {number} [segments] - 分割数
+ * @returns {Array<{x: number, r: number}>} 先端からの距離と半径 (mm)
+ */
+export const getNoseProfile = (noseShape, noseHeight, radius, segments = NOSE_SEGMENTS) =>
+  Array.from({ length: segments + 1 }, (_, i) => {
+    const x = noseHeight * i / segments;
+    return { x, r: getNoseRadiusAt(noseShape, x, noseHeight, radius) };
+  });
+
+// 直前に計算したノーズの形状（飛行計算の各ステップで同じ形状を繰り返し計算しないため）
+let geometryCache = { key: null, geometry: null };
+
+/**
+ * ノーズの側面投影面積・体積・浸辺面積・圧力中心
+ * 圧力中心は Barrowman 法の Xcp = L - V/A（A: ノーズ後端の断面積）
+ * @param {string} noseShape - ノーズ形状 (NOSE_SHAPES のキー)
+ * @param {number} noseHeight - ノーズ長さ (mm)
+ * @param {number} radius - ノーズ後端の半径 (mm)
+ * @returns {{sideArea: number, volume: number, wetArea: number, cp: number}} (mm², mm³, mm², ノーズ先端から mm)
+ */
+export const calculateNoseGeometry = (noseShape, noseHeight, radius) => {
+  const key = `${noseShape}:${noseHeight}:${radius}`;
+  if (geometryCache.key === key) return geometryCache.geometry;
+
+  const profile = getNoseProfile(noseShape, noseHeight, radius);
+  let sideArea = 0;
+  let volume = 0;
+  let wetArea = 0;
+  for (let i = 1; i < profile.length; i++) {
+    const prev = profile[i - 1];
+    const point = profile[i];
+    const dx = point.x - prev.x;
+    // 台形則（体積は区間ごとの円錐台）
+    sideArea += (prev.r + point.r) * dx;
+    volume += Math.PI * dx * (prev.r * prev.r + prev.r * point.r + point.r * point.r) / 3;
+    wetArea += Math.PI * (prev.r + point.r) * Math.sqrt(dx * dx + Math.pow(point.r - prev.r, 2));
+  }
+
+  const baseArea = Math.PI * radius * radius;
+  const geometry = {
+    sideArea, // 側面投影面積 (mm²)
+    volume, // 体積 (mm³)
+    wetArea, // 浸辺面積 (mm²)
+    cp: baseArea > 0 ? noseHeight - volume / baseArea : noseHeight / 2 // 圧力中心（ノーズ先端から、mm）
+  };
+
+  geometryCache = { key, geometry };
+  return geometry;
+};
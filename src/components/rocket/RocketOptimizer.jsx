@@ -0,0 +1,198 @@
+// 設計最適化
+// 選んだ設計変数（フィン形状・ボディ長さ・バラスト質量）を探索範囲内で変えながら飛行計算を繰り返し、
+// 静安定マージンとフィンの限界速度の制約を満たして目的（目標高度・最高高度の最大化）に最も近い設計を求める
+import { OPTIMIZER_VARIABLES, DEFAULT_OPTIMIZER_SETTINGS, BALLAST_POSITION_RATIO, FIN_MATERIALS } from './RocketConstants';
+import { calculateMultiStageFlightPath } from './RocketStaging';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { getFinMount, fitBodyComponents } from './RocketBodyComponents';
+
+// パターン探索の初期ステップと終了ステップ（探索範囲に対する比）
+const INITIAL_STEP = 0.25;
+const MIN_STEP = 0.01;
+
+// 制約違反1件あたりの評価値の加算（制約を満たす設計を常に優先する）
+const CONSTRAINT_PENALTY = 1000;
+
+// フィン全体の質量 (g)
+const calculateFinMass = (params) => {
+  const material = FIN_MATERIALS[params.finMaterial] || FIN_MATERIALS.light_veneer;
+  const finVolume = calculateFinPlanform(params).area * params.finThickness; // mm³
+  return params.finCount * finVolume * material.MD * 1e-6;
+};
+
+// フィン以外の部分の質量 (g)（0 以下ならフィンの質量が機体質量を超えていて質量と重心を補正できない）
+const calculateFixedMass = (params) => params.weight - calculateFinMass(params);
+
+// フィンの重心位置（ノーズ先端から、平面形の図心） (mm)
+const calculateFinCentroid = (params) =>
+  getFinMount(params).rootLeadingEdge + calculateFinPlanform(params).centroidX;
+
+// 探索範囲の刻みに丸める（0.1 刻みなどの浮動小数点の誤差も取り除く）
+const roundToStep = (value, { min, max, step }) =>
+  Math.min(max, Math.max(min, Number((Math.round(value / step) * step).toFixed(6))));
+
+/**
+ * 設計変数を元の設計に反映する（質量と重心はフィンの増減とバラストから求め直す）
+ * ボディ長さを変えた場合、フィン以外の部分の重心は機体長に比例して移動するものとする（胴体の質量変化は考慮しない）
+ * フィンの質量が機体質量を超える設計ではフィンの増減による補正を省略し、バラストだけを加える
+ * @param {Object} rocketParams - 元の設計のパラメータ
+ * @param {Object} values - 設計変数の値（OPTIMIZER_VARIABLES のキー、省略した変数は元の値）
+ * @returns {Object} 設計変数を反映したパラメータ（weight と centerOfGravity を更新）
+ */
+export const applyDesignVariables = (rocketParams, values) => {
+  const { ballastMass = 0, ...dimensions } = values;
+  const params = fitBodyComponents({ ...rocketParams, ...dimensions }, rocketParams);
+
+  const baseFinMass = calculateFinMass(rocketParams);
+  const fixedMass = calculateFixedMass(rocketParams);
+  if (fixedMass <= 0) {
+    const weight = params.weight + ballastMass;
+    return {
+      ...params,
+      weight,
+      pitchInertia: null,
+      centerOfGravity: (params.weight * params.centerOfGravity + ballastMass * params.noseHeight * BALLAST_POSITION_RATIO) / weight
+    };
+  }
+
+  const lengthRatio = (params.noseHeight + params.bodyHeight) / (rocketParams.noseHeight + rocketParams.bodyHeight);
+  const fixedCenterOfGravity =
+    (rocketParams.weight * rocketParams.centerOfGravity - baseFinMass * calculateFinCentroid(rocketParams)) / fixedMass * lengthRatio;
+  const finMass = calculateFinMass(params);
+  const weight = fixedMass + finMass + ballastMass;
+
+  return {
+    ...params,
+    weight,
+    // 部品リストの慣性モーメントは形状を変えると使えないため、形状からの推定値に戻す
+    pitchInertia: null,
+    centerOfGravity: (fixedMass * fixedCenterOfGravity +
+      finMass * calculateFinCentroid(params) +
+      ballastMass * params.noseHeight * BALLAST_POSITION_RATIO) / weight
+  };
+};
+
+/**
+ * 設計を1回評価する（飛行計算を行い、最高高度・静安定マージン・フィンの限界速度を判定する）
+ * @param {Object} rocketParams - 評価するパラメータ
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 打ち上げ条件
+ * @param {Object} settings - 設計最適化の設定
+ * @param {Object} [config] - calculateFlightPath の設定オブジェクト
+ * @returns {Object} 最高高度・最高速度・静安定マージン（発射時と燃焼終了時の小さい方と大きい方）・制約の判定・評価値 (score)
+ */
+export const evaluateDesign = (rocketParams, environment, settings, config = {}) => {
+  const flight = calculateMultiStageFlightPath(
+    rocketParams, environment.launchAngle, environment.windSpeed, environment.windProfile,
+    { ...config, verbose: false }
+  );
+
+  const apogee = flight.maxHeight ?? 0;
+  const maxSpeed = flight.maxSpeed ?? 0;
+  const margins = [flight.massProperties.liftoffStandardStaticMargin, flight.massProperties.burnoutStandardStaticMargin];
+  const minStaticMargin = Math.min(...margins);
+  const maxStaticMargin = Math.max(...margins);
+  // フィンの安全率は飛行経路の各点の高度での限界速度と速度の比の最小値（求まらない形状（NaN）は NG とする）
+  const { minSafetyFactors, requiredSafetyFactors } = flight.structuralLoads;
+  const finSafetyMargin = Math.min(
+    minSafetyFactors.flutter / requiredSafetyFactors.flutter,
+    minSafetyFactors.divergence / requiredSafetyFactors.divergence
+  );
+  const isFinSafe = finSafetyMargin >= 1;
+
+  const violations = [];
+  if (minStaticMargin < settings.minStaticMargin) violations.push(settings.minStaticMargin - minStaticMargin);
+  if (maxStaticMargin > settings.maxStaticMargin) violations.push(maxStaticMargin - settings.maxStaticMargin);
+  if (settings.requireFinSafety && !isFinSafe) {
+    violations.push(isFinite(finSafetyMargin) ? 1 - finSafetyMargin + 0.01 : 1);
+  }
+
+  const objective = settings.objective === 'maximizeApogee'
+    ? -apogee
+    : Math.abs(apogee - settings.targetApogee);
+
+  return {
+    apogee,
+    maxSpeed,
+    minStaticMargin,
+    maxStaticMargin,
+    finFlutterSpeed: flight.calculations.finFlutterSpeed,
+    finDivergenceSpeed: flight.calculations.finDivergenceSpeed,
+    isFinSafe,
+    weight: rocketParams.weight,
+    centerOfGravity: rocketParams.centerOfGravity,
+    isFeasible: violations.length === 0,
+    score: objective + violations.reduce((sum, violation) => sum + CONSTRAINT_PENALTY * (1 + violation), 0)
+  };
+};
+
+/**
+ * 設計最適化を実行する（探索範囲を 0〜1 に正規化したパターン探索）
+ * @param {Object} rocketParams - 元の設計のパラメータ（simulationParams と同じ形）
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 打ち上げ条件
+ * @param {Object} [settings] - DEFAULT_OPTIMIZER_SETTINGS の項目と variables（変数ごとの { enabled, min, max }）
+ * @param {Object} [config] - calculateFlightPath の設定オブジェクト
+ * @returns {Object} 元の設計と提案する設計の評価、提案する設計変数の値 (values)、飛行計算の回数 (evaluations)、
+ *   フィンの質量が機体質量を超えていてフィンの増減による質量と重心の補正を省略したか (isMassCorrectionSkipped)
+ */
+export const optimizeDesign = (rocketParams, environment, settings = {}, config = {}) => {
+  const options = { ...DEFAULT_OPTIMIZER_SETTINGS, ...settings };
+  const variables = Object.entries(OPTIMIZER_VARIABLES)
+    .map(([key, definition]) => ({ key, ...definition, ...(settings.variables?.[key] || {}) }))
+    .filter(variable => variable.enabled && variable.max > variable.min);
+
+  const initialValues = Object.fromEntries(variables.map(variable => [
+    variable.key,
+    roundToStep(variable.key === 'ballastMass' ? 0 : rocketParams[variable.key], variable)
+  ]));
+
+  let evaluations = 0;
+  const cache = new Map();
+  const evaluate = (values) => {
+    const key = variables.map(variable => values[variable.key]).join(',');
+    if (!cache.has(key)) {
+      evaluations++;
+      cache.set(key, evaluateDesign(applyDesignVariables(rocketParams, values), environment, options, config));
+    }
+    return cache.get(key);
+  };
+
+  const initial = evaluate(initialValues);
+  let bestValues = initialValues;
+  let best = initial;
+  let step = INITIAL_STEP;
+
+  // 各変数を ±step（探索範囲に対する比）ずつ動かし、改善しなければステップを半分にする
+  while (step >= MIN_STEP && evaluations < options.maxEvaluations) {
+    let improved = false;
+    for (const variable of variables) {
+      for (const direction of [1, -1]) {
+        if (evaluations >= options.maxEvaluations) break;
+        const candidateValues = {
+          ...bestValues,
+          [variable.key]: roundToStep(bestValues[variable.key] + direction * step * (variable.max - variable.min), variable)
+        };
+        if (candidateValues[variable.key] === bestValues[variable.key]) continue;
+
+        const candidate = evaluate(candidateValues);
+        if (candidate.score < best.score) {
+          bestValues = candidateValues;
+          best = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  return {
+    settings: options,
+    initial,
+    best,
+    values: bestValues,
+    design: applyDesignVariables(rocketParams, bestValues),
+    evaluations,
+    isImproved: best.score < initial.score,
+    isMassCorrectionSkipped: calculateFixedMass(rocketParams) <= 0
+  };
+};
@@ -1,14 +1,38 @@
 // 物理計算関連の関数
 import {
-  MOTOR_THRUST_DATA, PHYSICAL_CONSTANTS,
+  DEFAULT_LAUNCH_RAIL, RAIL_EXIT_CRITERIA,
   ANGLE_RESPONSE_DT, ANGLE_STEPS_PER_UPDATE,
-  NOSE_SHAPES, FIN_MATERIALS, WIND_PROFILES, mmToM, gToKg
+  FIN_MATERIALS, WIND_PROFILES, mmToM, gToKg, getFinAngles
 } from './RocketConstants';
+import {
+  STANDARD_AIR_DENSITY, createAtmosphere, getAtmosphereAt, getGroundAirDensity
+} from './RocketAtmosphere';
+import { resolveMotor, getThrustAtTime, getBurnedFraction } from './RocketMotors';
+import { calculateBarrowmanCoefficients } from './RocketBarrowman';
+import { calculateFinPlanform } from './RocketFinPlanform';
+import { calculateNoseGeometry } from './RocketNoseCone';
+import { calculateBodyGeometry, getFinMount } from './RocketBodyComponents';
+import { createDragModel, calculateDragCoefficient } from './RocketDrag';
+import { resolveWindSounding, calculateSoundingWindSpeed } from './RocketWindSounding';
+import {
+  createRecoveryDevices, stepRecoveryDevices, snapshotRecoveryDevices, getDeploymentProgress,
+  getRecoveryDrag, getRecoveryLineForce, getRecoveryWindArea, applyOpeningShock, calculateOpeningShockForce
+} from './RocketRecovery';
+import { createWindModel, applyWindVariation } from './RocketWind';
+import {
+  calculateFinFlutterSpeedAt, calculateFinDivergenceSpeedAt, calculateFinDeflection, createStructuralModel,
+  evaluateStructuralState, summarizeStructuralLoads
+} from './RocketStructures';
 
 // 物理制御と拡張制御を分離する定数を追加
 export const PHYSICAL_ATTITUDE_CONTROL = true;  // 物理ベースの姿勢制御 (常に有効にすべき)
 export const ENHANCED_ATTITUDE_CONTROL = false;  // 拡張姿勢制御 (風見効果など)
 export const WIND_ANGLE_LIMITATION = false;  // 風向きによる角度制限（90度制限）
+export const VERBOSE_LOGGING = false;  // シミュレーション中の詳細ログ出力（config.verboseで上書き可能）
+
+// 側面から見たフィンの見かけのスパンの合計（フィン1枚のスパンに対する比、3枚で √3、4枚で 2）
+const getFinSideProjectionFactor = (finCount) =>
+  getFinAngles(finCount).reduce((sum, angle) => sum + Math.abs(Math.sin(angle)), 0);
 
 // ロケットの投影面積を計算する関数
 export const calculateProjectedArea = (rocketParams) => {
@@ -56,55 +80,39 @@ export const calculateProjectedArea = (rocketParams) => {
   }
 
   // 単位をmm->mに変換
-  const noseHeight_m = mmToM(noseHeight);
-  const bodyHeight_m = mmToM(bodyHeight);
-  const bodyWidth_m = mmToM(bodyWidth);
-  const bodyRadius_m = bodyWidth_m / 2;
-  const finHeight_m = mmToM(finHeight);
-  const finBaseWidth_m = mmToM(finBaseWidth);
-  const finTipWidth_m = mmToM(finTipWidth);
-  const finSweepLength_m = mmToM(finSweepLength);
+  const bodyRadius_m = mmToM(bodyWidth) / 2;
+  // フィンを取り付ける円筒の半径
+  const mountRadius_m = mmToM(getFinMount(rocketParams).diameter) / 2;
+  // 台形以外の平面形は等価台形で投影面積を求める
+  const planform = calculateFinPlanform(rocketParams);
+  const finHeight_m = mmToM(planform.equivalent.finHeight);
+  const finBaseWidth_m = mmToM(planform.equivalent.finBaseWidth);
+  const finTipWidth_m = mmToM(planform.equivalent.finTipWidth);
 
   // 正面からの投影面積 (m^2)
-  const frontalArea = Math.PI * Math.pow(bodyRadius_m, 2) + (finHeight * finThickness) * 4 * 0.0000001;
+  const frontalArea = Math.PI * Math.pow(bodyRadius_m, 2) + (planform.span * finThickness) * finCount * 0.0000001;
 
   // 側面投影面積の計算 (m^2)
-  // ボディ部分
-  const bodyArea = bodyWidth_m * bodyHeight_m;
-
-  // ノーズ部分 - 形状に応じて計算
-  let noseArea;
-  if (noseShape === 'cone') {
-    noseArea = 0.5 * bodyWidth_m * noseHeight_m; // 三角形の面積
-  } else if (noseShape === 'parabola') {
-    noseArea = (2 / 3) * bodyWidth_m * noseHeight_m; // 放物線の近似
-  } else { // ogive
-    noseArea = (2 / 3) * bodyWidth_m * noseHeight_m; // オジブの近似
-  }
+  // ボディ部分（径変化部を含む）
+  const bodyArea = calculateBodyGeometry(rocketParams).sideArea * 1e-6;
 
-  // フィン1枚あたりの投影面積 - フィン枚数に応じて計算方法を変更
-  let finArea;
-  if (finCount === 3) {
-    // 3枚フィンの場合 - 120度間隔配置に合わせた調整
-    // 側面から見た場合の調整係数 (sqrt(3)/2 = 約0.866)
-    const adjustedFinHeight = finHeight_m * 1.73 / 2;
-
-    let overlapFinBaseWidth;
-    if (finSweepLength + finTipWidth >= finBaseWidth) {
-      overlapFinBaseWidth = (((finTipWidth_m - finBaseWidth_m) * finBaseWidth_m * 0.078 / finHeight_m) + finBaseWidth_m) - finTipWidth_m * bodyWidth_m * 0.078 / finHeight_m;
-    } else {
-      overlapFinBaseWidth = ((finTipWidth_m - finBaseWidth_m) * finBaseWidth_m * 0.078 / finHeight_m) + finBaseWidth_m;
-    }
-    // 調整された台形の面積
-    finArea = (adjustedFinHeight * (finBaseWidth_m + finTipWidth_m) / 2) - ((overlapFinBaseWidth + finBaseWidth_m) * ((bodyWidth_m / 2) - bodyWidth_m * 1.73 / 4) / 2);
-  } else {
-    // 4枚フィンの場合 - 通常の計算
-    finArea = finHeight_m * (finBaseWidth_m + finTipWidth_m) / 2; // 台形の面積
-  }
+  // ノーズ部分 - 輪郭の数値積分
+  const noseArea = calculateNoseGeometry(noseShape, noseHeight, bodyWidth / 2).sideArea * 1e-6;
 
   // 側面から見えるフィンの合計投影面積
-  // 3枚でも4枚でも側面から見えるのは2枚分
-  const totalFinArea = finArea * 2;
+  // 取り付け角 φ のフィンは横方向に |sin φ| 倍に縮んで見え、付け根側は胴体の陰に隠れる
+  // スパン方向の位置 u のフィン弦長は c(u) = a + (b - a)u/s、見える部分は (R + u)|sin φ| > R の範囲
+  const chordIntegral = (from) => finBaseWidth_m * (finHeight_m - from) +
+    (finTipWidth_m - finBaseWidth_m) * (finHeight_m * finHeight_m - from * from) / (2 * finHeight_m);
+  const totalFinArea = getFinAngles(finCount).reduce((sum, angle) => {
+    const projection = Math.abs(Math.sin(angle));
+    if (projection < 1e-6) return sum; // 視線方向を向いたフィンは面積を持たない
+    const hiddenSpan = mountRadius_m / projection - mountRadius_m;
+    return hiddenSpan >= finHeight_m ? sum : sum + projection * chordIntegral(hiddenSpan);
+  }, 0);
+
+  // フィン1枚の面積（平面形）
+  const finArea = planform.area * 1e-6;
 
   // 側面からの合計投影面積
   const sideArea = bodyArea + noseArea + totalFinArea;
@@ -116,33 +124,21 @@ export const calculateProjectedArea = (rocketParams) => {
     frontalArea,  // 正面からの投影面積 (m^2)
     sideArea,     // 側面からの投影面積 (m^2)
     noseArea,     // ノーズ部分の投影面積 (m^2) - 追加
-    finArea,      // フィン1枚の投影面積 (m^2)
-    totalFinArea, // フィン4枚の合計投影面積 (m^2)
+    finArea,      // フィン1枚の面積 (m^2)
+    totalFinArea, // 側面から見えるフィンの合計投影面積 (m^2)
     angledArea    // 斜め45度からの投影面積（近似） (m^2)
   };
 };
 
 // ロケットの体積を計算する関数
 export const calculateVolume = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth } = rocketParams;
+  const { noseShape, noseHeight, bodyWidth } = rocketParams;
 
-  // 単位をmm->mに変換
-  const noseHeight_m = mmToM(noseHeight);
-  const bodyHeight_m = mmToM(bodyHeight);
-  const bodyRadius_m = mmToM(bodyWidth) / 2;
+  // ボディ体積（円筒と円錐台の合計） (m^3)
+  const bodyVolume = calculateBodyGeometry(rocketParams).volume * 1e-9;
 
-  // ボディ体積（円柱） (m^3)
-  const bodyVolume = Math.PI * Math.pow(bodyRadius_m, 2) * bodyHeight_m;
-
-  // ノーズ体積 - 形状に応じて計算 (m^3)
-  let noseVolume;
-  if (noseShape === 'cone') {
-    noseVolume = (1 / 3) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // 円錐の体積
-  } else if (noseShape === 'parabola') {
-    noseVolume = (1 / 2) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // 放物線回転体の体積
-  } else { // ogive
-    noseVolume = (2 / 3) * Math.PI * Math.pow(bodyRadius_m, 2) * noseHeight_m; // オジブの近似体積
-  }
+  // ノーズ体積 - 輪郭の数値積分 (m^3)
+  const noseVolume = calculateNoseGeometry(noseShape, noseHeight, bodyWidth / 2).volume * 1e-9;
 
   // 合計体積 (m^3)
   const totalVolume = bodyVolume + noseVolume;
@@ -157,223 +153,45 @@ export const calculateVolume = (rocketParams) => {
 };
 
 // 圧力中心位置を計算する関数（モーメント計算に使用）
+// Barrowman 法で部品ごとの CNα と圧力中心を求め、components に内訳を返す
 export const calculateCenterOfPressure = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // 面積と体積を計算
-  const areas = calculateProjectedArea(rocketParams);
-
-  // ノーズ先端からの各コンポーネントの圧力中心位置 (mm)
-  // ノーズの圧力中心位置 - 形状に応じて計算
-  let noseCp;
-  if (noseShape === 'cone') {
-    noseCp = noseHeight * 0.666; // 円錐の圧力中心はノーズ長の2/3
-  } else if (noseShape === 'parabola') {
-    noseCp = noseHeight * 0.614; // 放物線の圧力中心（近似値）
-  } else { // ogive
-    noseCp = noseHeight * 0.575; // オジブの圧力中心（近似値）
-  }
-
-  // ボディの圧力中心位置（ノーズ先端から）
-  const bodyCp = noseHeight + bodyHeight / 2; // mm
+  const barrowman = calculateBarrowmanCoefficients(rocketParams);
+  const byId = (id) => barrowman.components.find(component => component.id === id);
 
-  //　フィンの圧力中心を求めるための分解
-  let finArea_section1;
-  if (finCount === 3) {
-    finArea_section1 = (finBaseWidth * finHeight * 1.732 * 0.5) / 2;
-  } else {
-    finArea_section1 = (finBaseWidth * finHeight) / 2;
-  }
-
-  let finArea_section2;
-  if (finCount === 3) {
-    finArea_section2 = (finTipWidth * finHeight * 1.732 * 0.5) / 2;
-  } else {
-    finArea_section2 = (finTipWidth * finHeight) / 2;
-  }
-
-  const finCP_y_section1 = (finBaseWidth + finSweepLength) / 3;
-
-  const finCP_y_section2 = (finBaseWidth + finSweepLength + (finSweepLength + finTipWidth)) / 3;
-
-  //　フィンの圧力中心位置（フィン付け根先端から）
-  let finSection_single;
-  if (finCount === 3) {
-    finSection_single = (finBaseWidth + finTipWidth) * (finHeight * (1.732 / 2)) / 2;
-  } else {
-    finSection_single = (finBaseWidth + finTipWidth) * finHeight / 2;
-  }
-
-  const finCP_single = ((finCP_y_section1 * finArea_section1) + (finCP_y_section2 * finArea_section2)) / finSection_single; // mm
-
-  // フィンの圧力中心位置（ノーズ先端から）
-  const finCp = noseHeight + bodyHeight - finBaseWidth + finCP_single; // mm
-
-  // 面積による重み付け計算
-  // 単位を揃えるためにm²からmm²に変換
-  const noseArea = areas.noseArea * 1000000; // m^2 → mm^2
-  const bodyArea = areas.sideArea * 1000000 - noseArea - areas.totalFinArea * 1000000; // m^2 → mm^2
-  const totalFinArea = areas.totalFinArea * 1000000; // m^2 → mm^2
-
-  // 圧力中心の計算（重み付け平均）
-  const totalArea = noseArea + bodyArea + totalFinArea;
-  const centerOfPressure = (noseCp * noseArea + bodyCp * bodyArea + finCp * totalFinArea) / totalArea; // mm
-
-  // フィンを除いた前部の圧力中心（空力計算用）
-  const foreBodyArea = noseArea + bodyArea;
-  const foreBodyCp = (noseCp * noseArea + bodyCp * bodyArea) / foreBodyArea;
+  // フィンを除いた前部（ノーズ・径変化部）の圧力中心（空力計算用）
+  const foreBody = barrowman.components.filter(component => component.id !== 'fins' && component.cnAlpha !== 0);
+  const foreBodyCnAlpha = foreBody.reduce((sum, component) => sum + component.cnAlpha, 0);
+  const foreBodyCp = foreBodyCnAlpha !== 0
+    ? foreBody.reduce((sum, component) => sum + component.moment, 0) / foreBodyCnAlpha
+    : byId('nose').cp;
 
   return {
-    noseCp,           // ノーズの圧力中心位置 (mm)
-    bodyCp,           // ボディの圧力中心位置 (mm)
-    finCp,            // フィンの圧力中心位置 (mm)
-    centerOfPressure, // 全体の圧力中心位置 (mm)
-    foreBodyCp        // フィンを除いた前部の圧力中心位置 (mm)
+    noseCp: byId('nose').cp,                       // ノーズの圧力中心位置 (mm)
+    bodyCp: byId('body').cp,                       // ボディの圧力中心位置 (mm)
+    finCp: byId('fins').cp,                        // フィンの圧力中心位置 (mm)
+    centerOfPressure: barrowman.centerOfPressure,  // 全体の圧力中心位置 (mm)
+    foreBodyCp,                                    // フィンを除いた前部の圧力中心位置 (mm)
+    cnAlpha: barrowman.cnAlpha,                    // 機体全体の CNα (1/rad)
+    components: barrowman.components               // 部品ごとの CNα・圧力中心の内訳
   };
 };
 
 // 空力中心位置を計算する関数
+// 微小迎角では空力中心と圧力中心は一致するため、Barrowman 法の圧力中心を使用する
 export const calculateAerodynamicCenter = (rocketParams) => {
-  // この行で必要なすべてのプロパティを取り出します
-  const { noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // 投影面積を計算
-  const areas = calculateProjectedArea(rocketParams);
-
-  // lengthOfCo
-  let lengthOfCo;
-  if (finCount === 3) {
-    lengthOfCo = ((finBaseWidth - finTipWidth) / (finHeight * 1.732 / 2)) * (((bodyWidth / 2) + finHeight) * (1.732 / 2)) + finTipWidth;
-
-  } else {
-    lengthOfCo = ((finBaseWidth - finTipWidth) / finHeight) * ((bodyWidth / 2) + finHeight) + finTipWidth;
-  }
-
-  // テーパー比（ramda）
-  const ramda = finTipWidth / lengthOfCo;
-
-  // 胴体容積 (m^3)
-  const volumeData = calculateVolume(rocketParams);
-
-  // c_bar
-  const c_bar = (2 * lengthOfCo / 3) * (1 + ramda + Math.pow(ramda, 2)) / (1 + ramda);
-
-  // y_bar
-  let y_bar;
-  if (finCount === 3) {
-    y_bar = (((bodyWidth / 2) + finHeight) * (1.732 / 2)) * (1 + (2 * ramda)) / (3 * (1 + ramda));
-  } else {
-    y_bar = (finHeight + (bodyWidth / 2)) * (1 + (2 * ramda)) / (3 * (1 + ramda));
-  }
-
-  // 面積による重み付け計算（m^2をmm^2に変換）
-  const noseArea = areas.noseArea * 1000000; // m^2 → mm^2
-  const bodyArea = areas.sideArea * 1000000 - noseArea; // m^2 → mm^2
-  const totalFinArea = areas.totalFinArea * 1000000; // m^2 → mm^2
-
-  // WingArea
-  let wingArea;
-  if (finCount === 3) {
-    wingArea = (finTipWidth + lengthOfCo) * (((bodyWidth / 2) + finHeight) * (1.732 / 2));
-  } else {
-    wingArea = (finTipWidth + lengthOfCo) * ((bodyWidth / 2) + finHeight);
-  }
-
-  // V*fus
-  const Vstar_fus = volumeData.totalVolume * 1000000000 / (c_bar * wingArea); // 単位を合わせる
-
-  // AspectRatio
-  let aspectRatio;
-  if (finCount === 3) {
-    aspectRatio = ((2 * ((bodyWidth / 2) + finHeight) * (1.732 / 2))) * (2 * (((bodyWidth / 2) + finHeight) * (1.732 / 2))) / wingArea;
-  } else {
-    aspectRatio = ((2 * (finHeight + bodyWidth)) * (2 * (finHeight + bodyWidth))) / wingArea;
-  }
-
-  // CLα
-  let cl_alpha;
-  if (finCount === 3) {
-    cl_alpha = ((3.14 * aspectRatio) * 0.5) * Math.pow((1 - Math.pow((bodyWidth / 2) / (((finHeight + (bodyWidth / 2)) * 1.732 / 4)), 2)), 2);
-  } else {
-    cl_alpha = ((3.14 * aspectRatio) * 0.5) * Math.pow((1 - Math.pow((bodyWidth / 2) / (((finHeight + (bodyWidth / 2)) / 2)), 2)), 2);
-  }
-
-  // hn
-  const hn = 0.25 + (1 / cl_alpha) * (-1) * (2 * Vstar_fus);
-
-  // hnwc_bar
-  const hnwc_bar = hn * c_bar;
-
-  // x1
-  let x1;
-  if (finCount === 3) {
-    x1 = (bodyWidth / 2) * (1.732 / 2) * finSweepLength / (finHeight * 1.732 / 2);
-  } else {
-    x1 = (bodyWidth / 2) * finSweepLength / finHeight;
-  }
-
-  // x2
-  let x2;
-  if (finCount === 3) {
-    x2 = y_bar * (x1 + finSweepLength + finTipWidth - lengthOfCo) / (((bodyWidth / 2) + finHeight) * 1.732 / 2);
-  } else {
-    x2 = y_bar * (x1 + finSweepLength + finTipWidth - lengthOfCo) / (((bodyWidth / 2) + finHeight));
-  }
-
-  // small_xac
-  const small_xac = c_bar - x2 - hnwc_bar;
-
-  // 空力中心計算
-  const aerodynamicCenter = noseHeight + bodyHeight - small_xac;
+  const { centerOfPressure } = calculateBarrowmanCoefficients(rocketParams);
 
   return {
-    aerodynamicCenter  // 空力中心位置 (mm)
+    aerodynamicCenter: centerOfPressure  // 空力中心位置 (mm)
   };
 };
 
-// 静安定マージン計算用の圧力中心位置を計算する関数
+// 静安定マージン計算用の圧力中心位置を計算する関数（Barrowman 法の圧力中心）
 export const calculateStabilityCenterOfPressure = (rocketParams) => {
-  const { noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth, finSweepLength, finCount } = rocketParams;
-
-  // mc
-  const mc = Math.pow((Math.pow((finSweepLength + (finTipWidth / 2) - (finBaseWidth / 2)), 2)) + (Math.pow(finHeight, 2)), 0.5);
-
-  // ノーズ先端からの位置を計算 (mm)
-  // この静安定マージン用の圧力中心は通常の圧力中心とは異なる計算方法を使用
-
-  // ノーズの圧力中心
-  let noseStabilityCp;
-  if (noseShape === 'cone') {
-    noseStabilityCp = noseHeight * 0.666; // 円錐の静安定用圧力中心
-  } else if (noseShape === 'parabola') {
-    noseStabilityCp = noseHeight * 0.614; // 放物線の静安定用圧力中心
-  } else { // ogive
-    noseStabilityCp = noseHeight * 0.575; // オジブの静安定用圧力中心
-  }
-
-  // フィンのcn
-  const fin_cn_1 = 1 + (finHeight / (finHeight + (bodyWidth / 2)));
-  let fin_cn_2;
-  if (finCount === 3) {
-    fin_cn_2 = 12 * Math.pow(finHeight / bodyWidth, 2);
-  } else {
-    fin_cn_2 = 16 * Math.pow(finHeight / bodyWidth, 2);
-  }
-  const fin_cn_3 = 1 + Math.pow((1 + (Math.pow(((2 * mc) / (finTipWidth + finBaseWidth)), 2))), 0.5);
-
-  const fin_cn = fin_cn_1 * fin_cn_2 / fin_cn_3;
-
-  // CnTotal
-  const cnTotal = 2 + fin_cn;
-
-  // フィンの圧力中心
-  const finStabilityCp = (noseHeight + bodyHeight - finBaseWidth) + ((finSweepLength / 3) * ((finBaseWidth + 2 * finTipWidth) / (finBaseWidth + finTipWidth))) + ((finBaseWidth + finTipWidth) - ((finBaseWidth * finTipWidth) / (finBaseWidth + finTipWidth))) / 6;
-
-  // 静安定用の圧力中心位置（重み付け平均）
-  const stabilityCenterOfPressure = (2 * noseStabilityCp + fin_cn * finStabilityCp) / cnTotal;
+  const { centerOfPressure } = calculateBarrowmanCoefficients(rocketParams);
 
   return {
-    stabilityCenterOfPressure,  // 静安定計算用の圧力中心位置 (mm)
+    stabilityCenterOfPressure: centerOfPressure,  // 静安定計算用の圧力中心位置 (mm)
   };
 };
 
@@ -400,182 +218,23 @@ export const calculateStaticMargin = (rocketParams) => {
   };
 };
 
-// フィンダイバージェンス速度を計算する関数
-export const calculateFinDivergenceSpeed = (rocketParams) => {
-  const { finHeight, finBaseWidth, finTipWidth, finSweepLength, finThickness, finMaterial } = rocketParams;
-
-  // 単位をmmからmに変換
-  const finHeight_m = mmToM(finHeight);
-  const finBaseWidth_m = mmToM(finBaseWidth);
-  const finTipWidth_m = mmToM(finTipWidth);
-  const finSweepLength_m = mmToM(finSweepLength);
-  const finThickness_m = mmToM(finThickness);
-
-  // フィン材料の特性を取得
-  const material = FIN_MATERIALS[finMaterial];
-  const G = material.G; // 横弾性係数 (Pa)
-
-  // 空気密度 (kg/m³)
-  const rho = 1.225;
-
-  // 平均コード長の計算 (m)
-  const meanChord = (finBaseWidth_m + finTipWidth_m) / 2;
-
-  // 後退角(rad)
-  const sweepbackAngle = Math.atan((finSweepLength_m + 0.5 * finTipWidth_m - 0.5 * finBaseWidth_m) * 3.14 / meanChord);
-
-  // 捻り定数J
-  const J = 0.3333 * finTipWidth_m * Math.pow(finThickness_m, 3);
-
-  // 揚力傾斜a0
-  const liftCoefficient_fin = (9 / 3.14) * Math.cos(sweepbackAngle);
-
-  const divSpeed = (3.14 / (2 * finHeight_m)) * Math.pow(2 * G * J / (rho * Math.pow(meanChord, 2) * 0.25 * liftCoefficient_fin), 0.5);
-
-  // 現実的な範囲内に制限（極端に大きな/小さな値を防止）
-  return Math.max(20, Math.min(300, divSpeed));
-};
-
-// フィンフラッター速度を計算する関数
-export const calculateFinFlutterSpeed = (rocketParams) => {
-  const { bodyWidth, finHeight, finBaseWidth, finTipWidth, finThickness, finMaterial } = rocketParams;
-
-  // 単位をmmからmに変換
-  const finHeight_m = mmToM(finHeight);
-  const finBaseWidth_m = mmToM(finBaseWidth);
-  const finTipWidth_m = mmToM(finTipWidth);
-  const finThickness_m = mmToM(finThickness);
-  const bodyWidth_m = mmToM(bodyWidth);
-
-  // フィン材料の特性を取得
-  const material = FIN_MATERIALS[finMaterial];
-  const G = material.G; // 横弾性係数 (Pa)
-  const E = material.E; // 縦弾性係数 (Pa)
-
-  // J（ねじり定数/断面二次極モーメント）
-  const torsionConstant = 0.333 * finThickness_m * Math.pow(finTipWidth_m, 3);
-
-  // Kα（ねじり剛性）Kα=GJ
-  const torsionalStiffness = G * torsionConstant;
-
-  // εイプシロン（2bを翼弦線としたときの弾性軸から翼の空力中心までのbに対する比率）
-  const epsilon = 0.25;
-
-  // 空気密度 (kg/m³)
-  const airDensity = 1.225;
+// フィンダイバージェンス速度を計算する関数（打ち上げ場所の地上の空気密度での値）
+// 飛行中の判定は RocketStructures の高度ごとの値で行う
+export const calculateFinDivergenceSpeed = (rocketParams) =>
+  calculateFinDivergenceSpeedAt(rocketParams, getGroundAirDensity(rocketParams.atmosphere));
 
-  // S（翼面積）
-  const finSection_single = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5;
-
-  // b（翼弦長の半分）
-  const half_finTipWidth = finTipWidth_m / 2;
-
-  // ∂Cl/∂α（揚力傾斜）
-  const liftSlope = 3.44;
-
-  // フラッター速度
-  const flutterSpeed = Math.pow((2 * torsionalStiffness) / (epsilon * airDensity * finSection_single * half_finTipWidth * liftSlope), 0.5);
-
-  // 現実的な範囲内に制限（極端に大きな/小さな値を防止）
-  return Math.max(30, Math.min(400, flutterSpeed));
-};
-
-// フィンたわみ量計算の修正版
-const calculateFinDeflection = (velocity, material, finParams, angleChangePerDt2) => {
-  const { finHeight, finBaseWidth, finTipWidth, finThickness, finSweepLength } = finParams;
-  const { E } = material;
-
-  // 速度0の場合は早期リターン
-  if (Math.abs(velocity) < 0.001) return 0;
-
-  // finThicknessが小数の場合も適切に扱えるように
-  const safeFinThickness = Number(finThickness) || 2.0; // デフォルト値として2.0mm
-
-  // 安全な速度（極端に大きな値を制限）
-  const safeVelocity = Math.min(velocity, 300);
-
-  try {
-    // フィンの面積（m^2）- 台形の面積計算
-    const finArea = ((finBaseWidth + finTipWidth) * 0.001) * (finHeight * 0.001) / 2;
-
-    // テーパー比（λ）の計算 - 分母0防止
-    let taperRatio = 0;
-    if (finHeight > 0) {
-      taperRatio = ((finBaseWidth * 0.001) - (finTipWidth * 0.001)) / (finHeight * 0.001);
-      // 極端な値の制限
-      taperRatio = Math.max(-0.9, Math.min(0.9, taperRatio));
-    }
-
-    // 後退角（ラジアン）
-    const sweepAngle = Math.atan((finSweepLength * 0.001 + 0.5 * finTipWidth * 0.001 - 0.5 * finBaseWidth * 0.001) * Math.PI / (finHeight * 0.001));
-
-    // 平均コード長の計算 (m)
-    const meanChord = (finBaseWidth + finTipWidth) * 0.001 / 2;
-
-    // 断面二次モーメント（I）- 平均コード長を使用
-    // I = b * h^3 / 12 (矩形断面)
-    let I = (meanChord * Math.pow(safeFinThickness * 0.001, 3)) / 12;
-
-    // I値が極端に小さい場合は安全値を設定
-    if (I < 1e-12) {
-      I = 1e-12; // 極小値を設定して分母0を防止
-    }
-
-    // 風圧係数 - 一般的な平板の抗力係数は約1.28
-    const dragCoefficient = 1.28;
-
-    // 空気密度 (kg/m³)
-    const airDensity = 1.225;
-
-    // 風圧による力（F）の計算 - 角度変化量を使わず風速から直接計算
-    // F = 0.5 * ρ * v² * Cd * A
-    const windForce = 0.5 * airDensity * safeVelocity * safeVelocity * dragCoefficient * finArea;
-
-    // 単位長さあたりの風圧による力（N/m）
-    const unitLengthWindForce = windForce / Math.max(0.001, (finHeight * 0.001));
-
-    // たわみ量計算（m）- 片持ち梁のたわみ公式を使用
-    // δ = F * L^4 / (8 * E * I) * (1 / (1 - λ))
-    const deflectionFactor = (1 / (1 - taperRatio));
-    const rawDeflection = (unitLengthWindForce * Math.pow(finHeight * 0.001, 4) * Math.cos(sweepAngle) / (8 * E * I)) * deflectionFactor;
-
-    // メートルからミリメートルへ変換（*1000）
-    const deflectionMm = rawDeflection * 1000;
-
-    // NaNチェック
-    if (isNaN(deflectionMm)) {
-      console.warn('フィンたわみ量計算でNaNが発生しました');
-      return 15; // NaNの場合は閾値を返す
-    }
-
-    // たわみ量の絶対値が15mmを超える場合は15に制限
-    if (Math.abs(deflectionMm) > 15) {
-      return 15; // 15mmを超えるたわみは15に制限
-    }
-
-    // 非常に小さい値の場合は丸めない
-    if (Math.abs(deflectionMm) < 0.01) {
-      return deflectionMm;
-    }
-
-    // 少数第2位までの値を返す（小さすぎる値は0.01mmに切り上げ）
-    return Math.max(0.01, Math.abs(deflectionMm));
-  } catch (error) {
-    console.error("Fin deflection calculation error:", error);
-    console.error("Error details:", error.message);
-    console.error("Parameters:", { finHeight, finBaseWidth, finTipWidth, finThickness, finSweepLength, E });
-    return 15; // エラー時は閾値を返す
-  }
-};
+// フィンフラッター速度を計算する関数（NACA TN-4197、打ち上げ場所の地上の気圧・音速での値）
+export const calculateFinFlutterSpeed = (rocketParams) =>
+  calculateFinFlutterSpeedAt(rocketParams, getAtmosphereAt(createAtmosphere(rocketParams.atmosphere), 0));
 
 // フィンたわみ量のフォーマット関数（UI表示時に使用）
 export const formatFinDeflection = (deflection) => {
-  // 15mmの場合（閾値または計算エラー）は「15mm以上」と表示
-  if (deflection === 15) {
-    return "15mm以上";
+  // 計算できなかった場合（数値でない・無限大）
+  if (!Number.isFinite(deflection)) {
+    return "計算できません";
   }
 
-  // 通常のたわみ量は小数点2桁までの数値を表示
+  // たわみ量は小数点2桁までの数値を表示
   return `${deflection.toFixed(2)}mm`;
 };
 
@@ -592,11 +251,15 @@ export const formatSpeedValue = (speed, limit = 300) => {
 
 // 高度に応じた風速を計算する関数 - 基準高度を1.5mに修正
 export const calculateWindSpeedAtHeight = (baseWindSpeed, height, profile) => {
+  // 実測の風速分布は測定点を補間する
+  const sounding = resolveWindSounding(profile);
+  if (sounding) return calculateSoundingWindSpeed(sounding, baseWindSpeed, height);
+
   // 高度が0の場合はそのまま基準風速を返す
   if (height <= 0) return baseWindSpeed;
 
-  // プロファイルに応じたべき指数を取得
-  const alpha = WIND_PROFILES[profile].alpha;
+  // プロファイルに応じたべき指数を取得（削除された実測プロファイルなどは一定の風とする）
+  const alpha = WIND_PROFILES[profile]?.alpha ?? 0;
 
   // べき指数が0の場合は高度に関わらず一定風速
   if (alpha === 0) return baseWindSpeed;
@@ -616,8 +279,35 @@ export const calculateWindSpeedAtHeight = (baseWindSpeed, height, profile) => {
   return baseWindSpeed * actualMultiplier;
 };
 
+/**
+ * 発射台離脱時の判定（離脱速度が最低速度以上で、風による迎角が上限以下か）
+ * 飛行は2次元で計算するため、方位 (azimuth) は迎角の判定だけに使い、横風成分も機体軸に垂直な風として扱う
+ * @param {{time: number, height: number, speed: number, windSpeed: number}} railExit - 離脱時の時刻・高度・速度 (m/s)・風速 (m/s)
+ * @param {number} launchAngle - 発射角度 (度)
+ * @param {Object} [launchRail] - 発射台の設定（DEFAULT_LAUNCH_RAIL の項目）
+ * @returns {Object} railExit に迎角 (度)・必要な離脱速度 (m/s)・判定 (isRailExitOK) を加えたもの
+ */
+export const evaluateRailExit = (railExit, launchAngle, launchRail = DEFAULT_LAUNCH_RAIL) => {
+  const tilt = launchAngle * Math.PI / 180;
+  const azimuth = (launchRail.azimuth || 0) * Math.PI / 180;
+  const { minSpeed, maxAngleOfAttack } = RAIL_EXIT_CRITERIA;
+
+  // 風の機体軸方向の成分（追い風で正）と、機体軸に垂直な成分
+  const axialWind = railExit.windSpeed * Math.cos(azimuth) * Math.sin(tilt);
+  const normalWind = Math.sqrt(Math.max(0, railExit.windSpeed * railExit.windSpeed - axialWind * axialWind));
+  const angleOfAttack = Math.atan2(normalWind, railExit.speed - axialWind) * 180 / Math.PI;
+  const requiredSpeed = Math.max(minSpeed, axialWind + normalWind / Math.tan(maxAngleOfAttack * Math.PI / 180));
+
+  return {
+    ...railExit,
+    angleOfAttack,
+    requiredSpeed,
+    isRailExitOK: railExit.speed >= requiredSpeed
+  };
+};
+
 // モーメント計算用のヘルパー関数 - 修正版
-const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideArea, aerodynamicCenter, centerOfGravity) => {
+const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideArea, aerodynamicCenter, centerOfGravity, rho = STANDARD_AIR_DENSITY) => {
   const centerOfGravity_m = mmToM(centerOfGravity);
   const aerodynamicCenter_m = mmToM(aerodynamicCenter);
 
@@ -631,7 +321,7 @@ const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideAre
   const liftCoefficient = 0.6 * angleOfAttack;  // 係数は0.6
 
   // 揚力モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs(liftCoefficient * 0.5 * 1.225 * velocitySquared * sideArea * (aerodynamicCenter_m - centerOfGravity_m));
+  const momentMagnitude = Math.abs(liftCoefficient * 0.5 * rho * velocitySquared * sideArea * (aerodynamicCenter_m - centerOfGravity_m));
 
   // 符号の決定
   let finalMoment;
@@ -649,7 +339,7 @@ const calculateLiftMoment = (velocity, omega, flightAngle, rocketParams, sideAre
   return finalMoment;
 };
 
-const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDiameter, aerodynamicCenter, centerOfGravity) => {
+const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDiameter, aerodynamicCenter, centerOfGravity, rho = STANDARD_AIR_DENSITY) => {
   const centerOfGravity_m = mmToM(centerOfGravity);
   const aerodynamicCenter_m = mmToM(aerodynamicCenter);
 
@@ -662,7 +352,7 @@ const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDia
   const dragCoefficient = 0.01 * Math.pow(angleOfAttack, 2) - 0.02 * angleOfAttack + 0.63;
 
   // 抗力モーメントの計算 - 絶対値のみを計算
-  const momentMagnitude = Math.abs(dragCoefficient * 0.5 * 1.225 * velocitySquared * (bodyDiameter * 0.001 / 2) * (bodyDiameter * 0.001 / 2) * 3.14 * (aerodynamicCenter_m - centerOfGravity_m));
+  const momentMagnitude = Math.abs(dragCoefficient * 0.5 * rho * velocitySquared * (bodyDiameter * 0.001 / 2) * (bodyDiameter * 0.001 / 2) * 3.14 * (aerodynamicCenter_m - centerOfGravity_m));
 
   // 符号の決定
   let finalMoment;
@@ -680,7 +370,7 @@ const calculateDragMoment = (velocity, omega, flightAngle, rocketParams, bodyDia
   return finalMoment;
 };
 
-const calculateWindMoment = (noseHeight, bodyDiameter, bodyHeight, windSpeed, omega, totalFinArea, centerOfPressure, centerOfGravity) => {
+const calculateWindMoment = (noseHeight, bodyDiameter, bodyHeight, windSpeed, omega, totalFinArea, centerOfPressure, centerOfGravity, rho = STANDARD_AIR_DENSITY) => {
   // --- 追加: 未定義入力のチェック ---
   if (windSpeed == null || isNaN(windSpeed)) windSpeed = 0;
   if (omega == null || isNaN(omega)) omega = 0;
@@ -701,7 +391,7 @@ const calculateWindMoment = (noseHeight, bodyDiameter, bodyHeight, windSpeed, om
   const Dwf = 1.28 * 0.05 * Math.pow(safeWindSpeed, 2) * totalFinArea; // 係数1.28スタート
 
   // 風速によりボディが受ける力
-  const Dwb = 0.23 * 0.5 * 1.225 * Math.pow(safeWindSpeed, 2) * bodyDiameter * (bodyHeight_m + noseHeight_m);
+  const Dwb = 0.23 * 0.5 * rho * Math.pow(safeWindSpeed, 2) * bodyDiameter * (bodyHeight_m + noseHeight_m);
 
   // 安全なコサイン計算
   const cosAngle = Math.cos(omega);
@@ -755,7 +445,7 @@ const applyWindDirectionAngleLimit = (omega, windSpeed) => {
 };
 
 // 迎角変化によるフィンの舵モーメントを計算する関数
-const calculateFinMoment = (finHeight, finBaseWidth, finSweepLength, finTipWidth, finCount, velocity, omega, flightAngle, finMaterial, finCp, noseHeight, bodyHeight, bodyWidth ,centerOfGravity) => {
+const calculateFinMoment = (finHeight, finBaseWidth, finSweepLength, finTipWidth, finCount, velocity, omega, flightAngle, finMaterial, finCp, noseHeight, bodyHeight, bodyWidth ,centerOfGravity, rho) => {
   // --- 追加: 未定義入力のチェック ---
   if (omega == null || isNaN(omega)) omega = 0;
   if (flightAngle == null || isNaN(flightAngle)) flightAngle = 0;
@@ -765,14 +455,6 @@ const calculateFinMoment = (finHeight, finBaseWidth, finSweepLength, finTipWidth
   const centerOfGravity_m = mmToM(centerOfGravity);
   const finCp_m = mmToM(finCp);
 
-  // 空気密度（kg/m³）
-  const rho = 1.225;
-
-  // フィンの投影面積を再計算 (1枚あたり)
-  const finHeight_m = mmToM(finHeight);
-  const finSweepLength_m = mmToM(finSweepLength);
-  const finTipWidth_m = mmToM(finTipWidth);
-
   // フィンの面積(m^2)
   const finArea = ((finBaseWidth + finTipWidth) * 0.001) * (finHeight * 0.001) / 2;
 
@@ -780,15 +462,10 @@ const calculateFinMoment = (finHeight, finBaseWidth, finSweepLength, finTipWidth
   const angleOfAttack = omega - flightAngle; //const angleOfAttack = omega - flightAngle;
 
   // 傾いたフィンの面積
-  let finLeanArea;
-  if (finCount === 3) {
-    finLeanArea = Math.abs(finHeight_m * (1.732 / 2) * (finSweepLength_m + finTipWidth_m) * Math.sin(angleOfAttack) * finArea / ((finSweepLength_m + finTipWidth_m) * finHeight_m));
-  } else {
-    finLeanArea = Math.abs(finHeight_m * (finSweepLength_m + finTipWidth_m) * Math.sin(angleOfAttack) * finArea / ((finSweepLength_m + finTipWidth_m) * finHeight_m));
-  }
+  const finLeanArea = Math.abs(Math.sin(angleOfAttack) * finArea);
 
-  // フィン総面積（枚数分）
-  const totalLeanFinArea = finLeanArea * 2;
+  // フィン総面積（側面から見えるフィンの見かけのスパンの合計の分）
+  const totalLeanFinArea = finLeanArea * getFinSideProjectionFactor(finCount);
 
   // 抗力係数（cd）は迎角に依存する
   // 小迎角の範囲内では以下の簡易近似式を用いる
@@ -860,11 +537,109 @@ const calculateThrustMoment = (thrust, centerOfGravity, omega, flightAngle, rock
   return finalMoment;
 };
 
+// 推進剤の位置（モーター中心、機体後端からモーター長の半分） (mm)
+export const getPropellantPosition = (rocketParams, motor) =>
+  rocketParams.noseHeight + rocketParams.bodyHeight - (motor?.length || 70) / 2;
+
+// 推進剤の消費を考慮した時刻 time の質量 (g) と重心位置 (mm) を計算する関数
+// weight と centerOfGravity は発射時（推進剤を含む）の値。推進剤はモーター中心（機体後端からモーター長の半分）にあるものとする
+export const calculateMassPropertiesAtTime = (rocketParams, motor, time) => {
+  const liftoffWeight = rocketParams.weight;
+  const propellantMass = Math.min(motor?.propellantMass || 0, liftoffWeight * 0.9);
+  const burnedPropellantMass = propellantMass * getBurnedFraction(motor, time);
+  const propellantPosition = getPropellantPosition(rocketParams, motor);
+
+  const weight = liftoffWeight - burnedPropellantMass;
+  const centerOfGravity = (liftoffWeight * rocketParams.centerOfGravity - burnedPropellantMass * propellantPosition) / weight;
+
+  return {
+    weight, // 質量 (g)
+    centerOfGravity, // 重心位置 (mm)
+    burnedPropellantMass, // 消費した推進剤質量 (g)
+    propellantPosition // 推進剤の位置 (mm)
+  };
+};
+
+// 発射時と燃焼終了時の重心位置・静安定マージンを計算する関数
+export const calculateBurnoutStability = (rocketParams, motor) => {
+  const liftoffMargins = calculateStaticMargin(rocketParams);
+  const burnout = calculateMassPropertiesAtTime(rocketParams, motor, motor?.burnTime ?? 0);
+  const burnoutMargins = calculateStaticMargin({ ...rocketParams, centerOfGravity: burnout.centerOfGravity });
+
+  return {
+    liftoffWeight: rocketParams.weight,
+    liftoffCenterOfGravity: rocketParams.centerOfGravity,
+    liftoffStandardStaticMargin: liftoffMargins.standardStaticMargin,
+    liftoffStabilityStaticMargin: liftoffMargins.stabilityStaticMargin,
+    burnoutWeight: burnout.weight,
+    burnoutCenterOfGravity: burnout.centerOfGravity,
+    burnoutStandardStaticMargin: burnoutMargins.standardStaticMargin,
+    burnoutStabilityStaticMargin: burnoutMargins.stabilityStaticMargin
+  };
+};
+
+// 慣性モーメントを計算する関数 (I = 0.25*(M-N*m_fin)*r^2 + 0.0833*(M-N*m_fin)*l^2 + Σ(I_CM + m_fin*d_i^2))
+// d_i はフィン i の重心までの距離。取り付け角 φ のフィンは縦揺れの軸から (R + 重心のスパン方向位置)|sin φ| だけ離れる（R は取り付ける円筒の半径）
+// pitchInertia（部品リストまたは実測の発射時の重心まわりの値）がある場合は、そこから消費した推進剤を推進剤位置の質点として除く
+// massProperties は calculateMassPropertiesAtTime の戻り値（省略時は発射時）
+export const calculateMomentOfInertia = (rocketParams, mass_kg, finCp_m, massProperties = null) => {
+  if (typeof rocketParams.pitchInertia === 'number' && rocketParams.pitchInertia > 0) {
+    const liftoffMass = gToKg(rocketParams.weight);
+    const liftoffCenterOfGravity = mmToM(rocketParams.centerOfGravity);
+    const centerOfGravity = mmToM(massProperties?.centerOfGravity ?? rocketParams.centerOfGravity);
+    const burnedMass = gToKg(massProperties?.burnedPropellantMass ?? 0);
+    const propellantPosition = mmToM(massProperties?.propellantPosition ?? rocketParams.centerOfGravity);
+    // 平行軸の定理でノーズ先端まわりに移してから推進剤を除き、現在の重心まわりに戻す
+    const inertiaAboutTip = rocketParams.pitchInertia + liftoffMass * liftoffCenterOfGravity * liftoffCenterOfGravity -
+      burnedMass * propellantPosition * propellantPosition;
+    return Math.max(0, inertiaAboutTip - mass_kg * centerOfGravity * centerOfGravity);
+  }
+
+  const finCount = rocketParams.finCount || 3;
+  const bodyRadius = mmToM(rocketParams.bodyWidth) / 2;
+  const mountRadius = mmToM(getFinMount(rocketParams).diameter) / 2;
+  const bodyLength = mmToM(rocketParams.bodyHeight + rocketParams.noseHeight);
+  const planform = calculateFinPlanform(rocketParams);
+  const finBaseWidth_m = mmToM(planform.rootChord);
+  const finThickness_m = mmToM(rocketParams.finThickness);
+  const finMaterial = FIN_MATERIALS[rocketParams.finMaterial] || FIN_MATERIALS['light_veneer'];
+
+  const finVol = planform.area * 1e-6 * finThickness_m;
+  const finMass = finVol * finMaterial.MD;
+  // 翼根後縁より後ろに出る部分も含めた機体軸方向の長さで見積もる
+  const finExtension_m = mmToM(planform.trailingEdgeExtension);
+  const fin_momentOfInertia = Math.pow((finBaseWidth_m + finExtension_m) / 2, 2) * finMass / 3;
+  // フィンの面積重心のスパン方向位置（付け根から）
+  const finCentroidSpan = mmToM(planform.centroidSpan);
+  const finsMomentOfInertia = getFinAngles(finCount).reduce((sum, angle) => {
+    const lateralOffset = (mountRadius + finCentroidSpan) * Math.abs(Math.sin(angle));
+    return sum + fin_momentOfInertia + finMass * (Math.pow(lateralOffset, 2) + Math.pow(finCp_m, 2));
+  }, 0);
+
+  const bodyMass = mass_kg - finMass * finCount;
+  const momentOfInertia = 0.25 * bodyMass * bodyRadius * bodyRadius + 0.0833 * bodyMass * bodyLength * bodyLength + finsMomentOfInertia;
+
+  return momentOfInertia;
+};
+
 // 物理計算 (calculateFlightPath関数の完全実装)
-export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile, config) => {
+// 多段ロケットの区間計算用に config で以下を指定できる（RocketStaging から使用）
+//   initialState: 開始時の状態 { time, x, y, vx, vy, omega, angularVelocity }（省略時は発射台上で静止）
+//   stopTime: この時刻に達したら計算を打ち切る (s)
+//   motorStartTime: モーターの点火時刻 (s、既定は0)
+//   parachuteEjectionTime: モーターの放出遅延による放出時刻 (s、既定は燃焼終了 + モーターの遅延)
+//   maxTime: 最大シミュレーション時間 (s、既定は20)
+export const calculateFlightPath = (inputParams, angle, windSpeed, windProfile, config) => {
   // 設定オブジェクトからフラグを取得（設定がなければデフォルト値を使用）
   const useEnhancedAttitudeControl = config?.enhancedAttitudeControl ?? ENHANCED_ATTITUDE_CONTROL;
   const useWindAngleLimitation = config?.windAngleLimitation ?? WIND_ANGLE_LIMITATION;
+  const log = (config?.verbose ?? VERBOSE_LOGGING) ? console.log : () => {};
+
+  // 打ち上げ場所の大気モデル（未指定の場合は海面のISA）
+  const atmosphere = createAtmosphere(inputParams.atmosphere);
+
+  // 入力パラメータは変更せず、フィンの圧力中心位置を付加したコピーを使用する
+  const rocketParams = { ...inputParams, finCp: calculateCenterOfPressure(inputParams).finCp };
 
   // rocketParamsからfinCountを取得（デフォルト値は3）
   const finCount = rocketParams.finCount || 3;
@@ -875,69 +650,45 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   let isCurrentlyZeroWind = isZeroWind;
 
   // 角度変化を記録するための変数
-  let prevOmega = angle * Math.PI / 180; // 前フレームの角度（初期値は発射角度）
+  const initialState = config?.initialState;
+  let prevOmega = initialState?.omega ?? angle * Math.PI / 180; // 前フレームの角度（初期値は発射角度）
   let currentMaxAngleChange = 0; // 直接更新用の最大角度変化量
   const dt = 0.02;
   const dt2 = ANGLE_RESPONSE_DT; // 角度応答時間
-  const mass_kg = gToKg(rocketParams.weight);
-  const thrustData = MOTOR_THRUST_DATA[rocketParams.selectedMotor];
-  const launchRailLength = PHYSICAL_CONSTANTS.launchRailLength; // 発射台の長さ (m)
-  const MAX_TIME = 20; // 最大シミュレーション時間 (s)
+  let mass_kg = gToKg(rocketParams.weight); // 質量（推進剤の消費に合わせて毎ステップ更新）
+  let currentCenterOfGravity = rocketParams.centerOfGravity; // 重心位置 (mm)
+  const motor = resolveMotor(rocketParams); // 推力曲線を持つモーターデータ
+  const launchRail = { ...DEFAULT_LAUNCH_RAIL, ...(rocketParams.launchRail || {}) }; // 発射台の長さ・摩擦係数・方位
+  const launchRailLength = launchRail.length; // 発射台の長さ (m)
+  const MAX_TIME = config?.maxTime ?? 20; // 最大シミュレーション時間 (s)
+  const stopTime = Math.min(MAX_TIME, config?.stopTime ?? Infinity); // 計算の打ち切り時刻 (s)
 
   // ロケットの物理パラメータ
   const bodyDiameter = mmToM(rocketParams.bodyWidth); // ロケット直径 (m)
-  const bodyRadius = bodyDiameter / 2; // ロケット半径 (m)
   const bodyLength = mmToM(rocketParams.bodyHeight + rocketParams.noseHeight); // 
-  const finBaseWidth_m = mmToM(rocketParams.finBaseWidth);
-  const finHeight_m = mmToM(rocketParams.finHeight);
-  const finTipWidth_m = mmToM(rocketParams.finTipWidth);
-  const finSweepLength_m = mmToM(rocketParams.finSweepLength);
-  const finwidth_m = mmToM(rocketParams.finHeight); // フィン幅
-  const finThickness_m = mmToM(rocketParams.finThickness);
   const finCp_m = mmToM(rocketParams.finCp);
-  const PI = Math.PI;
-
-  // フィン材料特性
-  const finMaterial = FIN_MATERIALS['light_veneer']; // デフォルト値を設定
-
-  // 慣性モーメントの計算 (I = 0.25*(M-m_fin)*r^2 + 0.0833*(M-m_fin)*l^2 + I_CM + m_fin*d^2)
-  let momentOfInertia;
-  if (finCount === 3) {
-    const finVol = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5 * finThickness_m;
-    const finMass = finVol * finMaterial.MD;
-    let fin_momentOfInertia;
-    if (finSweepLength_m + finTipWidth_m > finBaseWidth_m) {
-      fin_momentOfInertia = Math.pow((finBaseWidth_m + (finSweepLength_m + finTipWidth_m - finBaseWidth_m)) / 2, 2) * finMass / 3;
-    } else {
-      fin_momentOfInertia = Math.pow(finBaseWidth_m / 2, 2) * finMass / 3;
-    }
-    const cg_to_sideFincg = Math.pow(Math.pow(((finTipWidth_m + (2 * finBaseWidth_m)) / (3 * (finTipWidth_m + finBaseWidth_m))) * (finHeight_m * 1.732 / 2), 2) + Math.pow(finCp_m, 2), 0.5);
-    momentOfInertia = 0.25 * (mass_kg - finMass * 3) * bodyRadius * bodyRadius + 0.0833 * (mass_kg - finMass * 3) * bodyLength * bodyLength + ((fin_momentOfInertia + finMass * Math.pow(finCp_m, 2)) + (fin_momentOfInertia + finMass * Math.pow(cg_to_sideFincg, 2)) * 2);
 
-  } else {
-    const finVol = (finTipWidth_m + finBaseWidth_m) * finHeight_m * 0.5 * finThickness_m;
-    const finMass = finVol * finMaterial.MD;
-    let fin_momentOfInertia;
-    if (finSweepLength_m + finTipWidth_m > finBaseWidth_m) {
-      fin_momentOfInertia = Math.pow((finBaseWidth_m + (finSweepLength_m + finTipWidth_m - finBaseWidth_m)) / 2, 2) * finMass / 3;
-    } else {
-      fin_momentOfInertia = Math.pow(finBaseWidth_m / 2, 2) * finMass / 3;
-    }
-    const cg_to_sideFincg = Math.pow(Math.pow(((finTipWidth_m + (2 * finBaseWidth_m)) / (3 * (finTipWidth_m + finBaseWidth_m))) * finHeight_m, 2) + Math.pow(finCp_m, 2), 0.5);
-    momentOfInertia = 0.25 * (mass_kg - finMass * 3) * bodyRadius * bodyRadius + 0.0833 * (mass_kg - finMass * 3) * bodyLength * bodyLength + ((fin_momentOfInertia + finMass * Math.pow(finCp_m, 2)) * 2 + (fin_momentOfInertia + finMass * Math.pow(cg_to_sideFincg, 2)) * 2);
+  // 慣性モーメントの計算（推進剤の消費に合わせて毎ステップ更新する）
+  let momentOfInertia = calculateMomentOfInertia(rocketParams, mass_kg, finCp_m);
 
-  }
+  // 突風と乱流の風モデル（windVariation が未指定なら風速プロファイルの一定の風）
+  const windModel = createWindModel(rocketParams.windVariation);
+
+  // 部品ごとの抗力の積み上げモデル（速度・大気状態に応じて毎ステップ Cd を求める）
+  const dragModel = createDragModel(rocketParams);
 
-  // ノーズ形状に基づく抗力係数
-  const noseCd = NOSE_SHAPES[rocketParams.noseShape].cd;
+  // 構造解析（フィンの限界速度・ボディチューブの荷重）用のモデル
+  const structuralModel = createStructuralModel(rocketParams);
 
   // パラシュート関連の定数
-  const thrustEndTime = thrustData.length * dt;
-  const parachuteDelay = parseInt(rocketParams.selectedMotor.split('-')[1]);
-  const parachuteDeployTime = 1.0;
-  const parachuteEjectionTime = thrustEndTime + parachuteDelay;
-  const parachuteActiveTime = parachuteEjectionTime + parachuteDeployTime;
-  const parachuteDiameter = mmToM(parseInt(rocketParams.selectedParachute.slice(1))); // φ180 -> 180mm -> 0.18m
+  const motorStartTime = config?.motorStartTime ?? 0; // モーター点火時刻
+  const thrustEndTime = motorStartTime + motor.burnTime;
+  // プラグ（放出なし）のモーターではパラシュートを放出しない
+  const parachuteDelay = motor.delay ?? Infinity;
+  const parachuteEjectionTime = config?.parachuteEjectionTime ?? thrustEndTime + parachuteDelay;
+  // 回収装置（ドローグ・メインなど、放出条件ごとに順に放出する）
+  const recoveryDevices = createRecoveryDevices(rocketParams);
+  const recoveryKeyPoints = recoveryDevices.map(device => ({ id: device.id, ejection: null, active: null }));
 
   // 新しい計算 - 投影面積と圧力中心の計算
   const projectedAreas = calculateProjectedArea(rocketParams);
@@ -945,8 +696,6 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   const aerodynamicCenter = calculateAerodynamicCenter(rocketParams);
   const stabilityCenterOfPressure = calculateStabilityCenterOfPressure(rocketParams);
 
-  rocketParams.finCp = centerOfPressure.finCp;
-
   // 体積計算
   const volumes = calculateVolume(rocketParams);
 
@@ -954,15 +703,15 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   const staticMargins = calculateStaticMargin(rocketParams);
 
   // 状態変数の初期化
-  let time = 0;
-  let x = 0; // メートル単位
-  let y = 0; // メートル単位
-  let vx = 0;
-  let vy = 0;
-  let prev_vx = 0;
-  let prev_vy = 0;
-  let omega = angle * Math.PI / 180; // 初期角度（ラジアン）
-  let angularVelocity = 0; // 角速度
+  let time = initialState?.time ?? 0;
+  let x = initialState?.x ?? 0; // メートル単位
+  let y = initialState?.y ?? 0; // メートル単位
+  let vx = initialState?.vx ?? 0;
+  let vy = initialState?.vy ?? 0;
+  let prev_vx = vx;
+  let prev_vy = vy;
+  let omega = initialState?.omega ?? angle * Math.PI / 180; // 初期角度（ラジアン）
+  let angularVelocity = initialState?.angularVelocity ?? 0; // 角速度
   let angularAcceleration = 0; // 角加速度
   let data = [];
   let isParachuteEjected = false;
@@ -998,6 +747,9 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   let maxSpeed = 0;
   let maxDistance = 0; // 最大水平距離を記録
   let maxFinDeflection = 0; // 最大フィンたわみ量
+  let startedOnLaunchRail = false; // 発射台上から飛行を始めたか（多段の上段は発射台を使わない）
+  let railExit = null; // 発射台離脱時の時刻・高度・速度・風速
+  let hasLeftLaunchRail = false; // 発射台を離れたか（以降は発射台上の拘束を適用しない）
 
   // キーポイント記録
   let keyPoints = {
@@ -1012,41 +764,82 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
   const TORQUE_THRESHOLD = 10.0; // (important-comment)
 
   // シミュレーションループ
-  while ((y >= 0 || time < 0.1) && time < MAX_TIME) {
+  while ((y >= 0 || time < 0.1) && time < stopTime) {
     // 前回の速度を保存
     prev_vx = vx;
     prev_vy = vy;
 
-    // パラシュート状態の更新
-    if (!isParachuteEjected && time >= parachuteEjectionTime) {
+    // 推進剤の消費による質量・重心・慣性モーメントの更新
+    const massProperties = calculateMassPropertiesAtTime(rocketParams, motor, time - motorStartTime);
+    mass_kg = gToKg(massProperties.weight);
+    currentCenterOfGravity = massProperties.centerOfGravity;
+    momentOfInertia = calculateMomentOfInertia(rocketParams, mass_kg, finCp_m, massProperties);
+
+    // パラシュート状態の更新（各回収装置の放出条件を判定）
+    let openingShockForce = 0; // このステップで開傘した装置の開傘衝撃力 (N)
+    const recoveryUpdate = stepRecoveryDevices(recoveryDevices, {
+      time, height: y, vy, motorEjectionTime: parachuteEjectionTime, thrustEndTime
+    });
+
+    for (const device of recoveryUpdate.ejected) {
+      recoveryKeyPoints[recoveryDevices.indexOf(device)].ejection = { time, height: y, speed: vy };
+    }
+    if (!isParachuteEjected && recoveryUpdate.ejected.length > 0) {
       isParachuteEjected = true;
       keyPoints.parachuteEjection = { time, height: y, speed: vy };
     }
 
-    if (isParachuteEjected && !isParachuteActive) {
-      parachuteDeploymentProgress = Math.min(1,
-        (time - parachuteEjectionTime) / parachuteDeployTime);
-    }
+    parachuteDeploymentProgress = getDeploymentProgress(recoveryDevices);
 
-    if (!isParachuteActive && time >= parachuteActiveTime) {
-      isParachuteActive = true;
-      parachuteDeploymentProgress = 1.0;
+    if (recoveryUpdate.activated.length > 0) {
+      // 開傘衝撃力は減速前の速度で求める
+      const openingDensity = getAtmosphereAt(atmosphere, y).density;
+      const openingSpeed = Math.sqrt(vx * vx + vy * vy);
+      const openingForces = recoveryUpdate.activated.map(device => calculateOpeningShockForce(device, openingSpeed, openingDensity));
+      openingShockForce = Math.max(...openingForces);
 
-      // パラシュート展開時は速度を90%減少
-      vx = vx * 0.1;
-      vy = vy * 0.1;
+      // パラシュート展開時は速度を減少（最初の装置は90%減少、2個目以降は終端速度まで）
+      const shock = applyOpeningShock(vx, vy, recoveryDevices, isParachuteActive, mass_kg, openingDensity);
+      vx = shock.vx;
+      vy = shock.vy;
 
-      keyPoints.parachuteActive = { time, height: y, speed: vy };
+      for (const [index, device] of recoveryUpdate.activated.entries()) {
+        recoveryKeyPoints[recoveryDevices.indexOf(device)].active = {
+          time, height: y, speed: vy, openingSpeed, openingForce: openingForces[index], mass: massProperties.weight
+        };
+      }
+      if (!isParachuteActive) {
+        isParachuteActive = true;
+        keyPoints.parachuteActive = { time, height: y, speed: vy };
+      }
     }
 
     const distanceFromStart = Math.sqrt(x * x + y * y);
-    const onLaunchRail = distanceFromStart < launchRailLength;
+    // 一度発射台を離れたら、発射台の近くに落ちてきても発射台上には戻さない
+    const onLaunchRail = !hasLeftLaunchRail &&
+      distanceFromStart < launchRailLength - 1e-9; // 発射台の先端に置いた位置の丸め誤差で離脱しそこねないようにする
 
     // 速度の大きさ
     const velocity = Math.sqrt(prev_vx * prev_vx + prev_vy * prev_vy);
 
-    // 現在の高度に基づく有効風速を計算
-    const effectiveWindSpeed = calculateWindSpeedAtHeight(windSpeed, y, windProfile);
+    // 現在の高度に基づく有効風速を計算（突風・乱流を含む瞬間風速）
+    const meanWindSpeed = calculateWindSpeedAtHeight(windSpeed, y, windProfile);
+    const wind = applyWindVariation(windModel, time, meanWindSpeed);
+    const effectiveWindSpeed = wind.speed;
+
+    // 発射台を離れた最初のステップを記録する
+    if (onLaunchRail) {
+      startedOnLaunchRail = true;
+    } else {
+      hasLeftLaunchRail = true;
+      if (startedOnLaunchRail && !railExit) {
+        railExit = { time, height: y, speed: velocity, windSpeed: effectiveWindSpeed };
+      }
+    }
+
+    // 現在の高度の大気状態
+    const air = getAtmosphereAt(atmosphere, y);
+    const rho = air.density; // 空気密度 (kg/m³)
 
     // 現在の風速ゼロ判定を更新
     isCurrentlyZeroWind = Math.abs(effectiveWindSpeed) < 0.1;
@@ -1058,6 +851,8 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     let Fx = 0;
     let Fy = 0;
     let thrust = 0;
+    let recoveryForce = 0; // 開傘している回収装置が索で機体を引っ張る力 (N)
+    let dragCoefficient = 0; // 機体の抗力係数（パラシュート降下中は 0）
 
     // 特定の角度への対応
     const angleAdjustment = Math.abs(angle) === 4 || Math.abs(angle) === 18 ? 0.01 : 0;
@@ -1073,43 +868,37 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       // 最大絶対角度を更新
       if (Math.abs(normalizedAbsoluteAngle) > Math.abs(maxAbsoluteAngle)) {
         maxAbsoluteAngle = normalizedAbsoluteAngle;
-        console.log(`新しい最大絶対角度検出: ${normalizedAbsoluteAngle.toFixed(2)}° (t=${time.toFixed(2)}s)`);
+        log(`新しい最大絶対角度検出: ${normalizedAbsoluteAngle.toFixed(2)}° (t=${time.toFixed(2)}s)`);
       }
 
       // 絶対角度が閾値を超えたら安定性NG判定
       if (Math.abs(normalizedAbsoluteAngle) > MAX_ABSOLUTE_ANGLE) {
         isAbsoluteAngleOK = false;
-        console.log(`絶対角度の閾値超過: ${normalizedAbsoluteAngle.toFixed(2)}° > ±${MAX_ABSOLUTE_ANGLE}° (t=${time.toFixed(2)}s)`);
+        log(`絶対角度の閾値超過: ${normalizedAbsoluteAngle.toFixed(2)}° > ±${MAX_ABSOLUTE_ANGLE}° (t=${time.toFixed(2)}s)`);
       }
     }
 
-    // フィンのたわみ量計算
-    if (velocity > 5.0) {
-      const finParams = {
-        finHeight: rocketParams.finHeight,
-        finBaseWidth: rocketParams.finBaseWidth,
-        finTipWidth: rocketParams.finTipWidth,
-        finThickness: rocketParams.finThickness,
-        finSweepLength: rocketParams.finSweepLength
-      };
-
-      finDeflection = calculateFinDeflection(velocity, finMaterial, finParams, angleChangePerDt2);
-
-      // 最大フィンたわみ量を更新
-      if (finDeflection > maxFinDeflection) {
-        maxFinDeflection = finDeflection;
-      }
-    } else {
-      finDeflection = 0;
+    // 迎角（機体軸と飛行方向の差に横風による分を加える）
+    const flightPathAngle = velocity > 0.001 ? Math.atan2(prev_vx, prev_vy) : adjustedOmega;
+    const angleOfAttack = Math.abs(adjustedOmega - flightPathAngle) +
+      Math.atan2(Math.abs(effectiveWindSpeed), Math.max(velocity, 0.001));
+
+    // フィンのたわみ量とねじれ角（スパン方向の梁要素モデル、台形以外の平面形は等価台形で求める）
+    const finResponse = calculateFinDeflection(rocketParams, {
+      velocity, airDensity: rho, angleOfAttack, angleChangePerDt2, centerOfGravity: currentCenterOfGravity
+    });
+    finDeflection = finResponse.tipDeflection;
+
+    // 最大フィンたわみ量を更新
+    if (finDeflection > maxFinDeflection) {
+      maxFinDeflection = finDeflection;
     }
 
     // パラシュートフェーズ
     if (isParachuteActive) {
-      // パラシュートの抗力計算
-      const Cd = 0.775; // パラシュートの抗力係数
-      const rho = 1.225; // 空気密度 (kg/m³)
-      const Area = PI * Math.pow(parachuteDiameter / 2, 2);
-      const Dp = 0.5 * Cd * rho * velocity * velocity * Area;
+      // パラシュートの抗力計算（開傘している全装置の合計）
+      const Dp = getRecoveryDrag(recoveryDevices, rho, velocity);
+      recoveryForce = Math.max(getRecoveryLineForce(recoveryDevices, rho, velocity), openingShockForce);
 
       // 速度方向への抗力
       if (velocity > 0.001) {
@@ -1119,7 +908,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
       // 横風の影響を追加（高度に応じた風速を使用）
       const Cdw = 0.25; // 横風の抗力係数
-      const S = parachuteDiameter * parachuteDiameter * 0.785; // パラシュートの投影面積
+      const S = getRecoveryWindArea(recoveryDevices); // 回収装置の投影面積
       const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
       Fx -= Dw;
 
@@ -1156,7 +945,6 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       }
 
       // 横風の影響を小さく追加（高度に応じた風速を使用）
-      const rho = 1.225; // 空気密度
       const Cdw = 0.25; // 横風の抗力係数
       const S = bodyDiameter * bodyLength * 0.5; // 半分展開時の面積
       const Dw = 0.5 * Cdw * rho * Math.abs(effectiveWindSpeed) * effectiveWindSpeed * S;
@@ -1181,14 +969,11 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     else {
       // 通常飛行フェーズ
 
-      // ロケットの抗力計算 - ノーズ形状に基づく抗力係数を使用
-      const bodydia_noseleng_ratio = (rocketParams.noseHeight) * 0.001 / bodyDiameter;
-      const alfa = (0.9 - noseCd) / 9;
-      const Cd = alfa * Math.pow(bodydia_noseleng_ratio, 2) - 6 * alfa * bodydia_noseleng_ratio + (noseCd + (9 * alfa)); // ノーズ長さにおけるCd値の変更
-
-      const rho = 1.225; // 空気密度
-      const Area = PI * Math.pow(bodyDiameter / 2, 2) + finwidth_m * finThickness_m * 4;
-      const Dt = 0.5 * Cd * rho * velocity * velocity * Area;
+      // ロケットの抗力計算 - 部品ごとに積み上げた Cd（胴体断面積基準）を使用
+      const drag = calculateDragCoefficient(dragModel, velocity, air,
+        time >= motorStartTime && time < thrustEndTime);
+      dragCoefficient = drag.cd;
+      const Dt = 0.5 * dragCoefficient * rho * velocity * velocity * dragModel.referenceArea_m2;
 
       // 横風の抗力計算（高度に応じた風速を使用）
       const Cdw = 0.25; // 横風の抗力係数
@@ -1197,8 +982,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
       if (time < thrustEndTime) {
         // エンジン推力フェーズ
-        const thrustIndex = Math.min(Math.floor(time / dt), thrustData.length - 1);
-        thrust = thrustData[thrustIndex];
+        thrust = getThrustAtTime(motor, time - motorStartTime);
 
         // 推力サンプルをトルク計算用に累積
         avgThrustForTorque += thrust;
@@ -1216,6 +1000,15 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
             Fx = thrust * Math.sin(adjustedOmega) - Dw;
           }
 
+          // 発射台に垂直な力は発射台が受け止め（法線力）、その摩擦が発射台に沿った力を減らす
+          const railNormal = Math.abs(mass_kg * g * Math.sin(adjustedOmega) - Dw * Math.cos(adjustedOmega));
+          const railFriction = launchRail.friction * railNormal;
+          const railForce = Fx * Math.sin(adjustedOmega) + Fy * Math.cos(adjustedOmega);
+          // 推力が重力と摩擦に勝つまでは発射台上で静止
+          const netRailForce = velocity < 0.001 && railForce <= railFriction ? 0 : railForce - railFriction;
+          Fx = netRailForce * Math.sin(adjustedOmega);
+          Fy = netRailForce * Math.cos(adjustedOmega);
+
           // 発射台上は角度固定
           torque = 0;
         } else {
@@ -1247,10 +1040,10 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
                 MF = 0;
               } else {
                 // 通常通り計算
-                ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-                MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-                MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, rocketParams.centerOfGravity);
-                MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finCount, velocity, flightAngle, rocketParams, rocketParams.finCp, rocketParams.centerOfGravity);
+                ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, currentCenterOfGravity, rho);
+                MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, currentCenterOfGravity, rho);
+                MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, currentCenterOfGravity, rho);
+                MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finSweepLength, rocketParams.finTipWidth, finCount, velocity, adjustedOmega, flightAngle, rocketParams.finMaterial, rocketParams.finCp, rocketParams.noseHeight, rocketParams.bodyHeight, rocketParams.bodyWidth, currentCenterOfGravity, rho);
               }
 
               if (!isFinite(ML) || isNaN(ML) || !isFinite(MD) || isNaN(MD) || 
@@ -1269,7 +1062,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
                 torque = Math.max(-1.0, Math.min(1.0, rawTorque));
 
                 if (Math.abs(torque) > 0.001 || Math.abs(ML) > 0.001 || Math.abs(MD) > 0.001 || Math.abs(MW) > 0.001 || Math.abs(MF) > 0.001) {
-                  console.log(`Thrust Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
+                  log(`Thrust Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
                 }
               }
             } catch (error) {
@@ -1315,10 +1108,10 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
               MF = 0;
             } else {
               // 通常通り計算
-              ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-              MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, rocketParams.centerOfGravity);
-              MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, rocketParams.centerOfGravity);
-              MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finCount, velocity, flightAngle, rocketParams, rocketParams.finCp, rocketParams.centerOfGravity);
+              ML = calculateLiftMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, currentCenterOfGravity, rho);
+              MD = calculateDragMoment(velocity, adjustedOmega, flightAngle, rocketParams, projectedAreas.sideArea, aerodynamicCenter.aerodynamicCenter, currentCenterOfGravity, rho);
+              MW = calculateWindMoment(rocketParams.noseHeight, bodyDiameter, rocketParams.bodyHeight, effectiveWindSpeed, adjustedOmega, projectedAreas.totalFinArea, centerOfPressure.centerOfPressure, currentCenterOfGravity, rho);
+              MF = calculateFinMoment(rocketParams.finHeight, rocketParams.finBaseWidth, rocketParams.finSweepLength, rocketParams.finTipWidth, finCount, velocity, adjustedOmega, flightAngle, rocketParams.finMaterial, rocketParams.finCp, rocketParams.noseHeight, rocketParams.bodyHeight, rocketParams.bodyWidth, currentCenterOfGravity, rho);
             }
 
             if (!isFinite(ML) || isNaN(ML) || !isFinite(MD) || isNaN(MD) || 
@@ -1339,7 +1132,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
             // デバッグ用ログ
             if (Math.abs(torque) > 0.001 || Math.abs(ML) > 0.001 || Math.abs(MD) > 0.001 || Math.abs(MW) > 0.001 || Math.abs(MF) > 0.001) {
-              console.log(`Inertial Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
+              log(`Inertial Torque components (t=${time.toFixed(2)}): ML=${ML.toFixed(6)}, MD=${MD.toFixed(6)}, MW=${MW.toFixed(6)}, MF=${MF.toFixed(6)}, Total=${torque.toFixed(6)}`);
             }
           } catch (error) {
             console.error('Torque calculation error:', error);
@@ -1383,7 +1176,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
         // トルク計算のデバッグ出力
         if (Math.abs(effectiveTorque) > 0.001) {
-          console.log(`Torque calculation (t=${time.toFixed(2)}): avgTorque=${safeAvgTorque.toFixed(6)}, effectiveTorque=${effectiveTorque.toFixed(6)}, momentOfInertia=${momentOfInertia.toFixed(6)}`);
+          log(`Torque calculation (t=${time.toFixed(2)}): avgTorque=${safeAvgTorque.toFixed(6)}, effectiveTorque=${effectiveTorque.toFixed(6)}, momentOfInertia=${momentOfInertia.toFixed(6)}`);
         }
 
         const MIN_MOMENT_OF_INERTIA = 1e-6;
@@ -1408,7 +1201,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
         // 角度変化のデバッグ出力
         if (Math.abs(oldAngularVelocity - angularVelocity) > 0.001 || Math.abs(angleChangePerDt2) > 0.001) {
-          console.log(`Angle change calculation (t=${time.toFixed(2)}): angularAcceleration=${angularAcceleration.toFixed(6)}, angularVelocity=${angularVelocity.toFixed(6)}, angleChangePerDt2=${angleChangePerDt2.toFixed(6)}`);
+          log(`Angle change calculation (t=${time.toFixed(2)}): angularAcceleration=${angularAcceleration.toFixed(6)}, angularVelocity=${angularVelocity.toFixed(6)}, angleChangePerDt2=${angleChangePerDt2.toFixed(6)}`);
         }
 
         // 姿勢安定性チェック - 推力フェーズと慣性飛行フェーズの両方でチェック（パラシュート展開前のみ）
@@ -1420,13 +1213,13 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
           // 最大角度変化量を更新
           if (Math.abs(angleChangePerDt2Degrees) > Math.abs(maxAngleChangePerDt2)) {
             maxAngleChangePerDt2 = angleChangePerDt2Degrees;
-            console.log(`新しい最大角度変化量検出: ${angleChangePerDt2Degrees.toFixed(2)}° (t=${time.toFixed(2)}s, 推力フェーズ=${time < thrustEndTime})`);
+            log(`新しい最大角度変化量検出: ${angleChangePerDt2Degrees.toFixed(2)}° (t=${time.toFixed(2)}s, 推力フェーズ=${time < thrustEndTime})`);
           }
 
           // 角度変化量が閾値（±45°）を超える場合にNG判定
           if (Math.abs(angleChangePerDt2Degrees) > MAX_ANGLE_CHANGE_PER_DT2) {
             isAngleStableOK = false;
-            console.log(`角度変化量の閾値超過: ${angleChangePerDt2Degrees.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
+            log(`角度変化量の閾値超過: ${angleChangePerDt2Degrees.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
           }
         }
 
@@ -1473,7 +1266,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
       // 角度変化のデバッグ出力 - 実際に何が起きているかを確認
       if (Math.abs(physicsBasedAngleChange) > 0.001) {
-        console.log(`Applied physics angle change (t=${time.toFixed(2)}): ${physicsBasedAngleChange.toFixed(6)}, new omega=${omega.toFixed(6)}`);
+        log(`Applied physics angle change (t=${time.toFixed(2)}): ${physicsBasedAngleChange.toFixed(6)}, new omega=${omega.toFixed(6)}`);
       }
 
       // 前回の角度と現在の角度から変化量を計算（度数法に変換）
@@ -1510,13 +1303,13 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
         // 最大角度変化量を更新
         if (Math.abs(totalAngleChange) > Math.abs(maxAngleChangePerDt2)) {
           maxAngleChangePerDt2 = totalAngleChange;
-          console.log(`新しい最大角度変化量検出: ${totalAngleChange.toFixed(2)}° (t=${time.toFixed(2)}s)`);
+          log(`新しい最大角度変化量検出: ${totalAngleChange.toFixed(2)}° (t=${time.toFixed(2)}s)`);
         }
 
         // 角度変化量が±45°を超える場合にNG判定
         if (Math.abs(totalAngleChange) > MAX_ANGLE_CHANGE_PER_DT2) {
           isAngleStableOK = false;
-          console.log(`角度変化量の閾値超過: ${totalAngleChange.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
+          log(`角度変化量の閾値超過: ${totalAngleChange.toFixed(2)}° > ±${MAX_ANGLE_CHANGE_PER_DT2}° (t=${time.toFixed(2)}s)`);
         }
       }
 
@@ -1557,7 +1350,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
           // デバッグ用ログ - 拡張姿勢制御の適用を確認
           if (Math.abs(newOmega - omega) > 0.01) {
-            console.log(`Applied enhanced attitude control (inertial): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
+            log(`Applied enhanced attitude control (inertial): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
           }
 
         } else {
@@ -1620,7 +1413,7 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
 
           // デバッグ用ログ - 拡張姿勢制御の適用を確認
           if (Math.abs(newOmega - omega) > 0.01) {
-            console.log(`Applied enhanced attitude control (thrust): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
+            log(`Applied enhanced attitude control (thrust): targetOmega=${targetOmega.toFixed(6)}, newOmega=${newOmega.toFixed(6)}`);
           }
         }
       }
@@ -1683,6 +1476,17 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       maxDistance = Math.abs(x);
     }
 
+    // 構造荷重と安全率
+    const structural = evaluateStructuralState(structuralModel, {
+      air,
+      velocity,
+      thrust,
+      drag: 0.5 * dragCoefficient * rho * velocity * velocity * dragModel.referenceArea_m2,
+      recoveryForce,
+      angleOfAttack,
+      centerOfGravity: currentCenterOfGravity
+    });
+
     // バッファ内の合計角度変化量を計算
     const totalAngleChange = angleChangeBuffer.length > 0 ?
       angleChangeBuffer.reduce((sum, change) => sum + change, 0) : 0;
@@ -1704,49 +1508,73 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
       isParachuteEjected,
       isParachuteActive,
       parachuteDeploymentProgress,
+      recoveryDevices: snapshotRecoveryDevices(recoveryDevices), // 回収装置ごとの放出・展開状態
       omega,
       omegaDegrees: (omega * 180 / Math.PI), // 角度を度数法で保存
       torque,
       angleChangePerDt2: totalAngleChange, // 現在の0.2秒間の角度変化
       horizontalDistance: Math.abs(x), // 水平距離の絶対値を追加
-      finDeflection, // フィンのたわみ量を追加
+      finDeflection, // フィン翼端のたわみ量 (mm)
+      finTwist: finResponse.tipTwist, // フィン翼端のねじれ角 (度)
+      finPressure: finResponse.pressure, // フィンの圧力荷重 (Pa)
       angleDeviationDegrees: (omega * 180 / Math.PI) - initialOmegaDegrees, // 初期角度からの偏差を追加
-      effectiveWindSpeed, // 実効風速を記録
-      isThrustActive: time <= thrustEndTime, // 推力が有効かどうか
+      effectiveWindSpeed, // 実効風速を記録（突風・乱流を含む瞬間風速）
+      meanWindSpeed, // 風速プロファイルによる平均風速
+      gustWindSpeed: wind.gust, // 突風による風速
+      turbulenceWindSpeed: wind.turbulence, // 乱流による風速
+      mass: massProperties.weight, // 質量 (g)
+      centerOfGravity: currentCenterOfGravity, // 重心位置 (mm)
+      standardStaticMargin: (centerOfPressure.centerOfPressure - currentCenterOfGravity) / rocketParams.bodyWidth, // 静安定マージン（標準）
+      stabilityStaticMargin: (stabilityCenterOfPressure.stabilityCenterOfPressure - currentCenterOfGravity) / rocketParams.bodyWidth, // 静安定マージン（静安定用）
+      airDensity: rho, // 空気密度 (kg/m³)
+      airTemperature: air.temperatureCelsius, // 気温 (℃)
+      speedOfSound: air.speedOfSound, // 音速 (m/s)
+      machNumber: Math.sqrt(vx * vx + vy * vy) / air.speedOfSound, // マッハ数
+      dragCoefficient, // 機体の抗力係数（胴体断面積基準）
+      isThrustActive: time >= motorStartTime && time <= thrustEndTime, // 推力が有効かどうか
       absoluteAngleDegrees: normalizedAbsoluteAngle, // 絶対角度を追加
       isAbsoluteAngleOK, // 絶対角度の判定結果
       angleChangeLimit: MAX_ANGLE_CHANGE_PER_DT2, // 角度変化量の閾値
       absoluteAngleLimit: MAX_ABSOLUTE_ANGLE, // 絶対角度の閾値
+      dynamicPressure: structural.dynamicPressure, // 動圧 (Pa)
+      flutterSpeed: structural.flutterSpeed, // 現在の高度でのフラッター速度 (m/s)
+      divergenceSpeed: structural.divergenceSpeed, // 現在の高度でのダイバージェンス速度 (m/s)
+      flutterSafetyFactor: structural.flutterSafetyFactor, // フラッターの安全率（フラッター速度 / 速度）
+      divergenceSafetyFactor: structural.divergenceSafetyFactor, // ダイバージェンスの安全率
+      bodyAxialForce: structural.axialForce, // ボディチューブの軸力 (N、圧縮が正)
+      bodyBendingMoment: structural.bendingMoment, // ボディチューブの曲げモーメント (N·m)
+      bodyStress: structural.bodyStress, // ボディチューブの最大応力 (Pa)
+      bodySafetyFactor: structural.bodySafetyFactor, // ボディチューブの安全率（強度 / 応力）
     });
 
     time += dt;
   }
 
   // シミュレーション終了時に角度安定性の判定結果をログ出力
-  console.log(`シミュレーション完了: 最高高度=${maxHeight.toFixed(2)}m, 最高速度=${maxSpeed.toFixed(2)}m/s, 最大水平距離=${maxDistance.toFixed(2)}m`);
-  console.log(`推力終了時 (${keyPoints.thrustEnd.time.toFixed(2)}s): 高度=${keyPoints.thrustEnd.height.toFixed(2)}m, 速度=${keyPoints.thrustEnd.speed.toFixed(2)}m/s`);
-  console.log(`最高点 (${keyPoints.maxHeight.time.toFixed(2)}s): 高度=${keyPoints.maxHeight.height.toFixed(2)}m, 速度=${keyPoints.maxHeight.speed.toFixed(2)}m/s`);
-  console.log(`最大フィンたわみ量: ${maxFinDeflection.toFixed(4)}mm`);
-  console.log(`最大角度変化量/dt2: ${maxAngleChangePerDt2.toFixed(2)}°`);
-  console.log(`姿勢安定性判定: ${isAngleStableOK ? 'OK' : 'NG'}, 最大角度変化量=${maxAngleChangePerDt2.toFixed(2)}°, 閾値=±${MAX_ANGLE_CHANGE_PER_DT2}°`);
-  console.log(`絶対角度安定性判定: ${isAbsoluteAngleOK ? 'OK' : 'NG'}, 最大絶対角度=${maxAbsoluteAngle.toFixed(2)}°, 閾値=±${MAX_ABSOLUTE_ANGLE}°`);
+  log(`シミュレーション完了: 最高高度=${maxHeight.toFixed(2)}m, 最高速度=${maxSpeed.toFixed(2)}m/s, 最大水平距離=${maxDistance.toFixed(2)}m`);
+  log(`推力終了時 (${keyPoints.thrustEnd.time.toFixed(2)}s): 高度=${keyPoints.thrustEnd.height.toFixed(2)}m, 速度=${keyPoints.thrustEnd.speed.toFixed(2)}m/s`);
+  log(`最高点 (${keyPoints.maxHeight.time.toFixed(2)}s): 高度=${keyPoints.maxHeight.height.toFixed(2)}m, 速度=${keyPoints.maxHeight.speed.toFixed(2)}m/s`);
+  log(`最大フィンたわみ量: ${maxFinDeflection.toFixed(4)}mm`);
+  log(`最大角度変化量/dt2: ${maxAngleChangePerDt2.toFixed(2)}°`);
+  log(`姿勢安定性判定: ${isAngleStableOK ? 'OK' : 'NG'}, 最大角度変化量=${maxAngleChangePerDt2.toFixed(2)}°, 閾値=±${MAX_ANGLE_CHANGE_PER_DT2}°`);
+  log(`絶対角度安定性判定: ${isAbsoluteAngleOK ? 'OK' : 'NG'}, 最大絶対角度=${maxAbsoluteAngle.toFixed(2)}°, 閾値=±${MAX_ABSOLUTE_ANGLE}°`);
 
   // 投影面積と体積の情報を追加
-  console.log(`投影面積 - 正面: ${projectedAreas.frontalArea.toFixed(5)}m², 側面: ${projectedAreas.sideArea.toFixed(5)}m²`);
-  console.log(`体積 - ノーズ: ${volumes.noseVolume.toFixed(6)}m³, ボディ: ${volumes.bodyVolume.toFixed(6)}m³, 合計: ${volumes.totalVolume.toFixed(6)}m³`);
-  console.log(`圧力中心位置: ${centerOfPressure.centerOfPressure.toFixed(2)}mm, 空力中心位置: ${aerodynamicCenter.aerodynamicCenter.toFixed(2)}mm`);
-  console.log(`静安定用圧力中心位置: ${stabilityCenterOfPressure.stabilityCenterOfPressure.toFixed(2)}mm`);
-  console.log(`静安定マージン (標準): ${staticMargins.standardStaticMargin.toFixed(2)}, (静安定用): ${staticMargins.stabilityStaticMargin.toFixed(2)}`);
+  log(`投影面積 - 正面: ${projectedAreas.frontalArea.toFixed(5)}m², 側面: ${projectedAreas.sideArea.toFixed(5)}m²`);
+  log(`体積 - ノーズ: ${volumes.noseVolume.toFixed(6)}m³, ボディ: ${volumes.bodyVolume.toFixed(6)}m³, 合計: ${volumes.totalVolume.toFixed(6)}m³`);
+  log(`圧力中心位置: ${centerOfPressure.centerOfPressure.toFixed(2)}mm, 空力中心位置: ${aerodynamicCenter.aerodynamicCenter.toFixed(2)}mm`);
+  log(`静安定用圧力中心位置: ${stabilityCenterOfPressure.stabilityCenterOfPressure.toFixed(2)}mm`);
+  log(`静安定マージン (標準): ${staticMargins.standardStaticMargin.toFixed(2)}, (静安定用): ${staticMargins.stabilityStaticMargin.toFixed(2)}`);
 
   // 姿勢安定性の詳細情報を出力
-  console.log("姿勢安定性の詳細情報:");
-  console.log(`  - 最大角度変化量: ${maxAngleChangePerDt2.toFixed(2)}°/0.2秒`);
-  console.log(`  - 姿勢安定性判定: ${isAngleStableOK ? 'OK' : 'NG'}`);
-  console.log(`  - 判定条件: 0.2秒間の角度変化量が±10°以内`);
+  log("姿勢安定性の詳細情報:");
+  log(`  - 最大角度変化量: ${maxAngleChangePerDt2.toFixed(2)}°/0.2秒`);
+  log(`  - 姿勢安定性判定: ${isAngleStableOK ? 'OK' : 'NG'}`);
+  log(`  - 判定条件: 0.2秒間の角度変化量が±10°以内`);
 
   // 主要な飛行フェーズの角度変化をログ出力
   const flightPhases = [
-    { name: "発射台離脱時", time: Math.min(PHYSICAL_CONSTANTS.launchRailLength / Math.max(0.1, Math.sqrt(Math.pow(data[0].vx, 2) + Math.pow(data[0].vy, 2))), thrustEndTime) },
+    { name: "発射台離脱時", time: railExit?.time ?? 0 },
     { name: "推力終了時", time: thrustEndTime },
     { name: "最高点", time: keyPoints.maxHeight.time },
     { name: "パラシュート展開時", time: keyPoints.parachuteEjection?.time || MAX_TIME }
@@ -1756,18 +1584,20 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     const phaseIndex = Math.min(Math.floor(phase.time / dt), data.length - 1);
     if (phaseIndex >= 0 && phaseIndex < data.length) {
       const phaseData = data[phaseIndex];
-      console.log(`${phase.name} (t=${phase.time.toFixed(2)}s): 角度=${phaseData.omegaDegrees.toFixed(2)}°, 角度偏差=${phaseData.angleDeviationDegrees.toFixed(2)}°`);
+      log(`${phase.name} (t=${phase.time.toFixed(2)}s): 角度=${phaseData.omegaDegrees.toFixed(2)}°, 角度偏差=${phaseData.angleDeviationDegrees.toFixed(2)}°`);
     }
   });
 
   return {
     data,
+    finalState: { time, x, y, vx, vy, omega, angularVelocity }, // 終了時の状態（次の区間の開始状態）
     prec_MaxHeight,
     maxHeight,
     maxSpeed,
     maxDistance,
     maxFinDeflection,
-    keyPoints,
+    keyPoints: { ...keyPoints, recoveryEvents: recoveryKeyPoints },
+    railExit: railExit && evaluateRailExit(railExit, angle, launchRail), // 発射台離脱時の速度と判定（発射台を使わない区間は null）
     angleStability: {
       maxAngleChangePerDt2,
       isAngleStableOK,
@@ -1782,6 +1612,8 @@ export const calculateFlightPath = (rocketParams, angle, windSpeed, windProfile,
     aerodynamicCenter,
     stabilityCenterOfPressure,
     staticMargins,
+    massProperties: calculateBurnoutStability(rocketParams, motor), // 発射時・燃焼終了時の質量と静安定マージン
+    structuralLoads: summarizeStructuralLoads(data), // 最大動圧時・開傘時の荷重と最小安全率
     calculations: {
       aerodynamicCenter: Math.round(aerodynamicCenter.aerodynamicCenter),
       pressureCenter: Math.round(centerOfPressure.centerOfPressure),
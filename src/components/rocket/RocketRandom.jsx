@@ -0,0 +1,23 @@
+// シード付きの乱数（モンテカルロ分散解析・突風と乱流の風モデルで使用）
+
+/**
+ * シード付きの乱数生成器（mulberry32）
+ * @param {number} seed - シード（同じシードなら同じ乱数列）
+ * @returns {Function} 0以上1未満の一様乱数を返す関数
+ */
+export const createRandom = (seed) => {
+  let state = (Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 標準正規乱数（Box-Muller 法）
+export const gaussian = (random) => {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
@@ -0,0 +1,319 @@
+// 回収装置（パラシュート・ストリーマー・タンブル）の放出・展開の計算
+// 複数の装置を順に放出できる（例: 最高点でドローグ、降下中の設定高度でメイン）
+// 各装置は抗力面積 dragArea（Cd·S）と横風を受ける面積 windArea で表し、抗力・終端速度は種類によらず同じ式で求める
+import {
+  DEFAULT_RECOVERY_EVENTS, CANOPY_SHAPES, DEFAULT_PARACHUTE_SPEC, RECOVERY_DEVICE_TYPES, STREAMER_MATERIALS,
+  DEFAULT_STREAMER_SPEC, DEFAULT_TUMBLE_CD, getFinAngles
+} from './RocketConstants';
+import { STANDARD_AIR_DENSITY } from './RocketAtmosphere';
+import { calculateNoseGeometry } from './RocketNoseCone';
+import { calculateBodyGeometry } from './RocketBodyComponents';
+import { calculateFinPlanform } from './RocketFinPlanform';
+
+// 放出から完全展開までの時間 (s)
+export const PARACHUTE_DEPLOY_TIME = 1.0;
+
+// ストリーマーが伸びきるまでの時間 (s)（タンブルは放出と同時に横転する）
+const STREAMER_DEPLOY_TIME = 0.5;
+
+// ストリーマーの抗力係数（面積 L·W 基準）の近似 Cd = 係数 × (L/W + 1)、細長いほど大きく上限で頭打ち
+const STREAMER_CD_FACTOR = 0.034;
+const STREAMER_MAX_CD = 0.4;
+
+// ストリーマーは傘のように膨らまないため開傘衝撃係数を1とする
+const STREAMER_OPENING_FORCE_COEFFICIENT = 1.0;
+
+// 回収イベントの種類（未指定・未知の値はパラシュート）
+export const getRecoveryType = (event) =>
+  event && typeof event === 'object' && RECOVERY_DEVICE_TYPES[event.type] ? event.type : 'parachute';
+
+// 推奨直径の反復計算の回数（傘の質量が直径とともに変わるため）
+const RECOMMENDED_DIAMETER_ITERATIONS = 20;
+
+// パラシュートサイズ（例: φ300）から直径 (m) を求める
+export const getParachuteDiameter = (parachute) => parseInt(String(parachute).replace('φ', '')) / 1000;
+
+/**
+ * 回収イベント（またはサイズ名 'φ300'）からパラシュートの仕様を求める
+ * キャノピー形状などが未指定なら DEFAULT_PARACHUTE_SPEC、抗力係数が未指定なら形状の目安の値を使う
+ * @param {Object|string} parachute - 回収イベント（parachute, diameter, canopy, gores, spillHole, cd, mass）またはサイズ名
+ * @returns {{canopy: string, diameter: number, gores: number, spillHole: number, cd: number, mass: number,
+ *   openingForceCoefficient: number, areaRatio: number}} 直径・スピルホールは m、質量は kg
+ */
+export const resolveParachuteSpec = (parachute) => {
+  const event = typeof parachute === 'string' ? { parachute } : parachute || {};
+  const canopy = CANOPY_SHAPES[event.canopy] ? event.canopy : DEFAULT_PARACHUTE_SPEC.canopy;
+  const shape = CANOPY_SHAPES[canopy];
+  const diameter = event.diameter > 0 ? event.diameter / 1000 : getParachuteDiameter(event.parachute);
+  return {
+    canopy,
+    diameter,
+    gores: Math.max(3, Math.round(event.gores || DEFAULT_PARACHUTE_SPEC.gores)),
+    spillHole: Math.min(Math.max(0, event.spillHole || 0) / 1000, diameter),
+    cd: event.cd ?? shape.cd,
+    mass: Math.max(0, event.mass ?? DEFAULT_PARACHUTE_SPEC.mass) / 1000,
+    openingForceCoefficient: shape.openingForceCoefficient,
+    areaRatio: shape.areaRatio
+  };
+};
+
+// ストリーマーの抗力係数（面積 L·W 基準）
+export const calculateStreamerCd = (length, width) =>
+  width > 0 ? Math.min(STREAMER_MAX_CD, STREAMER_CD_FACTOR * (length / width + 1)) : 0;
+
+/**
+ * 回収イベントからストリーマーの仕様を求める
+ * @param {Object} event - 回収イベント（streamerLength, streamerWidth (mm), streamerMaterial）
+ * @returns {{length: number, width: number, material: string, cd: number, mass: number}} 長さ・幅は m、質量は kg
+ */
+export const resolveStreamerSpec = (event) => {
+  const spec = { ...DEFAULT_STREAMER_SPEC, ...event };
+  const material = STREAMER_MATERIALS[spec.streamerMaterial] ? spec.streamerMaterial : DEFAULT_STREAMER_SPEC.streamerMaterial;
+  const length = Math.max(0, spec.streamerLength) / 1000;
+  const width = Math.max(0, spec.streamerWidth) / 1000;
+  return {
+    length,
+    width,
+    material,
+    cd: calculateStreamerCd(length, width),
+    mass: STREAMER_MATERIALS[material].surfaceDensity * length * width / 1000
+  };
+};
+
+// 機体の側面投影面積 (m²)（タンブル回収の抗力の基準面積。フィンは取り付け角ごとに横から見た面積を加える）
+export const calculateTumbleArea = (rocketParams) => {
+  const nose = calculateNoseGeometry(rocketParams.noseShape, rocketParams.noseHeight, rocketParams.bodyWidth / 2);
+  const body = calculateBodyGeometry(rocketParams);
+  const finArea = calculateFinPlanform(rocketParams).area *
+    getFinAngles(rocketParams.finCount).reduce((sum, angle) => sum + Math.abs(Math.sin(angle)), 0);
+  return (nose.sideArea + body.sideArea + finArea) * 1e-6;
+};
+
+/**
+ * 回収イベントから飛行計算に使う回収装置の特性を求める
+ * @param {Object} event - 回収イベント
+ * @param {Object} rocketParams - 機体のパラメータ（タンブルの側面投影面積に使う）
+ * @returns {Object} type、dragArea（抗力面積 m²）、windArea（横風を受ける面積 m²）、openingForceCoefficient、
+ *   deployTime（展開時間 s）と種類ごとの仕様（パラシュートは resolveParachuteSpec、ストリーマーは streamer）
+ */
+export const resolveRecoveryDevice = (event, rocketParams) => {
+  const type = getRecoveryType(event);
+  if (type === 'streamer') {
+    const streamer = resolveStreamerSpec(event);
+    const area = streamer.length * streamer.width;
+    return {
+      type,
+      streamer,
+      dragArea: streamer.cd * area,
+      windArea: area,
+      openingForceCoefficient: STREAMER_OPENING_FORCE_COEFFICIENT,
+      deployTime: STREAMER_DEPLOY_TIME
+    };
+  }
+  if (type === 'tumble') {
+    // 機体自体が減速するため、機体を引っ張る力（開傘衝撃）はない
+    const area = calculateTumbleArea(rocketParams);
+    return {
+      type,
+      dragArea: (event.tumbleCd ?? DEFAULT_TUMBLE_CD) * area,
+      windArea: area,
+      openingForceCoefficient: 0,
+      deployTime: 0
+    };
+  }
+  const spec = resolveParachuteSpec(event);
+  return {
+    ...spec,
+    type,
+    dragArea: getParachuteDragArea(spec),
+    windArea: spec.diameter * spec.diameter * 0.785,
+    deployTime: PARACHUTE_DEPLOY_TIME
+  };
+};
+
+// 名目面積 (m²)（スピルホールの分を除く）
+export const getParachuteArea = (spec) =>
+  Math.max(0, Math.PI / 4 * (spec.areaRatio * spec.diameter * spec.diameter - spec.spillHole * spec.spillHole));
+
+// 抗力面積 Cd·S (m²)
+export const getParachuteDragArea = (spec) => spec.cd * getParachuteArea(spec);
+
+// 定常降下速度 (m/s)
+export const calculateDescentRate = (dragArea, mass_kg, rho = STANDARD_AIR_DENSITY, g = 9.81) =>
+  dragArea > 0 ? Math.sqrt(2 * mass_kg * g / (rho * dragArea)) : Infinity;
+
+// 開傘衝撃力 (N)（展開時の速度での動圧 × 抗力面積 × 開傘衝撃係数）
+// device は resolveRecoveryDevice の値（openingForceCoefficient, dragArea）
+export const calculateOpeningShockForce = (device, speed, rho = STANDARD_AIR_DENSITY) =>
+  device.openingForceCoefficient * 0.5 * rho * speed * speed * device.dragArea;
+
+/**
+ * 目標の降下速度になるパラシュートの直径を求める
+ * 形状・抗力係数・スピルホールの直径比は同じとし、傘の質量は面積に比例させる
+ * @param {Object} spec - resolveParachuteSpec の仕様
+ * @param {number} landingMass_kg - 傘を含む降下時の質量 (kg)
+ * @param {number} targetSpeed - 目標の降下速度 (m/s)
+ * @param {number} [rho] - 空気密度 (kg/m³)
+ * @returns {number|null} 直径 (m)（求められない場合は null）
+ */
+export const calculateRecommendedDiameter = (spec, landingMass_kg, targetSpeed, rho = STANDARD_AIR_DENSITY, g = 9.81) => {
+  const spillRatio = spec.diameter > 0 ? spec.spillHole / spec.diameter : 0;
+  const areaPerDiameterSquared = Math.PI / 4 * (spec.areaRatio - spillRatio * spillRatio);
+  if (!(targetSpeed > 0) || !(landingMass_kg > 0) || !(spec.cd > 0) || areaPerDiameterSquared <= 0) return null;
+
+  const area = getParachuteArea(spec);
+  const fabricDensity = area > 0 ? spec.mass / area : 0; // 傘の面密度 (kg/m²)
+  const bodyMass = Math.max(0, landingMass_kg - spec.mass);
+  let diameter = spec.diameter;
+  for (let i = 0; i < RECOMMENDED_DIAMETER_ITERATIONS; i++) {
+    const mass = bodyMass + fabricDensity * areaPerDiameterSquared * diameter * diameter;
+    const requiredArea = 2 * mass * g / (rho * targetSpeed * targetSpeed * spec.cd);
+    diameter = Math.sqrt(requiredArea / areaPerDiameterSquared);
+  }
+  return diameter;
+};
+
+/**
+ * 回収装置の設計値（定常降下速度・開傘衝撃力・パラシュートが目標の降下速度になる直径）
+ * @param {Object|string} event - 回収イベントまたはパラシュートのサイズ名
+ * @param {Object} conditions - landingMass_kg（降下時の質量）、deploymentSpeed（開傘時の速度 m/s、不明なら null）、
+ *   targetSpeed（目標の降下速度 m/s）、rho（空気密度）
+ * @param {Object} rocketParams - 機体のパラメータ（タンブルの側面投影面積に使う）
+ * @returns {{device: Object, descentRate: number, openingForce: number|null, recommendedDiameter: number|null}}
+ *   recommendedDiameter はパラシュートのみ（それ以外は null）
+ */
+export const calculateRecoveryDesign = (event, { landingMass_kg, deploymentSpeed = null, targetSpeed, rho = STANDARD_AIR_DENSITY }, rocketParams) => {
+  const device = resolveRecoveryDevice(typeof event === 'string' ? { parachute: event } : event, rocketParams);
+  return {
+    device,
+    descentRate: calculateDescentRate(device.dragArea, landingMass_kg, rho),
+    openingForce: deploymentSpeed === null || device.openingForceCoefficient === 0
+      ? null
+      : calculateOpeningShockForce(device, deploymentSpeed, rho),
+    recommendedDiameter: device.type === 'parachute'
+      ? calculateRecommendedDiameter(device, landingMass_kg, targetSpeed, rho)
+      : null
+  };
+};
+
+// 計算パラメータから回収イベントの一覧を取得する
+// recoveryEvents が未指定なら selectedParachute をモーターの放出遅延で放出する（従来の計算と同じ）
+export const resolveRecoveryEvents = (rocketParams) => {
+  if (Array.isArray(rocketParams?.recoveryEvents)) return rocketParams.recoveryEvents;
+  return [{
+    ...DEFAULT_RECOVERY_EVENTS[0],
+    parachute: rocketParams?.selectedParachute || DEFAULT_RECOVERY_EVENTS[0].parachute
+  }];
+};
+
+// 飛行計算用の回収装置の状態を作成する
+export const createRecoveryDevices = (rocketParams) =>
+  resolveRecoveryEvents(rocketParams).map((event, index) => ({
+    ...resolveRecoveryDevice(event, rocketParams), // 種類・抗力面積・展開時間など
+    id: event.id || `recovery${index + 1}`,
+    trigger: event.trigger || 'motorDelay',
+    altitude: event.altitude ?? 0, // 放出高度 (m、trigger が altitude の場合)
+    isEjected: false,
+    isActive: false,
+    deploymentProgress: 0,
+    ejectionTime: null
+  }));
+
+// 飛行データに記録した状態から回収装置を復元する（着地予測で計算を続ける場合）
+export const restoreRecoveryDevices = (rocketParams, snapshot = []) =>
+  createRecoveryDevices(rocketParams).map(device => {
+    const saved = snapshot.find(state => state.id === device.id);
+    return saved ? { ...device, ...saved } : device;
+  });
+
+// 飛行データに記録する回収装置の状態
+export const snapshotRecoveryDevices = (devices) =>
+  devices.map(({ id, isEjected, isActive, deploymentProgress, ejectionTime }) => ({
+    id, isEjected, isActive, deploymentProgress, ejectionTime
+  }));
+
+// 放出条件を満たしているか
+// motorEjectionTime はモーターの放出遅延による放出時刻、高度条件と最高点は燃焼終了後の降下中のみ判定する
+const isTriggered = (device, { time, height, vy, motorEjectionTime, thrustEndTime }) => {
+  switch (device.trigger) {
+    case 'apogee':
+      return time > thrustEndTime && vy < 0;
+    case 'altitude':
+      return time > thrustEndTime && vy < 0 && height <= device.altitude;
+    default:
+      return time >= motorEjectionTime;
+  }
+};
+
+// 1ステップ分の放出・展開状態を更新する（devices を更新し、このステップで放出・開傘した装置を返す）
+export const stepRecoveryDevices = (devices, state) => {
+  const ejected = [];
+  const activated = [];
+
+  devices.forEach(device => {
+    if (!device.isEjected && isTriggered(device, state)) {
+      device.isEjected = true;
+      // モーターの放出遅延では予定時刻を展開の基準にする
+      device.ejectionTime = device.trigger === 'motorDelay' ? state.motorEjectionTime : state.time;
+      ejected.push(device);
+    }
+
+    if (device.isEjected && !device.isActive) {
+      device.deploymentProgress = device.deployTime > 0
+        ? Math.min(1, (state.time - device.ejectionTime) / device.deployTime)
+        : 1;
+
+      if (state.time >= device.ejectionTime + device.deployTime) {
+        device.isActive = true;
+        device.deploymentProgress = 1.0;
+        activated.push(device);
+      }
+    }
+  });
+
+  return { ejected, activated };
+};
+
+// 描画用の展開率（展開中の装置があればその値、開傘済みの装置のみなら1）
+export const getDeploymentProgress = (devices) => {
+  const deploying = devices.filter(device => device.isEjected && !device.isActive);
+  if (deploying.length > 0) return deploying[deploying.length - 1].deploymentProgress;
+  return devices.some(device => device.isActive) ? 1.0 : 0;
+};
+
+// 開傘している装置の抗力の合計 (N)
+export const getRecoveryDrag = (devices, rho, velocity) =>
+  devices.filter(device => device.isActive).reduce((sum, device) =>
+    sum + 0.5 * rho * velocity * velocity * device.dragArea, 0);
+
+// 開傘している装置が索で機体を引っ張る力の合計 (N)（タンブルは機体自体の抗力のため含めない）
+export const getRecoveryLineForce = (devices, rho, velocity) =>
+  getRecoveryDrag(devices.filter(device => device.type !== 'tumble'), rho, velocity);
+
+// 開傘している装置の横風を受ける投影面積の合計 (m²)
+export const getRecoveryWindArea = (devices) =>
+  devices.filter(device => device.isActive).reduce((sum, device) => sum + device.windArea, 0);
+
+// 開傘している装置による終端速度 (m/s)
+export const getRecoveryTerminalVelocity = (devices, mass_kg, rho, g = 9.81) => {
+  const dragArea = devices
+    .filter(device => device.isActive)
+    .reduce((sum, device) => sum + device.dragArea, 0);
+  return calculateDescentRate(dragArea, mass_kg, rho, g);
+};
+
+// 開傘時の速度変化
+// 最初にパラシュートが開傘した場合は従来どおり速度を90%減少させ、
+// それ以外（2個目以降の装置、ストリーマー・タンブル）は新しい終端速度まで減速する
+export const applyOpeningShock = (vx, vy, devices, wasActive, mass_kg, rho) => {
+  if (!wasActive && devices.some(device => device.isActive && device.type === 'parachute')) {
+    return { vx: vx * 0.1, vy: vy * 0.1 };
+  }
+  const speed = Math.sqrt(vx * vx + vy * vy);
+  const terminalVelocity = getRecoveryTerminalVelocity(devices, mass_kg, rho);
+  if (speed <= terminalVelocity || speed === 0) {
+    return { vx, vy };
+  }
+  const factor = terminalVelocity / speed;
+  return { vx: vx * factor, vy: vy * factor };
+};
@@ -1,6 +1,12 @@
 // SVG描画関連の関数
 import React from 'react';
-import { SVG_CONFIG, ANALYSIS_VIEW_CONFIG } from './RocketConstants';
+import { SVG_CONFIG, ANALYSIS_VIEW_CONFIG, getFinAngles } from './RocketConstants';
+import { getFinOutline } from './RocketFinPlanform';
+import { getNoseProfile } from './RocketNoseCone';
+import { resolveParachuteSpec, resolveStreamerSpec, getRecoveryType } from './RocketRecovery';
+
+// ノーズの輪郭を描く際の分割数
+const NOSE_PATH_SEGMENTS = 40;
 
 // 安全な値を取得するユーティリティ関数 - より強化されたバージョン
 export const getSafeValue = (value, defaultValue = 0) => {
@@ -17,33 +23,39 @@ export const getSafeValue = (value, defaultValue = 0) => {
   return value;
 };
 
-// getNosePath 関数の修正
-export const getNosePath = (config, noseShape, noseHeight, bodyWidth, bodyHeight) => {
-  const startX = config.centerX - bodyWidth / 2;
-  const endX = config.centerX + bodyWidth / 2;
-  const baseY = config.height - bodyHeight; // ノーズコーンの底辺
-  const topY = baseY - noseHeight; // ノーズコーンの先端
-
-  if (noseShape === "cone") {
-    // 円錐ノーズ
-    return `M ${startX} ${baseY} L ${config.centerX} ${topY} L ${endX} ${baseY} Z`;
-  } else if (noseShape === "parabola") {
-    // 放物線ノーズ
-    const controlY = topY + noseHeight * 0.15;
-    return `M ${startX} ${baseY} 
-            C ${startX} ${controlY}, ${config.centerX} ${topY}, ${config.centerX} ${topY}
-            C ${config.centerX} ${topY}, ${endX} ${controlY}, ${endX} ${baseY} Z`;
-  } else {
-    // オジブノーズ
-    const halfWidth = bodyWidth / 2;
-    return `M ${startX} ${baseY}
-            Q ${startX + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${config.centerX} ${topY}
-            Q ${endX - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${endX} ${baseY} Z`;
-  }
+/**
+ * ノーズの輪郭のパス（ノーズ形状の式 r(x) の点列を結ぶ）
+ * @param {number} centerX - 機体軸の x 座標
+ * @param {number} baseY - ノーズ後端の y 座標（先端は baseY - noseHeight）
+ * @param {string} noseShape - ノーズ形状 (NOSE_SHAPES のキー)
+ * @param {number} noseHeight - ノーズ長さ
+ * @param {number} bodyWidth - ノーズ後端の直径
+ * @returns {string} SVG パス
+ */
+export const getNoseCurvePath = (centerX, baseY, noseShape, noseHeight, bodyWidth) => {
+  const tipY = baseY - noseHeight;
+  const profile = getNoseProfile(noseShape, noseHeight, bodyWidth / 2, NOSE_PATH_SEGMENTS);
+  // 左側を後端から先端へ、右側を先端から後端へたどる
+  const leftSide = [...profile].reverse().map(point => `${centerX - point.r} ${tipY + point.x}`);
+  const rightSide = profile.slice(1).map(point => `${centerX + point.r} ${tipY + point.x}`);
+  return `M ${leftSide.join(' L ')} L ${rightSide.join(' L ')} Z`;
 };
 
+// getNosePath 関数の修正
+export const getNosePath = (config, noseShape, noseHeight, bodyWidth, bodyHeight) =>
+  getNoseCurvePath(config.centerX, config.height - bodyHeight, noseShape, noseHeight, bodyWidth);
+
 // getBodyPath 関数の修正
-export const getBodyPath = (config, bodyHeight, bodyWidth) => {
+// outline（getBodyOutline の点列）を渡した場合は径変化部を含む輪郭を描く
+export const getBodyPath = (config, bodyHeight, bodyWidth, outline = null) => {
+  if (outline && outline.length > 0) {
+    const topY = config.height - bodyHeight;
+    const toY = (point) => topY + point.x - outline[0].x;
+    const leftSide = outline.map(point => `${config.centerX - point.r} ${toY(point)}`);
+    const rightSide = [...outline].reverse().map(point => `${config.centerX + point.r} ${toY(point)}`);
+    return `M ${leftSide.join(' L ')} L ${rightSide.join(' L ')} Z`;
+  }
+
   const startX = config.centerX - bodyWidth / 2;
   const endX = config.centerX + bodyWidth / 2;
   const baseY = config.height;
@@ -138,53 +150,76 @@ export const getCenterFinsPath = (config, finThickness, finBaseWidth, finSweepLe
           L ${config.centerX + halfThickness} ${finTopY - frontExtension} Z`;
 };
 
-// 3枚フィン用の左右のフィンを描画する関数
-export const getTriFinLeftRightPaths = (config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth) => {
-  const centerX = config.centerX;
-  const bottomY = config.height;
-  
-  // ボディの半径
-  const bodyRadius = bodyWidth / 2;
-  
-  // フィンの付け根の位置: ボディの中心から ±(ボディ径/2×1.73/2) の位置
-  const offset = bodyRadius * 1.73 / 2;
-  const leftFinRootX = centerX - offset;
-  const rightFinRootX = centerX + offset;
-  
-  // フィンの幅: 設定値 × 1.73 / 2
-  const adjustedFinHeight = finHeight * 1.73 / 2;
-  
-  // フィン付け根の上端位置
-  const finTopY = bottomY - finBaseWidth;
-  
-  // 後退代がマイナスの場合の処理を追加
-  let adjustedFinTopY, adjustedFinBottomY;
-  
-  if (finSweepLength >= 0) {
-    // 通常の正の後退代の場合
-    adjustedFinTopY = finTopY + finSweepLength;
-    adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-  } else {
-    // 後退代がマイナスの場合（前進翼）
-    adjustedFinTopY = finTopY - Math.abs(finSweepLength);
-    adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-  }
-  
-  // 左フィンのパス
-  const leftFinPath = `M ${leftFinRootX} ${finTopY}
-                       L ${leftFinRootX} ${bottomY}
-                       L ${leftFinRootX - adjustedFinHeight} ${adjustedFinBottomY}
-                       L ${leftFinRootX - adjustedFinHeight} ${adjustedFinTopY} Z`;
-  
-  // 右フィンのパス
-  const rightFinPath = `M ${rightFinRootX} ${finTopY}
-                        L ${rightFinRootX} ${bottomY}
-                        L ${rightFinRootX + adjustedFinHeight} ${adjustedFinBottomY}
-                        L ${rightFinRootX + adjustedFinHeight} ${adjustedFinTopY} Z`;
-  
+/**
+ * 側面図のフィンのパス（フィン枚数 2〜8 枚、平面形は getFinOutline の輪郭）
+ * フィンを胴体の周りに等間隔に並べ、取り付け角 φ のフィンは付け根を胴体中心から R·sin φ、スパンを s·sin φ に縮めて描く
+ * 視線方向を向いたフィン（sin φ ≈ 0）は中央に厚みの帯として描く
+ * @param {number} x - 胴体中心の x 座標
+ * @param {number} y - 胴体後端の y 座標
+ * @param {Object} params - bodyWidth, finShape, finPoints, finHeight, finBaseWidth, finSweepLength, finTipWidth, finThickness, finCount
+ *   （finMountWidth: フィンを取り付ける円筒の直径、finAftOffset: 胴体後端から翼根後縁までの距離。省略時は bodyWidth と 0）
+ * @param {number} [deflection=0] - フィンのたわみ角 (度)
+ * @returns {{behindFins: Array<string>, frontFins: Array<string>, centerFins: string|null}}
+ *   behindFins は胴体より奥（胴体の前に描く）、frontFins は手前（胴体の後に描く）のフィン
+ */
+export const getSideViewFinPaths = (x, y, params, deflection = 0) => {
+  // 安全にパラメータを取得
+  const bodyWidth = getSafeValue(params.finMountWidth ?? params.bodyWidth, 30);
+  const finBaseWidth = getSafeValue(params.finBaseWidth, 30);
+  const finThickness = getSafeValue(params.finThickness, 2);
+  const finCount = Math.round(getSafeValue(params.finCount, 3));
+  const finAftOffset = getSafeValue(params.finAftOffset, 0);
+  const outline = getFinOutline({
+    finShape: params.finShape,
+    finPoints: params.finPoints,
+    finHeight: getSafeValue(params.finHeight, 40),
+    finBaseWidth,
+    finSweepLength: getSafeValue(params.finSweepLength, 0),
+    finTipWidth: getSafeValue(params.finTipWidth, 20)
+  }).map(point => ({ x: getSafeValue(point.x, 0), y: getSafeValue(point.y, 0) }));
+
+  // 付け根の前端の y 座標（輪郭の x は付け根の前端から後方が正）
+  const finTopY = y - finAftOffset - finBaseWidth;
+
+  // たわみを考慮した修正
+  const deflectionAngle = deflection * Math.PI / 180; // ラジアンに変換
+
+  const behindFins = [];
+  const frontFins = [];
+  let hasCenterFin = false;
+
+  getFinAngles(finCount).forEach(angle => {
+    const projection = Math.sin(angle);
+    if (Math.abs(projection) < 1e-6) {
+      hasCenterFin = true;
+      return;
+    }
+
+    // sin φ が正のフィンは左、負のフィンは右に見える
+    const rootX = x - (bodyWidth / 2) * projection;
+    const path = outline.map((point, i) => {
+      const screenX = rootX - point.y * projection * Math.cos(deflectionAngle);
+      const screenY = finTopY + point.x + point.y * Math.abs(projection) * Math.sin(deflectionAngle);
+      return `${i === 0 ? 'M' : 'L'} ${screenX} ${screenY}`;
+    }).join(' ') + ' Z';
+
+    (Math.cos(angle) < -1e-6 ? behindFins : frontFins).push(path);
+  });
+
+  // 中央のフィンは輪郭の前端から後端までの帯
+  const halfThickness = finThickness / 2;
+  const centerTopY = finTopY + Math.min(0, ...outline.map(point => point.x));
+  const centerBottomY = finTopY + Math.max(finBaseWidth, ...outline.map(point => point.x));
+
   return {
-    leftFin: leftFinPath,
-    rightFin: rightFinPath
+    behindFins,
+    frontFins,
+    centerFins: hasCenterFin
+      ? `M ${x - halfThickness} ${centerTopY}
+         L ${x - halfThickness} ${centerBottomY}
+         L ${x + halfThickness} ${centerBottomY}
+         L ${x + halfThickness} ${centerTopY} Z`
+      : null
   };
 };
 
@@ -234,20 +269,7 @@ export const drawInitialRocket = (centerX, centerY, params, rotation) => {
                      L ${params.bodyWidth / 2} ${0} 
                      L ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
                      
-    let nosePath;
-    if (params.noseShape === "cone") {
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  L ${0} ${-params.bodyHeight - params.noseHeight} 
-                  L ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    } else if (params.noseShape === "parabola") {
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  Q ${0} ${-params.bodyHeight - params.noseHeight * 1.2}, 
-                    ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    } else { // ogive
-      nosePath = `M ${-params.bodyWidth / 2} ${-params.bodyHeight} 
-                  Q ${0} ${-params.bodyHeight - params.noseHeight * 1.1}, 
-                    ${params.bodyWidth / 2} ${-params.bodyHeight} Z`;
-    }
+    const nosePath = getNoseCurvePath(0, -params.bodyHeight, params.noseShape, params.noseHeight, params.bodyWidth);
     
     const leftFinPath = `M ${-params.bodyWidth / 2} ${-params.finBaseWidth} 
                          L ${-params.bodyWidth / 2} ${0} 
@@ -401,62 +423,130 @@ export const getWindArrowWidth = (speed) => {
   return 3; // 弱風: 通常の線
 };
 
-// パラシュート表示を改良
-export const getParachutePath = (x, y, isOpen, deploymentProgress = 1.0, rotation = 0, rocketLength, selectedParachute, trajectoryScale) => {
+// キャノピーの高さ（直径の半分に対する比、u は中心からの横位置 -1〜1）
+// 半球形は丸いドーム、平面円形は浅いドーム、十字形は角ばった箱形に見える
+const CANOPY_PROFILES = {
+  'flat': (u) => 0.55 * Math.sqrt(1 - u * u),
+  'hemispherical': (u) => 0.9 * Math.sqrt(1 - u * u),
+  'cross': (u) => 0.7 * Math.min(1, (1 - Math.abs(u)) / 0.25)
+};
+
+// キャノピーの上側の輪郭を分割する数
+const CANOPY_SEGMENTS = 24;
+
+// スカートの横から見えるゴアの継ぎ目の位置（u、左端から右端へ）
+// 十字形は4本の腕の端に吊り索が付く
+const getCanopySkirtPoints = (spec) => {
+  if (spec.canopy === 'cross') return [-1, -1 / 3, 1 / 3, 1];
+  const visibleSeams = Math.floor(spec.gores / 2);
+  return Array.from({ length: visibleSeams + 1 }, (_, i) => -Math.cos(Math.PI * i / visibleSeams));
+};
+
+// パラシュートの中心・大きさ（パラシュート本体と紐で同じ計算を使用して一貫性を確保）
+const getParachuteLayout = (x, y, deploymentProgress, rocketLength, parachute, trajectoryScale) => {
+  const spec = resolveParachuteSpec(parachute);
+
+  // ロケットの長さを基準に計算（機体の上部に常に配置するため、回転角度を無視し、yだけ上方向に移動）
+  const offsetDistance = rocketLength * 1.5 * trajectoryScale * deploymentProgress;
+  return {
+    spec,
+    centerX: x,
+    skirtY: y - offsetDistance,
+    radius: (spec.diameter / 2) * trajectoryScale * deploymentProgress
+  };
+};
+
+// パラシュート表示（キャノピーの形状・ゴアの枚数・スピルホールを反映）
+// parachute は回収イベント（canopy, gores, spillHole, diameter を含む）またはサイズ名（例: φ300）
+export const getParachutePath = (x, y, isOpen, deploymentProgress = 1.0, rotation = 0, rocketLength, parachute, trajectoryScale) => {
   if (!isOpen) return "";
 
-  // ロケットの長さを基準に計算
-  // 基準距離を短くして調整（1.5倍にする）
-  const baseOffsetDistance = rocketLength * 1.5; 
-  const offsetDistance = baseOffsetDistance * trajectoryScale * deploymentProgress;
-
-  // 機体の上部に常に配置するため、回転角度を無視
-  // xは変更せず、yだけ上方向に移動
-  const parachuteX = x;
-  const parachuteY = y - offsetDistance;
-
-  // パラシュートサイズの計算
-  const parachuteSize = (parseInt(selectedParachute.slice(1)) / 1000 / 2) * trajectoryScale * deploymentProgress;
-
-  // パラシュートのパスを描画
-  return `M ${parachuteX - parachuteSize} ${parachuteY}
-          C ${parachuteX - parachuteSize} ${parachuteY - parachuteSize * 0.8},
-            ${parachuteX} ${parachuteY - parachuteSize * 1.2},
-            ${parachuteX + parachuteSize} ${parachuteY - parachuteSize * 0.8}
-          C ${parachuteX + parachuteSize} ${parachuteY - parachuteSize * 0.8},
-            ${parachuteX + parachuteSize} ${parachuteY},
-            ${parachuteX + parachuteSize} ${parachuteY}
+  const { spec, centerX, skirtY, radius } = getParachuteLayout(x, y, deploymentProgress, rocketLength, parachute, trajectoryScale);
+  const profile = CANOPY_PROFILES[spec.canopy];
+  const spillRatio = spec.diameter > 0 ? spec.spillHole / spec.diameter : 0;
+  const toPoint = (u, h) => `${centerX + u * radius} ${skirtY - h * radius}`;
+
+  // 上側の輪郭（左端から右端へ）。スピルホールの範囲は頂部を一段下げて穴に見せる
+  const top = Array.from({ length: CANOPY_SEGMENTS + 1 }, (_, i) => -1 + 2 * i / CANOPY_SEGMENTS)
+    .concat(spillRatio > 0 ? [-spillRatio, spillRatio] : [])
+    .sort((a, b) => a - b)
+    .filter((u, i, list) => i === 0 || u !== list[i - 1])
+    .map(u => ({ u, h: Math.abs(u) < spillRatio ? profile(spillRatio) * 0.8 : profile(u) }));
+
+  // スカート（右端から左端へ）。ゴアの間は少したるませる
+  const seams = getCanopySkirtPoints(spec).slice().reverse();
+  const skirt = seams.slice(1).flatMap((u, i) => [{ u: (u + seams[i]) / 2, h: 0.08 }, { u, h: 0 }]);
+
+  return `M ${top.map(point => toPoint(point.u, point.h)).join(' L ')}
+          ${skirt.map(point => `L ${toPoint(point.u, point.h)}`).join(' ')}
           Z`;
 };
 
-// パラシュートの紐を描画
-export const getParachuteStringPaths = (x, y, isOpen, deploymentProgress = 1.0, rotation = 0, rocketLength, selectedParachute, trajectoryScale) => {
+// パラシュートの紐を描画（ロケット位置からスカートのゴアの継ぎ目まで）
+export const getParachuteStringPaths = (x, y, isOpen, deploymentProgress = 1.0, rotation = 0, rocketLength, parachute, trajectoryScale) => {
   if (!isOpen) return '';
 
-  // パラシュート本体と全く同じ計算を使用して一貫性を確保
-  const baseOffsetDistance = rocketLength * 1.5; 
-  const offsetDistance = baseOffsetDistance * trajectoryScale * deploymentProgress;
-
-  // 機体の上部に常に配置
-  const parachuteX = x;
-  const parachuteY = y - offsetDistance;
+  const { spec, centerX, skirtY, radius } = getParachuteLayout(x, y, deploymentProgress, rocketLength, parachute, trajectoryScale);
+  return getCanopySkirtPoints(spec)
+    .map(u => `M ${x} ${y} L ${centerX + u * radius} ${skirtY}`)
+    .join(' ');
+};
 
-  // パラシュートサイズも同一の計算で
-  const parachuteSize = (parseInt(selectedParachute.slice(1)) / 1000 / 2) * trajectoryScale * deploymentProgress;
+// ストリーマーの波の数と振幅（幅に対する比）
+const STREAMER_WAVES = 3;
+const STREAMER_WAVE_AMPLITUDE = 0.6;
+const STREAMER_SEGMENTS = 24;
+
+// ストリーマーを描画（機体から索の先に、降下中は上方へなびく波打った帯）
+// 伸びきるまでは長さを展開率に比例させる
+export const getStreamerPaths = (x, y, deploymentProgress = 1.0, rocketLength, event, trajectoryScale) => {
+  const streamer = resolveStreamerSpec(event);
+  const attachY = y - rocketLength * trajectoryScale;
+  const length = streamer.length * trajectoryScale * deploymentProgress;
+  // 細すぎて見えなくならないように最小幅を 1 とする
+  const halfWidth = Math.max(1, streamer.width * trajectoryScale) / 2;
+
+  const centerLine = Array.from({ length: STREAMER_SEGMENTS + 1 }, (_, i) => {
+    const t = i / STREAMER_SEGMENTS;
+    return {
+      x: x + Math.sin(2 * Math.PI * STREAMER_WAVES * t) * halfWidth * 2 * STREAMER_WAVE_AMPLITUDE * t,
+      y: attachY - length * t
+    };
+  });
+  const left = centerLine.map(point => `${point.x - halfWidth} ${point.y}`);
+  const right = centerLine.slice().reverse().map(point => `${point.x + halfWidth} ${point.y}`);
 
-  // キャノピーの各部分の座標を計算
-  const canopyLeftX = parachuteX - parachuteSize;
-  const canopyRightX = parachuteX + parachuteSize;
-  const canopyBottomY = parachuteY;
-  const canopyCenterX = parachuteX;
-  const canopyCenterTopY = parachuteY - parachuteSize * 0.5;
+  return {
+    canopy: `M ${left.join(' L ')} L ${right.join(' L ')} Z`,
+    strings: `M ${x} ${y} L ${x} ${attachY}`
+  };
+};
 
-  // 紐のパスを描画 - ロケット位置からキャノピーの各点まで
-  return `M ${x} ${y} L ${canopyLeftX} ${canopyBottomY}
-          M ${x} ${y} L ${canopyCenterX} ${canopyCenterTopY}
-          M ${x} ${y} L ${canopyRightX} ${canopyBottomY}`;
+// タンブル回収の描画用の回転角（度）。放出後は一定の速さで横転させる（姿勢の計算には影響しない）
+const TUMBLE_DISPLAY_RATE = 360; // 度/s
+export const getTumbleRotation = (rotation, devices, time) => {
+  const tumble = (devices || []).find(device => device.isActive && getRecoveryType(device.parachute) === 'tumble');
+  return tumble ? rotation + TUMBLE_DISPLAY_RATE * Math.max(0, time - tumble.ejectionTime) : rotation;
 };
 
+// 複数の回収装置（ドローグ・メイン）を描画
+// devices は { id, parachute（回収イベントまたはサイズ名）, isEjected, isActive, deploymentProgress } の配列。後の装置ほど機体から離して描く
+// タンブルは機体自体が横転するだけのため描く装置はない
+export const getRecoveryDevicePaths = (x, y, devices, rocketLength, trajectoryScale) =>
+  (devices || [])
+    .filter(device => device.isEjected && getRecoveryType(device.parachute) !== 'tumble')
+    .map((device, index) => {
+      const lineLength = rocketLength * (1 + 0.6 * index);
+      const progress = device.isActive ? 1.0 : device.deploymentProgress;
+      const paths = getRecoveryType(device.parachute) === 'streamer'
+        ? getStreamerPaths(x, y, progress, lineLength, device.parachute, trajectoryScale)
+        : {
+          canopy: getParachutePath(x, y, true, progress, 0, lineLength, device.parachute, trajectoryScale),
+          strings: getParachuteStringPaths(x, y, true, progress, 0, lineLength, device.parachute, trajectoryScale)
+        };
+      return { id: device.id, isActive: device.isActive, ...paths };
+    });
+
 // メートル単位からSVG座標への変換関数
 export const metersToSvgX = (meters, trajectoryScale) => {
   // NaNチェック追加
@@ -501,7 +591,8 @@ export const getSafeRotationTransform = (rotation, x, y) => {
 };
 
 // 姿勢表示用のロケットスケールを自動計算する関数を追加
-export const calculateAttitudeDisplayScale = (rocketParams, circleRadius = 90) => {
+// finExtension を省略した場合は台形フィンとして後端の突き出しを求める
+export const calculateAttitudeDisplayScale = (rocketParams, circleRadius = 90, finExtension = null) => {
   try {
     // 必要なパラメータを安全に取得
     const noseHeight = getSafeValue(rocketParams.noseHeight, 50);
@@ -512,7 +603,7 @@ export const calculateAttitudeDisplayScale = (rocketParams, circleRadius = 90) =
     
     // ロケットの寸法を計算
     const actualRocketHeight = noseHeight + bodyHeight;
-    const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+    finExtension = finExtension ?? Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
     const totalHeight = actualRocketHeight + finExtension;
     
     // スケール計算 - 安全範囲内に制限
@@ -580,13 +671,13 @@ export const getWindProfileArrows = (baseWindSpeed, profile, showWindArrows, met
   });
 };
 
-// ロケット寸法計算関数
-export const getActualRocketDimensions = (config, noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth) => {
+// ロケット寸法計算関数（finExtension を省略した場合は台形フィンとして後端の突き出しを求める）
+export const getActualRocketDimensions = (config, noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, finExtension = null) => {
   const rocketTopY = config.height - bodyHeight - noseHeight;
   // 機体全長の計算 - ノーズとボディの高さ
   const actualRocketHeight = noseHeight + bodyHeight;
   // フィンの後端がボディ後端よりも出る場合の計算
-  const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+  finExtension = finExtension ?? Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
   // 全長は機体長 + フィン後端部分
   const totalHeight = actualRocketHeight + finExtension;
 
@@ -594,11 +685,11 @@ export const getActualRocketDimensions = (config, noseHeight, bodyHeight, finSwe
 };
 
 // 設計タブ用のviewBox計算関数
-export const getDesignViewBox = (design, noseHeight, bodyHeight, finHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth) => {
+export const getDesignViewBox = (design, noseHeight, bodyHeight, finHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth, finExtension = null) => {
   // 直接ロケット寸法を計算
   const rocketTopY = design.height - bodyHeight - noseHeight;
   const actualRocketHeight = noseHeight + bodyHeight;
-  const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+  finExtension = finExtension ?? Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
   const totalHeight = actualRocketHeight + finExtension;
   
   // フィンの左右の最大幅を計算
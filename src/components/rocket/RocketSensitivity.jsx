@@ -0,0 +1,138 @@
+// 感度解析とパラメータスイープ
+// 設計値・打ち上げ条件を1つずつ ±X% 変えて飛行を計算し、最高高度・最高速度・着地距離・静安定マージンへの影響を比較する
+// スイープでは1つまたは2つの入力を範囲内で変えたときの出力を求める
+import { SENSITIVITY_PARAMETERS, DEFAULT_SENSITIVITY_PERCENT, DEFAULT_SWEEP_STEPS, MAX_SWEEP_STEPS } from './RocketConstants';
+import { calculateFlightPathWithLanding } from './RocketLandingPrediction';
+import { calculateMultiStageFlightPath } from './RocketStaging';
+import { fitBodyComponents } from './RocketBodyComponents';
+
+/**
+ * 入力の現在値を取得する
+ * @param {Object} rocketParams - ロケットのパラメータ
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 打ち上げ条件
+ * @param {string} key - SENSITIVITY_PARAMETERS のキー
+ * @returns {number} 現在値
+ */
+export const getParameterValue = (rocketParams, environment, key) => {
+  switch (SENSITIVITY_PARAMETERS[key]?.group) {
+    case 'environment':
+      return environment[key];
+    case 'atmosphere':
+      return rocketParams.atmosphere?.[key] ?? 0;
+    default:
+      return rocketParams[key];
+  }
+};
+
+// 入力を value に変えたパラメータと打ち上げ条件
+const withParameter = (rocketParams, environment, key, value) => {
+  switch (SENSITIVITY_PARAMETERS[key]?.group) {
+    case 'environment':
+      return { rocketParams: { ...rocketParams, [key]: value }, environment: { ...environment, [key]: value } };
+    case 'atmosphere':
+      return { rocketParams: { ...rocketParams, atmosphere: { ...rocketParams.atmosphere, [key]: value } }, environment };
+    default:
+      return { rocketParams: fitBodyComponents({ ...rocketParams, [key]: value }, rocketParams), environment };
+  }
+};
+
+// 1回分の飛行を計算して比較する出力を求める
+const evaluateOutputs = (rocketParams, environment, config) => {
+  const flight = calculateFlightPathWithLanding(
+    calculateMultiStageFlightPath,
+    rocketParams,
+    environment.launchAngle,
+    environment.windSpeed,
+    environment.windProfile,
+    { ...config, verbose: false }
+  );
+
+  return {
+    apogee: flight.maxHeight ?? 0,
+    maxSpeed: flight.maxSpeed ?? 0,
+    landingDistance: flight.landing?.landingDistance ?? 0,
+    staticMargin: flight.massProperties?.liftoffStandardStaticMargin ?? 0
+  };
+};
+
+/**
+ * 感度解析（各入力を1つずつ ±percent% 変えたときの出力の変化）
+ * @param {Object} rocketParams - simulationParams と同じ形のパラメータ
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 基準の打ち上げ条件
+ * @param {{percent?: number, parameters?: Array<string>}} [settings] - 変化率 (±%) と対象の入力（省略時はすべて）
+ * @param {Object} [config] - calculateFlightPath の設定オブジェクト
+ * @returns {Object} 基準の出力 (base) と入力ごとの低い側・高い側の出力 (parameters)
+ */
+export const runSensitivityAnalysis = (rocketParams, environment, settings = {}, config = {}) => {
+  const percent = settings.percent ?? DEFAULT_SENSITIVITY_PERCENT;
+  const keys = settings.parameters || Object.keys(SENSITIVITY_PARAMETERS);
+  const base = evaluateOutputs(rocketParams, environment, config);
+
+  const parameters = keys.map(key => {
+    const baseValue = getParameterValue(rocketParams, environment, key);
+    const delta = baseValue !== 0 ? Math.abs(baseValue) * percent / 100 : SENSITIVITY_PARAMETERS[key].zeroDelta;
+    const evaluateAt = (value) => {
+      const perturbed = withParameter(rocketParams, environment, key, value);
+      return evaluateOutputs(perturbed.rocketParams, perturbed.environment, config);
+    };
+
+    return {
+      key,
+      baseValue,
+      lowValue: baseValue - delta,
+      highValue: baseValue + delta,
+      low: evaluateAt(baseValue - delta),
+      high: evaluateAt(baseValue + delta)
+    };
+  });
+
+  return { percent, base, parameters };
+};
+
+/**
+ * 出力ごとに影響の大きい順に入力を並べる（トルネード図用）
+ * @param {Object} sensitivity - runSensitivityAnalysis の戻り値
+ * @param {string} output - SENSITIVITY_OUTPUTS のキー
+ * @returns {Array<Object>} { key, low, high, swing }（low・high は基準からの変化量、swing は変化幅）
+ */
+export const rankSensitivity = (sensitivity, output) =>
+  sensitivity.parameters
+    .map(parameter => {
+      const low = parameter.low[output] - sensitivity.base[output];
+      const high = parameter.high[output] - sensitivity.base[output];
+      return { key: parameter.key, low, high, swing: Math.abs(high - low) };
+    })
+    .sort((a, b) => b.swing - a.swing);
+
+// min から max まで steps 個に等分した値
+const divideRange = (min, max, steps) => {
+  const count = Math.max(2, Math.min(MAX_SWEEP_STEPS, Math.round(steps || DEFAULT_SWEEP_STEPS)));
+  return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+};
+
+/**
+ * パラメータスイープ（1つまたは2つの入力を範囲内で変えたときの出力）
+ * @param {Object} rocketParams - simulationParams と同じ形のパラメータ
+ * @param {{launchAngle: number, windSpeed: number, windProfile: string}} environment - 基準の打ち上げ条件
+ * @param {Object} sweep - { x: { key, min, max, steps }, y: 同じ形（省略すると1次元） }
+ * @param {Object} [config] - calculateFlightPath の設定オブジェクト
+ * @returns {Object} 各軸の値 (xValues, yValues) と出力の格子 (points[yIndex][xIndex])
+ */
+export const runParameterSweep = (rocketParams, environment, sweep, config = {}) => {
+  const xValues = divideRange(sweep.x.min, sweep.x.max, sweep.x.steps);
+  const yValues = sweep.y ? divideRange(sweep.y.min, sweep.y.max, sweep.y.steps) : [null];
+
+  const points = yValues.map(yValue => {
+    const row = sweep.y ? withParameter(rocketParams, environment, sweep.y.key, yValue) : { rocketParams, environment };
+    return xValues.map(xValue => {
+      const point = withParameter(row.rocketParams, row.environment, sweep.x.key, xValue);
+      return evaluateOutputs(point.rocketParams, point.environment, config);
+    });
+  });
+
+  return {
+    x: { key: sweep.x.key, values: xValues },
+    y: sweep.y ? { key: sweep.y.key, values: yValues } : null,
+    points
+  };
+};
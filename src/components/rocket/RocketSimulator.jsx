@@ -5,11 +5,22 @@ import { useTranslation } from 'react-i18next';
 import LanguageSwitcher from '../LanguageSwitcher';
 // 定数とデータ定義のインポート
 import {
-  SVG_CONFIG, MOTOR_THRUST_DATA, PARACHUTE_SIZES, FIN_MATERIALS,
-  NOSE_SHAPES, WIND_PROFILES, PHYSICAL_CONSTANTS, ANGLE_RESPONSE_DT,
+  SVG_CONFIG, PARACHUTE_SIZES, FIN_MATERIALS,
+  NOSE_SHAPES, WIND_PROFILES, ANGLE_RESPONSE_DT,
   ANGLE_STEPS_PER_UPDATE, ANIMATION_SPEED, SLIDER_DEBOUNCE_TIME,
-  mmToM, gToKg, UI_CONFIG, ANALYSIS_VIEW_CONFIG
+  mmToM, gToKg, UI_CONFIG, DEFAULT_MOTOR_ID, ANALYSIS_VIEW_CONFIG,
+  MAX_STAGE_COUNT, DEFAULT_BOOSTER_STAGE, DEFAULT_RECOVERY_EVENTS, DEFAULT_MAIN_PARACHUTE_EVENT,
+  DEFAULT_DRAG_SETTINGS, DEFAULT_MONTE_CARLO_SETTINGS, DEFAULT_MONTE_CARLO_TOLERANCES,
+  DEFAULT_OPTIMIZER_SETTINGS, OPTIMIZER_VARIABLES, SENSITIVITY_PARAMETERS, DEFAULT_SENSITIVITY_PERCENT,
+  DEFAULT_SWEEP_STEPS, DEFAULT_WIND_VARIATION, LAUNCH_RAILS, DEFAULT_LAUNCH_RAIL, DEFAULT_FIN_SHAPE,
+  DEFAULT_MASS_COMPONENTS, DEFAULT_MASS_OVERRIDES, MAX_MASS_COMPONENTS, BALLAST_POSITION_RATIO,
+  SAFETY_FACTOR_SERIES
 } from './RocketConstants';
+import { calculateFinPlanform, createFreeformPointsFromTrapezoid } from './RocketFinPlanform';
+import {
+  getBodyDimensionsFromComponents, getBodyOutline, getFinMount, getFinExtensionBeyondTail
+} from './RocketBodyComponents';
+import { applyMassComponents, calculateComponentMassProperties } from './RocketMassComponents';
 
 // 物理計算関連のインポート
 import {
@@ -17,16 +28,17 @@ import {
   calculateAerodynamicCenter, calculateStabilityCenterOfPressure,
   calculateStaticMargin, calculateFinDivergenceSpeed, calculateFinFlutterSpeed,
   formatFinDeflection, formatSpeedValue, calculateWindSpeedAtHeight,
-  calculateFlightPath, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION,
+  calculateBurnoutStability, ENHANCED_ATTITUDE_CONTROL, WIND_ANGLE_LIMITATION,
   PHYSICAL_ATTITUDE_CONTROL // 姿勢制御関連の定数をインポート
 } from './RocketPhysics';
 
 // SVG描画関連のインポート
 import {
-  getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath,
+  getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath, getSideViewFinPaths,
   getParachutePath, getParachuteStringPaths, getWindArrow, getWindProfileArrows,
   metersToSvgX, metersToSvgY, getActualRocketDimensions, getSafeRotationTransform,
   getAnalysisViewBox, getDesignViewBox, getRocketTransform, getSafeValue,
+  getRecoveryDevicePaths, getTumbleRotation
 } from './RocketRendering';
 
 // UI関連のコンポーネントのインポート
@@ -42,6 +54,21 @@ import { usePreFlightRocketSim } from './RocketUIPreCalu'
 
 // 新しい着地予測関連のインポートを追加
 import { predictLanding, calculateFlightPathWithLanding } from './RocketLandingPrediction';
+import { evaluateFlightResults } from './RocketEngine';
+import { DEFAULT_LAUNCH_SITE, createAtmosphere, getAtmosphereAt } from './RocketAtmosphere';
+import { calculateDragCurve } from './RocketDrag';
+import {
+  BUILTIN_MOTORS, loadUserMotors, addUserMotorsFromEng, removeUserMotor, getAvailableMotors
+} from './RocketMotors';
+import { calculateMultiStageFlightPath } from './RocketStaging';
+import { createWindModel, applyWindVariation } from './RocketWind';
+import {
+  loadWindSoundings, addWindSoundingFromText, removeWindSounding, getWindSoundingKey, resolveWindSounding
+} from './RocketWindSounding';
+import { runMonteCarlo } from './RocketMonteCarlo';
+import { calculateDynamicStability } from './RocketDynamicStability';
+import { optimizeDesign } from './RocketOptimizer';
+import { runSensitivityAnalysis, runParameterSweep, getParameterValue } from './RocketSensitivity';
 
 // 開発モード設定 - 本番環境ではfalseに設定する
 const ENABLE_DEV_MODE = false; // ここを true/false で切り替える
@@ -54,6 +81,8 @@ const useRocketSimulator = () => {
     noseHeight: 57,
     bodyHeight: 255,
     bodyWidth: 31,
+    finShape: DEFAULT_FIN_SHAPE,
+    finPoints: [],
     finHeight: 58.5,
     finBaseWidth: 65,
     finTipWidth: 25,
@@ -70,6 +99,13 @@ const useRocketSimulator = () => {
   const [noseHeight, setNoseHeight] = useState(57);   // 57mmに変更
   const [bodyHeight, setBodyHeight] = useState(255);   // 255mmに変更
   const [bodyWidth, setBodyWidth] = useState(31);
+  // 機体の部品構成（円筒・径変化部の並び、空なら bodyHeight × bodyWidth の円筒1本）と、フィンを取り付ける円筒・後端からの位置
+  const [bodyComponents, setBodyComponentsState] = useState([]);
+  const [finTubeIndex, setFinTubeIndex] = useState(null);
+  const [finOffset, setFinOffset] = useState(0);
+  // フィンの平面形と、自由形状の外形の点列（翼根前縁からの x・スパン方向の y、mm）
+  const [finShape, setFinShapeState] = useState(DEFAULT_FIN_SHAPE);
+  const [finPoints, setFinPoints] = useState([]);
   const [finHeight, setFinHeight] = useState(58.5);      // 58.5mmに変更
   const [finBaseWidth, setFinBaseWidth] = useState(65); // 65mmに変更
   const [finTipWidth, setFinTipWidth] = useState(25);   // 25mmに変更
@@ -78,18 +114,46 @@ const useRocketSimulator = () => {
   const [finMaterial, setFinMaterial] = useState("light_veneer");
   // フィン枚数状態を追加
   const [finCount, setFinCount] = useState(3); // デフォルトは3枚
+  // 抗力計算の設定（表面仕上げ・フィン断面・発射ガイド）
+  const [surfaceFinish, setSurfaceFinish] = useState(DEFAULT_DRAG_SETTINGS.surfaceFinish);
+  const [finProfile, setFinProfile] = useState(DEFAULT_DRAG_SETTINGS.finProfile);
+  const [launchGuide, setLaunchGuide] = useState(DEFAULT_DRAG_SETTINGS.launchGuide);
 
   // Analysis parameters - weight変数の宣言を初期化前の参照より前に移動
   const [weight, setWeight] = useState(50);
   const [centerOfGravity, setCenterOfGravity] = useState(150);
+  // 質量部品の一覧（空なら上の機体質量・重心位置を使う）と、計算値を上書きする実測値
+  const [massComponents, setMassComponents] = useState([]);
+  const [massOverrides, setMassOverrides] = useState({ ...DEFAULT_MASS_OVERRIDES });
   const [selectedMotor, setSelectedMotor] = useState("A8-3");
-  const [selectedParachute, setSelectedParachute] = useState("φ300");
+  // 回収イベント。recoveryEvents[0] が単一のパラシュート（デュアルデプロイではドローグ）、[1] がメイン
+  const [recoveryEvents, setRecoveryEvents] = useState(() => DEFAULT_RECOVERY_EVENTS.map(event => ({ ...event })));
+  const selectedParachute = recoveryEvents[0].parachute;
+  // ユーザーモーターライブラリ（.engファイルから取り込んだモーター）
+  const [userMotors, setUserMotors] = useState(() => loadUserMotors());
+  // 多段ロケットの下段（ブースター）。stages[0] が発射時に点火する第1段で、上の設計値が最終段
+  const [stages, setStages] = useState([]);
 
   // Simulation parameters
   const [launchAngle, setLaunchAngle] = useState(0);
   const [windSpeed, setWindSpeed] = useState(0);
   const [windProfile, setWindProfile] = useState("uniform");
+  // 実測風速プロファイルのライブラリ（取り込んだ風速分布の表）
+  const [windSoundings, setWindSoundings] = useState(() => loadWindSoundings());
   const [showWindArrows, setShowWindArrows] = useState(true);
+  // 突風と乱流（無効の場合は風速プロファイルの一定の風）
+  const [useWindVariation, setUseWindVariation] = useState(false);
+  const [windVariationSettings, setWindVariationSettings] = useState(() => ({ ...DEFAULT_WIND_VARIATION }));
+  const windVariation = useWindVariation ? windVariationSettings : null;
+  // 発射台（長さ・摩擦係数・風向に対する方位）
+  const [launchRail, setLaunchRail] = useState(() => ({ ...DEFAULT_LAUNCH_RAIL }));
+
+  // 打ち上げ場所の気象条件
+  const [siteElevation, setSiteElevation] = useState(DEFAULT_LAUNCH_SITE.siteElevation);
+  const [useStandardAtmosphere, setUseStandardAtmosphere] = useState(true); // 気温・気圧にISA値を使用
+  const [groundTemperature, setGroundTemperature] = useState(15);
+  const [groundPressure, setGroundPressure] = useState(1013);
+  const [humidity, setHumidity] = useState(DEFAULT_LAUNCH_SITE.humidity);
 
   // rocketSimの初期状態が完全に構築されてから計算や描画を行うための状態
   const [isInitialized, setIsInitialized] = useState(false);
@@ -138,6 +202,35 @@ const useRocketSimulator = () => {
   const [currentMaxFinDeflection, setCurrentMaxFinDeflection] = useState(0);
   const [completedFlights, setCompletedFlights] = useState([]);
   const [keyPoints, setKeyPoints] = useState({});
+  const [boosterFlights, setBoosterFlights] = useState([]); // 分離した下段の軌道
+
+  // モンテカルロ分散解析
+  const [monteCarloSettings, setMonteCarloSettings] = useState(() => ({
+    ...DEFAULT_MONTE_CARLO_SETTINGS,
+    tolerances: { ...DEFAULT_MONTE_CARLO_TOLERANCES }
+  }));
+  const [monteCarloResult, setMonteCarloResult] = useState(null);
+  const [isMonteCarloRunning, setIsMonteCarloRunning] = useState(false);
+
+  // 設計最適化（variables は設計変数ごとの { enabled, min, max }）
+  const [optimizerSettings, setOptimizerSettings] = useState(() => ({
+    ...DEFAULT_OPTIMIZER_SETTINGS,
+    variables: Object.fromEntries(Object.entries(OPTIMIZER_VARIABLES).map(([key, { enabled, min, max }]) => [
+      key, { enabled, min, max }
+    ]))
+  }));
+  const [optimizerResult, setOptimizerResult] = useState(null);
+  const [isOptimizerRunning, setIsOptimizerRunning] = useState(false);
+
+  // 感度解析とパラメータスイープ（sweepSettings.y が null なら1次元）
+  const [sensitivityPercent, setSensitivityPercent] = useState(DEFAULT_SENSITIVITY_PERCENT);
+  const [sensitivityResult, setSensitivityResult] = useState(null);
+  const [sweepSettings, setSweepSettings] = useState({
+    x: { key: 'finHeight', min: 40, max: 80, steps: DEFAULT_SWEEP_STEPS },
+    y: null
+  });
+  const [sweepResult, setSweepResult] = useState(null);
+  const [isSensitivityRunning, setIsSensitivityRunning] = useState(false);
 
   // useRocketSimulator 内で、他の状態変数と一緒に追加
   const [prec_MaxHeight, setPrec_MaxHeight] = useState(0);
@@ -166,6 +259,24 @@ const useRocketSimulator = () => {
     // その他の更新は依存関係に基づいてuseEffectで自動的に行われる
   };
 
+  // フィンの平面形の切り替え（自由形状に初めて切り替えた場合は現在の台形の外形から始める）
+  const setFinShape = (shape) => {
+    if (shape === 'freeform' && finPoints.length === 0) {
+      setFinPoints(createFreeformPointsFromTrapezoid({ finHeight, finBaseWidth, finTipWidth, finSweepLength }));
+    }
+    setFinShapeState(shape);
+  };
+
+  // 部品構成の変更（部品がある場合はボディ長さ・直径を部品から求め直す）
+  const setBodyComponents = (components) => {
+    const dimensions = getBodyDimensionsFromComponents(components);
+    if (dimensions) {
+      setBodyHeight(dimensions.bodyHeight);
+      setBodyWidth(dimensions.bodyWidth);
+    }
+    setBodyComponentsState(components);
+  };
+
   // スライダーの動きをスムーズにするためのdebounce用ref
   const sliderTimeoutRef = useRef(null);
 
@@ -178,10 +289,15 @@ const useRocketSimulator = () => {
   const finTipWidthInputRef = useRef(null);
   const finThicknessInputRef = useRef(null);
   const finSweepLengthInputRef = useRef(null);
+  const finOffsetInputRef = useRef(null);
   const weightInputRef = useRef(null);
   const centerOfGravityInputRef = useRef(null);
   const launchAngleInputRef = useRef(null);
   const windSpeedInputRef = useRef(null);
+  const siteElevationInputRef = useRef(null);
+  const groundTemperatureInputRef = useRef(null);
+  const groundPressureInputRef = useRef(null);
+  const humidityInputRef = useRef(null);
 
   // スムーズなスライダー操作のためのdebounce関数
   const debounce = (func) => {
@@ -305,46 +421,74 @@ const useRocketSimulator = () => {
     return metersToSvgY(meters, trajectoryScale);
   }, [trajectoryScale]);
 
+  // フィンの平面形の寸法（面積・平均空力翼弦・スパン・後端の突き出しなど）
+  const finPlanform = useMemo(() => calculateFinPlanform({
+    finShape, finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength
+  }), [finShape, finPoints, finHeight, finBaseWidth, finTipWidth, finSweepLength]);
+
+  // 部品構成による機体の輪郭・フィンの取り付け位置・機体後端より後ろに出るフィンの長さ
+  const bodyLayout = useMemo(() => {
+    const params = { noseHeight, bodyHeight, bodyWidth, bodyComponents, finTubeIndex, finOffset, finBaseWidth };
+    const outline = getBodyOutline(params);
+    return {
+      outline,
+      mount: getFinMount(params),
+      maxDiameter: Math.max(...outline.map(point => point.r * 2)),
+      finExtension: getFinExtensionBeyondTail(params, finPlanform.trailingEdgeExtension)
+    };
+  }, [noseHeight, bodyHeight, bodyWidth, bodyComponents, finTubeIndex, finOffset, finBaseWidth, finPlanform]);
+
   // 実際のロケット寸法を計算するためのラッパー
   const getRocketDimensions = useCallback((config) => {
     return getActualRocketDimensions(
       config, noseHeight, bodyHeight,
-      finSweepLength, finTipWidth, finBaseWidth
+      finSweepLength, finTipWidth, finBaseWidth, bodyLayout.finExtension
     );
-  }, [noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth]);
+  }, [noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, bodyLayout]);
+
+  // 矢印表示用の風モデル（飛行計算と同じシードなので、飛行中の各時刻の風と一致する）
+  const windModel = useMemo(() => createWindModel(windVariation), [windVariation]);
 
-  // 視覚化のための風速高度分布矢印ラッパー
+  // 視覚化のための風速高度分布矢印ラッパー（突風・乱流がある場合は現在時刻の瞬間風速で動かす）
   const getWindArrows = useCallback((baseWindSpeed, profile) => {
+    const getWindSpeed = (base, height, windProfile) =>
+      applyWindVariation(windModel, currentTime, calculateWindSpeedAtHeight(base, height, windProfile)).speed;
     return getWindProfileArrows(
       baseWindSpeed, profile, showWindArrows,
-      convertMetersToSvgY, calculateWindSpeedAtHeight
+      convertMetersToSvgY, getWindSpeed
     );
-  }, [showWindArrows, convertMetersToSvgY]);
+  }, [showWindArrows, convertMetersToSvgY, windModel, currentTime]);
 
   // パラシュート描画関数のラッパー
   const getParachute = useCallback((x, y, isOpen, deploymentProgress, rotation) => {
     const rocketLength = mmToM(noseHeight + bodyHeight);
     return getParachutePath(
       x, y, isOpen, deploymentProgress, rotation,
-      rocketLength, selectedParachute, trajectoryScale
+      rocketLength, recoveryEvents[0], trajectoryScale
     );
-  }, [noseHeight, bodyHeight, selectedParachute, trajectoryScale]);
+  }, [noseHeight, bodyHeight, recoveryEvents, trajectoryScale]);
 
   const getParachuteStrings = useCallback((x, y, isOpen, deploymentProgress, rotation) => {
     const rocketLength = mmToM(noseHeight + bodyHeight);
     return getParachuteStringPaths(
       x, y, isOpen, deploymentProgress, rotation,
-      rocketLength, selectedParachute, trajectoryScale
+      rocketLength, recoveryEvents[0], trajectoryScale
     );
-  }, [noseHeight, bodyHeight, selectedParachute, trajectoryScale]);
+  }, [noseHeight, bodyHeight, recoveryEvents, trajectoryScale]);
+
+  // 複数の回収装置の描画ラッパー
+  const getRecoveryDevices = useCallback((x, y, devices) => {
+    const rocketLength = mmToM(noseHeight + bodyHeight);
+    return getRecoveryDevicePaths(x, y, devices, rocketLength, trajectoryScale);
+  }, [noseHeight, bodyHeight, trajectoryScale]);
 
   // viewBox計算関数のラッパー
   const computeDesignViewBox = useCallback(() => {
     return getDesignViewBox(
       design, noseHeight, bodyHeight,
-      finHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth
+      finPlanform.span, finSweepLength, finTipWidth, finBaseWidth, bodyLayout.maxDiameter, bodyLayout.finExtension
     );
-  }, [design, noseHeight, bodyHeight, finHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth]);
+  }, [design, noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, finPlanform, bodyLayout]);
 
   const computeAnalysisViewBox = useCallback(() => {
     return getAnalysisViewBox(
@@ -354,19 +498,48 @@ const useRocketSimulator = () => {
   }, [analysis, noseHeight, bodyHeight, finHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth]);
 
 
+  // 打ち上げ場所の気象条件（ISA使用時は気温・気圧を標高から求める）
+  const atmosphere = useMemo(() => ({
+    siteElevation,
+    groundTemperature: useStandardAtmosphere ? null : groundTemperature,
+    groundPressure: useStandardAtmosphere ? null : groundPressure,
+    humidity
+  }), [siteElevation, useStandardAtmosphere, groundTemperature, groundPressure, humidity]);
+
+  // 地上の大気状態（表示用）
+  const groundAtmosphere = useMemo(() => {
+    const site = createAtmosphere(atmosphere);
+    return { ...site, ...getAtmosphereAt(site, 0) };
+  }, [atmosphere]);
+
+  // 選択可能なモーターと選択中のモーターデータ
+  const availableMotors = useMemo(() => getAvailableMotors(userMotors), [userMotors]);
+  const selectedMotorData = availableMotors[selectedMotor] || BUILTIN_MOTORS[DEFAULT_MOTOR_ID];
+
   // rocketParamsを独立してメモ化（循環依存を防ぐため）
-  const rocketParams = useMemo(() => ({
-    noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
-    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight
-  }), [noseShape, noseHeight, bodyHeight, bodyWidth, finHeight, finBaseWidth, finTipWidth,
-    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight]);
+  // 部品リストがある場合、質量・重心位置・慣性モーメントは部品リスト（実測値があれば実測値）から求める
+  const rocketParams = useMemo(() => applyMassComponents({
+    noseShape, noseHeight, bodyHeight, bodyWidth, bodyComponents, finTubeIndex, finOffset,
+    finShape, finPoints, finHeight, finBaseWidth, finTipWidth,
+    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight, atmosphere,
+    surfaceFinish, finProfile, launchGuide, massComponents, massOverrides
+  }, selectedMotorData), [noseShape, noseHeight, bodyHeight, bodyWidth, bodyComponents, finTubeIndex, finOffset,
+    finShape, finPoints, finHeight, finBaseWidth, finTipWidth,
+    finThickness, finSweepLength, finCount, finMaterial, centerOfGravity, weight, atmosphere,
+    surfaceFinish, finProfile, launchGuide, massComponents, massOverrides, selectedMotorData]);
+
+  // 部品ごとの質量・重心位置（部品リストがなければ null）
+  const massBreakdown = useMemo(
+    () => massComponents.length > 0 ? calculateComponentMassProperties(rocketParams, selectedMotorData) : null,
+    [massComponents, rocketParams, selectedMotorData]
+  );
 
   // 計算結果のキャッシュ
   const calculations = useMemo(() => {
     // 機体本体の高さ
     const actualRocketHeight = noseHeight + bodyHeight;
     // フィンの後端がボディ後端よりも出る場合の計算
-    const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+    const finExtension = bodyLayout.finExtension;
     // 全長は機体長 + フィン後端部分
     const totalHeight = actualRocketHeight + finExtension;
 
@@ -381,8 +554,8 @@ const useRocketSimulator = () => {
     const stabilityCp = stabilityCpData?.stabilityCenterOfPressure || (totalHeight * 0.6);
 
     // 姿勢安定性マージン - 重心位置との距離
-    const standardMargin = marginsData?.standardStaticMargin || ((cp - centerOfGravity) / bodyWidth);
-    const stabilityMargin = marginsData?.stabilityStaticMargin || ((stabilityCp - centerOfGravity) / bodyWidth);
+    const standardMargin = marginsData?.standardStaticMargin || ((cp - rocketParams.centerOfGravity) / bodyWidth);
+    const stabilityMargin = marginsData?.stabilityStaticMargin || ((stabilityCp - rocketParams.centerOfGravity) / bodyWidth);
 
     // 新しい計算関数を使用してフィン限界速度を計算
     const finDivergenceSpeed = calculateFinDivergenceSpeed(rocketParams);
@@ -397,6 +570,9 @@ const useRocketSimulator = () => {
       stabilityCenterOfPressure: Math.round(stabilityCp),
       standardStaticMargin: standardMargin.toFixed(2),
       stabilityStaticMargin: stabilityMargin.toFixed(2),
+      // Barrowman 法による部品ごとの CNα・圧力中心の内訳
+      cnAlpha: cpData?.cnAlpha ?? 0,
+      cpComponents: cpData?.components || [],
       finDivergenceSpeed: Math.round(finDivergenceSpeed),
       finFlutterSpeed: Math.round(finFlutterSpeed),
       // フォーマット済みの値を追加
@@ -404,23 +580,142 @@ const useRocketSimulator = () => {
       finFlutterSpeedDisplay: formatSpeedValue(finFlutterSpeed),
       rocketParams
     };
-  }, [noseHeight, bodyHeight, finSweepLength, finTipWidth, finBaseWidth, bodyWidth, centerOfGravity, rocketParams]);
+  }, [noseHeight, bodyHeight, bodyWidth, rocketParams, bodyLayout]);
+
+  // 発射時と燃焼終了時の重心位置・静安定マージン
+  // 抗力係数と内訳の速度に対する変化（解析タブのグラフ用）
+  const dragCurve = useMemo(() => calculateDragCurve(rocketParams), [rocketParams]);
+
+  const massProperties = useMemo(
+    () => calculateBurnoutStability(rocketParams, selectedMotorData),
+    [rocketParams, selectedMotorData]
+  );
+
+  // .engファイルの内容をモーターライブラリに取り込む（追加したモーターを返す）
+  const importMotorFile = useCallback((text) => {
+    const added = addUserMotorsFromEng(text);
+    setUserMotors(loadUserMotors());
+    if (added.length > 0) {
+      setSelectedMotor(added[0].id);
+    }
+    return added;
+  }, []);
+
+  // ユーザーモーターの削除（選択中なら既定のモーターに戻す）
+  const deleteUserMotor = useCallback((id) => {
+    setUserMotors(removeUserMotor(id));
+    if (id === selectedMotor) {
+      setSelectedMotor(DEFAULT_MOTOR_ID);
+    }
+  }, [selectedMotor]);
+
+  // 風速プロファイルの選択（実測プロファイルは基準高度の測定値を風速に設定し、表の値どおりの風にする）
+  const selectWindProfile = useCallback((profile) => {
+    setWindProfile(profile);
+    const sounding = resolveWindSounding(profile);
+    if (sounding) {
+      const speed = Math.round(sounding.referenceSpeed * 10) / 10;
+      setWindSpeed(current => current < 0 ? -speed : speed);
+    }
+  }, []);
+
+  // 風速分布の表を名前を付けて取り込み、風速プロファイルとして選択する（追加したプロファイルを返す）
+  const importWindSounding = useCallback((name, text) => {
+    const added = addWindSoundingFromText(name, text);
+    setWindSoundings(loadWindSoundings());
+    selectWindProfile(getWindSoundingKey(added.name));
+    return added;
+  }, [selectWindProfile]);
+
+  // 実測風速プロファイルの削除（選択中なら一定の風に戻す）
+  const deleteWindSounding = useCallback((name) => {
+    setWindSoundings(removeWindSounding(name));
+    if (windProfile === getWindSoundingKey(name)) {
+      setWindProfile('uniform');
+    }
+  }, [windProfile]);
+
+  // 段数の変更（最終段を含めた段数。増やした段は既定値で追加する）
+  const setStageCount = useCallback((count) => {
+    const boosterCount = Math.max(0, Math.min(MAX_STAGE_COUNT, count) - 1);
+    setStages(prevStages => Array.from({ length: boosterCount },
+      (_, index) => prevStages[index] || { ...DEFAULT_BOOSTER_STAGE }));
+  }, []);
+
+  // 部品リストの使用の切り替え（使う場合は既定の部品構成から始める）
+  const setUseMassComponents = useCallback((enabled) => {
+    setMassComponents(enabled ? DEFAULT_MASS_COMPONENTS.map(component => ({ ...component })) : []);
+  }, []);
+
+  // 質量部品 index の値を更新
+  const updateMassComponent = useCallback((index, field, value) => {
+    setMassComponents(prevComponents =>
+      prevComponents.map((component, i) => i === index ? { ...component, [field]: value } : component));
+  }, []);
+
+  // 質量部品を追加（寸法から求める種類は材料から、それ以外は質量と位置を入力する）
+  const addMassComponent = useCallback((component) => {
+    setMassComponents(prevComponents =>
+      prevComponents.length >= MAX_MASS_COMPONENTS ? prevComponents : [...prevComponents, component]);
+  }, []);
+
+  const removeMassComponent = useCallback((index) => {
+    setMassComponents(prevComponents => prevComponents.filter((_, i) => i !== index));
+  }, []);
+
+  // 実測値の上書き（null なら計算値に戻す）
+  const updateMassOverride = useCallback((key, value) => {
+    setMassOverrides(prevOverrides => ({ ...prevOverrides, [key]: value }));
+  }, []);
+
+  // 下段 index の設計値を更新
+  const updateStage = useCallback((index, field, value) => {
+    setStages(prevStages => prevStages.map((stage, i) => i === index ? { ...stage, [field]: value } : stage));
+  }, []);
+
+  // 回収イベント index の設定を更新
+  const updateRecoveryEvent = useCallback((index, field, value) => {
+    setRecoveryEvents(prevEvents => prevEvents.map((event, i) => i === index ? { ...event, [field]: value } : event));
+  }, []);
+
+  // 単一のパラシュートのサイズ（デュアルデプロイではドローグのサイズ）
+  const setSelectedParachute = useCallback((parachute) => {
+    updateRecoveryEvent(0, 'parachute', parachute);
+  }, [updateRecoveryEvent]);
+
+  // デュアルデプロイの切り替え（有効にすると設定高度で開くメインパラシュートを追加する）
+  const setDualDeploy = useCallback((enabled) => {
+    setRecoveryEvents(prevEvents => enabled
+      ? [prevEvents[0], prevEvents[1] || { ...DEFAULT_MAIN_PARACHUTE_EVENT }]
+      : [prevEvents[0]]);
+  }, []);
 
   // 物理計算のための全パラメータをまとめる
   const simulationParams = useMemo(() => ({
     ...calculations.rocketParams,
     selectedMotor,
+    motor: selectedMotorData,
     selectedParachute,
+    recoveryEvents,
+    stages: stages.map(stage => ({ ...stage, motor: availableMotors[stage.motorId] || null })),
     launchAngle,
     windSpeed,
-    windProfile
+    windProfile,
+    windVariation,
+    launchRail
   }), [
     calculations.rocketParams,
     selectedMotor,
+    selectedMotorData,
     selectedParachute,
+    recoveryEvents,
+    stages,
+    availableMotors,
     launchAngle,
     windSpeed,
-    windProfile
+    windProfile,
+    windVariation,
+    launchRail
   ]);
 
   // 初期化後の計算値の更新
@@ -498,20 +793,22 @@ const useRocketSimulator = () => {
       currentData.physicsY * currentData.physicsY
     );
 
-    const onLaunchRail = distanceFromStart < PHYSICAL_CONSTANTS.launchRailLength;
+    const onLaunchRail = distanceFromStart < launchRail.length - 1e-9;
 
     if (onLaunchRail) {
       return "発射台上";
     }
 
+    // 多段の場合は飛行中の段（最下段）を表示する
+    const stageLabel = currentData.stage ? `第${currentData.stage}段 ` : "";
+
     // エンジン推力が残っているか確認
-    const thrustEndTime = MOTOR_THRUST_DATA[selectedMotor].length * 0.02;
-    if (currentTime <= thrustEndTime) {
-      return "推力飛行";
+    if (currentData.isThrustActive) {
+      return `${stageLabel}推力飛行`;
     }
 
-    return "慣性飛行";
-  }, [isLaunched, flightData, currentTime, selectedMotor]);
+    return `${stageLabel}慣性飛行`;
+  }, [isLaunched, flightData, currentTime, launchRail.length]);
 
   // 現在の位置情報を取得
   const getCurrentPosition = useCallback(() => {
@@ -526,6 +823,7 @@ const useRocketSimulator = () => {
         parachuteDeploymentProgress: 0,
         horizontalDistance: 0,
         finDeflection: 0,
+        finTwist: 0,
         angleChangePerDt2: 0,
         effectiveWindSpeed: windSpeed
       };
@@ -542,6 +840,7 @@ const useRocketSimulator = () => {
         parachuteDeploymentProgress: 0,
         horizontalDistance: 0,
         finDeflection: 0,
+        finTwist: 0,
         angleChangePerDt2: 0,
         effectiveWindSpeed: windSpeed
       };
@@ -558,28 +857,39 @@ const useRocketSimulator = () => {
         parachuteDeploymentProgress: 0,
         horizontalDistance: 0,
         finDeflection: 0,
+        finTwist: 0,
         angleChangePerDt2: 0,
         effectiveWindSpeed: windSpeed
       };
     }
 
+    // 回収装置ごとの状態（描画用に回収イベントの仕様を付加）
+    const recoveryDevices = (currentData.recoveryDevices || []).map(device => ({
+      ...device,
+      parachute: recoveryEvents.find(event => event.id === device.id) || selectedParachute
+    }));
+    const rotation = isNaN(currentData.omega) ? launchAngle : (currentData.omega * 180 / Math.PI);
+
     // すべての数値にNaNチェックを追加
     return {
       physicsX: isNaN(currentData.physicsX) ? 0 : currentData.physicsX,
       physicsY: isNaN(currentData.physicsY) ? 0 : currentData.physicsY,
-      rotation: isNaN(currentData.omega) ? launchAngle : (currentData.omega * 180 / Math.PI),
+      // タンブル回収では放出後に機体を横転させて描く
+      rotation: getTumbleRotation(rotation, recoveryDevices, currentData.time),
       isParachuteEjected: currentData.isParachuteEjected || false,
       isParachuteActive: currentData.isParachuteActive || false,
       parachuteDeploymentProgress: isNaN(currentData.parachuteDeploymentProgress) ? 0 :
         (currentData.parachuteDeploymentProgress || 0),
+      recoveryDevices,
       torque: isNaN(currentData.torque) ? 0 : (currentData.torque || 0),
       angleChangePerDt2: isNaN(currentData.angleChangePerDt2) ? 0 : (currentData.angleChangePerDt2 || 0),
       horizontalDistance: isNaN(currentData.horizontalDistance) ? 0 :
         (currentData.horizontalDistance || Math.abs(isNaN(currentData.physicsX) ? 0 : currentData.physicsX) || 0),
       finDeflection: isNaN(currentData.finDeflection) ? 0 : (currentData.finDeflection || 0),
+      finTwist: isNaN(currentData.finTwist) ? 0 : (currentData.finTwist || 0),
       effectiveWindSpeed: isNaN(currentData.effectiveWindSpeed) ? windSpeed : (currentData.effectiveWindSpeed || windSpeed)
     };
-  }, [isLaunched, flightData, currentTime, launchAngle, windSpeed]);
+  }, [isLaunched, flightData, currentTime, launchAngle, windSpeed, recoveryEvents, selectedParachute]);
 
   // モーターに応じた初期スケール値を取得する関数
   const getInitialScaleForMotor = (motorType) => {
@@ -632,6 +942,7 @@ const useRocketSimulator = () => {
     setCurrentMaxDistance(0);
     setCurrentMaxFinDeflection(0);
     setLanding(null); // 着地予測をリセット
+    setBoosterFlights([]);
 
     // 過去の飛行軌跡をクリア
     setCompletedFlights([]);
@@ -645,6 +956,182 @@ const useRocketSimulator = () => {
     setRocketScale(rocketScaleFactor);
   }, [animationId, flightResults, selectedMotor]);
 
+  // 突風・乱流の設定を更新
+  const updateWindVariation = useCallback((field, value) => {
+    setWindVariationSettings(prevSettings => ({ ...prevSettings, [field]: value }));
+  }, []);
+
+  // 発射台のプリセットを選択（長さと摩擦係数をプリセットの値にする）
+  const selectLaunchRailPreset = useCallback((preset) => {
+    const rail = LAUNCH_RAILS[preset];
+    setLaunchRail(prevRail => rail
+      ? { ...prevRail, preset, length: rail.length, friction: rail.friction }
+      : { ...prevRail, preset: 'custom' });
+  }, []);
+
+  // 発射台の設定を更新（長さや摩擦係数を変えた場合はプリセットから外れる）
+  const updateLaunchRail = useCallback((field, value) => {
+    setLaunchRail(prevRail => ({
+      ...prevRail,
+      [field]: value,
+      ...(field === 'length' || field === 'friction' ? { preset: 'custom' } : {})
+    }));
+  }, []);
+
+  // モンテカルロ分散解析の設定を更新（field が tolerances のキーなら許容差を更新）
+  const updateMonteCarloSetting = useCallback((field, value) => {
+    setMonteCarloSettings(prevSettings => field in prevSettings.tolerances
+      ? { ...prevSettings, tolerances: { ...prevSettings.tolerances, [field]: value } }
+      : { ...prevSettings, [field]: value });
+  }, []);
+
+  // モンテカルロ分散解析を実行（計算中の表示を反映させてから実行する）
+  const handleRunMonteCarlo = useCallback(() => {
+    if (isMonteCarloRunning) return;
+    setIsMonteCarloRunning(true);
+
+    setTimeout(() => {
+      try {
+        const result = runMonteCarlo(
+          simulationParams,
+          { launchAngle, windSpeed, windProfile },
+          monteCarloSettings,
+          { enhancedAttitudeControl, windAngleLimitation }
+        );
+        setMonteCarloResult(result);
+      } catch (error) {
+        console.error('モンテカルロ分散解析でエラーが発生しました:', error);
+        setMonteCarloResult(null);
+      } finally {
+        setIsMonteCarloRunning(false);
+      }
+    }, 0);
+  }, [isMonteCarloRunning, simulationParams, launchAngle, windSpeed, windProfile, monteCarloSettings,
+    enhancedAttitudeControl, windAngleLimitation]);
+
+  // 設計最適化の設定を更新
+  const updateOptimizerSetting = useCallback((field, value) => {
+    setOptimizerSettings(prevSettings => ({ ...prevSettings, [field]: value }));
+  }, []);
+
+  // 設計変数の使用有無 (enabled) と探索範囲 (min, max) を更新
+  const updateOptimizerVariable = useCallback((key, field, value) => {
+    setOptimizerSettings(prevSettings => ({
+      ...prevSettings,
+      variables: { ...prevSettings.variables, [key]: { ...prevSettings.variables[key], [field]: value } }
+    }));
+  }, []);
+
+  // 設計最適化を実行（計算中の表示を反映させてから実行する）
+  const handleRunOptimizer = useCallback(() => {
+    if (isOptimizerRunning) return;
+    setIsOptimizerRunning(true);
+
+    setTimeout(() => {
+      try {
+        const result = optimizeDesign(
+          simulationParams,
+          { launchAngle, windSpeed, windProfile },
+          optimizerSettings,
+          { enhancedAttitudeControl, windAngleLimitation }
+        );
+        setOptimizerResult(result);
+      } catch (error) {
+        console.error('設計最適化でエラーが発生しました:', error);
+        setOptimizerResult(null);
+      } finally {
+        setIsOptimizerRunning(false);
+      }
+    }, 0);
+  }, [isOptimizerRunning, simulationParams, launchAngle, windSpeed, windProfile, optimizerSettings,
+    enhancedAttitudeControl, windAngleLimitation]);
+
+  // 提案された設計を反映（バラストは機体質量と重心位置に含める）
+  const applyOptimizedDesign = useCallback(() => {
+    if (!optimizerResult) return;
+    const { values, design: optimized } = optimizerResult;
+    const setters = {
+      finHeight: setFinHeight,
+      finBaseWidth: setFinBaseWidth,
+      finTipWidth: setFinTipWidth,
+      finSweepLength: setFinSweepLength,
+      bodyHeight: setBodyHeight
+    };
+    Object.entries(setters).forEach(([key, setter]) => {
+      if (key in values) setter(values[key]);
+    });
+    // ボディ長さの変更はフィンを取り付けた円筒の長さに反映されている
+    if (optimized.bodyComponents?.length > 0) setBodyComponentsState(optimized.bodyComponents);
+    // 部品リストを使う場合、バラストは部品として追加する
+    if (massComponents.length > 0 && values.ballastMass > 0) {
+      addMassComponent({
+        type: 'ballast', source: 'manual',
+        mass: Math.round(values.ballastMass * 10) / 10, position: Math.round(noseHeight * BALLAST_POSITION_RATIO)
+      });
+    }
+    setWeight(Math.round(optimized.weight * 10) / 10);
+    setCenterOfGravity(Math.round(optimized.centerOfGravity));
+    // 反映後の設計が新しい基準になるため結果を消す
+    setOptimizerResult(null);
+  }, [optimizerResult, massComponents, noseHeight, addMassComponent]);
+
+  // 感度解析・スイープを計算中の表示を反映させてから実行する（結果は setResult に渡す）
+  const runSensitivityTask = useCallback((task, setResult) => {
+    if (isSensitivityRunning) return;
+    setIsSensitivityRunning(true);
+
+    setTimeout(() => {
+      try {
+        setResult(task({ launchAngle, windSpeed, windProfile }, { enhancedAttitudeControl, windAngleLimitation }));
+      } catch (error) {
+        console.error('感度解析でエラーが発生しました:', error);
+        setResult(null);
+      } finally {
+        setIsSensitivityRunning(false);
+      }
+    }, 0);
+  }, [isSensitivityRunning, launchAngle, windSpeed, windProfile, enhancedAttitudeControl, windAngleLimitation]);
+
+  const handleRunSensitivity = useCallback(() => {
+    runSensitivityTask(
+      (environment, config) => runSensitivityAnalysis(simulationParams, environment, { percent: sensitivityPercent }, config),
+      setSensitivityResult
+    );
+  }, [runSensitivityTask, simulationParams, sensitivityPercent]);
+
+  const handleRunSweep = useCallback(() => {
+    runSensitivityTask(
+      (environment, config) => runParameterSweep(simulationParams, environment, sweepSettings, config),
+      setSweepResult
+    );
+  }, [runSensitivityTask, simulationParams, sweepSettings]);
+
+  // スイープの軸 (x, y) の入力を選び、範囲を現在値の ±20% にする（key が空なら y 軸を外して1次元にする）
+  const setSweepParameter = useCallback((axis, key) => {
+    if (!key) {
+      setSweepSettings(prevSettings => ({ ...prevSettings, [axis]: null }));
+      return;
+    }
+    const value = getParameterValue(simulationParams, { launchAngle, windSpeed, windProfile }, key);
+    const delta = value !== 0 ? Math.abs(value) * 0.2 : SENSITIVITY_PARAMETERS[key].zeroDelta * 5;
+    setSweepSettings(prevSettings => ({
+      ...prevSettings,
+      [axis]: {
+        key,
+        min: Number((value - delta).toFixed(2)),
+        max: Number((value + delta).toFixed(2)),
+        steps: prevSettings[axis]?.steps || DEFAULT_SWEEP_STEPS
+      }
+    }));
+  }, [simulationParams, launchAngle, windSpeed, windProfile]);
+
+  // スイープの軸の範囲・分割数を更新
+  const updateSweepAxis = useCallback((axis, field, value) => {
+    setSweepSettings(prevSettings => prevSettings[axis]
+      ? { ...prevSettings, [axis]: { ...prevSettings[axis], [field]: value } }
+      : prevSettings);
+  }, []);
+
   // ポップアップを閉じる関数
   const handleCloseResultsPopup = useCallback(() => {
     setShowResultsPopup(false);
@@ -660,7 +1147,7 @@ const useRocketSimulator = () => {
     try {
       // 風速プロファイルを引数として渡す
       const flight = calculateFlightPathWithLanding(
-        calculateFlightPath,
+        calculateMultiStageFlightPath,
         simulationParams,
         launchAngle,
         windSpeed,
@@ -714,6 +1201,7 @@ const useRocketSimulator = () => {
 
       // キーポイントを保存
       setKeyPoints(flight.keyPoints);
+      setBoosterFlights(flight.boosters || []);
 
       setFlightData(flight.data);
       setIsLaunched(true);
@@ -780,54 +1268,25 @@ const useRocketSimulator = () => {
                 setAnimationId(id);
               } else {
                 // アニメーション終了 - 最終フレームに到達した時だけ結果を表示
-                // シミュレーションデータから最大値を直接計算（状態変数に依存せず確実に取得）
-                const maxHeight = Math.max(...flight.data.map(d => isNaN(d.height) ? 0 : d.height || 0));
-                const maxSpeed = Math.max(...flight.data.map(d => isNaN(d.speedMagnitude) ? 0 :
-                  Math.abs(d.speedMagnitude) || 0));
-                const maxDistance = Math.max(...flight.data.map(d => isNaN(d.physicsX) ? 0 :
-                  Math.abs(d.physicsX) || 0));
-                const maxFinDeflection = Math.max(...flight.data.map(d => isNaN(d.finDeflection) ? 0 :
-                  d.finDeflection || 0));
-
-                // 飛行結果の評価（直接計算した最大値を使用）
-                const isDivergenceOK = maxSpeed < flight.calculations.finDivergenceSpeed;
-                const isFlutterOK = maxSpeed < flight.calculations.finFlutterSpeed;
-                const maxDeflectionPercent = (maxFinDeflection / finHeight) * 100;
-                const isDeflectionOK = maxDeflectionPercent <= 3;
-
-                // 姿勢安定性の判定結果 - シミュレーション結果から直接取得
-                const isAngleStableOK = flight.angleStability.isAngleStableOK;
-                const maxAngleChangePerDt2 = flight.angleStability.maxAngleChangePerDt2;
-                // 絶対角度判定を追加 
-                const isAbsoluteAngleOK = flight.angleStability.isAbsoluteAngleOK;
-                const maxAbsoluteAngle = flight.angleStability.maxAbsoluteAngle;
-
-                // 総合判定は全てのチェックをパスする必要がある
-                // 絶対角度判定も含める
-                const isOverallOK = isDivergenceOK && isFlutterOK && isDeflectionOK && isAngleStableOK && isAbsoluteAngleOK;
+                // シミュレーションデータから最大値と各判定を直接計算（状態変数に依存せず確実に取得）
+                const evaluated = evaluateFlightResults(flight, finPlanform.span);
+                const { maxHeight, maxSpeed, maxDistance, maxFinDeflection } = evaluated;
 
                 // 結果オブジェクトの作成
                 const results = {
-                  maxSpeed: maxSpeed,
-                  maxHeight: maxHeight,
-                  maxDistance: maxDistance,
-                  maxFinDeflection: maxFinDeflection,
-                  finHeight: finHeight,
-                  maxDeflectionPercent: maxDeflectionPercent,
-                  divergenceSpeed: formatSpeedValue(flight.calculations.finDivergenceSpeed),
-                  flutterSpeed: formatSpeedValue(flight.calculations.finFlutterSpeed),
-                  isDivergenceOK,
-                  isFlutterOK,
-                  isDeflectionOK,
-                  isAngleStableOK,
-                  isAbsoluteAngleOK, // 絶対角度判定を追加
-                  maxAngleChangePerDt2,
-                  maxAbsoluteAngle, // 最大絶対角度を追加
-                  isOverallOK,
+                  ...evaluated,
                   launchAngle,
                   windSpeed,
                   windProfile,
-                  landing: flight.landing // 着地予測情報を追加
+                  landing: flight.landing, // 着地予測情報を追加
+                  stages: flight.keyPoints?.stages || [], // 段ごとの点火・燃焼終了・分離・着地
+                  // 発射台離脱後の固有振動数と減衰比
+                  dynamicStability: calculateDynamicStability(simulationParams, flight.data, { startTime: flight.railExit?.time }),
+                  // フィン・ボディチューブの安全率の時間変化
+                  safetyFactorSeries: flight.data.map(d => ({
+                    time: d.time,
+                    ...Object.fromEntries(Object.entries(SAFETY_FACTOR_SERIES).map(([key, line]) => [key, d[line.dataKey]]))
+                  }))
                 };
 
                 // 状態更新を一度に行う
@@ -842,6 +1301,7 @@ const useRocketSimulator = () => {
 
                 const completedFlightData = {
                   data: [...flight.data],
+                  boosters: flight.boosters || [],
                   launchAngle,
                   windSpeed,
                   windProfile,
@@ -879,14 +1339,14 @@ const useRocketSimulator = () => {
       console.error('Launch error:', error);
       handleReset();
     }
-  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams, handleReset, finHeight, trajectoryScale]);
+  }, [isLaunched, launchAngle, windSpeed, windProfile, simulationParams, handleReset, finPlanform, trajectoryScale]);
 
   // パラメータ変更時のスケール更新
   useEffect(() => {
     if (isLaunched) return;
 
     // 風速プロファイルを引数として渡す
-    const flight = calculateFlightPath(
+    const flight = calculateMultiStageFlightPath(
       simulationParams,
       launchAngle,
       windSpeed,
@@ -974,6 +1434,10 @@ const useRocketSimulator = () => {
     noseHeight, setNoseHeight: debounce(setNoseHeight, SLIDER_DEBOUNCE_TIME),
     bodyHeight, setBodyHeight: debounce(setBodyHeight, SLIDER_DEBOUNCE_TIME),
     bodyWidth, setBodyWidth: debounce(setBodyWidth, SLIDER_DEBOUNCE_TIME),
+    bodyComponents, setBodyComponents,
+    finTubeIndex, setFinTubeIndex,
+    finOffset, setFinOffset: debounce(setFinOffset, SLIDER_DEBOUNCE_TIME),
+    bodyLayout,
     finHeight, setFinHeight: debounce(setFinHeight, SLIDER_DEBOUNCE_TIME),
     finBaseWidth, setFinBaseWidth: debounce(setFinBaseWidth, SLIDER_DEBOUNCE_TIME),
     finTipWidth, setFinTipWidth: debounce(setFinTipWidth, SLIDER_DEBOUNCE_TIME),
@@ -981,25 +1445,55 @@ const useRocketSimulator = () => {
     finSweepLength, setFinSweepLength: debounce(setFinSweepLength, SLIDER_DEBOUNCE_TIME),
     finMaterial, setFinMaterial,
     finCount, setFinCount,
+    finShape, setFinShape,
+    finPoints, setFinPoints,
+    finPlanform,
+    surfaceFinish, setSurfaceFinish,
+    finProfile, setFinProfile,
+    launchGuide, setLaunchGuide,
+    dragCurve,
 
     // 分析パラメータ
-    weight, setWeight: debounce(setWeight, SLIDER_DEBOUNCE_TIME),
-    centerOfGravity, setCenterOfGravity: debounce(setCenterOfGravity, SLIDER_DEBOUNCE_TIME),
+    // 部品リストがある場合は部品リスト（または実測値）から求めた値
+    weight: rocketParams.weight, setWeight: debounce(setWeight, SLIDER_DEBOUNCE_TIME),
+    centerOfGravity: rocketParams.centerOfGravity, setCenterOfGravity: debounce(setCenterOfGravity, SLIDER_DEBOUNCE_TIME),
+    massComponents, setUseMassComponents, updateMassComponent, addMassComponent, removeMassComponent,
+    massOverrides, updateMassOverride, massBreakdown,
     selectedMotor, setSelectedMotor,
+    availableMotors, selectedMotorData, massProperties,
+    userMotors, importMotorFile, deleteUserMotor,
+    stages, setStageCount, updateStage,
     selectedParachute, setSelectedParachute,
+    recoveryEvents, updateRecoveryEvent, setDualDeploy,
 
     // シミュレーションパラメータ
     launchAngle, setLaunchAngle: debounce(setLaunchAngle, SLIDER_DEBOUNCE_TIME),
     windSpeed, setWindSpeed: debounce(setWindSpeed, SLIDER_DEBOUNCE_TIME),
-    windProfile, setWindProfile,
+    windProfile, setWindProfile: selectWindProfile,
+    windSoundings, importWindSounding, deleteWindSounding,
     showWindArrows, setShowWindArrows,
+    useWindVariation, setUseWindVariation, windVariationSettings, updateWindVariation,
+    launchRail, selectLaunchRailPreset, updateLaunchRail,
+
+    // 打ち上げ場所の気象条件
+    siteElevation, setSiteElevation,
+    useStandardAtmosphere, setUseStandardAtmosphere,
+    groundTemperature, setGroundTemperature,
+    groundPressure, setGroundPressure,
+    humidity, setHumidity,
+    atmosphere, groundAtmosphere,
 
     // シミュレーション状態
     isLaunched, setIsLaunched,
     flightData, currentTime,
     currentHeight, currentSpeed, currentDistance, currentFinDeflection,
     currentMaxHeight, currentMaxSpeed, currentMaxDistance, currentMaxFinDeflection,
-    completedFlights, keyPoints,
+    completedFlights, keyPoints, boosterFlights,
+    monteCarloSettings, updateMonteCarloSetting, monteCarloResult, isMonteCarloRunning, handleRunMonteCarlo,
+    optimizerSettings, updateOptimizerSetting, updateOptimizerVariable,
+    optimizerResult, isOptimizerRunning, handleRunOptimizer, applyOptimizedDesign,
+    sensitivityPercent, setSensitivityPercent, sensitivityResult, handleRunSensitivity,
+    sweepSettings, setSweepParameter, updateSweepAxis, sweepResult, handleRunSweep, isSensitivityRunning,
 
     //recalculateFlightPath,
     prec_MaxHeight, setPrec_MaxHeight,// maxHeightも外部に公開
@@ -1030,19 +1524,29 @@ const useRocketSimulator = () => {
     finTipWidthInputRef, handleFinTipWidth: handleSliderChange(finTipWidthInputRef, setFinTipWidth),
     finThicknessInputRef, handleFinThickness: handleSliderChange(finThicknessInputRef, setFinThickness),
     finSweepLengthInputRef, handleFinSweepLength: handleSliderChange(finSweepLengthInputRef, setFinSweepLength),
+    finOffsetInputRef, handleFinOffset: handleSliderChange(finOffsetInputRef, setFinOffset),
     weightInputRef, handleWeight: handleSliderChange(weightInputRef, setWeight),
     centerOfGravityInputRef, handleCenterOfGravity: handleSliderChange(centerOfGravityInputRef, setCenterOfGravity),
     launchAngleInputRef, handleLaunchAngle: handleSliderChange(launchAngleInputRef, setLaunchAngle),
     windSpeedInputRef, handleWindSpeed: handleSliderChange(windSpeedInputRef, setWindSpeed),
+    siteElevationInputRef, handleSiteElevation: handleSliderChange(siteElevationInputRef, setSiteElevation),
+    groundTemperatureInputRef, handleGroundTemperature: handleSliderChange(groundTemperatureInputRef, setGroundTemperature),
+    groundPressureInputRef, handleGroundPressure: handleSliderChange(groundPressureInputRef, setGroundPressure),
+    humidityInputRef, handleHumidity: handleSliderChange(humidityInputRef, setHumidity),
 
     // 描画関数 - 外部のレンダリング関数を呼び出すためのラッパー
     getNosePath: (config) => getNosePath(config, noseShape, noseHeight, bodyWidth, bodyHeight),
-    getBodyPath: (config) => getBodyPath(config, bodyHeight, bodyWidth),
+    getBodyPath: (config) => getBodyPath(config, bodyHeight, bodyWidth, bodyLayout.outline),
     getLeftFinPath: (config) => getLeftFinPath(config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth),
     getRightFinPath: (config) => getRightFinPath(config, bodyWidth, finHeight, finBaseWidth, finSweepLength, finTipWidth),
     getCenterFinsPath: (config) => getCenterFinsPath(config, finThickness, finBaseWidth, finSweepLength, finTipWidth),
+    getSideViewFinPaths: (config) => getSideViewFinPaths(config.centerX, config.height, {
+      bodyWidth, finShape, finPoints, finHeight, finBaseWidth, finSweepLength, finTipWidth, finThickness, finCount,
+      finMountWidth: bodyLayout.mount.diameter, finAftOffset: bodyLayout.mount.aftOffset
+    }),
     getParachutePath: getParachute,
     getParachuteStringPaths: getParachuteStrings,
+    getRecoveryDevicePaths: getRecoveryDevices,
     getWindArrow,
     getWindProfileArrows: getWindArrows,
 
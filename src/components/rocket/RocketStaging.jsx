@@ -0,0 +1,251 @@
+// 多段ロケットの飛行計算
+// 下段（ブースター）は燃焼終了で分離し、遅延時間の後に次の段へ点火する。分離したブースターは個別に軌道を計算する
+import { MAX_STAGE_COUNT, DEFAULT_FIN_SHAPE } from './RocketConstants';
+import { calculateFlightPath, VERBOSE_LOGGING } from './RocketPhysics';
+import { predictLanding } from './RocketLandingPrediction';
+import { resolveMotor } from './RocketMotors';
+import { SIMPLE_BODY } from './RocketBodyComponents';
+import { summarizeStructuralLoads } from './RocketStructures';
+
+// 多段ロケットの最大シミュレーション時間 (s)
+const STAGED_FLIGHT_MAX_TIME = 40;
+
+// 分離したブースターの前端は平らなので、ごく短い円錐ノーズとして扱う (mm)
+const BOOSTER_NOSE_HEIGHT = 1;
+
+// 計算パラメータから下段の一覧を取得する（stages[0] が発射時に点火する第1段、最終段は含まない）
+export const getBoosterStages = (rocketParams) =>
+  (Array.isArray(rocketParams?.stages) ? rocketParams.stages : []).slice(0, MAX_STAGE_COUNT - 1);
+
+// 下段のモーター（motor オブジェクトを優先し、なければ motorId）
+const resolveStageMotor = (stage) => resolveMotor({ motor: stage.motor, selectedMotor: stage.motorId });
+
+const toKeyPoint = (point) => ({
+  time: point.time,
+  height: point.y ?? point.height,
+  speed: point.vy
+});
+
+// 下段 fromIndex より上を結合した機体のパラメータ
+// 最終段の下に stages[n-1] … stages[fromIndex] の順で連結し、最下段のフィンとモーターで飛行する
+// 上段のフィンは圧力中心の計算に含めない（簡易モデル）
+export const buildStackParams = (rocketParams, fromIndex) => {
+  const { stages, ...upperStage } = rocketParams;
+  const attached = getBoosterStages(rocketParams).slice(fromIndex);
+  if (attached.length === 0) return upperStage;
+
+  let length = upperStage.noseHeight + upperStage.bodyHeight; // ノーズ先端から各段の前端までの長さ (mm)
+  let weight = upperStage.weight;
+  let moment = upperStage.weight * upperStage.centerOfGravity;
+  let bodyWidth = upperStage.bodyWidth;
+
+  [...attached].reverse().forEach(stage => {
+    weight += stage.weight;
+    moment += stage.weight * (length + stage.centerOfGravity);
+    length += stage.bodyHeight;
+    bodyWidth = Math.max(bodyWidth, stage.bodyWidth); // 胴体直径は最も太い段で代表させる
+  });
+
+  const bottom = attached[0];
+  const motor = resolveStageMotor(bottom);
+
+  return {
+    ...upperStage,
+    ...SIMPLE_BODY,
+    bodyHeight: length - upperStage.noseHeight,
+    bodyWidth,
+    // 下段のフィンは台形
+    finShape: DEFAULT_FIN_SHAPE,
+    finHeight: bottom.finHeight,
+    finBaseWidth: bottom.finBaseWidth,
+    finTipWidth: bottom.finTipWidth,
+    finThickness: bottom.finThickness,
+    finSweepLength: bottom.finSweepLength,
+    finCount: bottom.finCount,
+    finMaterial: bottom.finMaterial || upperStage.finMaterial,
+    weight,
+    centerOfGravity: moment / weight,
+    // 最終段の部品リストの慣性モーメントは結合した機体には使えないため、形状からの推定値に戻す
+    pitchInertia: null,
+    motor,
+    selectedMotor: motor.id
+  };
+};
+
+// 分離した下段 index 単体のパラメータ
+export const buildBoosterParams = (rocketParams, index) => {
+  // 最終段の回収イベントは使わず、下段のパラシュートを分離後の遅延で放出する
+  const { stages, recoveryEvents, ...upperStage } = rocketParams;
+  const stage = getBoosterStages(rocketParams)[index];
+  const motor = resolveStageMotor(stage);
+
+  return {
+    ...upperStage,
+    ...SIMPLE_BODY,
+    noseShape: 'cone',
+    noseHeight: BOOSTER_NOSE_HEIGHT,
+    bodyHeight: stage.bodyHeight,
+    bodyWidth: stage.bodyWidth,
+    finShape: DEFAULT_FIN_SHAPE,
+    finHeight: stage.finHeight,
+    finBaseWidth: stage.finBaseWidth,
+    finTipWidth: stage.finTipWidth,
+    finThickness: stage.finThickness,
+    finSweepLength: stage.finSweepLength,
+    finCount: stage.finCount,
+    finMaterial: stage.finMaterial || upperStage.finMaterial,
+    weight: stage.weight,
+    centerOfGravity: BOOSTER_NOSE_HEIGHT + stage.centerOfGravity,
+    pitchInertia: null,
+    motor,
+    selectedMotor: motor.id,
+    selectedParachute: stage.parachute || upperStage.selectedParachute
+  };
+};
+
+/**
+ * 多段ロケットの飛行計算（calculateFlightPath と同じ引数・戻り値の形）
+ * 下段がなければ calculateFlightPath をそのまま使用する
+ * @param {Object} rocketParams - 最終段のパラメータと下段の一覧 (stages)
+ * @param {number} angle - 発射角度
+ * @param {number} windSpeed - 風速
+ * @param {string} windProfile - 風速プロファイル
+ * @param {Object} config - 設定オブジェクト
+ * @returns {Object} 飛行シミュレーション結果（keyPoints.stages に段ごとのキーポイント、boosters に分離した下段の軌道を追加）
+ */
+export const calculateMultiStageFlightPath = (rocketParams, angle, windSpeed, windProfile, config) => {
+  const boosters = getBoosterStages(rocketParams);
+  if (boosters.length === 0) {
+    return calculateFlightPath(rocketParams, angle, windSpeed, windProfile, config);
+  }
+
+  const verbose = config?.verbose ?? VERBOSE_LOGGING;
+  const log = verbose ? console.log : () => {};
+
+  const segments = []; // 各段の燃焼区間ごとの計算結果
+  const stageKeyPoints = [];
+  const boosterFlights = [];
+  let state; // 区間の開始状態（第1段は発射台上で静止）
+  let ignitionTime = 0;
+
+  for (let index = 0; index <= boosters.length; index++) {
+    const isFinalStage = index === boosters.length;
+    const stageIgnitionTime = ignitionTime; // この段の点火時刻
+    const stackParams = buildStackParams(rocketParams, index);
+    const motor = resolveMotor(stackParams);
+    const burnoutTime = stageIgnitionTime + motor.burnTime;
+
+    const segment = calculateFlightPath(stackParams, angle, windSpeed, windProfile, {
+      ...config,
+      initialState: state,
+      motorStartTime: stageIgnitionTime,
+      maxTime: STAGED_FLIGHT_MAX_TIME,
+      // 下段が付いている間はパラシュートを放出せず、燃焼終了で区間を打ち切る
+      ...(isFinalStage ? {} : { stopTime: burnoutTime, parachuteEjectionTime: Infinity })
+    });
+    segments.push({ stage: index + 1, result: segment });
+
+    // 第1段は発射台上で点火、以降の段は分離後の遅延時間が経過した時点で点火する
+    const ignitionPoint = index > 0 && segment.data.find(d => d.time >= stageIgnitionTime - 1e-9);
+    stageKeyPoints.push({
+      stage: index + 1,
+      motor: motor.id,
+      ignition: ignitionPoint ? toKeyPoint(ignitionPoint) : { time: stageIgnitionTime, height: 0, speed: 0 },
+      burnout: isFinalStage ? segment.keyPoints.thrustEnd : toKeyPoint(segment.finalState)
+    });
+
+    if (isFinalStage) break;
+
+    // 燃焼終了前に着地した、または姿勢が発散した場合は以降の段に点火しない
+    const end = segment.finalState;
+    if (end.y < 0 || end.time < burnoutTime || !segment.angleStability.isTorqueStableOK) {
+      log(`第${index + 1}段の燃焼中に飛行が終了したため、以降の段は計算しません (t=${end.time.toFixed(2)}s)`);
+      break;
+    }
+
+    // 分離した下段の軌道
+    const stage = boosters[index];
+    const boosterParams = buildBoosterParams(rocketParams, index);
+    const boosterFlight = calculateFlightPath(boosterParams, angle, windSpeed, windProfile, {
+      ...config,
+      initialState: end,
+      motorStartTime: stageIgnitionTime,
+      maxTime: STAGED_FLIGHT_MAX_TIME,
+      parachuteEjectionTime: stage.recovery === 'parachute' ? end.time + (stage.recoveryDelay ?? 0) : Infinity
+    });
+    const lastPoint = boosterFlight.data[boosterFlight.data.length - 1];
+    const landing = predictLanding(
+      { ...boosterParams, weight: boosterFlight.massProperties.burnoutWeight },
+      boosterFlight.data, windSpeed, windProfile, verbose
+    );
+    const totalFlightTime = (lastPoint?.time ?? end.time) + landing.timeToLanding;
+
+    boosterFlights.push({
+      stage: index + 1,
+      recovery: stage.recovery || 'ballistic',
+      data: boosterFlight.data,
+      maxHeight: boosterFlight.maxHeight,
+      keyPoints: boosterFlight.keyPoints,
+      landing: { ...landing, totalFlightTime }
+    });
+    stageKeyPoints[index].separation = toKeyPoint(end);
+    stageKeyPoints[index].landing = { time: totalFlightTime, x: landing.landingX, distance: landing.landingDistance };
+
+    log(`第${index + 1}段分離 (t=${end.time.toFixed(2)}s): 高度=${end.y.toFixed(2)}m, 着地予測=${landing.landingDistance.toFixed(1)}m`);
+
+    state = end;
+    ignitionTime = end.time + (stage.ignitionDelay ?? 0);
+  }
+
+  // 各区間の結果を1回の飛行として結合する
+  const results = segments.map(segment => segment.result);
+  const first = results[0];
+  const last = results[results.length - 1];
+  const peak = results.reduce((best, result) => result.maxHeight > best.maxHeight ? result : best, first);
+  const maxOf = (getter) => Math.max(...results.map(getter));
+  // 符号付きの値は絶対値が最大のものを符号ごと残す
+  const maxAbsOf = (getter) => results.map(getter).reduce((max, value) => Math.abs(value) > Math.abs(max) ? value : max, 0);
+  const data = segments.flatMap(({ stage, result }) => result.data.map(d => ({ ...d, stage })));
+
+  return {
+    ...last,
+    data,
+    prec_MaxHeight: maxOf(result => result.prec_MaxHeight),
+    maxHeight: peak.maxHeight,
+    maxSpeed: maxOf(result => result.maxSpeed),
+    maxDistance: maxOf(result => result.maxDistance),
+    maxFinDeflection: maxOf(result => result.maxFinDeflection),
+    keyPoints: {
+      ...last.keyPoints,
+      prec_MaxHeight: peak.keyPoints.prec_MaxHeight,
+      maxHeight: peak.keyPoints.maxHeight,
+      stages: stageKeyPoints
+    },
+    angleStability: {
+      maxAngleChangePerDt2: maxAbsOf(result => result.angleStability.maxAngleChangePerDt2),
+      isAngleStableOK: results.every(result => result.angleStability.isAngleStableOK),
+      isAbsoluteAngleOK: results.every(result => result.angleStability.isAbsoluteAngleOK),
+      isTorqueStableOK: results.every(result => result.angleStability.isTorqueStableOK),
+      isStabilityOverallOK: results.every(result => result.angleStability.isStabilityOverallOK),
+      maxAbsoluteAngle: maxAbsOf(result => result.angleStability.maxAbsoluteAngle)
+    },
+    // 空力特性と質量特性は発射時の結合状態の値
+    projectedAreas: first.projectedAreas,
+    volumes: first.volumes,
+    pressureCenter: first.pressureCenter,
+    aerodynamicCenter: first.aerodynamicCenter,
+    stabilityCenterOfPressure: first.stabilityCenterOfPressure,
+    staticMargins: first.staticMargins,
+    massProperties: first.massProperties,
+    railExit: first.railExit,
+    // 構造荷重は全区間の飛行データから求める
+    structuralLoads: summarizeStructuralLoads(data),
+    calculations: {
+      ...first.calculations,
+      // フィンの限界速度は各段のうち最も低い値で判定する
+      finDivergenceSpeed: Math.min(...results.map(result => result.calculations.finDivergenceSpeed)),
+      finFlutterSpeed: Math.min(...results.map(result => result.calculations.finFlutterSpeed))
+    },
+    boosters: boosterFlights
+  };
+};
@@ -0,0 +1,305 @@
+// 構造解析（フィンのたわみ・フラッター・ダイバージェンスとボディチューブの荷重）
+// 限界速度は飛行中の高度の大気状態で求め、飛行経路の各点の速度・荷重と比べた安全率を飛行データに記録する
+import {
+  FIN_MATERIALS, STRUCTURE_MATERIALS, DEFAULT_BODY_TUBE, REQUIRED_SAFETY_FACTORS, MAX_RECORDED_SAFETY_FACTOR,
+  ANGLE_RESPONSE_DT, mmToM
+} from './RocketConstants';
+import { calculateFinPlanform, getEquivalentTrapezoidFin } from './RocketFinPlanform';
+import { calculateBarrowmanCoefficients } from './RocketBarrowman';
+
+// 弾性軸から空力中心までの距離の翼弦に対する比 (NACA TN-4197)
+const FLUTTER_EPSILON = 0.25;
+
+// 法線力を CNα × 迎角で求める迎角の上限 (rad)。これより大きい迎角は線形の範囲外のため上限の値とする
+const MAX_LINEAR_ANGLE_OF_ATTACK = 15 * Math.PI / 180;
+
+// フィンのたわみ計算でスパン方向に分割する梁要素の数
+const FIN_BEAM_ELEMENTS = 20;
+
+const getFinMaterial = (rocketParams) => FIN_MATERIALS[rocketParams.finMaterial] || FIN_MATERIALS.light_veneer;
+
+// 直前に計算したフィンの単位圧力に対する応答（飛行計算の各ステップで同じ形状を繰り返し計算しないため）
+let finBeamCache = { key: null, response: null };
+
+/**
+ * フィンを翼根で固定した片持ち梁としたときの、単位圧力 (1 Pa) に対するたわみとねじれ角の分布
+ * 等価台形の翼弦に沿って断面の曲げ剛性 EI = E·c·t³/12、ねじり剛性 GJ = G·c·t³/3 が変わる梁要素に分割し、
+ * 翼端から翼根へせん断力・曲げモーメント・ねじりモーメント（空力中心 c/4 と弾性軸 c/2 の差）を積分してから、
+ * 翼根から曲率とねじり率を積分する
+ * @param {Object} rocketParams - フィンの寸法・厚さ・材質
+ * @returns {{span: number, stations: Array<{y: number, deflection: number, twist: number}>}}
+ *   スパン (m) と、翼根からの位置 y (m) ごとのたわみ (m/Pa)・ねじれ角 (rad/Pa)
+ */
+export const calculateFinBeamResponse = (rocketParams) => {
+  const { finHeight, finBaseWidth, finTipWidth } = getEquivalentTrapezoidFin(rocketParams);
+  const { E, G } = getFinMaterial(rocketParams);
+  const key = JSON.stringify([finHeight, finBaseWidth, finTipWidth, rocketParams.finThickness, E, G]);
+  if (finBeamCache.key === key) return finBeamCache.response;
+
+  const span = mmToM(finHeight);
+  const thicknessCubed = Math.pow(mmToM(rocketParams.finThickness), 3);
+  const dy = span / FIN_BEAM_ELEMENTS;
+  const sections = Array.from({ length: FIN_BEAM_ELEMENTS + 1 }, (_, i) => {
+    const chord = mmToM(finBaseWidth + (finTipWidth - finBaseWidth) * i / FIN_BEAM_ELEMENTS);
+    return { chord, EI: E * chord * thicknessCubed / 12, GJ: G * chord * thicknessCubed / 3 };
+  });
+
+  // 翼端（自由端）から翼根へ積分
+  const shear = new Array(FIN_BEAM_ELEMENTS + 1).fill(0);
+  const moment = new Array(FIN_BEAM_ELEMENTS + 1).fill(0);
+  const torque = new Array(FIN_BEAM_ELEMENTS + 1).fill(0);
+  for (let i = FIN_BEAM_ELEMENTS - 1; i >= 0; i--) {
+    const inner = sections[i];
+    const outer = sections[i + 1];
+    shear[i] = shear[i + 1] + (inner.chord + outer.chord) / 2 * dy;
+    moment[i] = moment[i + 1] + (shear[i] + shear[i + 1]) / 2 * dy;
+    torque[i] = torque[i + 1] + (inner.chord * inner.chord + outer.chord * outer.chord) / 8 * dy;
+  }
+
+  // 翼根（固定端）から翼端へ積分（尖った翼端は剛性もモーメントも 0 のため曲率を 0 とする）
+  const curvature = sections.map((section, i) => section.EI > 0 ? moment[i] / section.EI : 0);
+  const twistRate = sections.map((section, i) => section.GJ > 0 ? torque[i] / section.GJ : 0);
+  const stations = [{ y: 0, deflection: 0, twist: 0 }];
+  let slope = 0;
+  for (let i = 1; i <= FIN_BEAM_ELEMENTS; i++) {
+    const previous = stations[i - 1];
+    const nextSlope = slope + (curvature[i - 1] + curvature[i]) / 2 * dy;
+    stations.push({
+      y: i * dy,
+      deflection: previous.deflection + (slope + nextSlope) / 2 * dy,
+      twist: previous.twist + (twistRate[i - 1] + twistRate[i]) / 2 * dy
+    });
+    slope = nextSlope;
+  }
+
+  const response = { span, stations };
+  finBeamCache = { key, response };
+  return response;
+};
+
+/**
+ * 迎角と対気速度によるフィンの圧力荷重と、翼端のたわみ量・ねじれ角
+ * 圧力は動圧 × 平板の揚力傾斜（胴体による鏡像を考えたアスペクト比 2s²/S）× 迎角とし、
+ * 迎角には機体の回転（0.2秒間の角度変化量）によってフィンの位置で生じる分を加える
+ * @param {Object} rocketParams - フィンの寸法・厚さ・材質と、フィンの圧力中心位置 finCp (mm)
+ * @param {Object} state - velocity (m/s)、airDensity (kg/m³)、angleOfAttack (rad)、angleChangePerDt2 (度)、centerOfGravity (mm)
+ * @returns {{pressure: number, tipDeflection: number, tipTwist: number}} 圧力 (Pa)、翼端のたわみ量 (mm)、ねじれ角 (度)
+ */
+export const calculateFinDeflection = (rocketParams, state) => {
+  const { velocity, airDensity, angleOfAttack = 0, angleChangePerDt2 = 0, centerOfGravity } = state;
+  const { span, area } = calculateFinPlanform(rocketParams);
+  const aspectRatio = 2 * span * span / area;
+  const liftSlope = 2 * Math.PI * aspectRatio / (2 + Math.sqrt(4 + aspectRatio * aspectRatio));
+
+  const pitchRate = (angleChangePerDt2 * Math.PI / 180) / ANGLE_RESPONSE_DT;
+  const finLever = mmToM(Math.abs((rocketParams.finCp ?? centerOfGravity) - centerOfGravity));
+  const pitchAngleOfAttack = Math.atan2(Math.abs(pitchRate) * finLever, Math.max(Math.abs(velocity), 0.001));
+  const totalAngleOfAttack = Math.min(Math.abs(angleOfAttack) + pitchAngleOfAttack, MAX_LINEAR_ANGLE_OF_ATTACK);
+
+  const pressure = 0.5 * airDensity * velocity * velocity * liftSlope * totalAngleOfAttack;
+  const tip = calculateFinBeamResponse(rocketParams).stations[FIN_BEAM_ELEMENTS];
+
+  return {
+    pressure,
+    tipDeflection: tip.deflection * pressure * 1000,
+    tipTwist: tip.twist * pressure * 180 / Math.PI
+  };
+};
+
+/**
+ * 翼端のたわみ量からフィンのたわみの形（スパン方向の分布）を求める（描画用）
+ * @param {Object} rocketParams - フィンの寸法・厚さ・材質
+ * @param {number} tipDeflection - 翼端のたわみ量 (mm)
+ * @returns {Array<{y: number, deflection: number}>} 翼根からの位置とたわみ量 (mm)
+ */
+export const getFinDeflectionShape = (rocketParams, tipDeflection) => {
+  const { stations } = calculateFinBeamResponse(rocketParams);
+  const tip = stations[stations.length - 1].deflection;
+  return stations.map(station => ({
+    y: station.y * 1000,
+    deflection: tip > 0 ? station.deflection / tip * tipDeflection : 0
+  }));
+};
+
+/**
+ * NACA TN-4197 によるフィンのフラッター速度
+ * Vf = a √(G / (DN·P))、DN = (24ε/π) · AR³ / ((t/c)³ (AR + 2)) · (λ + 1) / 2
+ * @param {Object} rocketParams - フィンの寸法・厚さ・材質
+ * @param {{pressure: number, speedOfSound: number}} air - 飛行高度の気圧 (Pa) と音速 (m/s)
+ * @returns {number} フラッター速度 (m/s)
+ */
+export const calculateFinFlutterSpeedAt = (rocketParams, air) => {
+  const { span, area, equivalent } = calculateFinPlanform(rocketParams);
+  const aspectRatio = span * span / area;                              // AR: アスペクト比
+  const taperRatio = equivalent.finTipWidth / equivalent.finBaseWidth; // λ: 翼端と翼根の翼弦の比
+  const thicknessRatio = rocketParams.finThickness / equivalent.finBaseWidth; // t/c: 翼根の厚さ比
+
+  const denominatorConstant = (24 * FLUTTER_EPSILON / Math.PI) *
+    Math.pow(aspectRatio, 3) / (Math.pow(thicknessRatio, 3) * (aspectRatio + 2)) * (taperRatio + 1) / 2;
+
+  return air.speedOfSound * Math.sqrt(getFinMaterial(rocketParams).G / (denominatorConstant * air.pressure));
+};
+
+/**
+ * フィンのダイバージェンス速度（飛行高度の空気密度で求める）
+ * @param {Object} rocketParams - フィンの寸法・厚さ・材質
+ * @param {number} airDensity - 空気密度 (kg/m³)
+ * @returns {number} ダイバージェンス速度 (m/s)
+ */
+export const calculateFinDivergenceSpeedAt = (rocketParams, airDensity) => {
+  const { finHeight, finBaseWidth, finTipWidth, finSweepLength } = getEquivalentTrapezoidFin(rocketParams);
+
+  // 単位をmmからmに変換
+  const finHeight_m = mmToM(finHeight);
+  const finBaseWidth_m = mmToM(finBaseWidth);
+  const finTipWidth_m = mmToM(finTipWidth);
+  const finSweepLength_m = mmToM(finSweepLength);
+  const finThickness_m = mmToM(rocketParams.finThickness);
+
+  // 平均コード長 (m)
+  const meanChord = (finBaseWidth_m + finTipWidth_m) / 2;
+
+  // 後退角(rad)
+  const sweepbackAngle = Math.atan((finSweepLength_m + 0.5 * finTipWidth_m - 0.5 * finBaseWidth_m) * 3.14 / meanChord);
+
+  // 捻り定数J
+  const J = 0.3333 * finTipWidth_m * Math.pow(finThickness_m, 3);
+
+  // 揚力傾斜a0
+  const liftCoefficient_fin = (9 / 3.14) * Math.cos(sweepbackAngle);
+
+  return (3.14 / (2 * finHeight_m)) *
+    Math.pow(2 * getFinMaterial(rocketParams).G * J / (airDensity * Math.pow(meanChord, 2) * 0.25 * liftCoefficient_fin), 0.5);
+};
+
+/**
+ * ボディチューブの断面（部品リストのボディチューブの材料・肉厚、なければ既定の紙管）
+ * @param {Object} rocketParams - bodyWidth, massComponents
+ * @returns {{material: string, strength: number, radius: number, wallThickness: number, area: number, sectionModulus: number}}
+ *   強度 (Pa)、半径・肉厚 (m)、断面積 (m²)、断面係数 (m³)
+ */
+export const getBodyTubeSection = (rocketParams) => {
+  const tube = (rocketParams.massComponents || [])
+    .find(component => component.type === 'bodyTube' && component.source === 'material') || DEFAULT_BODY_TUBE;
+  const material = STRUCTURE_MATERIALS[tube.material] ? tube.material : DEFAULT_BODY_TUBE.material;
+  const radius = mmToM(rocketParams.bodyWidth / 2);
+  const wallThickness = mmToM(tube.wallThickness || DEFAULT_BODY_TUBE.wallThickness);
+
+  return {
+    material,
+    strength: STRUCTURE_MATERIALS[material].strength,
+    radius,
+    wallThickness,
+    area: 2 * Math.PI * radius * wallThickness,           // 薄肉円筒の断面積
+    sectionModulus: Math.PI * radius * radius * wallThickness // 薄肉円筒の断面係数 I / r
+  };
+};
+
+/**
+ * 飛行中の構造計算に使う機体の値（飛行計算の開始時に1回求める）
+ * 曲げモーメントはフィンより前の部品（ノーズ・径変化部）の法線力が重心位置の断面に作る値とする
+ * @param {Object} rocketParams - 機体のパラメータ
+ * @returns {Object} 構造計算用のモデル
+ */
+export const createStructuralModel = (rocketParams) => {
+  const barrowman = calculateBarrowmanCoefficients(rocketParams);
+  const foreBody = barrowman.components.filter(component => component.id !== 'fins' && component.cnAlpha !== 0);
+  const foreBodyCnAlpha = foreBody.reduce((sum, component) => sum + component.cnAlpha, 0);
+  const referenceDiameter_m = mmToM(barrowman.referenceDiameter);
+
+  return {
+    rocketParams,
+    tube: getBodyTubeSection(rocketParams),
+    referenceArea_m2: Math.PI * Math.pow(referenceDiameter_m / 2, 2),
+    foreBodyCnAlpha,
+    foreBodyCp: foreBodyCnAlpha !== 0
+      ? foreBody.reduce((sum, component) => sum + component.moment, 0) / foreBodyCnAlpha
+      : 0
+  };
+};
+
+// 限界値と実際の値の比（上限 MAX_RECORDED_SAFETY_FACTOR）
+const toSafetyFactor = (limit, value) =>
+  value > 0 ? Math.min(MAX_RECORDED_SAFETY_FACTOR, limit / value) : MAX_RECORDED_SAFETY_FACTOR;
+
+/**
+ * 飛行経路の1点の構造荷重と安全率
+ * 軸力は推力・機体の抗力による圧縮（正）と、開傘している回収装置の抗力による引張（負）とする
+ * @param {Object} model - createStructuralModel の戻り値
+ * @param {Object} state - air（大気状態）、velocity (m/s)、thrust・drag・recoveryForce (N)、angleOfAttack (rad)、centerOfGravity (mm)
+ * @returns {Object} 限界速度・動圧・軸力・曲げモーメント・応力と安全率
+ */
+export const evaluateStructuralState = (model, state) => {
+  const { air, velocity, thrust = 0, drag = 0, recoveryForce = 0, angleOfAttack = 0, centerOfGravity } = state;
+  const { tube } = model;
+
+  const flutterSpeed = calculateFinFlutterSpeedAt(model.rocketParams, air);
+  const divergenceSpeed = calculateFinDivergenceSpeedAt(model.rocketParams, air.density);
+
+  const dynamicPressure = 0.5 * air.density * velocity * velocity;
+  const normalForce = dynamicPressure * model.referenceArea_m2 * model.foreBodyCnAlpha *
+    Math.min(Math.abs(angleOfAttack), MAX_LINEAR_ANGLE_OF_ATTACK);
+  const bendingMoment = Math.abs(normalForce * mmToM(centerOfGravity - model.foreBodyCp));
+  const axialForce = recoveryForce > 0 ? -recoveryForce : Math.max(thrust, drag);
+  const bodyStress = Math.abs(axialForce) / tube.area + bendingMoment / tube.sectionModulus;
+
+  return {
+    flutterSpeed,                                                    // フラッター速度 (m/s)
+    divergenceSpeed,                                                 // ダイバージェンス速度 (m/s)
+    dynamicPressure,                                                 // 動圧 (Pa)
+    axialForce,                                                      // ボディチューブの軸力 (N、圧縮が正)
+    bendingMoment,                                                   // ボディチューブの曲げモーメント (N·m)
+    bodyStress,                                                      // ボディチューブの最大応力 (Pa)
+    flutterSafetyFactor: toSafetyFactor(flutterSpeed, velocity),
+    divergenceSafetyFactor: toSafetyFactor(divergenceSpeed, velocity),
+    bodySafetyFactor: toSafetyFactor(tube.strength, bodyStress)
+  };
+};
+
+// 要約に載せる飛行データの1点の値
+const toLoadPoint = (d) => d && {
+  time: d.time,
+  height: d.height,
+  speed: d.speedMagnitude,
+  dynamicPressure: d.dynamicPressure,
+  axialForce: d.bodyAxialForce,
+  bendingMoment: d.bodyBendingMoment,
+  bodyStress: d.bodyStress,
+  bodySafetyFactor: d.bodySafetyFactor,
+  flutterSafetyFactor: d.flutterSafetyFactor,
+  divergenceSafetyFactor: d.divergenceSafetyFactor
+};
+
+/**
+ * 飛行データから最大動圧時・開傘時の荷重と、飛行全体の最小安全率を求める
+ * @param {Array<Object>} data - evaluateStructuralState の値を記録した飛行データ
+ * @returns {{maxQ: Object|null, parachuteOpening: Object|null, minSafetyFactors: Object, requiredSafetyFactors: Object,
+ *   isFlutterOK: boolean, isDivergenceOK: boolean, isBodyTubeOK: boolean}}
+ */
+export const summarizeStructuralLoads = (data = []) => {
+  const recorded = data.filter(d => d.bodySafetyFactor !== undefined);
+  const maxQ = recorded
+    .filter(d => !d.isParachuteEjected)
+    .reduce((max, d) => !max || d.dynamicPressure > max.dynamicPressure ? d : max, null);
+  // 開傘時は回収装置の引張が最も大きい点
+  const parachuteOpening = recorded
+    .filter(d => d.bodyAxialForce < 0)
+    .reduce((max, d) => !max || d.bodyAxialForce < max.bodyAxialForce ? d : max, null);
+  const minOf = (key) => recorded.reduce((min, d) => Math.min(min, d[key]), MAX_RECORDED_SAFETY_FACTOR);
+
+  const minSafetyFactors = {
+    flutter: minOf('flutterSafetyFactor'),
+    divergence: minOf('divergenceSafetyFactor'),
+    bodyTube: minOf('bodySafetyFactor')
+  };
+
+  return {
+    maxQ: toLoadPoint(maxQ),
+    parachuteOpening: toLoadPoint(parachuteOpening),
+    minSafetyFactors,
+    requiredSafetyFactors: REQUIRED_SAFETY_FACTORS,
+    isFlutterOK: minSafetyFactors.flutter >= REQUIRED_SAFETY_FACTORS.flutter,
+    isDivergenceOK: minSafetyFactors.divergence >= REQUIRED_SAFETY_FACTORS.divergence,
+    isBodyTubeOK: minSafetyFactors.bodyTube >= REQUIRED_SAFETY_FACTORS.bodyTube
+  };
+};
@@ -1,18 +1,34 @@
 // UI関連のコンポーネント
 import React, { useState, useMemo } from 'react';
 import { useTranslation } from 'react-i18next';
-import { NOSE_SHAPES, FIN_MATERIALS, WIND_PROFILES, PARACHUTE_SIZES, SVG_CONFIG } from './RocketConstants';
+import {
+  NOSE_SHAPES, FIN_MATERIALS, WIND_PROFILES, PARACHUTE_SIZES, SVG_CONFIG,
+  MAX_STAGE_COUNT, BOOSTER_RECOVERY_TYPES, RECOVERY_TRIGGERS,
+  SURFACE_FINISHES, FIN_PROFILES, LAUNCH_GUIDES, MAX_MONTE_CARLO_RUNS, LAUNCH_RAILS, RAIL_EXIT_CRITERIA,
+  DYNAMIC_STABILITY_CRITERIA, DAMPING_PHASES, MIN_FIN_COUNT, MAX_FIN_COUNT, FIN_SHAPES, FIN_GRID_SIZE,
+  BODY_COMPONENT_TYPES, MAX_BODY_COMPONENTS, MASS_COMPONENT_TYPES, STRUCTURE_MATERIALS, MAX_MASS_COMPONENTS,
+  OPTIMIZER_VARIABLES, OPTIMIZER_OBJECTIVES, SENSITIVITY_PARAMETERS, SENSITIVITY_OUTPUTS, MAX_SWEEP_STEPS,
+  REQUIRED_SAFETY_FACTORS, MAX_RECORDED_SAFETY_FACTOR, SAFETY_FACTOR_SERIES, CANOPY_SHAPES,
+  DEFAULT_TARGET_DESCENT_RATE, RECOVERY_DEVICE_TYPES, STREAMER_MATERIALS
+} from './RocketConstants';
 import { formatFinDeflection, formatSpeedValue } from './RocketPhysics';
 import {
   getNosePath, getBodyPath, getLeftFinPath, getRightFinPath, getCenterFinsPath,
   getParachutePath, getParachuteStringPaths, getWindArrow, getWindProfileArrows,
   metersToSvgX, metersToSvgY, getActualRocketDimensions, getSafeRotationTransform,
   getAnalysisViewBox, getDesignViewBox, getRocketTransform, getSafeValue,
-  getFinPaths, getTriFinLeftRightPaths
+  getFinPaths, getSideViewFinPaths, getNoseCurvePath
 } from './RocketRendering';
 import { usePreFlightRocketSim } from './RocketUIPreCalu'
+import { scaleFinPoints } from './RocketFinPlanform';
+import { scaleBodyOutline } from './RocketBodyComponents';
+import { getFinDeflectionShape } from './RocketStructures';
+import { DRAG_COMPONENT_NAMES } from './RocketDrag';
+import { rankSensitivity } from './RocketSensitivity';
+import { calculateRecoveryDesign, calculateDescentRate } from './RocketRecovery';
 
 import { calculateWindSpeedAtHeight } from './RocketPhysics';
+import { getWindProfileName, getWindSoundingKey, resolveWindSounding } from './RocketWindSounding';
 
 // 安全な値を取得するヘルパー関数
 const getSafeNumber = (value, defaultValue = 0) => {
@@ -223,24 +239,33 @@ const ResultsPopup = ({ results, onClose }) => {
     maxHeight = 0,
     maxDistance = 0,
     maxFinDeflection = 0,
+    maxFinTwist = 0,
     finHeight = 0,
     maxDeflectionPercent = 0,
     divergenceSpeed = 0,
     flutterSpeed = 0,
     isDivergenceOK = false,
     isFlutterOK = false,
+    isBodyTubeOK = true,
+    maxParachuteOpeningForce = 0, // 最大開傘衝撃力 (N)
+    structuralLoads = null, // 最大動圧時・開傘時の荷重と最小安全率
+    safetyFactorSeries = [], // 安全率の時間変化
     isDeflectionOK = false,
     isAngleStableOK = false,
     isAbsoluteAngleOK = true, // 絶対角度判定の結果（デフォルトはtrue）
     isOverallOK = false,
     maxAngleChangePerDt2 = 0,
     maxAbsoluteAngle = 0, // 最大絶対角度
-    windProfile = 'uniform'
+    railExit = null, // 発射台離脱時の速度と迎角
+    isRailExitOK = true,
+    dynamicStability = null, // 固有振動数と減衰比
+    windProfile = 'uniform',
+    stages = [] // 多段ロケットの段ごとのキーポイント
   } = results;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg p-6 max-w-md">
+      <div className="bg-white rounded-lg p-6 max-w-md max-h-screen overflow-y-auto">
         <h3 className="text-xl font-bold mb-4">飛行結果判定</h3>
 
         <div className="mb-4">
@@ -252,7 +277,8 @@ const ResultsPopup = ({ results, onClose }) => {
               </span>
             </div>
             <div className="text-sm text-gray-600">
-              最高速度: {maxSpeed.toFixed(1)} m/s / 限界速度: {divergenceSpeed}
+              最高速度: {maxSpeed.toFixed(1)} m/s / 地上の限界速度: {divergenceSpeed}
+              {structuralLoads && <><br />最小安全率: {structuralLoads.minSafetyFactors.divergence.toFixed(2)} / 必要: {REQUIRED_SAFETY_FACTORS.divergence.toFixed(1)}</>}
             </div>
           </div>
 
@@ -264,10 +290,31 @@ const ResultsPopup = ({ results, onClose }) => {
               </span>
             </div>
             <div className="text-sm text-gray-600">
-              最高速度: {maxSpeed.toFixed(1)} m/s / 限界速度: {flutterSpeed}
+              最高速度: {maxSpeed.toFixed(1)} m/s / 地上の限界速度: {flutterSpeed}
+              {structuralLoads && <><br />最小安全率: {structuralLoads.minSafetyFactors.flutter.toFixed(2)} / 必要: {REQUIRED_SAFETY_FACTORS.flutter.toFixed(1)}</>}
             </div>
           </div>
 
+          {structuralLoads && (
+            <div className="mb-2">
+              <div className="flex justify-between items-center mb-1">
+                <span>ボディチューブ強度:</span>
+                <span className={`font-bold ${isBodyTubeOK ? 'text-green-600' : 'text-red-600'}`}>
+                  {isBodyTubeOK ? 'OK' : 'NG'}
+                </span>
+              </div>
+              <div className="text-sm text-gray-600">
+                最小安全率: {structuralLoads.minSafetyFactors.bodyTube.toFixed(2)} / 必要: {REQUIRED_SAFETY_FACTORS.bodyTube.toFixed(1)}
+                {maxParachuteOpeningForce > 0 && (
+                  <>
+                    <br />
+                    最大開傘衝撃力: {maxParachuteOpeningForce.toFixed(1)} N
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
           <div className="mb-2">
             <div className="flex justify-between items-center mb-1">
               <span>フィンたわみ量:</span>
@@ -279,6 +326,8 @@ const ResultsPopup = ({ results, onClose }) => {
             <div className="text-sm text-gray-600">
               最大たわみ量: {formatFinDeflection(maxFinDeflection)} ({maxDeflectionPercent.toFixed(2)}% of スパン)
               / 限界: 3%
+              <br />
+              最大ねじれ角: {maxFinTwist.toFixed(3)}°
             </div>
           </div>
 
@@ -308,6 +357,25 @@ const ResultsPopup = ({ results, onClose }) => {
             </div>
           </div>
 
+          {/* 発射台離脱速度の判定 */}
+          <div className="mb-2">
+            <div className="flex justify-between items-center mb-1">
+              <span>発射台離脱速度:</span>
+              <span className={`font-bold ${isRailExitOK ? 'text-green-600' : 'text-red-600'}`}>
+                {isRailExitOK ? 'OK' : 'NG'}
+              </span>
+            </div>
+            <div className="text-sm text-gray-600">
+              {railExit ? (
+                <>
+                  離脱速度: {railExit.speed.toFixed(1)} m/s ({railExit.time.toFixed(2)}秒) / 必要速度: {railExit.requiredSpeed.toFixed(1)} m/s
+                  <br />
+                  離脱時の風速 {Math.abs(railExit.windSpeed).toFixed(1)} m/s による迎角: {railExit.angleOfAttack.toFixed(1)}° / 限界: {RAIL_EXIT_CRITERIA.maxAngleOfAttack}°
+                </>
+              ) : '発射台を離脱していません'}
+            </div>
+          </div>
+
           <div className="mt-4 pt-2 border-t border-gray-300">
             <div className="flex justify-between items-center">
               <span className="font-semibold">総合判定:</span>
@@ -318,6 +386,14 @@ const ResultsPopup = ({ results, onClose }) => {
           </div>
         </div>
 
+        {dynamicStability && dynamicStability.series.length > 0 && (
+          <DynamicStabilitySummary dynamicStability={dynamicStability} />
+        )}
+
+        {structuralLoads && (
+          <StructuralLoadsSummary structuralLoads={structuralLoads} series={safetyFactorSeries} />
+        )}
+
         <div className="border-t border-gray-300 pt-4">
           <h4 className="font-semibold mb-2">飛行データ</h4>
           <div className="grid grid-cols-2 gap-2 text-sm">
@@ -328,10 +404,42 @@ const ResultsPopup = ({ results, onClose }) => {
             <div>最大水平距離:</div>
             <div>{maxDistance.toFixed(1)} m</div>
             <div>風速プロファイル:</div>
-            <div>{(WIND_PROFILES[windProfile] || {}).name || windProfile}</div>
+            <div>{getWindProfileName(windProfile)}</div>
           </div>
         </div>
 
+        {stages.length > 0 && (
+          <div className="border-t border-gray-300 pt-4 mt-4">
+            <h4 className="font-semibold mb-2">段ごとの飛行データ</h4>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-600">
+                  <th className="text-left font-normal">段</th>
+                  <th className="text-right font-normal">点火</th>
+                  <th className="text-right font-normal">燃焼終了</th>
+                  <th className="text-right font-normal">分離</th>
+                  <th className="text-right font-normal">着地</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stages.map(stage => (
+                  <tr key={stage.stage}>
+                    <td>第{stage.stage}段 <span className="text-gray-500">{stage.motor}</span></td>
+                    <td className="text-right">{stage.ignition.time.toFixed(2)}s<br />{stage.ignition.height.toFixed(1)}m</td>
+                    <td className="text-right">{stage.burnout.time.toFixed(2)}s<br />{stage.burnout.height.toFixed(1)}m</td>
+                    <td className="text-right">
+                      {stage.separation ? <>{stage.separation.speed.toFixed(1)}m/s<br />{stage.separation.height.toFixed(1)}m</> : '-'}
+                    </td>
+                    <td className="text-right">
+                      {stage.landing ? <>{stage.landing.time.toFixed(1)}s<br />{stage.landing.distance.toFixed(1)}m</> : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         <button
           onClick={onClose}
           className="mt-4 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded"
@@ -343,6 +451,192 @@ const ResultsPopup = ({ results, onClose }) => {
   );
 };
 
+// 姿勢角の時間変化と、減衰比の区分（適正・減衰不足・過減衰・不安定）の区間
+const DampingChart = ({ dynamicStability }) => {
+  const { series, segments } = dynamicStability;
+  const width = 360;
+  const height = 160;
+  const padding = { left: 36, right: 8, top: 8, bottom: 28 };
+  const startTime = series[0].time;
+  const endTime = Math.max(series[series.length - 1].time, startTime + 0.1);
+  const attitudes = series.map(point => point.attitude);
+  const maxAttitude = Math.max(5, ...attitudes.map(Math.abs)) * 1.1;
+  const toX = (time) => padding.left + (time - startTime) / (endTime - startTime) * (width - padding.left - padding.right);
+  const toY = (attitude) => padding.top + (1 - (attitude + maxAttitude) / (2 * maxAttitude)) * (height - padding.top - padding.bottom);
+
+  return (
+    <svg width={width} height={height} className="bg-white border border-gray-200">
+      {segments.map((segment, index) => (
+        <rect
+          key={index}
+          x={toX(segment.startTime)} y={padding.top}
+          width={Math.max(1, toX(segment.endTime) - toX(segment.startTime))} height={height - padding.top - padding.bottom}
+          fill={DAMPING_PHASES[segment.phase].color}
+        />
+      ))}
+      <line x1={padding.left} y1={toY(0)} x2={width - padding.right} y2={toY(0)} stroke="#9ca3af" strokeDasharray="3,3" />
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#374151" />
+      <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#374151" />
+      <polyline
+        points={series.map(point => `${toX(point.time)},${toY(point.attitude)}`).join(' ')}
+        fill="none" stroke="#1f2937" strokeWidth="1.5"
+      />
+      {[-1, 0, 1].map(ratio => (
+        <text key={`a-${ratio}`} x={padding.left - 4} y={toY(maxAttitude * ratio) + 4} fontSize="10" textAnchor="end">
+          {Math.round(maxAttitude * ratio)}°
+        </text>
+      ))}
+      {[0, 0.5, 1].map(ratio => (
+        <text key={`t-${ratio}`} x={toX(startTime + (endTime - startTime) * ratio)} y={height - padding.bottom + 14} fontSize="10" textAnchor="middle">
+          {(startTime + (endTime - startTime) * ratio).toFixed(1)}
+        </text>
+      ))}
+      <text x={(width + padding.left) / 2} y={height - 2} fontSize="10" textAnchor="middle">時間 (s)</text>
+    </svg>
+  );
+};
+
+// 動的安定性のまとめ（結果ポップアップ用）
+const DynamicStabilitySummary = ({ dynamicStability }) => {
+  const { phaseDurations, minDampingRatio, maxDampingRatio, maxNaturalFrequencyHz, atMaxSpeed, atBurnout } = dynamicStability;
+  const { minDampingRatio: lower, maxDampingRatio: upper } = DYNAMIC_STABILITY_CRITERIA;
+  const formatPoint = (point) => point
+    ? `ζ = ${point.dampingRatio.toFixed(3)}、${point.naturalFrequencyHz.toFixed(1)} Hz（${point.time.toFixed(2)}秒、${point.airspeed.toFixed(1)} m/s）`
+    : '-';
+
+  return (
+    <div className="border-t border-gray-300 pt-4 mb-4">
+      <h4 className="font-semibold mb-2">動的安定性</h4>
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 text-sm mb-2">
+        <div>減衰比 ζ:</div>
+        <div>{minDampingRatio.toFixed(3)} 〜 {maxDampingRatio.toFixed(3)}（推奨 {lower}〜{upper}）</div>
+        <div>最大固有振動数:</div>
+        <div>{maxNaturalFrequencyHz.toFixed(1)} Hz</div>
+        <div>最高速度時:</div>
+        <div>{formatPoint(atMaxSpeed)}</div>
+        <div>燃焼終了時:</div>
+        <div>{formatPoint(atBurnout)}</div>
+      </div>
+
+      <DampingChart dynamicStability={dynamicStability} />
+
+      <div className="flex flex-wrap gap-x-3 mt-1 text-xs">
+        {Object.entries(DAMPING_PHASES).map(([key, phase]) => (
+          <span key={key} className="flex items-center">
+            <span className="inline-block w-3 h-3 mr-1 border border-gray-300" style={{ backgroundColor: phase.color }} />
+            {phase.name} {phaseDurations[key].toFixed(2)}秒
+          </span>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-600">
+        減衰不足では風や突風で生じた首振りがなかなか収まらず、過減衰では風に向く動きが遅くなります。
+        静安定マージンを大きくすると固有振動数が上がり、フィンを後方に大きくすると減衰が強くなります。
+      </p>
+    </div>
+  );
+};
+
+// 安全率の時間変化（上限 MAX_RECORDED_SAFETY_FACTOR、破線は必要な安全率）
+const SafetyFactorChart = ({ series }) => {
+  const width = 360;
+  const height = 160;
+  const padding = { left: 36, right: 8, top: 8, bottom: 28 };
+  const startTime = series[0].time;
+  const endTime = Math.max(series[series.length - 1].time, startTime + 0.1);
+  const toX = (time) => padding.left + (time - startTime) / (endTime - startTime) * (width - padding.left - padding.right);
+  const toY = (factor) => padding.top + (1 - Math.min(factor, MAX_RECORDED_SAFETY_FACTOR) / MAX_RECORDED_SAFETY_FACTOR) *
+    (height - padding.top - padding.bottom);
+
+  return (
+    <svg width={width} height={height} className="bg-white border border-gray-200">
+      {Object.entries(SAFETY_FACTOR_SERIES).map(([key, line]) => (
+        <line
+          key={`required-${key}`}
+          x1={padding.left} y1={toY(REQUIRED_SAFETY_FACTORS[key])} x2={width - padding.right} y2={toY(REQUIRED_SAFETY_FACTORS[key])}
+          stroke={line.color} strokeDasharray="3,3" strokeOpacity="0.6"
+        />
+      ))}
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#374151" />
+      <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#374151" />
+      {Object.entries(SAFETY_FACTOR_SERIES).map(([key, line]) => (
+        <polyline
+          key={key}
+          points={series.map(point => `${toX(point.time)},${toY(point[key])}`).join(' ')}
+          fill="none" stroke={line.color} strokeWidth="1.5"
+        />
+      ))}
+      {[0, 0.5, 1].map(ratio => (
+        <text key={`f-${ratio}`} x={padding.left - 4} y={toY(MAX_RECORDED_SAFETY_FACTOR * ratio) + 4} fontSize="10" textAnchor="end">
+          {MAX_RECORDED_SAFETY_FACTOR * ratio}
+        </text>
+      ))}
+      {[0, 0.5, 1].map(ratio => (
+        <text key={`t-${ratio}`} x={toX(startTime + (endTime - startTime) * ratio)} y={height - padding.bottom + 14} fontSize="10" textAnchor="middle">
+          {(startTime + (endTime - startTime) * ratio).toFixed(1)}
+        </text>
+      ))}
+      <text x={(width + padding.left) / 2} y={height - 2} fontSize="10" textAnchor="middle">時間 (s)</text>
+    </svg>
+  );
+};
+
+// 構造荷重のまとめ（結果ポップアップ用）
+const StructuralLoadsSummary = ({ structuralLoads, series }) => {
+  const { maxQ, parachuteOpening } = structuralLoads;
+  const columns = [['最大動圧時', maxQ], ['開傘時', parachuteOpening]];
+  const rows = [
+    ['時刻', point => `${point.time.toFixed(2)} s`],
+    ['速度', point => `${point.speed.toFixed(1)} m/s`],
+    ['動圧', point => `${point.dynamicPressure.toFixed(0)} Pa`],
+    ['軸力', point => `${Math.abs(point.axialForce).toFixed(2)} N（${point.axialForce < 0 ? '引張' : '圧縮'}）`],
+    ['曲げモーメント', point => `${point.bendingMoment.toFixed(4)} N·m`],
+    ['応力', point => `${(point.bodyStress / 1e6).toFixed(3)} MPa`],
+    ['安全率', point => point.bodySafetyFactor.toFixed(2)]
+  ];
+
+  return (
+    <div className="border-t border-gray-300 pt-4 mb-4">
+      <h4 className="font-semibold mb-2">構造荷重（ボディチューブ）</h4>
+      <table className="w-full text-sm mb-2">
+        <thead>
+          <tr className="text-gray-600">
+            <th />
+            {columns.map(([label]) => <th key={label} className="text-right font-normal">{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, format]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              {columns.map(([column, point]) => (
+                <td key={column} className="text-right">{point ? format(point) : '-'}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {series.length > 1 && (
+        <>
+          <SafetyFactorChart series={series} />
+          <div className="flex flex-wrap gap-x-3 mt-1 text-xs">
+            {Object.entries(SAFETY_FACTOR_SERIES).map(([key, line]) => (
+              <span key={key} className="flex items-center">
+                <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: line.color }} />
+                {line.name}（最小 {structuralLoads.minSafetyFactors[key].toFixed(2)}）
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+      <p className="mt-1 text-xs text-gray-600">
+        フィンの限界速度は各時刻の高度の気圧・音速・空気密度で求めています（フラッターは NACA TN-4197）。
+        ボディチューブは推力・抗力による圧縮と回収装置の開傘による引張に、迎角で生じる曲げが加わります。
+      </p>
+    </div>
+  );
+};
+
 // 前回の飛翔結果表示コンポーネント
 const LastFlightResults = ({ results }) => {
   if (!results) return null;
@@ -353,9 +647,11 @@ const LastFlightResults = ({ results }) => {
     maxDistance = 0,
     isDivergenceOK = false,
     isFlutterOK = false,
+    isBodyTubeOK = true, // ボディチューブの強度判定
     isDeflectionOK = false,
     isAngleStableOK = false,
     isAbsoluteAngleOK = true, // 絶対角度判定の結果
+    isRailExitOK = true, // 発射台離脱速度の判定
     isOverallOK = false,
     launchAngle = 0,
     windSpeed = 0,
@@ -374,7 +670,7 @@ const LastFlightResults = ({ results }) => {
         <div>{windSpeed.toFixed(1)} m/s</div>
 
         <div>風速プロファイル:</div>
-        <div>{(WIND_PROFILES[windProfile] || {}).name || windProfile}</div>
+        <div>{getWindProfileName(windProfile)}</div>
 
         <div>最高高度:</div>
         <div>{maxHeight.toFixed(1)} m</div>
@@ -408,6 +704,13 @@ const LastFlightResults = ({ results }) => {
           </span>
         </div>
 
+        <div className="text-sm">
+          <span>ボディチューブ強度:</span>
+          <span className={`ml-1 font-medium ${isBodyTubeOK ? 'text-green-600' : 'text-red-600'}`}>
+            {isBodyTubeOK ? 'OK' : 'NG'}
+          </span>
+        </div>
+
         {/* 姿勢安定性の判定に関する表示を修正 - 角度変化と絶対角度を個別に表示 */}
         <div className="text-sm">
           <span>角度変化安定性:</span>
@@ -417,12 +720,19 @@ const LastFlightResults = ({ results }) => {
         </div>
 
         {/* 絶対角度判定を追加 */}
-        <div className="text-sm col-span-2">
+        <div className="text-sm">
           <span>絶対角度安定性:</span>
           <span className={`ml-1 font-medium ${isAbsoluteAngleOK ? 'text-green-600' : 'text-red-600'}`}>
             {isAbsoluteAngleOK ? 'OK' : 'NG'}
           </span>
         </div>
+
+        <div className="text-sm">
+          <span>発射台離脱速度:</span>
+          <span className={`ml-1 font-medium ${isRailExitOK ? 'text-green-600' : 'text-red-600'}`}>
+            {isRailExitOK ? 'OK' : 'NG'}
+          </span>
+        </div>
       </div>
 
       <div className="mt-2 text-center">
@@ -471,65 +781,2105 @@ const ParameterSlider = ({
   );
 };
 
-// デザインタブコンポーネント
-const DesignTab = ({ rocketSim }) => {
-  const { t } = useTranslation();
-  // 実際のロケット寸法を取得
-  const defaultDimensions = { totalHeight: 0 };
-  const dimensions = rocketSim?.getActualRocketDimensions ?
-    rocketSim.getActualRocketDimensions(rocketSim.design || {}) :
-    defaultDimensions;
+// モーター選択コンポーネント（.engファイルの取り込みとユーザーモーターの管理を含む）
+const MotorSelector = ({ rocketSim }) => {
+  const [importMessage, setImportMessage] = useState(null);
 
-  const { totalHeight = 0 } = dimensions;
+  const motors = Object.values(rocketSim.availableMotors || {});
+  const builtinMotors = motors.filter(motor => motor.source === 'builtin');
+  const userMotors = motors.filter(motor => motor.source !== 'builtin');
+  const motor = rocketSim.selectedMotorData;
 
-  // rocketSimオブジェクトが適切に初期化されているか確認
-  if (!rocketSim || !rocketSim.noseShape) {
-    return (
-      <div className="bg-white rounded-lg shadow-lg p-6 mb-4 flex justify-center items-center">
-        <p className="text-gray-500">{t('common.initializing')}</p>
+  // .engファイルを読み込んでライブラリに追加
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 同じファイルを再度選択できるようにする
+    if (!file) return;
+
+    try {
+      const added = rocketSim.importMotorFile(await file.text());
+      setImportMessage({ isError: false, text: `${added.map(m => m.id).join(', ')} を追加しました` });
+    } catch (error) {
+      console.error('.engファイルの取り込みに失敗しました:', error);
+      setImportMessage({ isError: true, text: `取り込みに失敗しました: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <h4 className="text-lg font-semibold mb-2">モーター選択</h4>
+      <select
+        value={rocketSim.selectedMotor || 'A8-3'}
+        onChange={(e) => rocketSim.setSelectedMotor && rocketSim.setSelectedMotor(e.target.value)}
+        className="w-full p-2 border border-gray-300 rounded mb-2"
+      >
+        <optgroup label="標準モーター">
+          {builtinMotors.map(m => (
+            <option key={m.id} value={m.id}>{m.id}</option>
+          ))}
+        </optgroup>
+        {userMotors.length > 0 && (
+          <optgroup label="ユーザーモーター">
+            {userMotors.map(m => (
+              <option key={m.id} value={m.id}>{m.id}{m.manufacturer ? ` (${m.manufacturer})` : ''}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {motor && (
+        <div className="text-sm text-gray-600 mb-2">
+          <p>総力積 {motor.totalImpulse.toFixed(2)} N·s ／ 平均推力 {motor.averageThrust.toFixed(2)} N ／ 最大推力 {motor.maxThrust.toFixed(2)} N</p>
+          <p>
+            燃焼時間 {motor.burnTime.toFixed(2)} s ／ 放出遅延 {motor.delay === null ? 'なし (プラグ)' : `${motor.delay} s`}
+            {motor.totalMass ? ` ／ 全質量 ${motor.totalMass.toFixed(1)} g（推進剤 ${motor.propellantMass.toFixed(1)} g）` : ''}
+          </p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <label className="px-3 py-1 bg-gray-100 border border-gray-300 rounded cursor-pointer text-sm hover:bg-gray-200">
+          .engファイルを取り込む
+          <input type="file" accept=".eng,.txt" onChange={handleFileChange} className="hidden" />
+        </label>
+        {motor && motor.source !== 'builtin' && (
+          <button
+            onClick={() => rocketSim.deleteUserMotor(motor.id)}
+            className="px-3 py-1 text-sm text-red-600 border border-red-300 rounded hover:bg-red-50"
+          >
+            このモーターを削除
+          </button>
+        )}
       </div>
-    );
-  }
+
+      {importMessage && (
+        <p className={`mt-2 text-sm ${importMessage.isError ? 'text-red-600' : 'text-green-600'}`}>
+          {importMessage.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// 下段（ブースター）の数値入力項目 [フィールド名, ラベル, 単位, 刻み]
+const STAGE_NUMBER_FIELDS = [
+  ['bodyHeight', 'ボディ長さ', 'mm', 1],
+  ['bodyWidth', 'ボディ直径', 'mm', 0.5],
+  ['finHeight', 'フィン高さ', 'mm', 0.5],
+  ['finBaseWidth', 'フィン根元幅', 'mm', 0.5],
+  ['finTipWidth', 'フィン先端幅', 'mm', 0.5],
+  ['finSweepLength', 'フィン後退長さ', 'mm', 0.5],
+  ['finThickness', 'フィン厚さ', 'mm', 0.1],
+  ['finCount', 'フィン枚数', '枚', 1],
+  ['weight', '段の重量', 'g', 0.1],
+  ['centerOfGravity', '重心位置（段の前端から）', 'mm', 1],
+  ['ignitionDelay', '次段点火までの遅延', 's', 0.1]
+];
+
+// 多段ロケットの段構成コンポーネント（最終段は上の設計値、下段ごとにボディ・フィン・モーター・分離条件を設定）
+const StageEditor = ({ rocketSim }) => {
+  const stages = rocketSim.stages || [];
+  const motors = Object.values(rocketSim.availableMotors || {});
+
+  const handleNumber = (index, field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) {
+      rocketSim.updateStage(index, field, value);
+    }
+  };
+
   return (
-    <div className="bg-white rounded-lg shadow-lg p-6 mb-4">
-      <div className="grid grid-cols-2 gap-6">
-        <div>
-          <h3 className="text-xl font-bold mb-4">{t('design.title')}</h3>
+    <div className="mb-6">
+      <h4 className="text-lg font-semibold mb-2">段構成</h4>
+      <select
+        value={stages.length + 1}
+        onChange={(e) => rocketSim.setStageCount && rocketSim.setStageCount(Number(e.target.value))}
+        className="w-full p-2 border border-gray-300 rounded mb-2"
+      >
+        {Array.from({ length: MAX_STAGE_COUNT }, (_, i) => (
+          <option key={i + 1} value={i + 1}>{i === 0 ? '単段' : `${i + 1}段式`}</option>
+        ))}
+      </select>
+
+      {stages.length > 0 && (
+        <p className="text-sm text-gray-600 mb-2">
+          上の設計値・モーター・パラシュートは第{stages.length + 1}段（最終段）に使用します。
+          下段は燃焼終了時に分離し、遅延時間の後に次の段へ点火します。
+        </p>
+      )}
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-2">{t('design.noseShape')}</h4>
-            <div className="flex space-x-4 mb-2">
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="cone"
-                  checked={rocketSim.noseShape === "cone"}
-                  onChange={() => rocketSim.setNoseShape("cone")}
-                  className="mr-2"
-                />
-                円錐
+      {stages.map((stage, index) => (
+        <div key={index} className="border border-gray-200 rounded p-3 mb-2">
+          <h5 className="font-semibold mb-2">第{index + 1}段</h5>
+
+          <div className="flex items-center justify-between mb-2 text-sm">
+            <label>モーター:</label>
+            <select
+              value={stage.motorId}
+              onChange={(e) => rocketSim.updateStage(index, 'motorId', e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            >
+              {motors.map(m => (
+                <option key={m.id} value={m.id}>{m.id}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {STAGE_NUMBER_FIELDS.map(([field, label, unit, step]) => (
+              <label key={field} className="flex items-center justify-between">
+                <span>{label}:</span>
+                <span>
+                  <input
+                    type="number"
+                    value={stage[field]}
+                    min={field === 'finCount' ? MIN_FIN_COUNT : 0}
+                    max={field === 'finCount' ? MAX_FIN_COUNT : undefined}
+                    step={step}
+                    onChange={handleNumber(index, field)}
+                    className="w-20 p-1 border border-gray-300 rounded text-right"
+                  />
+                  <span className="ml-1">{unit}</span>
+                </span>
               </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="parabola"
-                  checked={rocketSim.noseShape === "parabola"}
-                  onChange={() => rocketSim.setNoseShape("parabola")}
-                  className="mr-2"
-                />
-                放物線
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between mt-2 text-sm">
+            <label>分離後の回収:</label>
+            <select
+              value={stage.recovery}
+              onChange={(e) => rocketSim.updateStage(index, 'recovery', e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            >
+              {Object.entries(BOOSTER_RECOVERY_TYPES).map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          {stage.recovery === 'parachute' && (
+            <div className="grid grid-cols-2 gap-x-4 mt-1 text-sm">
+              <label className="flex items-center justify-between">
+                <span>パラシュート:</span>
+                <select
+                  value={stage.parachute}
+                  onChange={(e) => rocketSim.updateStage(index, 'parachute', e.target.value)}
+                  className="p-1 border border-gray-300 rounded"
+                >
+                  {Object.keys(PARACHUTE_SIZES).map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
               </label>
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  value="ogive"
-                  checked={rocketSim.noseShape === "ogive"}
-                  onChange={() => rocketSim.setNoseShape("ogive")}
-                  className="mr-2"
-                />
-                オジブ
+              <label className="flex items-center justify-between">
+                <span>放出遅延:</span>
+                <span>
+                  <input
+                    type="number"
+                    value={stage.recoveryDelay}
+                    min={0}
+                    step={0.1}
+                    onChange={handleNumber(index, 'recoveryDelay')}
+                    className="w-20 p-1 border border-gray-300 rounded text-right"
+                  />
+                  <span className="ml-1">s</span>
+                </span>
               </label>
             </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Barrowman 法による圧力中心の内訳表（部品ごとの CNα・圧力中心位置・寄与）
+const CenterOfPressureTable = ({ calculations }) => {
+  const components = calculations.cpComponents || [];
+  if (components.length === 0) return null;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mt-4">
+      <h4 className="text-lg font-semibold mb-2">圧力中心の内訳（Barrowman法）</h4>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-300">
+            <th className="text-left py-1">部品</th>
+            <th className="text-right py-1">CNα (1/rad)</th>
+            <th className="text-right py-1">圧力中心 (mm)</th>
+            <th className="text-right py-1">CNα×位置</th>
+            <th className="text-right py-1">寄与</th>
+          </tr>
+        </thead>
+        <tbody>
+          {components.map(component => (
+            <tr key={component.id} className="border-b border-gray-200">
+              <td className="py-1">{component.name}</td>
+              <td className="text-right py-1">{component.cnAlpha.toFixed(3)}</td>
+              <td className="text-right py-1">{component.cp.toFixed(1)}</td>
+              <td className="text-right py-1">{component.moment.toFixed(1)}</td>
+              <td className="text-right py-1">{(component.share * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1">機体全体</td>
+            <td className="text-right py-1">{(calculations.cnAlpha || 0).toFixed(3)}</td>
+            <td className="text-right py-1">{calculations.pressureCenter || 0}</td>
+            <td className="text-right py-1">{components.reduce((sum, component) => sum + component.moment, 0).toFixed(1)}</td>
+            <td className="text-right py-1">100%</td>
+          </tr>
+        </tbody>
+      </table>
+      {components.some(component => component.interferenceFactor) && (
+        <p className="text-xs text-gray-600 mt-2">
+          フィンの胴体干渉係数 K = 1 + R/(s+R) = {components.find(component => component.interferenceFactor).interferenceFactor.toFixed(3)}、
+          圧力中心 = Σ(CNα×位置) / ΣCNα（位置はノーズ先端から）
+        </p>
+      )}
+    </div>
+  );
+};
+
+// 抗力の内訳の色（グラフの積み上げ順）
+const DRAG_COMPONENT_COLORS = {
+  bodyFriction: '#3B82F6',
+  finFriction: '#10B981',
+  finPressure: '#F59E0B',
+  nosePressure: '#8B5CF6',
+  base: '#EF4444',
+  launchGuide: '#6B7280',
+  interference: '#EC4899'
+};
+
+// 抗力係数の内訳グラフ（速度に対する積み上げ、慣性飛行時の値）と抗力計算の設定
+const DragBreakdownChart = ({ rocketSim }) => {
+  const curve = rocketSim.dragCurve || [];
+  const [referenceSpeed, setReferenceSpeed] = useState(40);
+  if (curve.length === 0) return null;
+
+  const width = 380;
+  const height = 200;
+  const padding = { left: 40, right: 10, top: 10, bottom: 30 };
+  const maxVelocity = curve[curve.length - 1].velocity;
+  const maxCd = Math.max(...curve.map(point => point.cd)) * 1.1;
+  const toX = (velocity) => padding.left + (velocity / maxVelocity) * (width - padding.left - padding.right);
+  const toY = (cd) => height - padding.bottom - (cd / maxCd) * (height - padding.top - padding.bottom);
+  const keys = Object.keys(DRAG_COMPONENT_NAMES);
+
+  // 内訳を下から積み上げた領域のパス
+  const areas = keys.map((key, index) => {
+    const lower = curve.map(point => keys.slice(0, index).reduce((sum, k) => sum + point.components[k], 0));
+    const upper = curve.map((point, i) => lower[i] + point.components[key]);
+    const top = curve.map((point, i) => `${toX(point.velocity)},${toY(upper[i])}`);
+    const bottom = curve.map((point, i) => `${toX(point.velocity)},${toY(lower[i])}`).reverse();
+    return { key, d: `M ${top.join(' L ')} L ${bottom.join(' L ')} Z` };
+  });
+
+  // 基準速度での内訳
+  const reference = curve.reduce((best, point) =>
+    Math.abs(point.velocity - referenceSpeed) < Math.abs(best.velocity - referenceSpeed) ? point : best, curve[0]);
+
+  const settings = [
+    ['表面仕上げ', rocketSim.surfaceFinish, rocketSim.setSurfaceFinish,
+      Object.entries(SURFACE_FINISHES).map(([key, finish]) => [key, finish.name])],
+    ['フィン断面', rocketSim.finProfile, rocketSim.setFinProfile, Object.entries(FIN_PROFILES)],
+    ['発射ガイド', rocketSim.launchGuide, rocketSim.setLaunchGuide,
+      Object.entries(LAUNCH_GUIDES).map(([key, guide]) => [key, guide.name])]
+  ];
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mt-4">
+      <h4 className="text-lg font-semibold mb-2">抗力係数の内訳</h4>
+
+      <div className="space-y-1 mb-2 text-sm">
+        {settings.map(([label, value, setter, options]) => (
+          <label key={label} className="flex items-center justify-between">
+            <span>{label}:</span>
+            <select
+              value={value}
+              onChange={(e) => setter && setter(e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            >
+              {options.map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <svg width={width} height={height} className="bg-white border border-gray-200">
+        {areas.map(area => (
+          <path key={area.key} d={area.d} fill={DRAG_COMPONENT_COLORS[area.key]} fillOpacity="0.7" stroke="none" />
+        ))}
+        <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#374151" />
+        <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#374151" />
+        {[0, 0.25, 0.5, 0.75, 1].map(ratio => (
+          <text key={`cd-${ratio}`} x={padding.left - 4} y={toY(maxCd * ratio) + 4} fontSize="10" textAnchor="end">
+            {(maxCd * ratio).toFixed(2)}
+          </text>
+        ))}
+        {[0, 0.25, 0.5, 0.75, 1].map(ratio => (
+          <text key={`v-${ratio}`} x={toX(maxVelocity * ratio)} y={height - padding.bottom + 14} fontSize="10" textAnchor="middle">
+            {Math.round(maxVelocity * ratio)}
+          </text>
+        ))}
+        <text x={(width + padding.left) / 2} y={height - 2} fontSize="10" textAnchor="middle">速度 (m/s)</text>
+        <line
+          x1={toX(reference.velocity)} y1={padding.top}
+          x2={toX(reference.velocity)} y2={height - padding.bottom}
+          stroke="#111827" strokeDasharray="4,3"
+        />
+      </svg>
+
+      <div className="flex items-center mt-2 text-sm">
+        <span className="mr-2">基準速度:</span>
+        <input
+          type="range"
+          min={curve[0].velocity}
+          max={maxVelocity}
+          step={curve[0].velocity}
+          value={reference.velocity}
+          onChange={(e) => setReferenceSpeed(Number(e.target.value))}
+          className="flex-1"
+        />
+        <span className="ml-2 min-w-[60px] text-right">{reference.velocity} m/s</span>
+      </div>
+
+      <table className="w-full text-sm mt-2">
+        <tbody>
+          {keys.map(key => (
+            <tr key={key} className="border-b border-gray-200">
+              <td className="py-1">
+                <span className="inline-block w-3 h-3 mr-2" style={{ backgroundColor: DRAG_COMPONENT_COLORS[key] }} />
+                {DRAG_COMPONENT_NAMES[key]}
+              </td>
+              <td className="text-right py-1">{reference.components[key].toFixed(3)}</td>
+              <td className="text-right py-1">{(reference.components[key] / reference.cd * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+          <tr className="font-semibold">
+            <td className="py-1">合計 Cd（胴体断面積基準）</td>
+            <td className="text-right py-1">{reference.cd.toFixed(3)}</td>
+            <td className="text-right py-1">100%</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600 mt-2">地上の大気状態・慣性飛行時（底面抗力を含む）の値。燃焼中は底面抗力を除いて計算します。</p>
+    </div>
+  );
+};
+
+// 設計最適化の結果の比較項目 [ラベル, 値の取得, 小数桁]
+const OPTIMIZER_RESULT_ROWS = [
+  ['最高高度 (m)', evaluation => evaluation.apogee, 1],
+  ['最高速度 (m/s)', evaluation => evaluation.maxSpeed, 1],
+  ['静安定マージン 最小 (口径)', evaluation => evaluation.minStaticMargin, 2],
+  ['静安定マージン 最大 (口径)', evaluation => evaluation.maxStaticMargin, 2],
+  ['機体質量 (g)', evaluation => evaluation.weight, 1],
+  ['重心位置 (mm)', evaluation => evaluation.centerOfGravity, 0]
+];
+
+// 設計最適化のパネル（設計変数と探索範囲・目的・制約の設定、提案された設計の比較と反映）
+const OptimizerPanel = ({ rocketSim }) => {
+  const settings = rocketSim.optimizerSettings;
+  const result = rocketSim.optimizerResult;
+  if (!settings) return null;
+
+  const handleNumber = (setter) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) setter(value);
+  };
+
+  const formatJudgement = (evaluation) => evaluation.isFeasible
+    ? <span className="text-green-600 font-semibold">制約OK</span>
+    : <span className="text-red-600 font-semibold">制約NG</span>;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg mt-4">
+      <h4 className="text-lg font-semibold mb-2">設計最適化</h4>
+      <p className="text-sm text-gray-600 mb-2">
+        選んだ設計変数を探索範囲内で変えながら飛行計算を繰り返し、制約を満たす設計を提案します。
+        バラストはノーズに積むものとし、質量と重心位置はフィンの増減とバラストから求め直します。
+      </p>
+
+      <table className="w-full text-sm mb-2">
+        <thead>
+          <tr className="border-b border-gray-300">
+            <th className="text-left py-1">設計変数</th>
+            <th className="text-right py-1">下限</th>
+            <th className="text-right py-1">上限</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(OPTIMIZER_VARIABLES).map(([key, definition]) => {
+            const variable = settings.variables[key];
+            return (
+              <tr key={key} className="border-b border-gray-200">
+                <td className="py-1">
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={variable.enabled}
+                      onChange={(e) => rocketSim.updateOptimizerVariable(key, 'enabled', e.target.checked)}
+                      className="mr-2"
+                    />
+                    {definition.name} ({definition.unit})
+                  </label>
+                </td>
+                {['min', 'max'].map(field => (
+                  <td key={field} className="text-right py-1">
+                    <input
+                      type="number"
+                      value={variable[field]}
+                      step={definition.step}
+                      disabled={!variable.enabled}
+                      onChange={handleNumber(value => rocketSim.updateOptimizerVariable(key, field, value))}
+                      className="w-20 p-1 border border-gray-300 rounded text-right"
+                    />
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm mb-2">
+        <label className="flex items-center justify-between">
+          <span>目的:</span>
+          <select
+            value={settings.objective}
+            onChange={(e) => rocketSim.updateOptimizerSetting('objective', e.target.value)}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between">
+          <span>目標高度 (m):</span>
+          <input
+            type="number"
+            value={settings.targetApogee}
+            min={1}
+            disabled={settings.objective !== 'targetApogee'}
+            onChange={handleNumber(value => rocketSim.updateOptimizerSetting('targetApogee', value))}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span>静安定マージン下限 (口径):</span>
+          <input
+            type="number"
+            value={settings.minStaticMargin}
+            step={0.1}
+            onChange={handleNumber(value => rocketSim.updateOptimizerSetting('minStaticMargin', value))}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span>静安定マージン上限 (口径):</span>
+          <input
+            type="number"
+            value={settings.maxStaticMargin}
+            step={0.1}
+            onChange={handleNumber(value => rocketSim.updateOptimizerSetting('maxStaticMargin', value))}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={settings.requireFinSafety}
+            onChange={(e) => rocketSim.updateOptimizerSetting('requireFinSafety', e.target.checked)}
+            className="mr-2"
+          />
+          フラッター・ダイバージェンスを起こさない
+        </label>
+        <label className="flex items-center justify-between">
+          <span>飛行計算の最大回数:</span>
+          <input
+            type="number"
+            value={settings.maxEvaluations}
+            min={1}
+            step={10}
+            onChange={handleNumber(value => rocketSim.updateOptimizerSetting('maxEvaluations', value))}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+      </div>
+
+      <button
+        onClick={rocketSim.handleRunOptimizer}
+        disabled={rocketSim.isOptimizerRunning}
+        className={`px-4 py-2 rounded text-white ${rocketSim.isOptimizerRunning ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}
+      >
+        {rocketSim.isOptimizerRunning ? '計算中...' : '最適化を実行'}
+      </button>
+
+      {result && (
+        <div className="mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-300">
+                <th className="text-left py-1"></th>
+                <th className="text-right py-1">現在の設計</th>
+                <th className="text-right py-1">提案</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(result.values).map(([key, value]) => (
+                <tr key={key} className="border-b border-gray-200">
+                  <td className="py-1">{OPTIMIZER_VARIABLES[key].name} ({OPTIMIZER_VARIABLES[key].unit})</td>
+                  <td className="text-right py-1">{key === 'ballastMass' ? 0 : rocketSim[key]}</td>
+                  <td className="text-right py-1 font-semibold">{value}</td>
+                </tr>
+              ))}
+              {OPTIMIZER_RESULT_ROWS.map(([label, getValue, digits]) => (
+                <tr key={label} className="border-b border-gray-200">
+                  <td className="py-1">{label}</td>
+                  <td className="text-right py-1">{getValue(result.initial).toFixed(digits)}</td>
+                  <td className="text-right py-1">{getValue(result.best).toFixed(digits)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-1">判定</td>
+                <td className="text-right py-1">{formatJudgement(result.initial)}</td>
+                <td className="text-right py-1">{formatJudgement(result.best)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mt-2">飛行計算 {result.evaluations} 回</p>
+          {result.isMassCorrectionSkipped && (
+            <p className="text-sm text-orange-600 mt-2">フィンの質量が機体質量を超えるため、フィンの増減による質量と重心の補正を省略しました（バラストのみ反映）。</p>
+          )}
+          {result.isImproved ? (
+            <button
+              onClick={rocketSim.applyOptimizedDesign}
+              className="mt-2 px-4 py-2 rounded text-white bg-green-500 hover:bg-green-600"
+            >
+              提案を設計に反映
+            </button>
+          ) : (
+            <p className="text-sm text-gray-600 mt-2">現在の設計より良い設計は見つかりませんでした。探索範囲を広げてください。</p>
+          )}
+          {!result.best.isFeasible && (
+            <p className="text-sm text-red-600 mt-2">制約をすべて満たす設計は見つかりませんでした。</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 感度解析のトルネード図（影響の大きい入力から順に、-X% と +X% での出力の変化を横棒で示す）
+const TornadoChart = ({ sensitivity, output }) => {
+  const ranking = rankSensitivity(sensitivity, output);
+  const unit = SENSITIVITY_OUTPUTS[output].unit;
+  const rowHeight = 22;
+  const labelWidth = 110;
+  const width = 460;
+  const height = ranking.length * rowHeight + 30;
+  const centerX = labelWidth + (width - labelWidth) / 2;
+  const maxChange = Math.max(1e-9, ...ranking.map(item => Math.max(Math.abs(item.low), Math.abs(item.high))));
+  const scale = ((width - labelWidth) / 2 - 40) / maxChange;
+
+  const bar = (change, y, color) => (
+    <rect
+      x={change < 0 ? centerX + change * scale : centerX}
+      y={y}
+      width={Math.abs(change) * scale}
+      height={rowHeight - 8}
+      fill={color}
+    />
+  );
+
+  return (
+    <svg width={width} height={height} className="bg-white border border-gray-200">
+      {ranking.map((item, index) => {
+        const y = 10 + index * rowHeight;
+        return (
+          <g key={item.key}>
+            <text x={labelWidth - 6} y={y + rowHeight / 2} fontSize="11" textAnchor="end">
+              {SENSITIVITY_PARAMETERS[item.key].name}
+            </text>
+            {bar(item.low, y, '#3B82F6')}
+            {bar(item.high, y, '#F59E0B')}
+            <text x={width - 4} y={y + rowHeight / 2} fontSize="10" textAnchor="end" fill="#4B5563">
+              {item.swing.toFixed(2)}
+            </text>
+          </g>
+        );
+      })}
+      <line x1={centerX} y1={5} x2={centerX} y2={height - 20} stroke="#111827" />
+      <text x={centerX} y={height - 6} fontSize="10" textAnchor="middle">
+        基準 {sensitivity.base[output].toFixed(2)} {unit}（±{maxChange.toFixed(2)} {unit}）
+      </text>
+    </svg>
+  );
+};
+
+// 値を青（最小）から赤（最大）の色にする（2次元スイープの色分け用）
+const getHeatmapColor = (ratio) => {
+  const t = Math.min(1, Math.max(0, ratio));
+  return `rgb(${Math.round(59 + t * 180)}, ${Math.round(130 - t * 62)}, ${Math.round(246 - t * 178)})`;
+};
+
+// パラメータスイープのグラフ（1次元は折れ線、2次元は色分けした格子）
+const SweepChart = ({ sweep, output }) => {
+  const width = 460;
+  const height = 260;
+  const padding = { left: 50, right: 10, top: 10, bottom: 40 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const { unit } = SENSITIVITY_OUTPUTS[output];
+  const values = sweep.points.flat().map(point => point[output]);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const range = maxValue - minValue || 1;
+  const xParameter = SENSITIVITY_PARAMETERS[sweep.x.key];
+  const xLabel = `${xParameter.name} (${xParameter.unit})`;
+  const xs = sweep.x.values;
+
+  if (!sweep.y) {
+    const toX = (i) => padding.left + plotWidth * i / (xs.length - 1);
+    const toY = (value) => padding.top + plotHeight * (1 - (value - minValue) / range);
+    const points = sweep.points[0].map((point, i) => `${toX(i)},${toY(point[output])}`).join(' ');
+
+    return (
+      <svg width={width} height={height} className="bg-white border border-gray-200">
+        <line x1={padding.left} y1={padding.top + plotHeight} x2={width - padding.right} y2={padding.top + plotHeight} stroke="#9CA3AF" />
+        <line x1={padding.left} y1={padding.top} x2={padding.left} y2={padding.top + plotHeight} stroke="#9CA3AF" />
+        <polyline points={points} fill="none" stroke="#2563EB" strokeWidth="2" />
+        {sweep.points[0].map((point, i) => (
+          <circle key={i} cx={toX(i)} cy={toY(point[output])} r="3" fill="#2563EB">
+            <title>{`${xs[i].toFixed(2)} → ${point[output].toFixed(2)} ${unit}`}</title>
+          </circle>
+        ))}
+        <text x={padding.left - 4} y={padding.top + 10} fontSize="10" textAnchor="end">{maxValue.toFixed(1)}</text>
+        <text x={padding.left - 4} y={padding.top + plotHeight} fontSize="10" textAnchor="end">{minValue.toFixed(1)}</text>
+        <text x={padding.left} y={height - 24} fontSize="10">{xs[0].toFixed(1)}</text>
+        <text x={width - padding.right} y={height - 24} fontSize="10" textAnchor="end">{xs[xs.length - 1].toFixed(1)}</text>
+        <text x={padding.left + plotWidth / 2} y={height - 8} fontSize="11" textAnchor="middle">{xLabel}</text>
+        <text x={12} y={padding.top + plotHeight / 2} fontSize="11" textAnchor="middle" transform={`rotate(-90 12 ${padding.top + plotHeight / 2})`}>
+          {SENSITIVITY_OUTPUTS[output].name} ({unit})
+        </text>
+      </svg>
+    );
+  }
+
+  const ys = sweep.y.values;
+  const yParameter = SENSITIVITY_PARAMETERS[sweep.y.key];
+  const cellWidth = plotWidth / xs.length;
+  const cellHeight = plotHeight / ys.length;
+
+  return (
+    <div>
+      <svg width={width} height={height} className="bg-white border border-gray-200">
+        {sweep.points.map((row, yIndex) => row.map((point, xIndex) => (
+          <rect
+            key={`${xIndex}-${yIndex}`}
+            x={padding.left + xIndex * cellWidth}
+            y={padding.top + (ys.length - 1 - yIndex) * cellHeight}
+            width={cellWidth + 0.5}
+            height={cellHeight + 0.5}
+            fill={getHeatmapColor((point[output] - minValue) / range)}
+          >
+            <title>{`${xs[xIndex].toFixed(2)}, ${ys[yIndex].toFixed(2)} → ${point[output].toFixed(2)} ${unit}`}</title>
+          </rect>
+        )))}
+        <text x={padding.left - 4} y={padding.top + 10} fontSize="10" textAnchor="end">{ys[ys.length - 1].toFixed(1)}</text>
+        <text x={padding.left - 4} y={padding.top + plotHeight} fontSize="10" textAnchor="end">{ys[0].toFixed(1)}</text>
+        <text x={padding.left} y={height - 24} fontSize="10">{xs[0].toFixed(1)}</text>
+        <text x={width - padding.right} y={height - 24} fontSize="10" textAnchor="end">{xs[xs.length - 1].toFixed(1)}</text>
+        <text x={padding.left + plotWidth / 2} y={height - 8} fontSize="11" textAnchor="middle">{xLabel}</text>
+        <text x={12} y={padding.top + plotHeight / 2} fontSize="11" textAnchor="middle" transform={`rotate(-90 12 ${padding.top + plotHeight / 2})`}>
+          {yParameter.name} ({yParameter.unit})
+        </text>
+      </svg>
+      <div className="flex items-center text-xs mt-1 space-x-2">
+        <span>{minValue.toFixed(2)} {unit}</span>
+        <span className="inline-block w-32 h-3" style={{ background: `linear-gradient(to right, ${getHeatmapColor(0)}, ${getHeatmapColor(1)})` }}></span>
+        <span>{maxValue.toFixed(2)} {unit}</span>
+      </div>
+    </div>
+  );
+};
+
+// 感度解析（トルネード図）とパラメータスイープのパネル
+const SensitivityPanel = ({ rocketSim }) => {
+  const [output, setOutput] = useState('apogee');
+  const { sweepSettings, sensitivityResult, sweepResult, isSensitivityRunning } = rocketSim;
+  if (!sweepSettings) return null;
+
+  const handleNumber = (setter) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) setter(value);
+  };
+
+  const renderAxis = (axis, label) => {
+    const settings = sweepSettings[axis];
+    return (
+      <div className="flex items-center space-x-2 text-sm mb-1">
+        <span className="w-12">{label}:</span>
+        <select
+          value={settings?.key || ''}
+          onChange={(e) => rocketSim.setSweepParameter(axis, e.target.value)}
+          className="p-1 border border-gray-300 rounded"
+        >
+          {axis === 'y' && <option value="">なし（1次元）</option>}
+          {Object.entries(SENSITIVITY_PARAMETERS).map(([key, parameter]) => (
+            <option key={key} value={key}>{parameter.name} ({parameter.unit})</option>
+          ))}
+        </select>
+        {settings && (
+          <>
+            <input
+              type="number"
+              value={settings.min}
+              onChange={handleNumber(value => rocketSim.updateSweepAxis(axis, 'min', value))}
+              className="w-20 p-1 border border-gray-300 rounded text-right"
+            />
+            <span>〜</span>
+            <input
+              type="number"
+              value={settings.max}
+              onChange={handleNumber(value => rocketSim.updateSweepAxis(axis, 'max', value))}
+              className="w-20 p-1 border border-gray-300 rounded text-right"
+            />
+            <span>分割数</span>
+            <input
+              type="number"
+              value={settings.steps}
+              min={2}
+              max={MAX_SWEEP_STEPS}
+              onChange={handleNumber(value => rocketSim.updateSweepAxis(axis, 'steps', value))}
+              className="w-14 p-1 border border-gray-300 rounded text-right"
+            />
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm mt-4 p-4 border border-gray-200">
+      <h4 className="font-semibold mb-2">感度解析・パラメータスイープ</h4>
+
+      <label className="flex items-center text-sm mb-3">
+        <span className="mr-2">比較する出力:</span>
+        <select value={output} onChange={(e) => setOutput(e.target.value)} className="p-1 border border-gray-300 rounded">
+          {Object.entries(SENSITIVITY_OUTPUTS).map(([key, { name, unit }]) => (
+            <option key={key} value={key}>{name} ({unit})</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <h5 className="font-semibold text-sm mb-1">感度解析（トルネード図）</h5>
+          <p className="text-xs text-gray-600 mb-2">
+            各入力を1つずつ ±{rocketSim.sensitivityPercent}% 変えたときの出力の変化です（基準値が0の入力は一定量だけ変えます）。
+            <span className="text-blue-600"> 青: -{rocketSim.sensitivityPercent}%</span>、
+            <span className="text-yellow-600">橙: +{rocketSim.sensitivityPercent}%</span>
+          </p>
+          <div className="flex items-center space-x-2 text-sm mb-2">
+            <span>変化率 ±</span>
+            <input
+              type="number"
+              value={rocketSim.sensitivityPercent}
+              min={1}
+              max={50}
+              onChange={handleNumber(rocketSim.setSensitivityPercent)}
+              className="w-16 p-1 border border-gray-300 rounded text-right"
+            />
+            <span>%</span>
+            <button
+              onClick={rocketSim.handleRunSensitivity}
+              disabled={isSensitivityRunning}
+              className={`px-3 py-1 rounded text-white ${isSensitivityRunning ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}
+            >
+              {isSensitivityRunning ? '計算中...' : '感度解析を実行'}
+            </button>
+          </div>
+          {sensitivityResult && <TornadoChart sensitivity={sensitivityResult} output={output} />}
+        </div>
+
+        <div>
+          <h5 className="font-semibold text-sm mb-1">パラメータスイープ</h5>
+          {renderAxis('x', '横軸')}
+          {renderAxis('y', '縦軸')}
+          <button
+            onClick={rocketSim.handleRunSweep}
+            disabled={isSensitivityRunning}
+            className={`px-3 py-1 rounded text-white text-sm mb-2 ${isSensitivityRunning ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}
+          >
+            {isSensitivityRunning ? '計算中...' : 'スイープを実行'}
+          </button>
+          {sweepResult && <SweepChart sweep={sweepResult} output={output} />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 発射台の設定（プリセットと長さ・摩擦係数・風向に対する方位）
+const LaunchRailEditor = ({ rocketSim }) => {
+  const rail = rocketSim.launchRail;
+  if (!rail) return null;
+
+  const handleNumber = (field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) rocketSim.updateLaunchRail(field, value);
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-2">発射台</label>
+      <select
+        value={rail.preset}
+        onChange={(e) => rocketSim.selectLaunchRailPreset(e.target.value)}
+        disabled={rocketSim.isLaunched}
+        className="w-full p-2 border border-gray-300 rounded mb-2"
+      >
+        {Object.entries(LAUNCH_RAILS).map(([key, preset]) => (
+          <option key={key} value={key}>{preset.name}（{preset.length} m）</option>
+        ))}
+        <option value="custom">カスタム</option>
+      </select>
+      <div className="grid grid-cols-3 gap-2 text-sm">
+        <label>
+          長さ (m)
+          <input
+            type="number" value={rail.length} min={0.1} step={0.05}
+            disabled={rocketSim.isLaunched} onChange={handleNumber('length')}
+            className="w-full p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label>
+          摩擦係数
+          <input
+            type="number" value={rail.friction} min={0} step={0.01}
+            disabled={rocketSim.isLaunched} onChange={handleNumber('friction')}
+            className="w-full p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label>
+          風との方位 (度)
+          <input
+            type="number" value={rail.azimuth} min={0} max={180} step={5}
+            disabled={rocketSim.isLaunched} onChange={handleNumber('azimuth')}
+            className="w-full p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+      </div>
+      <p className="mt-1 text-sm text-gray-600">
+        離脱速度が {RAIL_EXIT_CRITERIA.minSpeed} m/s 以上で、風による迎角が {RAIL_EXIT_CRITERIA.maxAngleOfAttack}° 以下なら OK です。
+        方位は風向と発射面のなす角（0° = 風が発射面内、90° = 真横からの風）で、離脱時の迎角の判定に使います。
+      </p>
+    </div>
+  );
+};
+
+// 実測の風速分布の取り込み（CSV ファイルまたは貼り付けたテキスト）と、選択中の実測プロファイルの表示・削除
+const WindSoundingImporter = ({ rocketSim }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [text, setText] = useState('');
+  const [importMessage, setImportMessage] = useState(null);
+
+  const selected = resolveWindSounding(rocketSim.windProfile);
+
+  const importText = (soundingName, soundingText) => {
+    try {
+      const added = rocketSim.importWindSounding(soundingName, soundingText);
+      setImportMessage({ isError: false, text: `${added.name}（${added.points.length}点）を追加しました` });
+      setText('');
+    } catch (error) {
+      console.error('風速分布の取り込みに失敗しました:', error);
+      setImportMessage({ isError: true, text: `取り込みに失敗しました: ${error.message}` });
+    }
+  };
+
+  // CSV ファイルを読み込む（名前が空ならファイル名を使う）
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // 同じファイルを再度選択できるようにする
+    if (!file) return;
+    importText(name.trim() || file.name.replace(/\.[^.]+$/, ''), await file.text());
+  };
+
+  return (
+    <div className="mt-2 text-sm">
+      {selected && (
+        <div className="mb-2 text-gray-600">
+          <p>
+            <span className="font-medium">実測: {selected.name}</span>
+            （{selected.points.length}点、高度 {selected.points[0].height}〜{selected.points[selected.points.length - 1].height} m、
+            基準高度の風速 {selected.referenceSpeed.toFixed(1)} m/s）
+          </p>
+          <p>風速の設定を変えるとプロファイル全体が比例して変わります。風向は最も低い測定点の風向に沿った成分を使います。</p>
+          <button
+            onClick={() => rocketSim.deleteWindSounding(selected.name)}
+            disabled={rocketSim.isLaunched}
+            className="mt-1 px-3 py-1 text-red-600 border border-red-300 rounded hover:bg-red-50"
+          >
+            このプロファイルを削除
+          </button>
+        </div>
+      )}
+
+      <button onClick={() => setIsOpen(!isOpen)} className="text-blue-600 hover:underline">
+        {isOpen ? '▼' : '▶'} 実測の風速分布を取り込む
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 p-2 border border-gray-200 rounded">
+          <p className="mb-1 text-gray-600">
+            1行に「高度 (m), 風速 (m/s), 風向 (度、省略可)」を書きます（ハンディ風速計や気球・凧による観測値）。
+          </p>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="プロファイルの名前"
+            className="w-full p-1 mb-1 border border-gray-300 rounded"
+          />
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={5}
+            placeholder={'height,speed,direction\n0,2.0,270\n30,3.5,280\n100,5.0,300'}
+            className="w-full p-1 border border-gray-300 rounded font-mono"
+          />
+          <div className="flex items-center gap-2 mt-1">
+            <button
+              onClick={() => importText(name, text)}
+              disabled={rocketSim.isLaunched}
+              className="px-3 py-1 bg-gray-100 border border-gray-300 rounded hover:bg-gray-200"
+            >
+              貼り付けたデータを取り込む
+            </button>
+            <label className="px-3 py-1 bg-gray-100 border border-gray-300 rounded cursor-pointer hover:bg-gray-200">
+              CSVファイルを取り込む
+              <input type="file" accept=".csv,.txt" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+        </div>
+      )}
+
+      {importMessage && (
+        <p className={`mt-1 ${importMessage.isError ? 'text-red-600' : 'text-green-600'}`}>
+          {importMessage.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// 突風・乱流の入力項目 [フィールド名, ラベル, 単位, 刻み]
+const WIND_VARIATION_FIELDS = [
+  ['gustAmplitude', '突風の強さ', 'm/s', 0.5],
+  ['gustRiseTime', '立ち上がり時間', 's', 0.1],
+  ['gustHoldTime', '持続時間', 's', 0.1],
+  ['gustInterval', '平均間隔', 's', 0.5],
+  ['turbulenceIntensity', '乱流強度', '', 0.05],
+  ['turbulenceTimeScale', '乱流の時間スケール', 's', 0.1],
+  ['seed', 'シード', '', 1]
+];
+
+// 突風・乱流の設定（発射台離脱時の風見効果の確認用に、最初の突風の時刻を指定できる）
+const WindVariationEditor = ({ rocketSim }) => {
+  const settings = rocketSim.windVariationSettings;
+  if (!settings) return null;
+
+  const handleNumber = (field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) rocketSim.updateWindVariation(field, value);
+  };
+
+  return (
+    <div className="mt-4">
+      <label className="flex items-center mb-2">
+        <input
+          type="checkbox"
+          checked={rocketSim.useWindVariation}
+          onChange={(e) => rocketSim.setUseWindVariation(e.target.checked)}
+          disabled={rocketSim.isLaunched}
+          className="mr-2"
+        />
+        <span className="font-medium">突風・乱流を加える</span>
+      </label>
+
+      {rocketSim.useWindVariation && (
+        <div className="text-sm">
+          <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+            {WIND_VARIATION_FIELDS.map(([field, label, unit, step]) => (
+              <label key={field} className="flex items-center justify-between">
+                <span>{label}{unit && ` (${unit})`}:</span>
+                <input
+                  type="number"
+                  value={settings[field]}
+                  min={field === 'seed' ? undefined : 0}
+                  step={step}
+                  disabled={rocketSim.isLaunched}
+                  onChange={handleNumber(field)}
+                  className="w-20 p-1 border border-gray-300 rounded text-right"
+                />
+              </label>
+            ))}
+            <label className="flex items-center justify-between">
+              <span>最初の突風 (s):</span>
+              <input
+                type="number"
+                value={settings.firstGustTime ?? ''}
+                min={0}
+                step={0.1}
+                placeholder="ランダム"
+                disabled={rocketSim.isLaunched}
+                onChange={(e) => rocketSim.updateWindVariation('firstGustTime', e.target.value === '' ? null : Math.max(0, Number(e.target.value)))}
+                className="w-20 p-1 border border-gray-300 rounded text-right"
+              />
+            </label>
+          </div>
+          <p className="mt-1 text-gray-600">
+            突風は平均風の向きに吹き、乱流の大きさは平均風速 × 乱流強度です。
+            最初の突風を 0 s にすると、発射台を離れる瞬間に突風を受けたときの姿勢を確認できます。
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// モンテカルロ分散解析の許容差の入力項目 [フィールド名, ラベル, 単位, 刻み]
+const MONTE_CARLO_TOLERANCE_FIELDS = [
+  ['windSpeed', '風速', '±m/s', 0.1],
+  ['windDirection', '風向', '±度', 1],
+  ['gust', '突風（最大）', 'm/s', 0.1],
+  ['launchAngle', '発射角度', '±度', 0.5],
+  ['weight', '機体質量', '±g', 0.5],
+  ['centerOfGravity', '重心位置', '±mm', 1],
+  ['motorImpulse', '総力積', '±%', 1],
+  ['ejectionDelay', '放出遅延', '±s', 0.1]
+];
+
+// 着地点の散布図（発射地点を原点、x 軸を基準の風下方向とし、95% 楕円を重ねる）
+const LandingScatterPlot = ({ result }) => {
+  const size = 320;
+  const padding = 30;
+  const { samples, landingEllipse } = result;
+
+  // 全着地点と楕円・発射地点が収まる範囲 (m)
+  const extent = Math.max(
+    5,
+    ...samples.map(sample => Math.max(Math.abs(sample.landingX), Math.abs(sample.landingY))),
+    Math.abs(landingEllipse.centerX) + landingEllipse.semiMajor,
+    Math.abs(landingEllipse.centerY) + landingEllipse.semiMajor
+  ) * 1.1;
+  const scale = (size / 2 - padding) / extent;
+  const toX = (x) => size / 2 + x * scale;
+  const toY = (y) => size / 2 - y * scale;
+
+  return (
+    <svg width={size} height={size} className="bg-white border border-gray-200">
+      <line x1={padding} y1={size / 2} x2={size - padding} y2={size / 2} stroke="#D1D5DB" />
+      <line x1={size / 2} y1={padding} x2={size / 2} y2={size - padding} stroke="#D1D5DB" />
+      <text x={size - padding} y={size / 2 - 4} fontSize="10" textAnchor="end">風下 +{extent.toFixed(0)} m</text>
+      <text x={padding} y={size / 2 - 4} fontSize="10">-{extent.toFixed(0)} m</text>
+
+      <ellipse
+        cx={toX(landingEllipse.centerX)}
+        cy={toY(landingEllipse.centerY)}
+        rx={landingEllipse.semiMajor * scale}
+        ry={landingEllipse.semiMinor * scale}
+        transform={`rotate(${-landingEllipse.angle} ${toX(landingEllipse.centerX)} ${toY(landingEllipse.centerY)})`}
+        fill="#FDE68A"
+        fillOpacity="0.4"
+        stroke="#D97706"
+        strokeWidth="1.5"
+      />
+
+      {samples.map(sample => (
+        <circle
+          key={sample.index}
+          cx={toX(sample.landingX)}
+          cy={toY(sample.landingY)}
+          r="2.5"
+          fill={sample.isStable ? '#2563EB' : '#DC2626'}
+          fillOpacity="0.7"
+        />
+      ))}
+
+      {/* 発射地点 */}
+      <path d={`M ${size / 2 - 5} ${size / 2} L ${size / 2 + 5} ${size / 2} M ${size / 2} ${size / 2 - 5} L ${size / 2} ${size / 2 + 5}`} stroke="#111827" strokeWidth="2" />
+    </svg>
+  );
+};
+
+// モンテカルロ分散解析のパネル（許容差の設定、最高高度・着地距離の統計、着地点の散布図）
+const MonteCarloPanel = ({ rocketSim }) => {
+  const settings = rocketSim.monteCarloSettings;
+  const result = rocketSim.monteCarloResult;
+  if (!settings) return null;
+
+  const handleNumber = (field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) {
+      rocketSim.updateMonteCarloSetting(field, value);
+    }
+  };
+
+  const statisticRows = result ? [
+    ['最高高度', 'm', result.statistics.apogee],
+    ['着地距離', 'm', result.statistics.landingDistance],
+    ['滞空時間', 's', result.statistics.flightTime]
+  ] : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm mt-4 p-4 border border-gray-200">
+      <h4 className="font-semibold mb-2">モンテカルロ分散解析</h4>
+      <p className="text-sm text-gray-600 mb-2">
+        各値を ±許容差 の範囲（許容差を3σとする正規分布）でばらつかせて飛行を繰り返し、回収範囲を推定します。
+        同じシードでは同じ結果になります。
+      </p>
+
+      <div className="grid grid-cols-4 gap-x-4 gap-y-1 text-sm mb-2">
+        <label className="flex items-center justify-between">
+          <span>試行回数:</span>
+          <input
+            type="number"
+            value={settings.runs}
+            min={1}
+            max={MAX_MONTE_CARLO_RUNS}
+            step={10}
+            onChange={handleNumber('runs')}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          <span>シード:</span>
+          <input
+            type="number"
+            value={settings.seed}
+            step={1}
+            onChange={handleNumber('seed')}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+        </label>
+        {MONTE_CARLO_TOLERANCE_FIELDS.map(([field, label, unit, step]) => (
+          <label key={field} className="flex items-center justify-between">
+            <span>{label}:</span>
+            <span>
+              <input
+                type="number"
+                value={settings.tolerances[field]}
+                min={0}
+                step={step}
+                onChange={handleNumber(field)}
+                className="w-16 p-1 border border-gray-300 rounded text-right"
+              />
+              <span className="ml-1">{unit}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <button
+        onClick={rocketSim.handleRunMonteCarlo}
+        disabled={rocketSim.isMonteCarloRunning}
+        className={`px-4 py-2 rounded text-white ${rocketSim.isMonteCarloRunning ? 'bg-gray-400' : 'bg-blue-500 hover:bg-blue-600'}`}
+      >
+        {rocketSim.isMonteCarloRunning ? '計算中...' : '分散解析を実行'}
+      </button>
+
+      {result && (
+        <div className="grid grid-cols-2 gap-4 mt-4">
+          <div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-300">
+                  <th className="text-left py-1"></th>
+                  <th className="text-right py-1">平均</th>
+                  <th className="text-right py-1">標準偏差</th>
+                  <th className="text-right py-1">5%</th>
+                  <th className="text-right py-1">95%</th>
+                  <th className="text-right py-1">最大</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statisticRows.map(([label, unit, stat]) => (
+                  <tr key={label} className="border-b border-gray-200">
+                    <td className="py-1">{label} ({unit})</td>
+                    <td className="text-right py-1">{stat.mean.toFixed(1)}</td>
+                    <td className="text-right py-1">{stat.std.toFixed(1)}</td>
+                    <td className="text-right py-1">{stat.p5.toFixed(1)}</td>
+                    <td className="text-right py-1">{stat.p95.toFixed(1)}</td>
+                    <td className="text-right py-1">{stat.max.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-sm mt-2 space-y-1">
+              <p>試行回数: {result.runs}（シード {result.seed}）、安定飛行の割合: {(result.statistics.stableRatio * 100).toFixed(0)}%</p>
+              <p>
+                着地点の95%楕円: 長半径 {result.landingEllipse.semiMajor.toFixed(1)} m × 短半径 {result.landingEllipse.semiMinor.toFixed(1)} m
+                （中心 {result.landingEllipse.centerX.toFixed(1)}, {result.landingEllipse.centerY.toFixed(1)} m、面積 {result.landingEllipse.area.toFixed(0)} m²）
+              </p>
+              <p>発射地点から95%の着地点までの距離: {result.statistics.landingDistance.p95.toFixed(1)} m 以内</p>
+              <p className="text-xs text-gray-600">赤い点は姿勢が不安定になった試行です。</p>
+            </div>
+          </div>
+          <LandingScatterPlot result={result} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// 実測値で上書きできる質量特性（キー、表示名、単位、刻み）
+const MASS_OVERRIDE_FIELDS = [
+  ['weight', '質量', 'g', 0.1],
+  ['centerOfGravity', '重心位置', 'mm', 1],
+  ['momentOfInertia', '慣性モーメント', 'kg·m²', 0.000001]
+];
+
+// 質量部品リストのコンポーネント（部品ごとの質量と位置から機体質量・重心位置・慣性モーメントを求める）
+const MassComponentEditor = ({ rocketSim }) => {
+  const [newType, setNewType] = useState('payload');
+  const components = rocketSim.massComponents || [];
+  const breakdown = rocketSim.massBreakdown;
+  const overrides = rocketSim.massOverrides || {};
+  const isEnabled = components.length > 0;
+
+  const handleNumber = (index, field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) {
+      rocketSim.updateMassComponent(index, field, value);
+    }
+  };
+
+  // 空欄にすると計算値に戻す
+  const handleOverride = (key) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value === '') {
+      rocketSim.updateMassOverride(key, null);
+    } else if (!isNaN(value) && value > 0) {
+      rocketSim.updateMassOverride(key, value);
+    }
+  };
+
+  const addComponent = () => {
+    const usesGeometry = Boolean(MASS_COMPONENT_TYPES[newType].geometry);
+    rocketSim.addMassComponent({
+      type: newType,
+      source: usesGeometry ? 'material' : 'manual',
+      material: 'paper',
+      wallThickness: 0.5,
+      mass: 0,
+      position: Math.round(breakdown?.centerOfGravity ?? rocketSim.centerOfGravity)
+    });
+  };
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-lg font-semibold mb-2">部品リスト</h4>
+      <label className="flex items-center mb-2 text-sm">
+        <input
+          type="checkbox"
+          checked={isEnabled}
+          onChange={(e) => rocketSim.setUseMassComponents(e.target.checked)}
+          className="mr-2"
+        />
+        部品の質量と位置から機体質量・重心位置・慣性モーメントを求める
+      </label>
+
+      {isEnabled && (
+        <>
+          <table className="w-full text-sm mb-2">
+            <thead>
+              <tr className="border-b border-gray-300 text-left">
+                <th className="py-1">部品</th>
+                <th className="py-1">求め方</th>
+                <th className="py-1 text-right">質量</th>
+                <th className="py-1 text-right">位置</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {components.map((component, index) => {
+                const type = MASS_COMPONENT_TYPES[component.type];
+                const part = breakdown?.parts[index];
+                const usesGeometry = Boolean(type.geometry) && component.source === 'material';
+                const usesMaterial = usesGeometry && ['nose', 'body', 'motorMount'].includes(type.geometry);
+                return (
+                  <tr key={index} className="border-b border-gray-100 align-top">
+                    <td className="py-1">{type.name}</td>
+                    <td className="py-1">
+                      {type.geometry && (
+                        <select
+                          value={component.source}
+                          onChange={(e) => rocketSim.updateMassComponent(index, 'source', e.target.value)}
+                          className="p-1 border border-gray-300 rounded"
+                        >
+                          <option value="material">寸法から計算</option>
+                          <option value="manual">質量・位置を入力</option>
+                        </select>
+                      )}
+                      {usesMaterial && (
+                        <div className="flex items-center gap-1 mt-1">
+                          <select
+                            value={component.material}
+                            onChange={(e) => rocketSim.updateMassComponent(index, 'material', e.target.value)}
+                            className="p-1 border border-gray-300 rounded"
+                          >
+                            {Object.entries(STRUCTURE_MATERIALS).map(([key, material]) => (
+                              <option key={key} value={key}>{material.name}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            value={component.wallThickness}
+                            min={0.1}
+                            step={0.1}
+                            onChange={handleNumber(index, 'wallThickness')}
+                            className="w-14 p-1 border border-gray-300 rounded text-right"
+                          />
+                          <span>mm厚</span>
+                        </div>
+                      )}
+                      {usesGeometry && component.type === 'fins' && <span className="text-gray-600">フィン材質から計算</span>}
+                      {usesGeometry && component.type === 'motor' && <span className="text-gray-600">モーターの全質量</span>}
+                    </td>
+                    {usesGeometry ? (
+                      <>
+                        <td className="py-1 text-right">{(part?.mass ?? 0).toFixed(1)} g</td>
+                        <td className="py-1 text-right">{Math.round(part?.position ?? 0)} mm</td>
+                      </>
+                    ) : (
+                      <>
+                        <td className="py-1 text-right">
+                          <input
+                            type="number"
+                            value={component.mass}
+                            min={0}
+                            step={0.1}
+                            onChange={handleNumber(index, 'mass')}
+                            className="w-16 p-1 border border-gray-300 rounded text-right"
+                          /> g
+                        </td>
+                        <td className="py-1 text-right">
+                          <input
+                            type="number"
+                            value={component.position}
+                            step={1}
+                            onChange={handleNumber(index, 'position')}
+                            className="w-16 p-1 border border-gray-300 rounded text-right"
+                          /> mm
+                        </td>
+                      </>
+                    )}
+                    <td className="py-1 text-right">
+                      <button
+                        type="button"
+                        onClick={() => rocketSim.removeMassComponent(index)}
+                        className="px-2 py-1 bg-gray-200 rounded"
+                      >
+                        削除
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex items-center gap-2 mb-3 text-sm">
+            <select
+              value={newType}
+              onChange={(e) => setNewType(e.target.value)}
+              className="p-1 border border-gray-300 rounded"
+            >
+              {Object.entries(MASS_COMPONENT_TYPES).map(([key, type]) => (
+                <option key={key} value={key}>{type.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={addComponent}
+              disabled={components.length >= MAX_MASS_COMPONENTS}
+              className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+            >
+              部品を追加
+            </button>
+          </div>
+
+          {breakdown && (
+            <p className="text-sm text-gray-700 mb-2">
+              計算値: 質量 {breakdown.weight.toFixed(1)} g / 重心位置 {Math.round(breakdown.centerOfGravity)} mm /
+              慣性モーメント {breakdown.momentOfInertia.toExponential(3)} kg·m²
+            </p>
+          )}
+          {breakdown && breakdown.weight <= 0 && (
+            <p className="text-sm text-red-600 mb-2">
+              部品の質量の合計が0です。部品の質量を入力してください（それまでは入力した機体質量と重心位置を使います）。
+            </p>
+          )}
+
+          <h5 className="font-medium mb-1 text-sm">実測値（空欄なら計算値を使用）:</h5>
+          <div className="grid grid-cols-3 gap-2 text-sm">
+            {MASS_OVERRIDE_FIELDS.map(([key, label, unit, step]) => (
+              <label key={key} className="flex flex-col">
+                <span>{label} ({unit})</span>
+                <input
+                  type="number"
+                  value={overrides[key] ?? ''}
+                  min={0}
+                  step={step}
+                  placeholder="計算値"
+                  onChange={handleOverride(key)}
+                  className="p-1 border border-gray-300 rounded text-right"
+                />
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// 回収装置の設定コンポーネント（単一のパラシュート、またはドローグとメインのデュアルデプロイ）
+const RecoveryEditor = ({ rocketSim }) => {
+  const [targetDescentRate, setTargetDescentRate] = useState(DEFAULT_TARGET_DESCENT_RATE);
+  const events = rocketSim.recoveryEvents || [];
+  const isDualDeploy = events.length > 1;
+
+  // 降下時の質量は前回の飛行の開傘時（なければ最後）の質量、飛行前は入力した機体質量
+  const flightData = rocketSim.flightData || [];
+  const recoveryKeyPoints = rocketSim.keyPoints?.recoveryEvents || [];
+  const fallbackMass = flightData.length > 0 ? flightData[flightData.length - 1].mass : rocketSim.weight;
+  const designs = events.map(event => {
+    const opening = recoveryKeyPoints.find(keyPoint => keyPoint.id === event.id)?.active;
+    return calculateRecoveryDesign(event, {
+      landingMass_kg: (opening?.mass ?? fallbackMass) / 1000,
+      deploymentSpeed: opening?.openingSpeed ?? null,
+      targetSpeed: targetDescentRate
+    }, rocketSim);
+  });
+  const combinedDescentRate = calculateDescentRate(
+    designs.reduce((sum, design) => sum + design.device.dragArea, 0), (fallbackMass || 0) / 1000
+  );
+
+  const handleNumber = (index, field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value)) {
+      rocketSim.updateRecoveryEvent(index, field, value);
+    }
+  };
+
+  // サイズの一覧から選ぶと直径の入力を解除し、「直径を入力」では現在の直径から始める
+  const handleSize = (index) => (e) => {
+    if (e.target.value === 'custom') {
+      rocketSim.updateRecoveryEvent(index, 'diameter', Math.round(designs[index].device.diameter * 1000));
+    } else {
+      rocketSim.updateRecoveryEvent(index, 'parachute', e.target.value);
+      rocketSim.updateRecoveryEvent(index, 'diameter', null);
+    }
+  };
+
+  // 形状を変えると抗力係数を形状の目安の値にする
+  const handleCanopy = (index) => (e) => {
+    rocketSim.updateRecoveryEvent(index, 'canopy', e.target.value);
+    rocketSim.updateRecoveryEvent(index, 'cd', CANOPY_SHAPES[e.target.value].cd);
+  };
+
+  const formatValue = (value, digits, unit) => Number.isFinite(value) ? `${value.toFixed(digits)} ${unit}` : '-';
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-lg font-semibold mb-2">回収装置</h4>
+      <label className="flex items-center mb-2 text-sm">
+        <input
+          type="checkbox"
+          checked={isDualDeploy}
+          onChange={(e) => rocketSim.setDualDeploy && rocketSim.setDualDeploy(e.target.checked)}
+          className="mr-2"
+        />
+        デュアルデプロイ（ドローグ + メイン）
+      </label>
+      <label className="flex items-center justify-between mb-2 text-sm">
+        <span>目標の降下速度:</span>
+        <span>
+          <input
+            type="number"
+            value={targetDescentRate}
+            min={0.5}
+            step={0.5}
+            onChange={(e) => Number(e.target.value) > 0 && setTargetDescentRate(Number(e.target.value))}
+            className="w-20 p-1 border border-gray-300 rounded text-right"
+          />
+          <span className="ml-1">m/s</span>
+        </span>
+      </label>
+
+      {events.map((event, index) => {
+        const design = designs[index];
+        const { device } = design;
+        const isCustomSize = event.diameter > 0;
+        return (
+          <div key={event.id} className="border border-gray-200 rounded p-3 mb-2">
+            {isDualDeploy && (
+              <h5 className="font-semibold mb-2">{index === 0 ? 'ドローグ' : 'メイン'}</h5>
+            )}
+
+            <select
+              value={device.type}
+              onChange={(e) => rocketSim.updateRecoveryEvent(index, 'type', e.target.value)}
+              className="w-full p-2 mb-2 border border-gray-300 rounded"
+            >
+              {Object.entries(RECOVERY_DEVICE_TYPES).map(([key, name]) => (
+                <option key={key} value={key}>{name}</option>
+              ))}
+            </select>
+
+            {device.type === 'parachute' && (
+              <select
+                value={isCustomSize ? 'custom' : event.parachute}
+                onChange={handleSize(index)}
+                className="w-full p-2 border border-gray-300 rounded"
+              >
+                {Object.keys(PARACHUTE_SIZES).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+                <option value="custom">直径を入力</option>
+              </select>
+            )}
+
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-2 text-sm">
+              {device.type === 'parachute' && (
+                <>
+                  {isCustomSize && (
+                    <label className="flex items-center justify-between col-span-2">
+                      <span>直径:</span>
+                      <span>
+                        <input
+                          type="number"
+                          value={event.diameter}
+                          min={10}
+                          step={10}
+                          onChange={handleNumber(index, 'diameter')}
+                          className="w-20 p-1 border border-gray-300 rounded text-right"
+                        />
+                        <span className="ml-1">mm</span>
+                      </span>
+                    </label>
+                  )}
+                  <label className="flex items-center justify-between col-span-2">
+                    <span>キャノピー形状:</span>
+                    <select
+                      value={device.canopy}
+                      onChange={handleCanopy(index)}
+                      className="p-1 border border-gray-300 rounded"
+                    >
+                      {Object.entries(CANOPY_SHAPES).map(([key, shape]) => (
+                        <option key={key} value={key}>{shape.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>ゴア数:</span>
+                    <input
+                      type="number"
+                      value={device.gores}
+                      min={3}
+                      step={1}
+                      onChange={handleNumber(index, 'gores')}
+                      className="w-20 p-1 border border-gray-300 rounded text-right"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>スピルホール:</span>
+                    <span>
+                      <input
+                        type="number"
+                        value={event.spillHole ?? 0}
+                        min={0}
+                        step={5}
+                        onChange={handleNumber(index, 'spillHole')}
+                        className="w-16 p-1 border border-gray-300 rounded text-right"
+                      />
+                      <span className="ml-1">mm</span>
+                    </span>
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>抗力係数:</span>
+                    <input
+                      type="number"
+                      value={device.cd}
+                      min={0}
+                      step={0.05}
+                      onChange={handleNumber(index, 'cd')}
+                      className="w-20 p-1 border border-gray-300 rounded text-right"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>質量:</span>
+                    <span>
+                      <input
+                        type="number"
+                        value={event.mass ?? 0}
+                        min={0}
+                        step={1}
+                        onChange={handleNumber(index, 'mass')}
+                        className="w-16 p-1 border border-gray-300 rounded text-right"
+                      />
+                      <span className="ml-1">g</span>
+                    </span>
+                  </label>
+                </>
+              )}
+              {device.type === 'streamer' && (
+                <>
+                  {[['streamerLength', '長さ', 50], ['streamerWidth', '幅', 5]].map(([field, label, step]) => (
+                    <label key={field} className="flex items-center justify-between">
+                      <span>{label}:</span>
+                      <span>
+                        <input
+                          type="number"
+                          value={event[field]}
+                          min={step}
+                          step={step}
+                          onChange={handleNumber(index, field)}
+                          className="w-16 p-1 border border-gray-300 rounded text-right"
+                        />
+                        <span className="ml-1">mm</span>
+                      </span>
+                    </label>
+                  ))}
+                  <label className="flex items-center justify-between col-span-2">
+                    <span>材料:</span>
+                    <select
+                      value={device.streamer.material}
+                      onChange={(e) => rocketSim.updateRecoveryEvent(index, 'streamerMaterial', e.target.value)}
+                      className="p-1 border border-gray-300 rounded"
+                    >
+                      {Object.entries(STREAMER_MATERIALS).map(([key, material]) => (
+                        <option key={key} value={key}>{material.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <span>抗力係数（縦横比から）:</span>
+                  <span className="text-right">{device.streamer.cd.toFixed(3)}</span>
+                  <span>質量:</span>
+                  <span className="text-right">{(device.streamer.mass * 1000).toFixed(1)} g</span>
+                </>
+              )}
+              {device.type === 'tumble' && (
+                <>
+                  <label className="flex items-center justify-between col-span-2">
+                    <span>抗力係数（側面投影面積基準）:</span>
+                    <input
+                      type="number"
+                      value={event.tumbleCd}
+                      min={0}
+                      step={0.05}
+                      onChange={handleNumber(index, 'tumbleCd')}
+                      className="w-20 p-1 border border-gray-300 rounded text-right"
+                    />
+                  </label>
+                  <span>側面投影面積:</span>
+                  <span className="text-right">{(device.windArea * 1e4).toFixed(1)} cm²</span>
+                </>
+              )}
+              {isDualDeploy && (
+                <label className="flex items-center justify-between col-span-2">
+                  <span>放出条件:</span>
+                  <select
+                    value={event.trigger}
+                    onChange={(e) => rocketSim.updateRecoveryEvent(index, 'trigger', e.target.value)}
+                    className="p-1 border border-gray-300 rounded"
+                  >
+                    {Object.entries(RECOVERY_TRIGGERS).map(([key, name]) => (
+                      <option key={key} value={key}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {isDualDeploy && event.trigger === 'altitude' && (
+                <label className="flex items-center justify-between">
+                  <span>放出高度:</span>
+                  <span>
+                    <input
+                      type="number"
+                      value={event.altitude}
+                      min={0}
+                      step={1}
+                      onChange={handleNumber(index, 'altitude')}
+                      className="w-20 p-1 border border-gray-300 rounded text-right"
+                    />
+                    <span className="ml-1">m</span>
+                  </span>
+                </label>
+              )}
+            </div>
+
+            {/* 設計値（降下速度はこの装置だけで降下した場合） */}
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-2 text-sm bg-gray-50 rounded p-2">
+              <span>定常降下速度:</span>
+              <span className="text-right">{formatValue(design.descentRate, 1, 'm/s')}</span>
+              {device.type !== 'tumble' && (
+                <>
+                  <span>開傘衝撃力:</span>
+                  <span className="text-right">
+                    {design.openingForce === null ? '打ち上げ後に表示' : formatValue(design.openingForce, 1, 'N')}
+                  </span>
+                </>
+              )}
+              {device.type === 'parachute' && (
+                <>
+                  <span>推奨直径（{targetDescentRate} m/s）:</span>
+                  <span className="text-right">
+                    {design.recommendedDiameter === null ? '-' : (
+                      <button
+                        onClick={() => rocketSim.updateRecoveryEvent(index, 'diameter', Math.round(design.recommendedDiameter * 1000))}
+                        className="text-blue-600 underline"
+                        title="この直径にする"
+                      >
+                        {Math.round(design.recommendedDiameter * 1000)} mm
+                      </button>
+                    )}
+                  </span>
+                </>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {isDualDeploy && (
+        <p className="text-sm">全装置の開傘後の降下速度: {formatValue(combinedDescentRate, 1, 'm/s')}</p>
+      )}
+    </div>
+  );
+};
+
+// フィンのたわみの形（機体後方から見た1枚のフィン、下端が翼根）
+// たわみは飛行中の最大たわみ量がスパンの 1/4 に見えるように拡大して描く
+const FinDeflectionView = ({ rocketSim, position }) => {
+  const width = 200;
+  const height = 150;
+  const padding = { top: 12, bottom: 24 };
+  const { flightData, finThickness } = rocketSim;
+  const maxDeflection = useMemo(
+    () => flightData.reduce((max, d) => Number.isFinite(d.finDeflection) ? Math.max(max, d.finDeflection) : max, 0),
+    [flightData]
+  );
+
+  const shape = getFinDeflectionShape(rocketSim, position.finDeflection);
+  const span = shape[shape.length - 1].y;
+  const scale = (height - padding.top - padding.bottom) / span; // px/mm
+  const exaggeration = maxDeflection > 0 ? Math.max(1, span / 4 / maxDeflection) : 1;
+  const rootX = width / 2;
+  const rootY = height - padding.bottom;
+  const toPoints = (points) => points
+    .map(point => `${rootX + point.deflection * exaggeration * scale},${rootY - point.y * scale}`)
+    .join(' ');
+
+  return (
+    <div className="mt-4">
+      <h4 className="font-semibold text-sm mb-1">フィンのたわみ（後方から見た形）</h4>
+      <svg width={width} height={height} className="bg-white border border-gray-200">
+        <rect x={rootX - 40} y={rootY} width={80} height={6} fill="#9CA3AF" />
+        <polyline points={toPoints(shape.map(point => ({ ...point, deflection: 0 })))} fill="none" stroke="#D1D5DB" strokeDasharray="3,3" strokeWidth={Math.max(2, finThickness * scale)} />
+        <polyline points={toPoints(shape)} fill="none" stroke="#374151" strokeWidth={Math.max(2, finThickness * scale)} />
+        <text x={width - 4} y={height - 6} fontSize="10" textAnchor="end">たわみの表示倍率 ×{exaggeration.toFixed(0)}</text>
+      </svg>
+      <div className="text-xs text-gray-600 mt-1">
+        翼端のたわみ量: {formatFinDeflection(position.finDeflection)} / ねじれ角: {position.finTwist.toFixed(3)}° / スパン {span.toFixed(1)} mm
+      </div>
+    </div>
+  );
+};
+
+// 側面図のフィン（paths は getSideViewFinPaths の戻り値）
+// layer が 'behind' なら胴体より奥のフィン、'front' なら中央と手前のフィンを描く
+const SideViewFins = ({ paths, layer, strokeWidth }) => {
+  if (!paths) return null;
+
+  const fins = layer === 'behind'
+    ? paths.behindFins
+    : [...(paths.centerFins ? [paths.centerFins] : []), ...paths.frontFins];
+
+  return (
+    <>
+      {fins.map((d, index) => (
+        <path key={`${layer}-${index}`} d={d} fill="#6B7280" stroke="#374151" strokeWidth={strokeWidth} />
+      ))}
+    </>
+  );
+};
+
+// 自由形状のフィンの外形エディター
+// 翼根（下端の太線）の前縁を原点に、クリックした位置をグリッドに合わせて外形の点として前縁側から順に追加する
+const FinPlanformEditor = ({ rocketSim }) => {
+  const points = rocketSim.finPoints || [];
+  const rootChord = rocketSim.finBaseWidth;
+  const snap = (value) => Math.round(value / FIN_GRID_SIZE) * FIN_GRID_SIZE;
+
+  // 表示範囲 (mm)。点を追加できるように外形の周囲に余白をとる
+  const xMin = snap(Math.min(0, ...points.map(point => point.x))) - 4 * FIN_GRID_SIZE;
+  const xMax = snap(Math.max(rootChord, ...points.map(point => point.x))) + 10 * FIN_GRID_SIZE;
+  const yMax = snap(Math.max(10 * FIN_GRID_SIZE, ...points.map(point => point.y))) + 6 * FIN_GRID_SIZE;
+  const toSvgY = (y) => yMax - y;
+
+  const handleClick = (event) => {
+    const svg = event.currentTarget;
+    const matrix = svg.getScreenCTM();
+    if (!matrix) return;
+    const cursor = svg.createSVGPoint();
+    cursor.x = event.clientX;
+    cursor.y = event.clientY;
+    const local = cursor.matrixTransform(matrix.inverse());
+    rocketSim.setFinPoints([...points, { x: snap(local.x), y: Math.max(0, snap(yMax - local.y)) }]);
+  };
+
+  const outline = [{ x: 0, y: 0 }, ...points, { x: rootChord, y: 0 }];
+  const gridXs = Array.from({ length: Math.floor((xMax - xMin) / FIN_GRID_SIZE) + 1 }, (_, i) => xMin + i * FIN_GRID_SIZE);
+  const gridYs = Array.from({ length: Math.floor(yMax / FIN_GRID_SIZE) + 1 }, (_, i) => i * FIN_GRID_SIZE);
+
+  return (
+    <div className="mb-4">
+      <p className="text-sm text-gray-600 mb-1">
+        前縁側から順にクリックして翼端側の外形を描きます（グリッド {FIN_GRID_SIZE}mm、下端の太線が根元幅）
+      </p>
+      <svg
+        viewBox={`${xMin} 0 ${xMax - xMin} ${yMax}`}
+        className="w-full border border-gray-300 bg-white cursor-crosshair"
+        style={{ maxHeight: 240 }}
+        onClick={handleClick}
+      >
+        {gridXs.map(x => (
+          <line key={`gx-${x}`} x1={x} y1={0} x2={x} y2={yMax} stroke={x === 0 ? '#9CA3AF' : '#E5E7EB'} strokeWidth={0.3} />
+        ))}
+        {gridYs.map(y => (
+          <line key={`gy-${y}`} x1={xMin} y1={toSvgY(y)} x2={xMax} y2={toSvgY(y)} stroke="#E5E7EB" strokeWidth={0.3} />
+        ))}
+        <polygon
+          points={outline.map(point => `${point.x},${toSvgY(point.y)}`).join(' ')}
+          fill="#9CA3AF"
+          fillOpacity={0.5}
+          stroke="#374151"
+          strokeWidth={0.6}
+        />
+        <line x1={0} y1={toSvgY(0)} x2={rootChord} y2={toSvgY(0)} stroke="#1F2937" strokeWidth={2} />
+        {points.map((point, index) => (
+          <circle key={index} cx={point.x} cy={toSvgY(point.y)} r={1.2} fill="#2563EB" />
+        ))}
+      </svg>
+      <div className="flex gap-2 mt-2">
+        <button
+          type="button"
+          onClick={() => rocketSim.setFinPoints(points.slice(0, -1))}
+          disabled={points.length === 0}
+          className="px-2 py-1 text-sm bg-gray-200 rounded disabled:opacity-50"
+        >
+          1点戻す
+        </button>
+        <button
+          type="button"
+          onClick={() => rocketSim.setFinPoints([])}
+          disabled={points.length === 0}
+          className="px-2 py-1 text-sm bg-gray-200 rounded disabled:opacity-50"
+        >
+          クリア
+        </button>
+      </div>
+      {!points.some(point => point.y > 0) && (
+        <p className="text-sm text-orange-600 mt-1">外形の点がないため、計算には台形の寸法を使います</p>
+      )}
+    </div>
+  );
+};
+
+// 機体の部品構成エディター（ノーズの後ろの円筒・径変化部の並びと、フィンを取り付ける円筒）
+// 部品がない間は上のボディ長さ・直径の円筒1本として扱い、最初の部品の追加時にその円筒を先頭の部品にする
+const BodyComponentEditor = ({ rocketSim }) => {
+  const components = rocketSim.bodyComponents || [];
+  const current = components.length > 0
+    ? components
+    : [{ type: 'tube', length: rocketSim.bodyHeight, diameter: rocketSim.bodyWidth }];
+
+  const addComponent = (type) => {
+    const lastDiameter = current[current.length - 1].diameter;
+    rocketSim.setBodyComponents([
+      ...current,
+      type === 'tube'
+        ? { type, length: 50, diameter: lastDiameter }
+        : { type, length: 20, diameter: Math.round(lastDiameter * 0.8) }
+    ]);
+  };
+
+  const updateComponent = (index, field, value) => {
+    rocketSim.setBodyComponents(current.map((component, i) => i === index ? { ...component, [field]: value } : component));
+  };
+
+  const handleNumber = (index, field) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== '' && !isNaN(value) && value > 0) {
+      updateComponent(index, field, value);
+    }
+  };
+
+  // 削除すると番号がずれるため、フィンの取り付け先は最後の円筒に戻す
+  const removeComponent = (index) => {
+    rocketSim.setFinTubeIndex(null);
+    rocketSim.setBodyComponents(current.filter((_, i) => i !== index));
+  };
+
+  const tubeIndices = current.map((component, index) => component.type === 'tube' ? index : -1).filter(index => index >= 0);
+
+  return (
+    <div className="mb-4">
+      <h5 className="font-medium mb-2">部品構成:</h5>
+      {components.length > 0 && current.map((component, index) => (
+        <div key={index} className="flex items-center gap-2 mb-1 text-sm">
+          <span className="w-6 text-right">{index + 1}.</span>
+          <select
+            value={component.type}
+            onChange={(e) => updateComponent(index, 'type', e.target.value)}
+            disabled={index === 0}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {Object.entries(BODY_COMPONENT_TYPES).map(([key, type]) => (
+              <option key={key} value={key}>{type.name}</option>
+            ))}
+          </select>
+          <label>
+            長さ
+            <input
+              type="number"
+              value={component.length}
+              min={1}
+              onChange={handleNumber(index, 'length')}
+              className="w-16 ml-1 p-1 border border-gray-300 rounded text-right"
+            />
+            mm
+          </label>
+          <label>
+            {component.type === 'transition' ? '後端直径' : '直径'}
+            <input
+              type="number"
+              value={component.diameter}
+              min={1}
+              onChange={handleNumber(index, 'diameter')}
+              className="w-16 ml-1 p-1 border border-gray-300 rounded text-right"
+            />
+            mm
+          </label>
+          <button
+            type="button"
+            onClick={() => removeComponent(index)}
+            disabled={index === 0 && current[1]?.type === 'transition'}
+            className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+          >
+            削除
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2 mt-2">
+        {Object.entries(BODY_COMPONENT_TYPES).map(([key, type]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => addComponent(key)}
+            disabled={current.length >= MAX_BODY_COMPONENTS}
+            className="px-2 py-1 text-sm bg-gray-200 rounded disabled:opacity-50"
+          >
+            {type.name}を追加
+          </button>
+        ))}
+        {components.length > 0 && (
+          <button
+            type="button"
+            onClick={() => rocketSim.setBodyComponents([])}
+            className="px-2 py-1 text-sm bg-gray-200 rounded"
+          >
+            円筒1本に戻す
+          </button>
+        )}
+      </div>
+      {components.length > 0 && (
+        <div className="flex items-center justify-between mt-2 text-sm">
+          <label>フィンを取り付ける円筒:</label>
+          <select
+            value={tubeIndices.includes(rocketSim.finTubeIndex) ? rocketSim.finTubeIndex : ''}
+            onChange={(e) => rocketSim.setFinTubeIndex(e.target.value === '' ? null : Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            <option value="">最後の円筒</option>
+            {tubeIndices.map(index => (
+              <option key={index} value={index}>{index + 1}. 円筒（直径 {current[index].diameter}mm）</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// デザインタブコンポーネント
+const DesignTab = ({ rocketSim }) => {
+  const { t } = useTranslation();
+  // 実際のロケット寸法を取得
+  const defaultDimensions = { totalHeight: 0 };
+  const dimensions = rocketSim?.getActualRocketDimensions ?
+    rocketSim.getActualRocketDimensions(rocketSim.design || {}) :
+    defaultDimensions;
+
+  const { totalHeight = 0 } = dimensions;
+
+  // rocketSimオブジェクトが適切に初期化されているか確認
+  if (!rocketSim || !rocketSim.noseShape) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 mb-4 flex justify-center items-center">
+        <p className="text-gray-500">{t('common.initializing')}</p>
+      </div>
+    );
+  }
+
+  // 側面図のフィン（フィン枚数に応じて胴体の奥・手前に振り分ける）
+  const designFinPaths = rocketSim.getSideViewFinPaths ? rocketSim.getSideViewFinPaths(rocketSim.design || {}) : null;
+
+  // 選択中の平面形で使う寸法（使わない寸法のスライダーは無効にする）
+  const finShapeUses = (FIN_SHAPES[rocketSim.finShape] || FIN_SHAPES.trapezoidal).uses;
+  const finPlanform = rocketSim.finPlanform;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-4">
+      <div className="grid grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-xl font-bold mb-4">{t('design.title')}</h3>
+
+          <div className="mb-6">
+            <h4 className="text-lg font-semibold mb-2">{t('design.noseShape')}</h4>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2">
+              {Object.entries(NOSE_SHAPES).map(([key, shape]) => (
+                <label key={key} className="flex items-center">
+                  <input
+                    type="radio"
+                    value={key}
+                    checked={rocketSim.noseShape === key}
+                    onChange={() => rocketSim.setNoseShape(key)}
+                    className="mr-2"
+                  />
+                  {shape.name}
+                </label>
+              ))}
+            </div>
 
             <ParameterSlider
               label={t('design.noseHeight')}
@@ -548,6 +2898,7 @@ const DesignTab = ({ rocketSim }) => {
             <h4 className="text-lg font-semibold mb-2">{t('design.bodyHeight')}</h4>
             <ParameterSlider
               label={t('design.bodyHeight')}
+              disabled={rocketSim.bodyComponents?.length > 0}
               value={rocketSim.bodyHeight}
               min={100}
               max={500}
@@ -560,6 +2911,7 @@ const DesignTab = ({ rocketSim }) => {
 
             <ParameterSlider
               label={t('design.bodyWidth')}
+              disabled={rocketSim.bodyComponents?.length > 0}
               value={rocketSim.bodyWidth}
               min={24}
               max={50}
@@ -569,6 +2921,8 @@ const DesignTab = ({ rocketSim }) => {
               minLabel="24"
               maxLabel="50"
             />
+
+            <BodyComponentEditor rocketSim={rocketSim} />
           </div>
 
           <div>
@@ -576,38 +2930,52 @@ const DesignTab = ({ rocketSim }) => {
             {/* フィン枚数選択UI追加 */}
             <div className="mb-4">
               <h5 className="font-medium mb-2">{t('design.finCount')}:</h5>
-              <div className="flex space-x-4 mb-2">
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="4"
-                    checked={rocketSim.finCount === 4}
-                    onChange={() => rocketSim.setFinCount(4)}
-                    className="mr-2"
-                  />
-                  4枚
-                </label>
-
-                {/* 3枚オプション - シンプルに無効化 */}
-                <div className="flex items-center">
-                  <label className="flex items-center">
+              <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2">
+                {Array.from({ length: MAX_FIN_COUNT - MIN_FIN_COUNT + 1 }, (_, i) => MIN_FIN_COUNT + i).map(count => (
+                  <label key={count} className="flex items-center">
                     <input
                       type="radio"
-                      value="3"
-                      checked={rocketSim.finCount === 3}
-                      onChange={() => rocketSim.setFinCount(3)}
+                      value={count}
+                      checked={rocketSim.finCount === count}
+                      onChange={() => rocketSim.setFinCount(count)}
                       className="mr-2"
                     />
-                    3枚
+                    {count}枚
                   </label>
+                ))}
+              </div>
+            </div>
 
-
-                </div>
+            {/* フィンの平面形 */}
+            <div className="mb-4">
+              <h5 className="font-medium mb-2">平面形:</h5>
+              <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2">
+                {Object.entries(FIN_SHAPES).map(([key, shape]) => (
+                  <label key={key} className="flex items-center">
+                    <input
+                      type="radio"
+                      value={key}
+                      checked={rocketSim.finShape === key}
+                      onChange={() => rocketSim.setFinShape(key)}
+                      className="mr-2"
+                    />
+                    {shape.name}
+                  </label>
+                ))}
               </div>
+              {finPlanform && (
+                <p className="text-sm text-gray-600">
+                  面積 {Math.round(finPlanform.area)}mm² / スパン {finPlanform.span.toFixed(1)}mm /
+                  平均空力翼弦 {finPlanform.meanAerodynamicChord.toFixed(1)}mm
+                </p>
+              )}
             </div>
 
+            {rocketSim.finShape === 'freeform' && <FinPlanformEditor rocketSim={rocketSim} />}
+
             <ParameterSlider
               label={t('design.finSpan')}
+              disabled={!finShapeUses.includes('finHeight')}
               value={rocketSim.finHeight}
               min={10}
               max={250}
@@ -620,6 +2988,7 @@ const DesignTab = ({ rocketSim }) => {
 
             <ParameterSlider
               label={t('design.finRootLength')}
+              disabled={!finShapeUses.includes('finBaseWidth')}
               value={rocketSim.finBaseWidth}
               min={10}
               max={150}
@@ -630,6 +2999,7 @@ const DesignTab = ({ rocketSim }) => {
 
             <ParameterSlider
               label={t('design.finTipLength')}
+              disabled={!finShapeUses.includes('finTipWidth')}
               value={rocketSim.finTipWidth}
               min={0}
               max={75}
@@ -654,6 +3024,7 @@ const DesignTab = ({ rocketSim }) => {
 
             <ParameterSlider
               label={t('design.finSweptLength')}
+              disabled={!finShapeUses.includes('finSweepLength')}
               value={rocketSim.finSweepLength}
               min={-50}
               max={150}
@@ -664,6 +3035,16 @@ const DesignTab = ({ rocketSim }) => {
               maxLabel="150"
             />
 
+            <ParameterSlider
+              label="フィン位置（取り付ける円筒の後端から）"
+              value={rocketSim.finOffset}
+              min={0}
+              max={200}
+              inputRef={rocketSim.finOffsetInputRef}
+              handleSlider={rocketSim.handleFinOffset}
+              unit="mm"
+            />
+
             <div className="mt-4 text-sm text-gray-600">
               <p><strong className="font-semibold">機体全長:</strong> {totalHeight}mm</p>
               <p>（ノーズ+ボディ+フィン後端部分）</p>
@@ -679,47 +3060,14 @@ const DesignTab = ({ rocketSim }) => {
             viewBox={rocketSim.getDesignViewBox ? rocketSim.getDesignViewBox() : "0 0 200 500"}
             className="overflow-visible"
           >
-            {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-            {rocketSim.finCount === 3 && (
-              <>
-                <path
-                  d={getTriFinLeftRightPaths(
-                    rocketSim.design || {},
-                    rocketSim.bodyWidth,
-                    rocketSim.finHeight,
-                    rocketSim.finBaseWidth,
-                    rocketSim.finSweepLength,
-                    rocketSim.finTipWidth
-                  ).leftFin}
-                  fill="#6B7280" stroke="#374151"
-                />
-                <path
-                  d={getTriFinLeftRightPaths(
-                    rocketSim.design || {},
-                    rocketSim.bodyWidth,
-                    rocketSim.finHeight,
-                    rocketSim.finBaseWidth,
-                    rocketSim.finSweepLength,
-                    rocketSim.finTipWidth
-                  ).rightFin}
-                  fill="#6B7280" stroke="#374151"
-                />
-              </>
-            )}
+            {/* 胴体より奥のフィンを先に描画してボディの後ろに表示 */}
+            <SideViewFins paths={designFinPaths} layer="behind" />
 
             {/* 次にボディを描画 */}
             <path d={rocketSim.getBodyPath ? rocketSim.getBodyPath(rocketSim.design || {}) : ""} fill="#9CA3AF" stroke="#374151" />
 
-            {/* 中央フィンを描画 */}
-            <path d={rocketSim.getCenterFinsPath ? rocketSim.getCenterFinsPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-
-            {/* 4枚フィンの場合は左右フィンを中央フィンの後に描画 */}
-            {rocketSim.finCount === 4 && (
-              <>
-                <path d={rocketSim.getLeftFinPath ? rocketSim.getLeftFinPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-                <path d={rocketSim.getRightFinPath ? rocketSim.getRightFinPath(rocketSim.design || {}) : ""} fill="#6B7280" stroke="#374151" />
-              </>
-            )}
+            {/* 中央と手前のフィンをボディの後に描画 */}
+            <SideViewFins paths={designFinPaths} layer="front" />
 
             {/* 最後にノーズを描画 */}
             <path d={rocketSim.getNosePath ? rocketSim.getNosePath(rocketSim.design || {}) : ""} fill="#D1D5DB" stroke="#374151" />
@@ -757,8 +3105,8 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
   const finThickness = getSafeNumber(rocketSim.finThickness, 2);
   const centerOfGravity = getSafeNumber(rocketSim.centerOfGravity, totalHeight * 0.7);
 
-  // フィンの後端部分の計算を修正
-  const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+  // フィンの後端部分（平面形の後端が機体後端より後ろに出る長さ）
+  const finExtension = rocketSim.calculations?.finExtension ?? Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
 
   // 全長はノーズ + ボディ + フィン後端部分（フィン後端がボディ後端より後ろに出る場合）
   const totalRocketLength = noseHeight + bodyHeight + finExtension;
@@ -766,6 +3114,13 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
   // 重心位置スライダーの最大値は全長と同じ
   const maxCGPosition = totalRocketLength;
 
+  // 側面図のフィン（ボディ後端の中心を原点とする）
+  const analysisFinPaths = getSideViewFinPaths(0, 0, {
+    bodyWidth, finShape: rocketSim.finShape, finPoints: rocketSim.finPoints,
+    finHeight, finBaseWidth, finSweepLength, finTipWidth, finThickness, finCount: rocketSim.finCount,
+    finMountWidth: rocketSim.bodyLayout?.mount.diameter, finAftOffset: rocketSim.bodyLayout?.mount.aftOffset
+  });
+
   // 安全に計算値を取得
   const safeCalculations = rocketSim.calculations || {};
 
@@ -778,6 +3133,7 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
 
           <ParameterSlider
             label="機体総重量"
+            disabled={rocketSim.massComponents?.length > 0}
             value={getSafeNumber(rocketSim.weight, 0)}
             min={15}
             max={150}
@@ -801,11 +3157,12 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
                   min={0}
                   max={maxCGPosition}
                   step={1}
+                  disabled={rocketSim.massComponents?.length > 0}
                   {...(rocketSim.handleCenterOfGravity || {})}
                   className="w-full cursor-pointer"
                 />
               </div>
-              <span className="ml-2 min-w-[60px] text-right">{centerOfGravity}mm</span>
+              <span className="ml-2 min-w-[60px] text-right">{Math.round(centerOfGravity)}mm</span>
             </div>
             <div className="flex justify-between text-sm text-gray-600">
               <span>ノーズ側</span>
@@ -826,33 +3183,13 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
             </select>
           </div>
 
-          <div className="mb-4">
-            <h4 className="text-lg font-semibold mb-2">モーター選択</h4>
-            <select
-              value={rocketSim.selectedMotor || 'A8-3'}
-              onChange={(e) => rocketSim.setSelectedMotor && rocketSim.setSelectedMotor(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded mb-4"
-            >
-              <option value="1/2A6-2">1/2A6-2</option>
-              <option value="A8-3">A8-3</option>
-              <option value="B6-4">B6-4</option>
-            </select>
-          </div>
+          <MotorSelector rocketSim={rocketSim} />
 
-          <div className="mb-6">
-            <h4 className="text-lg font-semibold mb-2">パラシュート選択</h4>
-            <select
-              value={rocketSim.selectedParachute || 'φ300'}
-              onChange={(e) => rocketSim.setSelectedParachute && rocketSim.setSelectedParachute(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded"
-            >
-              <option value="φ180">φ180</option>
-              <option value="φ250">φ250</option>
-              <option value="φ300">φ300</option>
-              <option value="φ600">φ600</option>
-              <option value="φ900">φ900</option>
-            </select>
-          </div>
+          <MassComponentEditor rocketSim={rocketSim} />
+
+          <RecoveryEditor rocketSim={rocketSim} />
+
+          <StageEditor rocketSim={rocketSim} />
 
           <div className="space-y-2 bg-gray-50 p-4 rounded-lg">
             <h4 className="text-lg font-semibold mb-2">設計値</h4>
@@ -861,9 +3198,27 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
             <p><strong className="font-semibold">圧力中心位置:</strong> {safeCalculations.pressureCenter || 0} mm</p>
             <p><strong className="font-semibold">静安定用CP:</strong> {safeCalculations.stabilityCenterOfPressure || 0} mm</p>
             <p><strong className="font-semibold">静安定マージン:</strong> {safeCalculations.stabilityStaticMargin || 0}</p>
-            <p><strong className="font-semibold">フィンダイバージェンス速度:</strong> {safeCalculations.finDivergenceSpeedDisplay || "計算中..."}</p>
-            <p><strong className="font-semibold">フィンフラッター速度:</strong> {safeCalculations.finFlutterSpeedDisplay || "計算中..."}</p>
+            {rocketSim.massProperties && (
+              <>
+                <p>
+                  <strong className="font-semibold">発射時マージン:</strong> {rocketSim.massProperties.liftoffStabilityStaticMargin.toFixed(2)}
+                  <span className="text-sm text-gray-600">（質量 {rocketSim.massProperties.liftoffWeight.toFixed(1)} g、重心 {rocketSim.massProperties.liftoffCenterOfGravity.toFixed(0)} mm）</span>
+                </p>
+                <p>
+                  <strong className="font-semibold">燃焼終了時マージン:</strong> {rocketSim.massProperties.burnoutStabilityStaticMargin.toFixed(2)}
+                  <span className="text-sm text-gray-600">（質量 {rocketSim.massProperties.burnoutWeight.toFixed(1)} g、重心 {rocketSim.massProperties.burnoutCenterOfGravity.toFixed(0)} mm）</span>
+                </p>
+              </>
+            )}
+            <p><strong className="font-semibold">フィンダイバージェンス速度（地上）:</strong> {safeCalculations.finDivergenceSpeedDisplay || "計算中..."}</p>
+            <p><strong className="font-semibold">フィンフラッター速度（地上）:</strong> {safeCalculations.finFlutterSpeedDisplay || "計算中..."}</p>
           </div>
+
+          <CenterOfPressureTable calculations={safeCalculations} />
+
+          <DragBreakdownChart rocketSim={rocketSim} />
+
+          <OptimizerPanel rocketSim={rocketSim} />
         </div>
 
         {/* 右側: ロケット表示 - サイズを調整可能に変更 */}
@@ -896,122 +3251,28 @@ const AnalysisTab = ({ rocketSim, getSafeValue }) => {
               <g transform={`translate(0, ${totalRocketLength + 100})`}>
                 {/* ロケットを全長に基づいて中央に配置するための計算と変換 */}
                 <g transform={`translate(0, ${-totalRocketLength / 2 - 50})`}>
-                  {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                  {rocketSim.finCount === 3 && (
-                    <>
-                      {/* 左フィン - 位置と幅を調整 */}
-                      <path
-                        d={`M ${-(bodyWidth / 2) * 1.73 / 2} ${-finBaseWidth}
-                L ${-(bodyWidth / 2) * 1.73 / 2} ${0}
-                L ${-(bodyWidth / 2) * 1.73 / 2 - finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${-(bodyWidth / 2) * 1.73 / 2 - finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-
-                      {/* 右フィン - 位置と幅を調整 */}
-                      <path
-                        d={`M ${(bodyWidth / 2) * 1.73 / 2} ${-finBaseWidth}
-                L ${(bodyWidth / 2) * 1.73 / 2} ${0}
-                L ${(bodyWidth / 2) * 1.73 / 2 + finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${(bodyWidth / 2) * 1.73 / 2 + finHeight * 1.73 / 2} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-                    </>
-                  )}
+                  {/* 胴体より奥のフィンを先に描画してボディの後ろに表示 */}
+                  <SideViewFins paths={analysisFinPaths} layer="behind" strokeWidth="1.5" />
 
                   {/* ボディ - 座標系を底部(0,0)として上方向に負のy座標 */}
-                  <rect
-                    x={-(getSafeNumber(rocketSim.bodyWidth, 30) / 2)}
-                    y={-getSafeNumber(rocketSim.bodyHeight, 200)}
-                    width={getSafeNumber(rocketSim.bodyWidth, 30)}
-                    height={getSafeNumber(rocketSim.bodyHeight, 200)}
+                  <path
+                    d={getBodyPath({ centerX: 0, height: 0 }, bodyHeight, bodyWidth, rocketSim.bodyLayout?.outline)}
                     fill="#9CA3AF"
                     stroke="#374151"
                     strokeWidth="1.5"
                   />
 
                   {/* ノーズ - 選択した形状タイプに基づいて描画 */}
-                  {(() => {
-                    const baseX1 = -(bodyWidth / 2);
-                    const baseX2 = bodyWidth / 2;
-                    const baseY = -bodyHeight;
-                    const topX = 0;
-                    const topY = baseY - noseHeight;
-
-                    let nosePath;
-                    if (rocketSim.noseShape === 'cone') {
-                      // 円錐ノーズ
-                      nosePath = `M ${baseX1} ${baseY} L ${topX} ${topY} L ${baseX2} ${baseY} Z`;
-                    } else if (rocketSim.noseShape === 'parabola') {
-                      // 放物線ノーズ
-                      const controlY = topY + noseHeight * 0.15;
-                      nosePath = `M ${baseX1} ${baseY} 
-                      C ${baseX1} ${controlY}, ${topX} ${topY}, ${topX} ${topY}
-                      C ${topX} ${topY}, ${baseX2} ${controlY}, ${baseX2} ${baseY} Z`;
-                    } else {
-                      // オジブノーズ (デフォルト)
-                      const halfWidth = bodyWidth / 2;
-                      nosePath = `M ${baseX1} ${baseY}
-                      Q ${baseX1 + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${topX} ${topY}
-                      Q ${baseX2 - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${baseX2} ${baseY} Z`;
-                    }
-
-                    return (
-                      <path
-                        d={nosePath}
-                        fill="#D1D5DB"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-                    );
-                  })()}
-
-                  {/* 4枚フィンの場合のみ、左右フィンを表示 */}
-                  {rocketSim.finCount === 4 && (
-                    <>
-                      {/* 左フィン */}
-                      <path
-                        d={`M ${-(bodyWidth / 2)} ${-finBaseWidth}
-                L ${-(bodyWidth / 2)} ${0}
-                L ${-(bodyWidth / 2) - finHeight} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${-(bodyWidth / 2) - finHeight} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-
-                      {/* 右フィン */}
-                      <path
-                        d={`M ${(bodyWidth / 2)} ${-finBaseWidth}
-                L ${(bodyWidth / 2)} ${0}
-                L ${(bodyWidth / 2) + finHeight} ${-finBaseWidth + finSweepLength + finTipWidth}
-                L ${(bodyWidth / 2) + finHeight} ${-finBaseWidth + finSweepLength} Z`}
-                        fill="#6B7280"
-                        stroke="#374151"
-                        strokeWidth="1.5"
-                      />
-                    </>
-                  )}
-
-                  {/* センターフィン - 共通で表示 */}
-                  <rect
-                    x={-(finThickness / 2)}
-                    y={finSweepLength >= 0
-                      ? -finBaseWidth
-                      : -finBaseWidth - Math.abs(finSweepLength)}
-                    width={finThickness}
-                    height={finSweepLength >= 0
-                      ? finBaseWidth + Math.max(0, finSweepLength + finTipWidth - finBaseWidth)
-                      : finBaseWidth + Math.abs(finSweepLength)}
-                    fill="#6B7280"
+                  <path
+                    d={getNoseCurvePath(0, -bodyHeight, rocketSim.noseShape, noseHeight, bodyWidth)}
+                    fill="#D1D5DB"
                     stroke="#374151"
                     strokeWidth="1.5"
                   />
 
+                  {/* 中央と手前のフィン */}
+                  <SideViewFins paths={analysisFinPaths} layer="front" strokeWidth="1.5" />
+
                   {/* 重心マーカー - ノーズ先端からの距離を座標系に変換 */}
                   <line
                     x1={-60}
@@ -1113,16 +3374,17 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
       const finTipWidth = getSafeNumber(rocketParams.finTipWidth, 20);
       const finBaseWidth = getSafeNumber(rocketParams.finBaseWidth, 30);
       const finHeight = getSafeNumber(rocketParams.finHeight, 40);
-      const bodyWidth = getSafeNumber(rocketParams.bodyWidth, 31);
+      const bodyWidth = getSafeNumber(rocketSim.bodyLayout?.maxDiameter ?? rocketParams.bodyWidth, 31);
 
       // ロケットの寸法を計算
       const actualRocketHeight = noseHeight + bodyHeight;
 
-      // フィンの後端がボディより出る場合を計算
-      const finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
+      // フィンの後端がボディより出る場合を計算（平面形の後端の機体後端からの突き出し）
+      const finExtension = rocketSim.calculations?.finExtension ?? Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
 
       // 横方向の最大幅を計算（フィン含む）
-      const totalWidth = bodyWidth + (finHeight * 2);
+      const finSpan = rocketSim.finPlanform?.span ?? finHeight;
+      const totalWidth = bodyWidth + (finSpan * 2);
 
       // 全長は機体長 + フィン後端部分
       const totalHeight = actualRocketHeight + finExtension;
@@ -1156,9 +3418,18 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     finBaseWidth: rocketSim.finBaseWidth * attitudeDisplayScale,
     finTipWidth: rocketSim.finTipWidth * attitudeDisplayScale,
     finThickness: rocketSim.finThickness * attitudeDisplayScale,
-    finSweepLength: rocketSim.finSweepLength * attitudeDisplayScale
+    finSweepLength: rocketSim.finSweepLength * attitudeDisplayScale,
+    finShape: rocketSim.finShape,
+    finPoints: scaleFinPoints(rocketSim.finPoints, attitudeDisplayScale),
+    finCount: rocketSim.finCount,
+    bodyOutline: scaleBodyOutline(rocketSim.bodyLayout?.outline, attitudeDisplayScale),
+    finMountWidth: (rocketSim.bodyLayout?.mount.diameter ?? rocketSim.bodyWidth) * attitudeDisplayScale,
+    finAftOffset: (rocketSim.bodyLayout?.mount.aftOffset ?? 0) * attitudeDisplayScale
   };
 
+  // 姿勢表示の側面図のフィン（ボディ後端の中心を原点とする）
+  const attitudeFinPaths = getSideViewFinPaths(0, 0, attitudeRocketParams);
+
   // 実際のロケット全長（スケール適用後）
   const scaledRocketHeight = (rocketSim.noseHeight + rocketSim.bodyHeight) * attitudeDisplayScale;
   const scaledRocketNoseHeight = rocketSim.noseHeight * attitudeDisplayScale;
@@ -1176,9 +3447,26 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     finBaseWidth: rocketSim.finBaseWidth * rocketSim.rocketScale,
     finTipWidth: rocketSim.finTipWidth * rocketSim.rocketScale,
     finThickness: rocketSim.finThickness * rocketSim.rocketScale,
-    finSweepLength: rocketSim.finSweepLength * rocketSim.rocketScale
+    finSweepLength: rocketSim.finSweepLength * rocketSim.rocketScale,
+    finShape: rocketSim.finShape,
+    finPoints: scaleFinPoints(rocketSim.finPoints, rocketSim.rocketScale),
+    finCount: rocketSim.finCount,
+    bodyOutline: scaleBodyOutline(rocketSim.bodyLayout?.outline, rocketSim.rocketScale),
+    finMountWidth: (rocketSim.bodyLayout?.mount.diameter ?? rocketSim.bodyWidth) * rocketSim.rocketScale,
+    finAftOffset: (rocketSim.bodyLayout?.mount.aftOffset ?? 0) * rocketSim.rocketScale
   };
 
+  // 側面図のフィン（飛行中は機体の位置とフィンのたわみ、発射前は発射台の位置に描く）
+  const flightFinPaths = rocketSim.isLaunched && rocketSim.flightData.length > 0
+    ? getSideViewFinPaths(
+      rocketSim.metersToSvgX(position.physicsX),
+      rocketSim.metersToSvgY(position.physicsY),
+      rocketDisplayParams,
+      position.finDeflection
+    )
+    : null;
+  const launchPadFinPaths = getSideViewFinPaths(400, 550, rocketDisplayParams);
+
   // 姿勢表示用のロケットスケールを自動計算
   // 円の表示エリアの大きさに基づいて計算
   const circleRadius = 90; // 円の有効半径（余白含む）
@@ -1204,6 +3492,11 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     const bodyWidth = isNaN(params.bodyWidth) ? 0 : params.bodyWidth;
     const bodyHeight = isNaN(params.bodyHeight) ? 0 : params.bodyHeight;
 
+    // 部品構成の輪郭がある場合は径変化部を含めて描く
+    if (params.bodyOutline?.length > 0) {
+      return getBodyPath({ centerX: safeX, height: safeY }, bodyHeight, bodyWidth, params.bodyOutline);
+    }
+
     const startX = safeX - bodyWidth / 2;
     const endX = safeX + bodyWidth / 2;
 
@@ -1219,184 +3512,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     const bodyWidth = getSafeNumber(params.bodyWidth, 30);
     const noseHeight = getSafeNumber(params.noseHeight, 50);
 
-    const startX = x - bodyWidth / 2;
-    const endX = x + bodyWidth / 2;
-    const baseY = y - params.bodyHeight;
-    const topY = baseY - noseHeight;
-
-    if (noseShape === "cone") {
-      // 円錐ノーズ
-      return `M ${startX} ${baseY} L ${x} ${topY} L ${endX} ${baseY} Z`;
-    } else if (noseShape === "parabola") {
-      // 放物線ノーズ - 精度向上
-      const controlY = topY + noseHeight * 0.15;
-      return `M ${startX} ${baseY} 
-              C ${startX} ${controlY}, ${x} ${topY}, ${x} ${topY}
-              C ${x} ${topY}, ${endX} ${controlY}, ${endX} ${baseY} Z`;
-    } else {
-      // オジブノーズ - 形状の精度向上
-      const halfWidth = bodyWidth / 2;
-      return `M ${startX} ${baseY}
-              Q ${startX + halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${x} ${topY}
-              Q ${endX - halfWidth * 0.1} ${topY + noseHeight * 0.4}, ${endX} ${baseY} Z`;
-    }
-  };
-
-  // 姿勢表示用に中央のフィンを描画する関数
-  const getCenterFinsPathForAttitude = (x, y, params) => {
-    const halfThickness = params.finThickness / 2;
-    const finBottomY = y;
-    const finTopY = finBottomY - params.finBaseWidth;
-
-    // フィンの翼端位置を正確に計算
-    const tipTopY = finTopY + params.finSweepLength;
-    const tipBottomY = tipTopY + params.finTipWidth;
-
-    // フィンの後端が左右のフィンと揃うように調整
-    // フィンの翼端長がボディ後端よりも伸びる場合を計算
-    const finExtension = Math.max(0, params.finSweepLength + params.finTipWidth - params.finBaseWidth);
-
-    return `M ${x - halfThickness} ${finTopY}
-            L ${x - halfThickness} ${finBottomY}
-            L ${x - halfThickness} ${finBottomY + finExtension}
-            L ${x + halfThickness} ${finBottomY + finExtension}
-            L ${x + halfThickness} ${finBottomY}
-            L ${x + halfThickness} ${finTopY} Z`;
-  };
-
-  // フィン形状描画関数の改良版
-  const getFinPathsForAttitude = (x, y, params) => {
-    // 安全にパラメータを取得
-    const bodyWidth = getSafeNumber(params.bodyWidth, 30);
-    const finHeight = getSafeNumber(params.finHeight, 40);
-    const finBaseWidth = getSafeNumber(params.finBaseWidth, 30);
-    const finSweepLength = getSafeNumber(params.finSweepLength, 0);
-    const finTipWidth = getSafeNumber(params.finTipWidth, 20);
-    const finThickness = getSafeNumber(params.finThickness, 2);
-
-    const bodyLeftX = x - bodyWidth / 2;
-    const bodyRightX = x + bodyWidth / 2;
-    const finBottomY = y;
-    const finTopY = finBottomY - finBaseWidth;
-
-    // 後退代がマイナスの場合の処理を追加
-    let tipTopY, tipBottomY;
-
-    if (finSweepLength >= 0) {
-      // 通常の正の後退代の場合
-      tipTopY = finTopY + finSweepLength;
-      tipBottomY = tipTopY + finTipWidth;
-    } else {
-      // 後退代がマイナスの場合（前進翼）
-      tipTopY = finTopY - Math.abs(finSweepLength);
-      tipBottomY = tipTopY + finTipWidth;
-    }
-
-    // フィン形状のパス作成
-    const leftFin = `M ${bodyLeftX} ${finTopY}
-                   L ${bodyLeftX} ${finBottomY}
-                   L ${bodyLeftX - finHeight} ${tipBottomY}
-                   L ${bodyLeftX - finHeight} ${tipTopY} Z`;
-
-    const rightFin = `M ${bodyRightX} ${finTopY}
-                    L ${bodyRightX} ${finBottomY}
-                    L ${bodyRightX + finHeight} ${tipBottomY}
-                    L ${bodyRightX + finHeight} ${tipTopY} Z`;
-
-    // 中央フィンの描画 - 後退代がマイナスの場合の処理を追加
-    const halfThickness = finThickness / 2;
-    let frontExtension = 0;
-    let finExtension = 0;
-
-    if (finSweepLength < 0) {
-      // 前進翼の場合
-      frontExtension = Math.abs(finSweepLength);
-    }
-
-    // フィンの後端がボディ後端より後ろに出る場合を計算
-    finExtension = Math.max(0, finSweepLength + finTipWidth - finBaseWidth);
-
-    const centerFins = `M ${x - halfThickness} ${finTopY - frontExtension}
-                      L ${x - halfThickness} ${finBottomY}
-                      L ${x - halfThickness} ${finBottomY + finExtension}
-                      L ${x + halfThickness} ${finBottomY + finExtension}
-                      L ${x + halfThickness} ${finBottomY}
-                      L ${x + halfThickness} ${finTopY - frontExtension} Z`;
-
-    return { leftFin, rightFin, centerFins };
-  };
-
-  // 3枚フィン用のフィンパス生成関数
-  const getTriFinPathsForAttitude = (x, y, params, deflection = 0) => {
-    // 安全にパラメータを取得
-    const bodyWidth = getSafeNumber(params.bodyWidth, 30);
-    const finHeight = getSafeNumber(params.finHeight, 40);
-    const finBaseWidth = getSafeNumber(params.finBaseWidth, 30);
-    const finSweepLength = getSafeNumber(params.finSweepLength, 0);
-    const finTipWidth = getSafeNumber(params.finTipWidth, 20);
-    const finThickness = getSafeNumber(params.finThickness, 2);
-
-    // ボディの中心からの左右のフィン位置のオフセット (sqrt(3)/2 = 1.73/2)
-    const offset = (bodyWidth / 2) * 1.73 / 2;
-    const leftFinRootX = x - offset;
-    const rightFinRootX = x + offset;
-
-    // フィン高さを調整 (1.73/2倍)
-    const adjustedFinHeight = finHeight * 1.73 / 2;
-
-    const finBottomY = y;
-    const finTopY = finBottomY - finBaseWidth;
-
-    // たわみを考慮した修正
-    const deflectionAngle = deflection * Math.PI / 180; // ラジアンに変換
-
-    // 後退代に応じた位置調整
-    let adjustedFinTopY, adjustedFinBottomY;
-
-    if (finSweepLength >= 0) {
-      // 通常の正の後退代の場合
-      adjustedFinTopY = finTopY + finSweepLength;
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    } else {
-      // 後退代がマイナスの場合（前進翼）
-      adjustedFinTopY = finTopY - Math.abs(finSweepLength);
-      adjustedFinBottomY = adjustedFinTopY + finTipWidth;
-    }
-
-    // たわみを適用したフィン座標
-    const leftFinTipX = leftFinRootX - adjustedFinHeight * Math.cos(deflectionAngle);
-    const leftFinTipY = adjustedFinTopY + adjustedFinHeight * Math.sin(deflectionAngle);
-    const leftFinBottomTipX = leftFinRootX - adjustedFinHeight * Math.cos(deflectionAngle);
-    const leftFinBottomTipY = adjustedFinBottomY + adjustedFinHeight * Math.sin(deflectionAngle);
-
-    const rightFinTipX = rightFinRootX + adjustedFinHeight * Math.cos(deflectionAngle);
-    const rightFinTipY = adjustedFinTopY + adjustedFinHeight * Math.sin(deflectionAngle);
-    const rightFinBottomTipX = rightFinRootX + adjustedFinHeight * Math.cos(deflectionAngle);
-    const rightFinBottomTipY = adjustedFinBottomY + adjustedFinHeight * Math.sin(deflectionAngle);
-
-    const leftFin = `M ${leftFinRootX} ${finTopY}
-                  L ${leftFinRootX} ${finBottomY}
-                  L ${leftFinBottomTipX} ${leftFinBottomTipY}
-                  L ${leftFinTipX} ${leftFinTipY} Z`;
-
-    const rightFin = `M ${rightFinRootX} ${finTopY}
-                  L ${rightFinRootX} ${finBottomY}
-                  L ${rightFinBottomTipX} ${rightFinBottomTipY}
-                  L ${rightFinTipX} ${rightFinTipY} Z`;
-
-    // 中央フィンの描画 - 後退代がマイナスの場合の処理を追加
-    const halfThickness = finThickness / 2;
-    let frontExtension = 0;
-    if (finSweepLength < 0) {
-      frontExtension = Math.abs(finSweepLength);
-    }
-
-    const centerFins = `M ${x - halfThickness} ${finTopY - frontExtension}
-                    L ${x - halfThickness} ${finBottomY}
-                    L ${x + halfThickness} ${finBottomY}
-                    L ${x + halfThickness} ${finTopY - frontExtension} Z`;
-
-    return { leftFin, rightFin, centerFins };
+    return getNoseCurvePath(x, y - params.bodyHeight, noseShape, noseHeight, bodyWidth);
   };
 
   // 安全な回転属性を生成する関数
@@ -1416,7 +3532,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
     const {
       maxSpeed, maxHeight, maxDistance,
       isDivergenceOK, isFlutterOK, isDeflectionOK, isAngleStableOK, isAbsoluteAngleOK, isOverallOK,
-      launchAngle, windSpeed, windProfile, landing
+      isBodyTubeOK = true, isRailExitOK = true, launchAngle, windSpeed, windProfile, landing
     } = results;
 
     return (
@@ -1431,7 +3547,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
           <div>{windSpeed.toFixed(1)} m/s</div>
 
           <div>風速プロファイル:</div>
-          <div>{WIND_PROFILES[windProfile].name}</div>
+          <div>{getWindProfileName(windProfile)}</div>
 
           <div>最高高度:</div>
           <div>{maxHeight.toFixed(1)} m</div>
@@ -1475,6 +3591,13 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
             </span>
           </div>
 
+          <div className="text-sm">
+            <span>ボディチューブ強度:</span>
+            <span className={`ml-1 font-medium ${isBodyTubeOK ? 'text-green-600' : 'text-red-600'}`}>
+              {isBodyTubeOK ? 'OK' : 'NG'}
+            </span>
+          </div>
+
           {/* 姿勢安定性の判定に関する表示を修正 */}
           <div className="text-sm">
             <span>角度変化安定性:</span>
@@ -1484,13 +3607,20 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
           </div>
 
           {/* 絶対角度判定を追加 */}
-          <div className="text-sm col-span-2">
+          <div className="text-sm">
             <span>絶対角度安定性:</span>
             <span className={`ml-1 font-medium ${isAbsoluteAngleOK ? 'text-green-600' : 'text-red-600'}`}>
               {isAbsoluteAngleOK ? 'OK' : 'NG'}
             </span>
           </div>
 
+          <div className="text-sm">
+            <span>発射台離脱速度:</span>
+            <span className={`ml-1 font-medium ${isRailExitOK ? 'text-green-600' : 'text-red-600'}`}>
+              {isRailExitOK ? 'OK' : 'NG'}
+            </span>
+          </div>
+
           <div className="mt-2 text-center">
             <span className="font-semibold">総合判定:</span>
             <span className={`ml-2 font-bold ${isOverallOK ? 'text-green-600' : 'text-red-600'}`}>
@@ -1529,6 +3659,8 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               </div>
             </div>
 
+            <LaunchRailEditor rocketSim={rocketSim} />
+
             <div className="mb-4">
               <label className="block mb-2">横風速度 (m/s)</label>
               <input
@@ -1558,11 +3690,22 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                   disabled={rocketSim.isLaunched}
                   className="p-2 border border-gray-300 rounded w-48"
                 >
-                  {Object.entries(WIND_PROFILES).map(([key, profile]) => (
-                    <option key={key} value={key}>
-                      {profile.name}
-                    </option>
-                  ))}
+                  <optgroup label="べき乗則">
+                    {Object.entries(WIND_PROFILES).map(([key, profile]) => (
+                      <option key={key} value={key}>
+                        {profile.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                  {rocketSim.windSoundings?.length > 0 && (
+                    <optgroup label="実測">
+                      {rocketSim.windSoundings.map(sounding => (
+                        <option key={sounding.name} value={getWindSoundingKey(sounding.name)}>
+                          {sounding.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
                 </select>
 
                 <div className="flex items-center">
@@ -1586,6 +3729,85 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                   </p>
                 )}
               </div>
+
+              <WindSoundingImporter rocketSim={rocketSim} />
+            </div>
+
+            <WindVariationEditor rocketSim={rocketSim} />
+
+            {/* 打ち上げ場所の気象条件 */}
+            <div className="mt-4">
+              <h5 className="font-medium mb-2">打ち上げ場所の気象条件</h5>
+              <ParameterSlider
+                label="標高"
+                value={rocketSim.siteElevation}
+                min={0}
+                max={3000}
+                step={10}
+                disabled={rocketSim.isLaunched}
+                unit=" m"
+                inputRef={rocketSim.siteElevationInputRef}
+                handleSlider={rocketSim.handleSiteElevation}
+              />
+
+              <label className="flex items-center mb-2">
+                <input
+                  type="checkbox"
+                  checked={rocketSim.useStandardAtmosphere}
+                  onChange={(e) => rocketSim.setUseStandardAtmosphere(e.target.checked)}
+                  disabled={rocketSim.isLaunched}
+                  className="mr-2"
+                />
+                <span>気温・気圧に標準大気 (ISA) の値を使用</span>
+              </label>
+
+              {!rocketSim.useStandardAtmosphere && (
+                <>
+                  <ParameterSlider
+                    label="地上気温"
+                    value={rocketSim.groundTemperature}
+                    min={-20}
+                    max={45}
+                    step={1}
+                    disabled={rocketSim.isLaunched}
+                    unit=" ℃"
+                    inputRef={rocketSim.groundTemperatureInputRef}
+                    handleSlider={rocketSim.handleGroundTemperature}
+                  />
+                  <ParameterSlider
+                    label="地上気圧"
+                    value={rocketSim.groundPressure}
+                    min={700}
+                    max={1050}
+                    step={1}
+                    disabled={rocketSim.isLaunched}
+                    unit=" hPa"
+                    inputRef={rocketSim.groundPressureInputRef}
+                    handleSlider={rocketSim.handleGroundPressure}
+                  />
+                </>
+              )}
+
+              <ParameterSlider
+                label="相対湿度"
+                value={rocketSim.humidity}
+                min={0}
+                max={100}
+                step={5}
+                disabled={rocketSim.isLaunched}
+                unit=" %"
+                inputRef={rocketSim.humidityInputRef}
+                handleSlider={rocketSim.handleHumidity}
+              />
+
+              <div className="text-sm text-gray-600">
+                <p>
+                  地上: 気温 {rocketSim.groundAtmosphere.temperatureCelsius.toFixed(1)} ℃、
+                  気圧 {(rocketSim.groundAtmosphere.pressure / 100).toFixed(0)} hPa、
+                  空気密度 {rocketSim.groundAtmosphere.density.toFixed(3)} kg/m³、
+                  音速 {rocketSim.groundAtmosphere.speedOfSound.toFixed(0)} m/s
+                </p>
+              </div>
             </div>
           </div>
 
@@ -1646,13 +3868,17 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               <div>最高到達高度: {rocketSim.currentMaxHeight.toFixed(1)} m</div>
               <div>最高速度: {rocketSim.currentMaxSpeed.toFixed(1)} m/s</div>
               <div>最大水平距離: {rocketSim.currentMaxDistance.toFixed(1)} m</div>
-              <div>最大フィンたわみ量: {rocketSim.currentMaxFinDeflection.toFixed(2)} mm</div>
+              <div>最大フィンたわみ量: {rocketSim.formatFinDeflection(rocketSim.currentMaxFinDeflection)}</div>
               {/* 着地予測までの時間を追加 */}
               {rocketSim.landing && (
                 <div>着地までの時間: {rocketSim.landing.timeToLanding.toFixed(1)} 秒</div>
               )}
             </div>
           </div>
+
+          {rocketSim.isLaunched && rocketSim.flightData.length > 0 && (
+            <FinDeflectionView rocketSim={rocketSim} position={position} />
+          )}
         </div>
 
         <div className="flex justify-between mb-4">
@@ -1820,7 +4046,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               )}
 
               {/* 風速分布の矢印表示 - 矢印の位置を修正、四角形を削除 */}
-              {rocketSim.showWindArrows && rocketSim.windSpeed !== 0 && (
+              {rocketSim.showWindArrows && (rocketSim.windSpeed !== 0 || rocketSim.useWindVariation) && (
                 <g>
                   <text x={30} y={100} fontSize="12" fill="#666" fontWeight="bold">
                     高度別風速
@@ -1919,6 +4145,67 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                 />
               )}
 
+              {/* 分離した下段の軌跡と着地予測点（多段ロケットのみ） */}
+              {rocketSim.isLaunched && (rocketSim.boosterFlights || []).map(booster => {
+                const points = booster.data.filter((d, i) => d.time <= rocketSim.currentTime && i % 2 === 0);
+                if (points.length === 0) return null;
+                const isFinished = booster.data[booster.data.length - 1].time <= rocketSim.currentTime;
+
+                return (
+                  <g key={`booster-${booster.stage}`}>
+                    <path
+                      d={points
+                        .map((d, i) => `${i === 0 ? 'M' : 'L'} ${rocketSim.metersToSvgX(d.physicsX)} ${rocketSim.metersToSvgY(d.physicsY)}`)
+                        .join(' ')}
+                      stroke="#ea580c"
+                      strokeWidth="1.5"
+                      strokeDasharray="4 2"
+                      fill="none"
+                    />
+                    {isFinished && (
+                      <>
+                        <circle
+                          cx={rocketSim.metersToSvgX(booster.landing.landingX)}
+                          cy={550}
+                          r="4"
+                          fill="#ea580c"
+                        />
+                        <text
+                          x={rocketSim.metersToSvgX(booster.landing.landingX)}
+                          y={545}
+                          textAnchor="middle"
+                          fill="#ea580c"
+                          fontSize="10px"
+                        >
+                          第{booster.stage}段 {booster.landing.landingDistance.toFixed(1)}m
+                        </text>
+                      </>
+                    )}
+                  </g>
+                );
+              })}
+
+              {/* 段ごとのキーポイント（次段点火・分離） */}
+              {rocketSim.isLaunched && (rocketSim.keyPoints?.stages || []).map(stage => {
+                const markers = [
+                  stage.stage > 1 && { point: stage.ignition, label: `第${stage.stage}段点火`, color: "#16a34a" },
+                  stage.separation && { point: stage.separation, label: `第${stage.stage}段分離`, color: "#ea580c" }
+                ].filter(marker => marker && marker.point.time <= rocketSim.currentTime);
+
+                return markers.map(({ point, label, color }) => {
+                  const data = rocketSim.flightData[Math.min(Math.round(point.time / 0.02), rocketSim.flightData.length - 1)];
+                  if (!data) return null;
+                  const cx = rocketSim.metersToSvgX(data.physicsX);
+                  const cy = rocketSim.metersToSvgY(data.physicsY);
+                  return (
+                    <g key={label}>
+                      <circle cx={cx} cy={cy} r="3.5" fill={color} />
+                      <text x={cx + 6} y={cy + 4} fill={color} fontSize="10px">{label}</text>
+                    </g>
+                  );
+                });
+              })}
+
               {/* 着地予測マーカーを追加 */}
               {rocketSim.showLandingPrediction && rocketSim.landing && (
                 <g className="landing-prediction-marker">
@@ -1978,63 +4265,32 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               {/* ロケットとパラシュートの表示 - パラシュート表示を改良 */}
               {rocketSim.isLaunched && rocketSim.flightData.length > 0 && (
                 <>
-                  {/* パラシュート表示（パラシュート展開時のみ） */}
-                  {position.isParachuteEjected && (
-                    <>
+                  {/* パラシュート表示（放出した回収装置ごとに、展開中は灰色・開傘後は黄色） */}
+                  {position.isParachuteEjected && rocketSim.getRecoveryDevicePaths(
+                    rocketSim.metersToSvgX(position.physicsX),
+                    rocketSim.metersToSvgY(position.physicsY),
+                    position.recoveryDevices
+                  ).map(device => (
+                    <g key={`recovery-${device.id}`}>
                       <path
-                        d={rocketSim.getParachuteStringPaths(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          position.isParachuteActive,
-                          position.parachuteDeploymentProgress,
-                          position.rotation
-                        )}
+                        d={device.strings}
                         stroke="#374151"
                         strokeWidth="1"
                         fill="none"
                       />
                       <path
-                        d={rocketSim.getParachutePath(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          position.isParachuteActive,
-                          position.parachuteDeploymentProgress,
-                          position.rotation
-                        )}
-                        fill={position.isParachuteActive ? "#FFB300" : "#9ca3af"}
+                        d={device.canopy}
+                        fill={device.isActive ? "#FFB300" : "#9ca3af"}
                         stroke="#374151"
                         strokeWidth="2"
                       />
-                    </>
-                  )}
+                    </g>
+                  ))}
 
                   {/* ロケット */}
                   <g transform={getSafeRotationTransform(position.rotation, rocketSim.metersToSvgX(position.physicsX), rocketSim.metersToSvgY(position.physicsY))}>
-                    {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                    {rocketSim.finCount === 3 && (
-                      <>
-                        <path
-                          d={getTriFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).leftFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                        <path
-                          d={getTriFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).rightFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                      </>
-                    )}
+                    {/* 胴体より奥のフィンを先に描画してボディの後ろに表示 */}
+                    <SideViewFins paths={flightFinPaths} layer="behind" />
 
                     {/* ボディ */}
                     <path
@@ -2047,51 +4303,8 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                       stroke="#374151"
                     />
 
-                    {/* 中央フィン（両方のフィン設定で共通） */}
-                    <path
-                      d={rocketSim.finCount === 3
-                        ? getTriFinPathsForAttitude(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          rocketDisplayParams,
-                          position.finDeflection
-                        ).centerFins
-                        : getFinPathsForAttitude(
-                          rocketSim.metersToSvgX(position.physicsX),
-                          rocketSim.metersToSvgY(position.physicsY),
-                          rocketDisplayParams,
-                          position.finDeflection
-                        ).centerFins
-                      }
-                      fill="#6B7280"
-                      stroke="#374151"
-                    />
-
-                    {/* 4枚フィンの場合のみ左右フィン */}
-                    {rocketSim.finCount === 4 && (
-                      <>
-                        <path
-                          d={getFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).leftFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                        <path
-                          d={getFinPathsForAttitude(
-                            rocketSim.metersToSvgX(position.physicsX),
-                            rocketSim.metersToSvgY(position.physicsY),
-                            rocketDisplayParams,
-                            position.finDeflection
-                          ).rightFin}
-                          fill="#6B7280"
-                          stroke="#374151"
-                        />
-                      </>
-                    )}
+                    {/* 中央と手前のフィン */}
+                    <SideViewFins paths={flightFinPaths} layer="front" />
 
                     {/* ノーズ */}
                     <path
@@ -2110,29 +4323,8 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               {/* 未発射時のロケット表示 */}
               {!rocketSim.isLaunched && (
                 <g transform={getSafeRotationTransform(rocketSim.launchAngle, 400, 550)}>
-                  {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                  {rocketSim.finCount === 3 && (
-                    <>
-                      <path
-                        d={getTriFinPathsForAttitude(
-                          400,
-                          550,
-                          rocketDisplayParams
-                        ).leftFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                      <path
-                        d={getTriFinPathsForAttitude(
-                          400,
-                          550,
-                          rocketDisplayParams
-                        ).rightFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                    </>
-                  )}
+                  {/* 胴体より奥のフィンを先に描画してボディの後ろに表示 */}
+                  <SideViewFins paths={launchPadFinPaths} layer="behind" />
 
                   {/* ボディ */}
                   <path
@@ -2141,31 +4333,8 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                     stroke="#374151"
                   />
 
-                  {/* 中央フィン（両方のフィン設定で共通） */}
-                  <path
-                    d={rocketSim.finCount === 3
-                      ? getTriFinPathsForAttitude(400, 550, rocketDisplayParams).centerFins
-                      : getFinPathsForAttitude(400, 550, rocketDisplayParams).centerFins
-                    }
-                    fill="#6B7280"
-                    stroke="#374151"
-                  />
-
-                  {/* 4枚フィンの場合のみ左右フィン */}
-                  {rocketSim.finCount === 4 && (
-                    <>
-                      <path
-                        d={getFinPathsForAttitude(400, 550, rocketDisplayParams).leftFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                      <path
-                        d={getFinPathsForAttitude(400, 550, rocketDisplayParams).rightFin}
-                        fill="#6B7280"
-                        stroke="#374151"
-                      />
-                    </>
-                  )}
+                  {/* 中央と手前のフィン */}
+                  <SideViewFins paths={launchPadFinPaths} layer="front" />
 
                   {/* ノーズ */}
                   <path
@@ -2326,75 +4495,12 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                   <g transform={`translate(0, 0)`}>
                     {/* ロケット本体 - 重心が中心に来るように配置調整 */}
                     <g transform={`translate(0, ${scaledRocketNoseHeight + scaledRocketBodyHeight - scaledCogY})`}>
-                      {/* 3枚フィンの場合は先に左右フィンを描画してボディの後ろに表示 */}
-                      {rocketSim.finCount === 3 && (
-                        <>
-                          {/* 左フィン - 位置と幅を調整 */}
-                          <path
-                            d={(() => {
-                              const offset = (attitudeRocketParams.bodyWidth / 2) * 1.73 / 2;
-                              const height = attitudeRocketParams.finHeight * 1.73 / 2;
-                              const leftFinRootX = -offset;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${leftFinRootX} ${finTopY}
-                    L ${leftFinRootX} ${finBottomY}
-                    L ${leftFinRootX - height} ${adjustedFinBottomY}
-                    L ${leftFinRootX - height} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-
-                          {/* 右フィン - 位置と幅を調整 */}
-                          <path
-                            d={(() => {
-                              const offset = (attitudeRocketParams.bodyWidth / 2) * 1.73 / 2;
-                              const height = attitudeRocketParams.finHeight * 1.73 / 2;
-                              const rightFinRootX = offset;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${rightFinRootX} ${finTopY}
-                    L ${rightFinRootX} ${finBottomY}
-                    L ${rightFinRootX + height} ${adjustedFinBottomY}
-                    L ${rightFinRootX + height} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        </>
-                      )}
+                      {/* 胴体より奥のフィンを先に描画してボディの後ろに表示 */}
+                      <SideViewFins paths={attitudeFinPaths} layer="behind" strokeWidth="0.5" />
 
                       {/* ボディ */}
-                      <rect
-                        x={-attitudeRocketParams.bodyWidth / 2}
-                        y={-attitudeRocketParams.bodyHeight}
-                        width={attitudeRocketParams.bodyWidth}
-                        height={attitudeRocketParams.bodyHeight}
+                      <path
+                        d={getBodyPathForAttitude(0, 0, attitudeRocketParams)}
                         fill="#9CA3AF"
                         stroke="#374151"
                         strokeWidth="0.5"
@@ -2412,96 +4518,8 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
                         strokeWidth="0.5"
                       />
 
-                      {/* 4枚フィンの場合のみ左右フィン */}
-                      {rocketSim.finCount === 4 && (
-                        <>
-                          <path
-                            d={(() => {
-                              const leftFinRootX = -attitudeRocketParams.bodyWidth / 2;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${leftFinRootX} ${finTopY}
-                    L ${leftFinRootX} ${finBottomY}
-                    L ${leftFinRootX - attitudeRocketParams.finHeight} ${adjustedFinBottomY}
-                    L ${leftFinRootX - attitudeRocketParams.finHeight} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-
-                          <path
-                            d={(() => {
-                              const rightFinRootX = attitudeRocketParams.bodyWidth / 2;
-                              const finTopY = -attitudeRocketParams.finBaseWidth;
-                              const finBottomY = 0;
-
-                              // 後退代に応じた位置調整
-                              let adjustedFinTopY, adjustedFinBottomY;
-                              if (attitudeRocketParams.finSweepLength >= 0) {
-                                adjustedFinTopY = finTopY + attitudeRocketParams.finSweepLength;
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              } else {
-                                adjustedFinTopY = finTopY - Math.abs(attitudeRocketParams.finSweepLength);
-                                adjustedFinBottomY = adjustedFinTopY + attitudeRocketParams.finTipWidth;
-                              }
-
-                              return `M ${rightFinRootX} ${finTopY}
-                    L ${rightFinRootX} ${finBottomY}
-                    L ${rightFinRootX + attitudeRocketParams.finHeight} ${adjustedFinBottomY}
-                    L ${rightFinRootX + attitudeRocketParams.finHeight} ${adjustedFinTopY} Z`;
-                            })()}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        </>
-                      )}
-
-                      {/* センターフィン - 共通で表示 */}
-                      {(() => {
-                        const halfThickness = attitudeRocketParams.finThickness / 2;
-                        const finTopY = -attitudeRocketParams.finBaseWidth;
-                        const finBottomY = 0;
-
-                        // 後退代がマイナスの場合の処理
-                        let frontExtension = 0;
-                        let finExtension = 0;
-
-                        if (attitudeRocketParams.finSweepLength < 0) {
-                          // 前進翼の場合
-                          frontExtension = Math.abs(attitudeRocketParams.finSweepLength);
-                        }
-
-                        // フィンの後端がボディ後端より後ろに出る場合を計算
-                        finExtension = Math.max(0, attitudeRocketParams.finSweepLength +
-                          attitudeRocketParams.finTipWidth - attitudeRocketParams.finBaseWidth);
-
-                        return (
-                          <path
-                            d={`M ${-halfThickness} ${finTopY - frontExtension}
-              L ${-halfThickness} ${finBottomY}
-              L ${-halfThickness} ${finBottomY + finExtension}
-              L ${halfThickness} ${finBottomY + finExtension}
-              L ${halfThickness} ${finBottomY}
-              L ${halfThickness} ${finTopY - frontExtension} Z`}
-                            fill="#6B7280"
-                            stroke="#374151"
-                            strokeWidth="0.5"
-                          />
-                        );
-                      })()}
+                      {/* 中央と手前のフィン */}
+                      <SideViewFins paths={attitudeFinPaths} layer="front" strokeWidth="0.5" />
                     </g>
 
                     {/* 重心位置のマーカー - 回転中心 */}
@@ -2567,7 +4585,7 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               <li>モーター: {rocketSim.selectedMotor}</li>
               <li>パラシュート: {rocketSim.selectedParachute}</li>
               <li>ノーズ形状: {NOSE_SHAPES[rocketSim.noseShape].name}</li>
-              <li>抗力係数: {NOSE_SHAPES[rocketSim.noseShape].cd.toFixed(2)}</li>
+              <li>抗力係数（30 m/s、積み上げ計算）: {(rocketSim.dragCurve?.find(point => point.velocity === 30)?.cd ?? 0).toFixed(3)}</li>
             </ul>
             <ul className="list-disc pl-5">
               <li>ロケット全長: {rocketSim.calculations.totalHeight} mm</li>
@@ -2576,10 +4594,15 @@ const SimulationTab = ({ rocketSim, preRocketSim, debugView, setDebugView, devMo
               <li>フィン厚み: {rocketSim.finThickness.toFixed(1)} mm</li>
               <li>フィン材質: {FIN_MATERIALS[rocketSim.finMaterial].name}</li>
               <li>重心位置: {rocketSim.centerOfGravity} mm</li>
-              <li>風速プロファイル: {WIND_PROFILES[rocketSim.windProfile].name}</li>
+              <li>風速プロファイル: {getWindProfileName(rocketSim.windProfile)}</li>
+              <li>標高: {rocketSim.siteElevation} m（空気密度 {rocketSim.groundAtmosphere.density.toFixed(3)} kg/m³）</li>
             </ul>
           </div>
         </div>
+
+        <MonteCarloPanel rocketSim={rocketSim} />
+
+        <SensitivityPanel rocketSim={rocketSim} />
       </div>
 
       {/* 結果ポップアップ */}
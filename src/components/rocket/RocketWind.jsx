@@ -0,0 +1,102 @@
+// 突風と乱流の風モデル
+// 風速プロファイルによる平均風に、離散的な突風（立ち上がり・持続・減衰）と連続的な乱流（1次のガウス・マルコフ過程）を加える
+// 乱数はシード付きで、同じ設定なら同じ風になる（時刻はすべて発射からの経過時間）
+import { DEFAULT_WIND_VARIATION } from './RocketConstants';
+import { createRandom, gaussian } from './RocketRandom';
+
+// 乱流の時系列の刻み (s)
+const TURBULENCE_DT = 0.02;
+
+// 突風の形（立ち上がりと減衰は 1-cos 形状）
+const gustShape = (gust, time) => {
+  const elapsed = time - gust.start;
+  const riseTime = Math.max(gust.riseTime, 1e-6);
+  if (elapsed < 0) return 0;
+  if (elapsed < riseTime) return 0.5 * (1 - Math.cos(Math.PI * elapsed / riseTime));
+  if (elapsed < riseTime + gust.holdTime) return 1;
+  const decay = elapsed - riseTime - gust.holdTime;
+  return decay < riseTime ? 0.5 * (1 + Math.cos(Math.PI * decay / riseTime)) : 0;
+};
+
+/**
+ * 風モデルを作成する（突風の発生時刻と乱流の時系列は必要な時刻まで順に生成する）
+ * @param {Object|null} variation - 突風・乱流の設定（DEFAULT_WIND_VARIATION の項目、null なら一定の風）
+ * @returns {Object} applyWindVariation に渡す風モデル
+ */
+export const createWindModel = (variation) => {
+  if (!variation) return { variation: null };
+
+  const settings = { ...DEFAULT_WIND_VARIATION, ...variation };
+  const seed = Number(settings.seed) || 0;
+  return {
+    variation: settings,
+    // 突風と乱流で別の乱数列を使い、一方の設定を変えても他方が変わらないようにする
+    gustRandom: createRandom(seed),
+    turbulenceRandom: createRandom(seed + 0x9E3779B9),
+    gusts: [],
+    turbulence: [0] // 標準偏差1に正規化した乱流の時系列
+  };
+};
+
+// time までの突風を生成する
+const extendGusts = (model, time) => {
+  const { gustAmplitude, gustRiseTime, gustHoldTime, gustInterval, firstGustTime } = model.variation;
+  if (!(gustAmplitude > 0)) return;
+
+  const nextInterval = () => -Math.log(Math.max(model.gustRandom(), Number.EPSILON)) * Math.max(gustInterval, 0.1);
+  while (model.gusts.length === 0 || model.gusts[model.gusts.length - 1].start <= time) {
+    const last = model.gusts[model.gusts.length - 1];
+    const start = last
+      ? last.start + 2 * last.riseTime + last.holdTime + nextInterval()
+      : (firstGustTime ?? nextInterval());
+    model.gusts.push({ start, riseTime: Math.max(0, gustRiseTime), holdTime: Math.max(0, gustHoldTime) });
+  }
+};
+
+// time までの乱流の時系列を生成する
+const extendTurbulence = (model, index) => {
+  const decay = Math.exp(-TURBULENCE_DT / Math.max(model.variation.turbulenceTimeScale, TURBULENCE_DT));
+  const noise = Math.sqrt(1 - decay * decay);
+  while (model.turbulence.length <= index + 1) {
+    const previous = model.turbulence[model.turbulence.length - 1];
+    model.turbulence.push(previous * decay + noise * gaussian(model.turbulenceRandom));
+  }
+};
+
+/**
+ * 時刻 time の瞬間風速を求める
+ * @param {Object} model - createWindModel の戻り値
+ * @param {number} time - 発射からの経過時間 (s)
+ * @param {number} meanWindSpeed - その高度の平均風速 (m/s、calculateWindSpeedAtHeight の値)
+ * @returns {{speed: number, gust: number, turbulence: number}} 瞬間風速と、そのうち突風・乱流による成分 (m/s)
+ */
+export const applyWindVariation = (model, time, meanWindSpeed) => {
+  if (!model?.variation) {
+    return { speed: meanWindSpeed, gust: 0, turbulence: 0 };
+  }
+
+  const t = Math.max(0, time);
+  const { gustAmplitude, turbulenceIntensity } = model.variation;
+
+  // 突風は平均風の向き（無風なら正の向き）に吹く
+  extendGusts(model, t);
+  const direction = meanWindSpeed < 0 ? -1 : 1;
+  // 突風は重ならないため、time より前に始まった最後の突風だけを見ればよい
+  let gustFactor = 0;
+  for (let i = model.gusts.length - 1; i >= 0; i--) {
+    if (model.gusts[i].start <= t) {
+      gustFactor = gustShape(model.gusts[i], t);
+      break;
+    }
+  }
+  const gust = gustAmplitude > 0 ? direction * gustAmplitude * gustFactor : 0;
+
+  // 乱流の標準偏差は平均風速に比例する
+  const position = t / TURBULENCE_DT;
+  const index = Math.floor(position);
+  extendTurbulence(model, index);
+  const normalized = model.turbulence[index] + (model.turbulence[index + 1] - model.turbulence[index]) * (position - index);
+  const turbulence = Math.max(0, turbulenceIntensity) * Math.abs(meanWindSpeed) * normalized;
+
+  return { speed: meanWindSpeed + gust + turbulence, gust, turbulence };
+};
@@ -0,0 +1,201 @@
+// 実測の風速分布（ハンディ風速計による複数高度の計測や、気球・凧による観測）
+// 高度・風速・風向の表を CSV または貼り付けたテキストから取り込み、高度で線形補間して風速プロファイルとして使う
+// 飛行は2次元で計算するため、各高度の風を最も低い測定点の風向の成分に分解して使う（横風成分は考慮しない）
+import { WIND_PROFILES } from './RocketConstants';
+
+// 実測風速プロファイルを保存する localStorage のキー
+const WIND_SOUNDING_STORAGE_KEY = 'windSoundingLibrary';
+
+// 風速プロファイルのキーの接頭辞（例: sounding:河川敷 5/3）
+const WIND_SOUNDING_PREFIX = 'sounding:';
+
+// 基準高度 (m、べき乗則の風速プロファイルと同じ地上計測の高さ)
+const REFERENCE_HEIGHT = 1.5;
+
+// 基準高度の風速がこれより小さい測定値は、地上風速による比例の調整を行わない (m/s)
+const MIN_REFERENCE_SPEED = 0.1;
+
+/**
+ * 風速分布の表を解析する
+ * 1行に「高度 (m), 風速 (m/s), 風向 (度、省略可)」をカンマ・タブ・空白区切りで書く（数値で始まらない行と # 以降は無視）
+ * @param {string} text - CSV または貼り付けたテキスト
+ * @returns {Array<{height: number, speed: number, direction: number}>} 高度順の測定点
+ */
+export const parseWindSounding = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('風速分布のデータが空です');
+  }
+
+  const points = [];
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (line === '') return;
+
+    const fields = line.split(/[\s,;]+/).filter(field => field !== '');
+    // 見出し行（数値で始まらない行）は読み飛ばす
+    if (isNaN(Number(fields[0]))) return;
+
+    const [height, speed, direction = 0] = fields.slice(0, 3).map(Number);
+    if (fields.length < 2 || [height, speed, direction].some(value => !isFinite(value))) {
+      throw new Error(`数値が不正です (${index + 1}行目): ${line}`);
+    }
+    if (height < 0 || speed < 0) {
+      throw new Error(`高度と風速は0以上で指定してください (${index + 1}行目): ${line}`);
+    }
+    points.push({ height, speed, direction: ((direction % 360) + 360) % 360 });
+  });
+
+  if (points.length === 0) {
+    throw new Error('風速分布に測定点が含まれていません');
+  }
+
+  // 同じ高度の測定点は後の行を使う
+  const byHeight = new Map(points.map(point => [point.height, point]));
+  return [...byHeight.values()].sort((a, b) => a.height - b.height);
+};
+
+/**
+ * 測定点から実測風速プロファイルを作る（最も低い測定点の風向に沿った成分を求めておく）
+ * @param {string} name - プロファイルの名前
+ * @param {Array<{height: number, speed: number, direction?: number}>} points - 測定点
+ * @returns {Object} 名前・測定点・基準の風向 (度)・風向に沿った成分の表 (profile)
+ */
+export const createWindSounding = (name, points) => {
+  const sorted = [...points].sort((a, b) => a.height - b.height);
+  const referenceDirection = sorted[0]?.direction ?? 0;
+  const profile = sorted.map(point => ({
+    height: point.height,
+    speed: point.speed * Math.cos(((point.direction ?? 0) - referenceDirection) * Math.PI / 180)
+  }));
+
+  const sounding = { name, points: sorted, referenceDirection, profile };
+  return { ...sounding, referenceSpeed: interpolateWindSounding(sounding, REFERENCE_HEIGHT) };
+};
+
+/**
+ * 高度 height の風速（基準の風向に沿った成分）を測定点の線形補間で求める（範囲外は端の値）
+ * @param {Object} sounding - createWindSounding の戻り値
+ * @param {number} height - 高度 (m)
+ * @returns {number} 風速 (m/s)
+ */
+export const interpolateWindSounding = (sounding, height) => {
+  const profile = sounding.profile;
+  if (!profile || profile.length === 0) return 0;
+  if (height <= profile[0].height) return profile[0].speed;
+
+  for (let i = 1; i < profile.length; i++) {
+    if (height <= profile[i].height) {
+      const lower = profile[i - 1];
+      const span = profile[i].height - lower.height;
+      return lower.speed + (profile[i].speed - lower.speed) * (height - lower.height) / span;
+    }
+  }
+  return profile[profile.length - 1].speed;
+};
+
+/**
+ * 実測風速プロファイルによる高度 height の風速
+ * 基準高度の測定値が baseWindSpeed になるよう全体を比例させる（風速の設定を変えればプロファイル全体が強弱し、負なら向きが逆になる）
+ * 基準高度の測定値がほぼ0の場合は測定値をそのまま使い、baseWindSpeed の符号で向きだけを決める
+ * @param {Object} sounding - createWindSounding の戻り値
+ * @param {number} baseWindSpeed - 基準高度の風速 (m/s)
+ * @param {number} height - 高度 (m)
+ * @returns {number} 風速 (m/s、正は左から右)
+ */
+export const calculateSoundingWindSpeed = (sounding, baseWindSpeed, height) => {
+  const speed = interpolateWindSounding(sounding, Math.max(0, height));
+  if (Math.abs(sounding.referenceSpeed) < MIN_REFERENCE_SPEED) {
+    return baseWindSpeed < 0 ? -speed : speed;
+  }
+  return speed * baseWindSpeed / sounding.referenceSpeed;
+};
+
+// localStorage が使えない環境（Node など）では空のライブラリとして扱う
+const getStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// 飛行計算の各ステップで参照するため、読み込んだライブラリを保持する
+let soundingCache = null;
+
+// 実測風速プロファイルのライブラリの読み込み
+export const loadWindSoundings = () => {
+  if (soundingCache) return soundingCache;
+
+  const storage = getStorage();
+  if (!storage) return [];
+
+  try {
+    const saved = JSON.parse(storage.getItem(WIND_SOUNDING_STORAGE_KEY) || '[]');
+    soundingCache = Array.isArray(saved)
+      ? saved
+        .filter(sounding => sounding && sounding.name && Array.isArray(sounding.points) && sounding.points.length > 0)
+        .map(sounding => createWindSounding(sounding.name, sounding.points))
+      : [];
+  } catch (error) {
+    console.error('実測風速プロファイルの読み込みに失敗しました:', error);
+    soundingCache = [];
+  }
+  return soundingCache;
+};
+
+// 実測風速プロファイルのライブラリの保存（測定点だけを保存する）
+export const saveWindSoundings = (soundings) => {
+  soundingCache = soundings;
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(WIND_SOUNDING_STORAGE_KEY, JSON.stringify(soundings.map(({ name, points }) => ({ name, points }))));
+  } catch (error) {
+    console.error('実測風速プロファイルの保存に失敗しました:', error);
+  }
+};
+
+// 風速分布の表を名前を付けてライブラリに追加する（同じ名前は置き換え）
+export const addWindSoundingFromText = (name, text) => {
+  const trimmedName = (name || '').trim();
+  if (trimmedName === '') {
+    throw new Error('風速プロファイルの名前を入力してください');
+  }
+
+  const added = createWindSounding(trimmedName, parseWindSounding(text));
+  saveWindSoundings([...loadWindSoundings().filter(sounding => sounding.name !== trimmedName), added]);
+  return added;
+};
+
+// 実測風速プロファイルの削除
+export const removeWindSounding = (name) => {
+  const soundings = loadWindSoundings().filter(sounding => sounding.name !== name);
+  saveWindSoundings(soundings);
+  return soundings;
+};
+
+// 実測風速プロファイルを選ぶときの風速プロファイルのキー
+export const getWindSoundingKey = (name) => `${WIND_SOUNDING_PREFIX}${name}`;
+
+/**
+ * 風速プロファイルの指定から実測風速プロファイルを求める
+ * @param {string|Object} profile - 風速プロファイルのキー（sounding:名前）または { name, points } のオブジェクト
+ * @returns {Object|null} createWindSounding の戻り値（べき乗則のプロファイルや見つからない場合は null）
+ */
+export const resolveWindSounding = (profile) => {
+  if (profile && typeof profile === 'object') {
+    return profile.profile ? profile : createWindSounding(profile.name || '実測', profile.points || []);
+  }
+  if (typeof profile !== 'string' || !profile.startsWith(WIND_SOUNDING_PREFIX)) return null;
+
+  const name = profile.slice(WIND_SOUNDING_PREFIX.length);
+  return loadWindSoundings().find(sounding => sounding.name === name) || null;
+};
+
+// 風速プロファイルの表示名
+export const getWindProfileName = (profile) => {
+  if (WIND_PROFILES[profile]) return WIND_PROFILES[profile].name;
+  const sounding = resolveWindSounding(profile);
+  return sounding ? `実測: ${sounding.name}` : String(profile);
+};